@@ -0,0 +1,218 @@
+const { EventEmitter } = require('events');
+const express = require('express');
+const request = require('supertest');
+const Notification = require('../models/Notification');
+const notificationsRouter = require('../routes/notifications');
+const { attachNotificationSocket } = require('../services/notificationSocket');
+const { signToken, authenticate, authenticateStream, requireSelf, requireAdmin } = require('../middleware/auth');
+const { getSecret } = require('../config/secrets');
+
+const priya = { userId: 'priya', username: 'priya_u', role: 'user' };
+const rohit = { userId: 'rohit', username: 'rohit_u', role: 'user' };
+const admin = { userId: 'admin', username: 'admin', role: 'admin' };
+
+function buildApp(...middleware) {
+  const app = express();
+  app.get('/users/:userId', ...middleware, (req, res) => res.json({ user: req.user }));
+  return app;
+}
+
+const bearer = user => ({ Authorization: `Bearer ${signToken(user)}` });
+
+describe('authenticate', () => {
+  const app = buildApp(authenticate);
+
+  it('rejects a request without a token', async () => {
+    const res = await request(app).get('/users/priya');
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Authentication required' });
+  });
+
+  it('rejects a malformed or tampered token', async () => {
+    const token = signToken(priya);
+    const res = await request(app).get('/users/priya').set('Authorization', `Bearer ${token}x`);
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid or expired token' });
+  });
+
+  it('binds the caller to req.user', async () => {
+    const res = await request(app).get('/users/priya').set(bearer(priya));
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toEqual(priya);
+  });
+
+  it('ignores ?access_token=', async () => {
+    const res = await request(app).get(`/users/priya?access_token=${signToken(priya)}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Authentication required' });
+  });
+
+  it('takes ?access_token= only where streams authenticate', async () => {
+    const res = await request(buildApp(authenticateStream)).get(`/users/priya?access_token=${signToken(priya)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toEqual(priya);
+  });
+});
+
+describe('requireSelf and requireAdmin', () => {
+  it('lets a user reach their own data', async () => {
+    const res = await request(buildApp(authenticate, requireSelf())).get('/users/priya').set(bearer(priya));
+
+    expect(res.status).toBe(200);
+  });
+
+  it("denies another user's data", async () => {
+    const res = await request(buildApp(authenticate, requireSelf())).get('/users/priya').set(bearer(rohit));
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ error: 'You can only access your own data' });
+  });
+
+  it("lets an admin reach anyone's data", async () => {
+    const res = await request(buildApp(authenticate, requireSelf())).get('/users/priya').set(bearer(admin));
+
+    expect(res.status).toBe(200);
+  });
+
+  it('keeps non-admins out of admin routes', async () => {
+    const app = buildApp(authenticate, requireAdmin);
+
+    expect((await request(app).get('/users/priya').set(bearer(priya))).status).toBe(403);
+    expect((await request(app).get('/users/priya').set(bearer(admin))).status).toBe(200);
+  });
+});
+
+describe('notification routes', () => {
+  const app = express().use('/api/notifications', notificationsRouter);
+
+  beforeEach(() => {
+    jest.spyOn(Notification, 'getUserNotifications').mockResolvedValue([]);
+    jest.spyOn(Notification, 'getUnreadCount').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("does not list another user's notifications", async () => {
+    const res = await request(app).get('/api/notifications/priya').set(bearer(rohit));
+
+    expect(res.status).toBe(403);
+    expect(Notification.getUserNotifications).not.toHaveBeenCalled();
+  });
+
+  it('does not take ?access_token= outside the stream', async () => {
+    const res = await request(app).get(`/api/notifications/priya?access_token=${signToken(priya)}`);
+
+    expect(res.status).toBe(401);
+    expect(Notification.getUserNotifications).not.toHaveBeenCalled();
+  });
+
+  it("does not let a user mark another user's notification read", async () => {
+    const notification = new Notification({ notificationId: 'n1', userId: 'priya', type: 'LIKE', content: 'x', sourceUserId: 'rohit' });
+    jest.spyOn(Notification, 'findOne').mockResolvedValue(notification);
+    const markAsRead = jest.spyOn(notification, 'markAsRead');
+
+    const res = await request(app).put('/api/notifications/n1/read').set(bearer(rohit));
+
+    expect(res.status).toBe(403);
+    expect(markAsRead).not.toHaveBeenCalled();
+  });
+});
+
+describe('WebSocket upgrade', () => {
+  let server;
+  let wss;
+
+  beforeEach(() => {
+    server = new EventEmitter();
+    wss = attachNotificationSocket(server);
+    jest.spyOn(wss, 'handleUpgrade').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    wss.close();
+    jest.restoreAllMocks();
+  });
+
+  function upgrade(url, headers = {}) {
+    const socket = { write: jest.fn(), destroy: jest.fn() };
+    server.emit('upgrade', { url, headers }, socket, Buffer.alloc(0));
+    return socket;
+  }
+
+  it('refuses a connection without a valid token', () => {
+    const socket = upgrade('/api/notifications/priya/ws');
+
+    expect(socket.write).toHaveBeenCalledWith(expect.stringMatching(/^HTTP\/1.1 401 /));
+    expect(socket.destroy).toHaveBeenCalled();
+    expect(wss.handleUpgrade).not.toHaveBeenCalled();
+  });
+
+  it("refuses a connection to another user's stream", () => {
+    const socket = upgrade(`/api/notifications/priya/ws?access_token=${signToken(rohit)}`);
+
+    expect(socket.write).toHaveBeenCalledWith(expect.stringMatching(/^HTTP\/1.1 403 /));
+    expect(wss.handleUpgrade).not.toHaveBeenCalled();
+  });
+
+  it('accepts the owner with a token in the query string or header', () => {
+    upgrade(`/api/notifications/priya/ws?access_token=${signToken(priya)}`);
+    upgrade('/api/notifications/priya/ws', { authorization: `Bearer ${signToken(priya)}` });
+
+    expect(wss.handleUpgrade).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('getSecret', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.JWT_SECRET;
+    delete process.env.EMAIL_UNSUBSCRIBE_SECRET;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('reads the first of the names that is set', () => {
+    process.env.JWT_SECRET = 'jwt-secret';
+
+    expect(getSecret('EMAIL_UNSUBSCRIBE_SECRET', 'JWT_SECRET')).toBe('jwt-secret');
+
+    process.env.EMAIL_UNSUBSCRIBE_SECRET = 'unsubscribe-secret';
+    expect(getSecret('EMAIL_UNSUBSCRIBE_SECRET', 'JWT_SECRET')).toBe('unsubscribe-secret');
+  });
+
+  it('falls back to the dev secret only in development and test', () => {
+    process.env.NODE_ENV = 'development';
+    expect(getSecret('JWT_SECRET')).toBe('insyd-dev-secret');
+
+    process.env.NODE_ENV = 'test';
+    expect(getSecret('JWT_SECRET')).toBe('insyd-dev-secret');
+  });
+
+  it('refuses to run without a secret anywhere else', () => {
+    process.env.NODE_ENV = 'production';
+    expect(() => getSecret('EMAIL_UNSUBSCRIBE_SECRET', 'JWT_SECRET'))
+      .toThrow('EMAIL_UNSUBSCRIBE_SECRET or JWT_SECRET must be set');
+
+    // An unset NODE_ENV is not development
+    delete process.env.NODE_ENV;
+    expect(() => getSecret('JWT_SECRET')).toThrow('JWT_SECRET must be set');
+  });
+
+  it('stops the auth middleware loading in production without JWT_SECRET', () => {
+    process.env.NODE_ENV = 'production';
+
+    jest.isolateModules(() => {
+      expect(() => require('../middleware/auth')).toThrow('JWT_SECRET must be set');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('../services/emailService', () => ({ sendNotificationEmail: jest.fn() }));
+jest.mock('../services/pushService', () => ({ sendPushNotification: jest.fn() }));
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const HeldDelivery = require('../models/HeldDelivery');
+const { sendNotificationEmail } = require('../services/emailService');
+const { sendPushNotification } = require('../services/pushService');
+const { releaseHeldDeliveries } = require('../services/deliveryService');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('releaseHeldDeliveries', () => {
+  let held;
+  let notifications;
+
+  function hold(notificationId, fields = {}) {
+    return { _id: notificationId, notificationId, userId: 'priya', releaseAt: new Date(Date.now() - MINUTE_MS), ...fields };
+  }
+
+  beforeEach(() => {
+    held = [hold('n1')];
+    notifications = {
+      n1: new Notification({ notificationId: 'n1', userId: 'priya', type: 'LIKE', status: 'unread' }),
+      n2: new Notification({ notificationId: 'n2', userId: 'priya', type: 'LIKE', status: 'unread' }),
+    };
+
+    // The claim query, against the in-memory held deliveries
+    jest.spyOn(HeldDelivery, 'findOneAndUpdate').mockImplementation(async ({ releaseAt, $or }, { $set }) => {
+      const staleBefore = $or[1].claimedAt.$lt;
+      const candidate = held
+        .filter(delivery => delivery.releaseAt <= releaseAt.$lte)
+        .filter(delivery => !delivery.claimedAt || delivery.claimedAt < staleBefore)
+        .sort((a, b) => a.releaseAt - b.releaseAt)[0];
+      return candidate ? Object.assign(candidate, $set) : null;
+    });
+    jest.spyOn(HeldDelivery, 'deleteOne').mockImplementation(async ({ _id, claimedAt }) => {
+      const before = held.length;
+      held = held.filter(delivery => !(delivery._id === _id && delivery.claimedAt === claimedAt));
+      return { deletedCount: before - held.length };
+    });
+    jest.spyOn(Notification, 'findOne').mockImplementation(async ({ notificationId }) => notifications[notificationId] || null);
+    jest.spyOn(User, 'findByUserId').mockResolvedValue(new User({ userId: 'priya', username: 'priya_u', email: 'priya@example.com' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('claims each delivery before sending it and removes it only afterwards', async () => {
+    sendNotificationEmail.mockImplementation(async () => {
+      expect(held[0].claimedAt).toBeInstanceOf(Date);
+    });
+
+    expect(await releaseHeldDeliveries()).toEqual({ released: 1 });
+
+    expect(sendNotificationEmail).toHaveBeenCalledTimes(1);
+    expect(sendPushNotification).toHaveBeenCalledTimes(1);
+    expect(held).toEqual([]);
+  });
+
+  it('keeps the delivery when sending fails, and retries it once the claim is stale', async () => {
+    User.findByUserId.mockRejectedValueOnce(new Error('connection reset'));
+
+    expect(await releaseHeldDeliveries()).toEqual({ released: 0 });
+    expect(held).toHaveLength(1);
+
+    // Still claimed by the failed attempt
+    expect(await releaseHeldDeliveries()).toEqual({ released: 0 });
+    expect(sendNotificationEmail).not.toHaveBeenCalled();
+
+    held[0].claimedAt = new Date(Date.now() - 11 * MINUTE_MS);
+    expect(await releaseHeldDeliveries()).toEqual({ released: 1 });
+    expect(held).toEqual([]);
+  });
+
+  it('leaves deliveries another releaser is sending alone', async () => {
+    held = [hold('n1', { claimedAt: new Date() }), hold('n2')];
+
+    expect(await releaseHeldDeliveries()).toEqual({ released: 1 });
+
+    expect(sendNotificationEmail).toHaveBeenCalledWith(notifications.n2, expect.anything());
+    expect(held.map(delivery => delivery.notificationId)).toEqual(['n1']);
+  });
+
+  it('drops deliveries for notifications already read', async () => {
+    notifications.n1.status = 'read';
+
+    expect(await releaseHeldDeliveries()).toEqual({ released: 0 });
+
+    expect(sendNotificationEmail).not.toHaveBeenCalled();
+    expect(held).toEqual([]);
+  });
+});
@@ -0,0 +1,244 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const EmailDelivery = require('../models/EmailDelivery');
+const { createMemoryTransport } = require('../services/email/transports');
+const {
+  setTransport,
+  sendNotificationEmail,
+  sendDigest,
+  sendDueDigests,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+} = require('../services/emailService');
+const emailRoutes = require('../routes/email');
+
+function buildUser(delivery = {}) {
+  return new User({
+    userId: 'priya',
+    username: 'priya_designer',
+    email: 'priya@example.com',
+    preferences: { delivery },
+  });
+}
+
+function buildNotification(overrides = {}) {
+  return new Notification({
+    notificationId: 'n1',
+    userId: 'priya',
+    type: 'LIKE',
+    sourceUserId: 'rohit',
+    actors: [{ userId: 'rohit', username: 'rohit_urban' }],
+    actorCount: 1,
+    content: 'rohit_urban liked your post',
+    data: { postId: 'post1' },
+    ...overrides,
+  });
+}
+
+describe('emailService', () => {
+  let transport;
+  let saved;
+
+  beforeEach(() => {
+    transport = createMemoryTransport();
+    setTransport(transport);
+
+    saved = [];
+    jest.spyOn(EmailDelivery.prototype, 'save').mockImplementation(function() {
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('sendNotificationEmail', () => {
+    it('sends instant email through the transport and records the delivery', async () => {
+      const user = buildUser({ LIKE: { email: 'instant' } });
+
+      const delivery = await sendNotificationEmail(buildNotification(), user);
+
+      expect(transport.sent).toHaveLength(1);
+      const [message] = transport.sent;
+      expect(message.to).toBe('priya@example.com');
+      expect(message.text).toContain('rohit_urban liked your post');
+      expect(message.headers['List-Unsubscribe']).toMatch(/^<.*\/api\/email\/unsubscribe\?token=.+>$/);
+      expect(message.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+
+      expect(saved).toEqual([delivery]);
+      expect(delivery).toMatchObject({
+        userId: 'priya',
+        to: 'priya@example.com',
+        kind: 'immediate',
+        status: 'sent',
+        transport: 'memory',
+        messageId: message.messageId,
+      });
+      expect(delivery.notificationIds).toEqual(['n1']);
+    });
+
+    it('sends nothing unless the type is set to instant email', async () => {
+      const delivery = await sendNotificationEmail(buildNotification(), buildUser());
+
+      expect(delivery).toBeNull();
+      expect(transport.sent).toHaveLength(0);
+      expect(saved).toHaveLength(0);
+    });
+
+    it('records a failed delivery when the transport throws', async () => {
+      setTransport({ name: 'broken', send: jest.fn().mockRejectedValue(new Error('SMTP unavailable')) });
+
+      const delivery = await sendNotificationEmail(buildNotification(), buildUser({ LIKE: { email: 'instant' } }));
+
+      expect(saved).toEqual([delivery]);
+      expect(delivery).toMatchObject({ status: 'failed', error: 'SMTP unavailable', transport: 'broken' });
+    });
+  });
+
+  describe('sendDigest', () => {
+    function mockUnread(notifications) {
+      const query = {
+        sort: () => query,
+        limit: () => query,
+        lean: () => Promise.resolve(notifications),
+      };
+      return jest.spyOn(Notification, 'find').mockReturnValue(query);
+    }
+
+    it('emails unread digest notifications and moves the digest mark', async () => {
+      const find = mockUnread([
+        buildNotification().toObject(),
+        buildNotification({ notificationId: 'n2', type: 'COMMENT', content: 'rohit_urban commented on your post' }).toObject(),
+      ]);
+
+      const delivery = await sendDigest(buildUser(), 'daily');
+
+      // Backfilled history is never emailed
+      expect(find.mock.calls[0][0]).toMatchObject({ userId: 'priya', status: 'unread', backfill: { $ne: true } });
+      expect(transport.sent).toHaveLength(1);
+      expect(delivery).toMatchObject({ kind: 'digest', frequency: 'daily', status: 'sent' });
+      expect(delivery.notificationIds).toEqual(['n1', 'n2']);
+      expect(User.updateOne).toHaveBeenCalledWith({ userId: 'priya' }, { lastEmailDigestAt: expect.any(Date) });
+    });
+
+    it('sends nothing when there is nothing unread', async () => {
+      mockUnread([]);
+
+      expect(await sendDigest(buildUser(), 'daily')).toBeNull();
+      expect(transport.sent).toHaveLength(0);
+      expect(User.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('does no work for a user with no types set to digest email', async () => {
+      const find = mockUnread([]);
+      const user = buildUser(Object.fromEntries(['LIKE', 'FOLLOW', 'COMMENT', 'POST_CREATE', 'MENTION', 'SHARE']
+        .map(type => [type, { email: 'instant' }])));
+
+      expect(user.getTypesDeliveredAt('email', 'digest')).toEqual([]);
+      expect(await sendDigest(user, 'daily')).toBeNull();
+      expect(find).not.toHaveBeenCalled();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('keeps the digest mark when the send fails, so the digest is retried', async () => {
+      mockUnread([buildNotification().toObject()]);
+      setTransport({ name: 'broken', send: jest.fn().mockRejectedValue(new Error('SMTP unavailable')) });
+
+      const delivery = await sendDigest(buildUser(), 'weekly');
+
+      expect(delivery.status).toBe('failed');
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendDueDigests', () => {
+    it('only picks up users with at least one type set to digest email', async () => {
+      const find = jest.spyOn(User, 'find').mockReturnValue({ cursor: () => [] });
+
+      expect(await sendDueDigests('weekly')).toEqual({ frequency: 'weekly', sent: 0, failed: 0 });
+
+      const [query] = find.mock.calls[0];
+      expect(query['preferences.digestFrequency']).toBe('weekly');
+      expect(query.$and[1].$or).toContainEqual({
+        'preferences.delivery.LIKE.email': { $in: [null, 'digest'] },
+        'preferences.delivery.LIKE.inApp': { $ne: 'off' },
+      });
+    });
+  });
+
+  describe('unsubscribe tokens', () => {
+    it('round-trips the userId', () => {
+      expect(verifyUnsubscribeToken(createUnsubscribeToken('priya'))).toBe('priya');
+    });
+
+    it('rejects expired and tampered tokens', () => {
+      const expired = createUnsubscribeToken('priya', Date.now() - 365 * 24 * 60 * 60 * 1000);
+      expect(verifyUnsubscribeToken(expired)).toBeNull();
+
+      const [, signature] = createUnsubscribeToken('priya').split('.');
+      const forged = Buffer.from(JSON.stringify({ sub: 'rohit', exp: Date.now() + 60000 })).toString('base64url');
+      expect(verifyUnsubscribeToken(`${forged}.${signature}`)).toBeNull();
+      expect(verifyUnsubscribeToken('garbage')).toBeNull();
+    });
+  });
+
+  describe('unsubscribe routes', () => {
+    const app = express().use('/api/email', emailRoutes);
+    let user;
+
+    beforeEach(() => {
+      user = buildUser({ LIKE: { email: 'instant' }, COMMENT: { email: 'daily' } });
+      jest.spyOn(User, 'findByUserId').mockResolvedValue(user);
+      jest.spyOn(User.prototype, 'updatePreferences').mockResolvedValue(user);
+    });
+
+    it('shows a confirmation page without changing anything', async () => {
+      const token = createUnsubscribeToken('priya');
+
+      const res = await request(app).get(`/api/email/unsubscribe?token=${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('<form method="post"');
+      expect(res.text).toContain(`?token=${token}`);
+      expect(user.updatePreferences).not.toHaveBeenCalled();
+    });
+
+    it('turns every email delivery off on one-click unsubscribe', async () => {
+      const res = await request(app)
+        .post(`/api/email/unsubscribe?token=${createUnsubscribeToken('priya')}`)
+        .set('Accept', 'application/json');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ message: 'Unsubscribed from email notifications', userId: 'priya' });
+      const { delivery } = user.updatePreferences.mock.calls[0][0];
+      expect(Object.values(delivery).every(channels => channels.email === 'off')).toBe(true);
+      expect(delivery).toMatchObject({ LIKE: { email: 'off' }, COMMENT: { email: 'off' } });
+    });
+
+    it('answers the confirmation form with a page', async () => {
+      const res = await request(app)
+        .post(`/api/email/unsubscribe?token=${createUnsubscribeToken('priya')}`)
+        .set('Accept', 'text/html');
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('You have been unsubscribed');
+    });
+
+    it('rejects an expired link', async () => {
+      const expired = createUnsubscribeToken('priya', Date.now() - 365 * 24 * 60 * 60 * 1000);
+
+      const page = await request(app).get(`/api/email/unsubscribe?token=${expired}`);
+      const oneClick = await request(app).post(`/api/email/unsubscribe?token=${expired}`).set('Accept', 'application/json');
+
+      expect(page.status).toBe(400);
+      expect(oneClick.status).toBe(400);
+      expect(oneClick.body.error).toBe('Invalid unsubscribe token');
+      expect(user.updatePreferences).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,82 @@
+jest.mock('../services/notificationProcessor', () => ({ queueEvents: jest.fn() }));
+jest.mock('../services/webhookService', () => ({ dispatchWebhooks: jest.fn() }));
+jest.mock('../services/mentionService', () => ({ resolveMentions: jest.fn(async () => ['priya']) }));
+
+const Event = require('../models/Event');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { queueEvents } = require('../services/notificationProcessor');
+const { dispatchWebhooks } = require('../services/webhookService');
+const { ingestEventBatch } = require('../services/eventBatchService');
+
+const rohit = { userId: 'rohit', username: 'rohit_u', role: 'user' };
+const admin = { userId: 'admin', username: 'admin', role: 'admin' };
+
+describe('ingestEventBatch', () => {
+  function comments(count) {
+    return Array.from({ length: count }, (_, index) => ({
+      eventId: `c${index}`,
+      type: 'COMMENT',
+      sourceUserId: 'rohit',
+      targetUserId: 'priya',
+      data: { postId: 'post1' },
+      timestamp: new Date(Date.now() - (count - index) * 60 * 1000).toISOString(),
+    }));
+  }
+
+  // The only type clients emit themselves
+  function mentions(count) {
+    return Array.from({ length: count }, (_, index) => ({
+      eventId: `m${index}`,
+      type: 'MENTION',
+      sourceUserId: 'rohit',
+      data: { postId: 'post1', content: 'Thoughts, @priya_u?' },
+    }));
+  }
+
+  beforeEach(() => {
+    jest.spyOn(Event, 'find').mockReturnValue({ lean: async () => [] });
+    jest.spyOn(Post, 'find').mockReturnValue({ lean: async () => [] });
+    jest.spyOn(User, 'find').mockResolvedValue([new User({ userId: 'rohit', username: 'rohit_u', email: 'rohit@example.com' })]);
+    jest.spyOn(Event, 'insertMany').mockImplementation(async docs => docs.map(doc => new Event(doc)));
+    // Every sender is far over every budget
+    jest.spyOn(Event, 'countDocuments').mockResolvedValue(1000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it("throttles a user's batch like single events", async () => {
+    const result = await ingestEventBatch(mentions(3), rohit);
+
+    expect(result).toMatchObject({ received: 3, accepted: 3, rejected: 0 });
+    const [inserted] = Event.insertMany.mock.calls[0];
+    expect(inserted.every(doc => doc.suppression && doc.processed)).toBe(true);
+    expect(queueEvents).toHaveBeenCalledWith([]);
+  });
+
+  it('never throttles a batch sent by an admin', async () => {
+    const result = await ingestEventBatch(comments(3), admin);
+
+    expect(result).toMatchObject({ received: 3, accepted: 3, rejected: 0 });
+    expect(Event.countDocuments).not.toHaveBeenCalled();
+    expect(queueEvents.mock.calls[0][0].map(event => event.eventId)).toEqual(['rohit:c0', 'rohit:c1', 'rohit:c2']);
+  });
+
+  it('marks events sent with a timestamp as backfills and sends no event.created for them', async () => {
+    const [live] = mentions(1);
+    const [historical] = comments(1);
+
+    await ingestEventBatch([live, historical], admin);
+
+    const [inserted] = Event.insertMany.mock.calls[0];
+    expect(inserted.map(doc => [doc.eventId, doc.backfill])).toEqual([['rohit:m0', false], ['rohit:c0', true]]);
+    expect(inserted[1].timestamp).toEqual(new Date(historical.timestamp));
+    // Both are still processed, to record the backfill's notifications
+    expect(queueEvents.mock.calls[0][0]).toHaveLength(2);
+    expect(dispatchWebhooks.mock.calls[0][0]).toBe('event.created');
+    expect(dispatchWebhooks.mock.calls[0][1].map(event => event.eventId)).toEqual(['rohit:m0']);
+  });
+});
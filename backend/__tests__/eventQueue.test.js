@@ -0,0 +1,130 @@
+const Event = require('../models/Event');
+const EventJob = require('../models/EventJob');
+const DeadLetter = require('../models/DeadLetter');
+const { eventQueue } = require('../services/notificationProcessor');
+
+describe('EventQueue', () => {
+  const event = new Event({
+    eventId: 'e1',
+    type: 'LIKE',
+    sourceUserId: 'rohit',
+    targetUserId: 'priya',
+    data: { postId: 'post1' },
+  });
+
+  let claimable;
+
+  function buildJob(overrides = {}) {
+    return new EventJob({
+      eventId: 'e1',
+      status: 'processing',
+      attempts: 1,
+      maxAttempts: 5,
+      lockedAt: new Date(),
+      ...overrides,
+    });
+  }
+
+  beforeEach(() => {
+    claimable = [];
+    // Each claim hands out the next queued job, then reports the queue empty
+    jest.spyOn(EventJob, 'findOneAndUpdate').mockImplementation(async () => claimable.shift() || null);
+    jest.spyOn(EventJob.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Event, 'findOne').mockReturnValue({
+      lean: () => Promise.resolve(event.toObject()),
+      then: (resolve, reject) => Promise.resolve(event).then(resolve, reject),
+    });
+    jest.spyOn(DeadLetter, 'findOneAndUpdate').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('completes a job whose event processes', async () => {
+    const processEvent = jest.spyOn(eventQueue, 'processEvent').mockResolvedValue();
+    const job = buildJob();
+    claimable.push(job);
+
+    await eventQueue.processQueue();
+
+    expect(processEvent).toHaveBeenCalledWith(event, expect.any(Object));
+    expect(job.status).toBe('completed');
+    expect(job.lockedAt).toBeUndefined();
+    expect(job.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('retries a failed job with exponential backoff', async () => {
+    jest.spyOn(eventQueue, 'processEvent').mockRejectedValue(new Error('Recipient lookup failed'));
+    const jobs = [1, 2, 3].map(attempts => buildJob({ eventId: `e${attempts}`, attempts }));
+    claimable.push(...jobs);
+
+    const startedAt = Date.now();
+    await eventQueue.processQueue();
+
+    // EVENT_QUEUE_BASE_DELAY_MS (1s), doubling per attempt
+    jobs.forEach((job, index) => {
+      const delay = job.nextAttemptAt.getTime() - startedAt;
+      expect(job.status).toBe('pending');
+      expect(delay).toBeGreaterThanOrEqual(1000 * 2 ** index);
+      expect(delay).toBeLessThan(1000 * 2 ** index + 1000);
+      expect(job.lastError.message).toBe('Recipient lookup failed');
+    });
+    expect(DeadLetter.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('caps the backoff at EVENT_QUEUE_MAX_DELAY_MS', async () => {
+    jest.spyOn(eventQueue, 'processEvent').mockRejectedValue(new Error('Still failing'));
+    const job = buildJob({ attempts: 15, maxAttempts: 20 });
+    claimable.push(job);
+
+    const startedAt = Date.now();
+    await eventQueue.processQueue();
+
+    expect(job.nextAttemptAt.getTime() - startedAt).toBeLessThan(5 * 60 * 1000 + 1000);
+    expect(job.nextAttemptAt.getTime() - startedAt).toBeGreaterThanOrEqual(5 * 60 * 1000);
+  });
+
+  it('dead-letters a job that fails its last attempt', async () => {
+    jest.spyOn(eventQueue, 'processEvent').mockRejectedValue(new Error('Recipient lookup failed'));
+    const job = buildJob({ attempts: 5 });
+    claimable.push(job);
+
+    await eventQueue.processQueue();
+
+    expect(job.status).toBe('dead');
+    expect(DeadLetter.findOneAndUpdate).toHaveBeenCalledWith(
+      { eventId: 'e1' },
+      {
+        $set: expect.objectContaining({
+          type: 'LIKE',
+          sourceUserId: 'rohit',
+          status: 'dead',
+          attempts: 5,
+          lastError: expect.objectContaining({ message: 'Recipient lookup failed' }),
+        }),
+      },
+      { upsert: true }
+    );
+  });
+
+  it('replays a dead letter with a fresh attempt budget', async () => {
+    const deadLetter = new DeadLetter({ eventId: 'e1', status: 'dead', attempts: 5 });
+    jest.spyOn(DeadLetter, 'findOne').mockResolvedValue(deadLetter);
+    jest.spyOn(DeadLetter.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    expect(await eventQueue.replay('e1')).toBe(deadLetter);
+
+    expect(EventJob.findOneAndUpdate).toHaveBeenCalledWith(
+      { eventId: 'e1' },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'pending', attempts: 0, maxAttempts: 5 }) }),
+      { upsert: true }
+    );
+    expect(deadLetter.status).toBe('replayed');
+    expect(deadLetter.replayCount).toBe(1);
+  });
+});
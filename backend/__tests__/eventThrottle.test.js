@@ -0,0 +1,117 @@
+const Event = require('../models/Event');
+const { createThrottleCheck, checkThrottle, getLimits } = require('../services/eventThrottle');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('eventThrottle', () => {
+  // Events already saved in the window, by what the count query asks for
+  let counts;
+
+  beforeEach(() => {
+    counts = {};
+    jest.spyOn(Event, 'countDocuments').mockImplementation(async query => {
+      const { sourceUserId, type, targetUserId } = query;
+      const object = query['data.postId'] || query['data.mentionedUsers'] || targetUserId;
+      return counts[[sourceUserId, type, object].filter(Boolean).join(':')] || 0;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const comment = (targetUserId = 'priya') => ({
+    type: 'COMMENT',
+    sourceUserId: 'rohit',
+    targetUserId,
+    data: { postId: 'post1' },
+  });
+
+  it('lets events within every budget through', async () => {
+    counts['rohit:COMMENT:priya'] = 29;
+    counts['rohit:COMMENT'] = 99;
+
+    expect(await checkThrottle(comment())).toBeNull();
+  });
+
+  it('suppresses an event over the per-recipient budget', async () => {
+    counts['rohit:COMMENT:priya'] = 30;
+
+    expect(await checkThrottle(comment())).toEqual({
+      reason: 'target_limit',
+      limit: 30,
+      count: 31,
+      windowMs: HOUR_MS,
+    });
+    // Another recipient is unaffected
+    expect(await checkThrottle(comment('ananya'))).toBeNull();
+  });
+
+  it('suppresses an event over the per-sender budget', async () => {
+    counts['rohit:COMMENT'] = 100;
+
+    expect(await checkThrottle(comment('ananya'))).toMatchObject({ reason: 'source_limit', limit: 100, count: 101 });
+  });
+
+  it('suppresses a like repeated on the same post (a like/unlike loop)', async () => {
+    counts['rohit:LIKE:post1'] = 2;
+    const like = { type: 'LIKE', sourceUserId: 'rohit', targetUserId: 'priya', data: { postId: 'post1' } };
+
+    expect(await checkThrottle(like)).toEqual({
+      reason: 'toggle',
+      limit: 2,
+      count: 3,
+      windowMs: 24 * HOUR_MS,
+    });
+    expect(await checkThrottle({ ...like, data: { postId: 'post2' } })).toBeNull();
+  });
+
+  it('checks each mentioned user against the per-recipient budget', async () => {
+    counts['rohit:MENTION:vikram'] = 10;
+    const mention = { type: 'MENTION', sourceUserId: 'rohit', data: { postId: 'post1', mentionedUsers: ['priya', 'vikram'] } };
+
+    expect(await checkThrottle(mention)).toMatchObject({ reason: 'target_limit', limit: 10 });
+  });
+
+  it('counts a batch in memory, so a flood within one batch is suppressed', async () => {
+    const check = createThrottleCheck();
+    const share = { type: 'SHARE', sourceUserId: 'rohit', targetUserId: 'priya', data: { postId: 'post1' } };
+
+    const results = [];
+    for (let index = 0; index < 12; index++) {
+      results.push(await check(share));
+    }
+
+    // SHARE allows 10 per recipient per hour; suppressed events still count
+    expect(results.slice(0, 10)).toEqual(Array(10).fill(null));
+    expect(results.slice(10)).toEqual([
+      { reason: 'target_limit', limit: 10, count: 11, windowMs: HOUR_MS },
+      { reason: 'target_limit', limit: 10, count: 12, windowMs: HOUR_MS },
+    ]);
+    // Read once per budget, then kept up to date in memory
+    expect(Event.countDocuments).toHaveBeenCalledTimes(2);
+  });
+
+  it('only counts events saved within the window', async () => {
+    const startedAt = Date.now();
+    await checkThrottle(comment());
+
+    const [[query]] = Event.countDocuments.mock.calls;
+    expect(query.createdAt.$gte.getTime()).toBeGreaterThanOrEqual(startedAt - HOUR_MS);
+    expect(query.createdAt.$gte.getTime()).toBeLessThanOrEqual(Date.now() - HOUR_MS);
+  });
+
+  it('reads budget overrides from the environment', () => {
+    process.env.THROTTLE_LIKE_PER_TARGET = '100';
+    try {
+      jest.isolateModules(() => {
+        const { getLimits: getOverriddenLimits } = require('../services/eventThrottle');
+        expect(getOverriddenLimits().budgets.LIKE).toEqual({ perSource: 300, perTarget: 100 });
+      });
+    } finally {
+      delete process.env.THROTTLE_LIKE_PER_TARGET;
+    }
+
+    expect(getLimits().budgets.LIKE).toEqual({ perSource: 300, perTarget: 60 });
+  });
+});
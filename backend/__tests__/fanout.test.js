@@ -0,0 +1,195 @@
+process.env.FANOUT_CHUNK_SIZE = '2';
+process.env.FANOUT_ON_READ_THRESHOLD = '5';
+
+jest.mock('../services/deliveryService', () => ({ deliverNotification: jest.fn() }));
+jest.mock('../services/notificationStream', () => ({ publishNotification: jest.fn() }));
+jest.mock('../services/webhookService', () => ({ dispatchWebhooks: jest.fn() }));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const { deliverNotification } = require('../services/deliveryService');
+const { publishNotification } = require('../services/notificationStream');
+const { dispatchWebhooks } = require('../services/webhookService');
+const { fanOutPost } = require('../services/fanoutService');
+const { findFeedNotification } = require('../services/notificationFeed');
+
+describe('fanOutPost', () => {
+  let followers;
+  let follows;
+  let inserted;
+  let progressWrites;
+
+  function buildEvent(fields = {}) {
+    return new Event({
+      eventId: 'post-event',
+      type: 'POST_CREATE',
+      sourceUserId: 'priya',
+      data: { postId: 'post1' },
+      ...fields,
+    });
+  }
+
+  function buildAuthor() {
+    return new User({
+      userId: 'priya',
+      username: 'priya_u',
+      email: 'priya@example.com',
+    });
+  }
+
+  beforeEach(() => {
+    followers = Array.from({ length: 5 }, (_, index) => new User({
+      userId: `fan${index}`,
+      username: `fan${index}_u`,
+      email: `fan${index}@example.com`,
+    }));
+    // Ascending _ids, as the cursor sorts them
+    follows = followers.map((follower, index) => ({
+      _id: new mongoose.Types.ObjectId(`00000000000000000000000${index + 1}`),
+      followerId: follower.userId,
+    }));
+    inserted = [];
+    progressWrites = [];
+
+    jest.spyOn(Event, 'updateOne').mockImplementation(async (filter, update) => {
+      progressWrites.push({ ...update.fanout });
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Follow, 'countDocuments').mockImplementation(async () => follows.length);
+    jest.spyOn(Follow, 'find').mockImplementation(query => ({
+      sort: () => ({
+        lean: () => ({
+          cursor: () => follows.filter(follow => !query._id || follow._id > query._id.$gt)[Symbol.iterator](),
+        }),
+      }),
+    }));
+    jest.spyOn(User, 'find').mockImplementation(async query =>
+      followers.filter(follower => query.userId.$in.includes(follower.userId)));
+    jest.spyOn(Notification, 'find').mockImplementation(query => ({
+      lean: async () => inserted.filter(notification => query.notificationId.$in.includes(notification.notificationId)),
+    }));
+    jest.spyOn(Notification, 'insertMany').mockImplementation(async docs => {
+      const notifications = docs.map(doc => new Notification(doc));
+      inserted.push(...notifications);
+      return notifications;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('notifies followers in chunks and records progress after each one', async () => {
+    const onProgress = jest.fn();
+
+    const result = await fanOutPost(buildEvent(), buildAuthor(), { onProgress });
+
+    expect(Notification.insertMany.mock.calls.map(([docs]) => docs.map(doc => doc.userId)))
+      .toEqual([['fan0', 'fan1'], ['fan2', 'fan3'], ['fan4']]);
+    expect(inserted.map(notification => notification.notificationId)).toContain('post-event:fan3');
+    expect(deliverNotification).toHaveBeenCalledTimes(5);
+    expect(onProgress).toHaveBeenCalledTimes(3);
+    expect(progressWrites.map(progress => progress.scanned)).toEqual([0, 2, 4, 5, 5]);
+    expect(result).toMatchObject({ mode: 'write', status: 'completed', scanned: 5, notified: 5 });
+  });
+
+  it('skips followers who turned post notifications off', async () => {
+    followers[1].set('preferences.delivery.POST_CREATE.inApp', 'off');
+
+    const result = await fanOutPost(buildEvent(), buildAuthor());
+
+    expect(result.notified).toBe(4);
+    expect(inserted.map(notification => notification.userId)).not.toContain('fan1');
+  });
+
+  it('resumes an interrupted fan-out after the last follower written', async () => {
+    const event = buildEvent({
+      fanout: { mode: 'write', status: 'running', scanned: 2, notified: 2, lastFollowerId: follows[1]._id },
+    });
+
+    const result = await fanOutPost(event, buildAuthor());
+
+    expect(Follow.find).toHaveBeenCalledWith({ followeeId: 'priya', _id: { $gt: follows[1]._id } }, 'followerId');
+    expect(inserted.map(notification => notification.userId)).toEqual(['fan2', 'fan3', 'fan4']);
+    expect(result).toMatchObject({ status: 'completed', scanned: 5, notified: 5 });
+  });
+
+  it('does not write notifications twice when a chunk is retried', async () => {
+    inserted.push(new Notification({ notificationId: 'post-event:fan0', userId: 'fan0', type: 'POST_CREATE', content: 'x', sourceUserId: 'priya' }));
+
+    await fanOutPost(buildEvent(), buildAuthor());
+
+    expect(Notification.insertMany.mock.calls[0][0].map(doc => doc.userId)).toEqual(['fan1']);
+  });
+
+  it('puts a backfilled post in feeds at the time it was posted, without delivering it', async () => {
+    const postedAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    await fanOutPost(buildEvent({ backfill: true, timestamp: postedAt }), buildAuthor());
+
+    expect(inserted).toHaveLength(5);
+    inserted.forEach(notification => {
+      expect(notification.timestamp).toEqual(postedAt);
+      expect(notification.backfill).toBe(true);
+    });
+    expect(publishNotification).not.toHaveBeenCalled();
+    expect(deliverNotification).not.toHaveBeenCalled();
+    expect(dispatchWebhooks).not.toHaveBeenCalled();
+  });
+
+  it('leaves posts from accounts over the threshold to be merged at read time', async () => {
+    Follow.countDocuments.mockResolvedValue(6);
+
+    const result = await fanOutPost(buildEvent(), buildAuthor());
+
+    expect(result).toMatchObject({ mode: 'read', status: 'completed', totalFollowers: 6 });
+    expect(Follow.countDocuments).toHaveBeenCalledWith({ followeeId: 'priya' });
+    expect(Follow.find).not.toHaveBeenCalled();
+    expect(Notification.insertMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('findFeedNotification', () => {
+  const post = new Event({
+    eventId: 'post-event',
+    type: 'POST_CREATE',
+    sourceUserId: 'priya',
+    data: { postId: 'post1' },
+    fanout: { mode: 'read' },
+  });
+  const users = ['priya', 'fan0', 'fan1'].map(userId => new User({
+    userId,
+    username: `${userId}_u`,
+    email: `${userId}@example.com`,
+  }));
+
+  beforeEach(() => {
+    jest.spyOn(Event, 'findOne').mockResolvedValue(post);
+    jest.spyOn(User, 'findByUserId').mockImplementation(async userId => users.find(user => user.userId === userId));
+    jest.spyOn(Follow, 'isFollowing').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("gives each follower's stored copy of a post its own _id", async () => {
+    const first = await findFeedNotification('post-event:fan0');
+    const second = await findFeedNotification('post-event:fan1');
+
+    expect(first.notificationId).toBe('post-event:fan0');
+    expect(second.notificationId).toBe('post-event:fan1');
+    expect(first._id.equals(second._id)).toBe(false);
+    expect(first._id.equals(post._id)).toBe(false);
+  });
+
+  it('finds nothing for a follower who no longer follows the author', async () => {
+    Follow.isFollowing.mockResolvedValue(false);
+
+    expect(await findFeedNotification('post-event:fan0')).toBeNull();
+  });
+});
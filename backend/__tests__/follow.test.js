@@ -0,0 +1,77 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const usersRouter = require('../routes/users');
+const { signToken } = require('../middleware/auth');
+
+describe('follow counts', () => {
+  // rohit and ananya follow priya; priya follows rohit
+  const edges = [
+    { followerId: 'rohit', followeeId: 'priya' },
+    { followerId: 'ananya', followeeId: 'priya' },
+    { followerId: 'priya', followeeId: 'rohit' },
+  ];
+
+  function buildUser(userId) {
+    return new User({ userId, username: `${userId}_u`, email: `${userId}@example.com` });
+  }
+
+  beforeEach(() => {
+    jest.spyOn(Follow, 'aggregate').mockImplementation(async ([{ $match }, { $group }]) => {
+      const [field] = Object.keys($match);
+      const counts = new Map();
+      edges
+        .filter(edge => $match[field].$in.includes(edge[field]))
+        .forEach(edge => counts.set(edge[field], (counts.get(edge[field]) || 0) + 1));
+      expect($group._id).toBe(`$${field}`);
+      return [...counts].map(([_id, count]) => ({ _id, count }));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts followers and following from the edges', async () => {
+    const counts = await Follow.getCounts(['priya', 'rohit', 'vikram']);
+
+    expect(counts.get('priya')).toEqual({ followerCount: 2, followingCount: 1 });
+    expect(counts.get('rohit')).toEqual({ followerCount: 1, followingCount: 1 });
+    expect(counts.get('vikram')).toEqual({ followerCount: 0, followingCount: 0 });
+  });
+
+  it('ignores counts an older version stored on the user', async () => {
+    const priya = buildUser('priya');
+    priya.set('followerCount', 40, { strict: false });
+    jest.spyOn(User, 'findByUserId').mockResolvedValue(priya);
+    const app = express().use('/api/users', usersRouter);
+    const token = signToken({ userId: 'rohit', username: 'rohit_u', role: 'user' });
+
+    const res = await request(app).get('/api/users/priya').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ userId: 'priya', followerCount: 2, followingCount: 1 });
+  });
+
+  it('reports whether an edge was actually created or removed', async () => {
+    const updateOne = jest.spyOn(Follow, 'updateOne')
+      .mockResolvedValueOnce({ upsertedCount: 1 })
+      .mockResolvedValueOnce({ upsertedCount: 0 })
+      .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    jest.spyOn(Follow, 'deleteOne')
+      .mockResolvedValueOnce({ deletedCount: 1 })
+      .mockResolvedValueOnce({ deletedCount: 0 });
+
+    expect(await Follow.follow('vikram', 'priya')).toBe(true);
+    expect(await Follow.follow('vikram', 'priya')).toBe(false);
+    expect(await Follow.follow('vikram', 'priya')).toBe(false);
+    expect(await Follow.unfollow('vikram', 'priya')).toBe(true);
+    expect(await Follow.unfollow('vikram', 'priya')).toBe(false);
+    expect(updateOne).toHaveBeenCalledWith(
+      { followerId: 'vikram', followeeId: 'priya' },
+      { $setOnInsert: expect.objectContaining({ followerId: 'vikram', followeeId: 'priya' }) },
+      { upsert: true }
+    );
+  });
+});
@@ -0,0 +1,232 @@
+jest.mock('../services/notificationProcessor', () => ({ queueEvent: jest.fn() }));
+jest.mock('../services/webhookService', () => ({ dispatchWebhooks: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const Event = require('../models/Event');
+const eventsRouter = require('../routes/events');
+const { idempotent } = require('../middleware/idempotency');
+const { signToken } = require('../middleware/auth');
+const { queueEvent } = require('../services/notificationProcessor');
+
+describe('idempotent', () => {
+  // Stands in for the idempotencykeys collection, unique on { userId, key }
+  let stored;
+  let handler;
+
+  const find = ({ userId, key }) => stored.find(record => record.userId === userId && record.key === key);
+
+  function buildApp() {
+    return express()
+      .use(express.json())
+      .use((req, res, next) => {
+        req.user = { userId: req.get('X-User') || 'priya' };
+        next();
+      })
+      .post('/events', idempotent({ bodyKey: 'eventId' }), (req, res) => handler(req, res));
+  }
+
+  beforeEach(() => {
+    stored = [];
+    let created = 0;
+    handler = jest.fn((req, res) => {
+      created += 1;
+      res.status(201).json({ created, type: req.body.type });
+    });
+
+    jest.spyOn(IdempotencyKey, 'create').mockImplementation(async fields => {
+      if (find(fields)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const record = new IdempotencyKey(fields);
+      stored.push(record);
+      return record;
+    });
+    jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async filter => find(filter) || null);
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const record = find(filter);
+      if (!record || record.requestHash !== filter.requestHash || record.status !== filter.status
+        || !(record.lockedAt < filter.lockedAt.$lt)) {
+        return null;
+      }
+      record.lockedAt = update.$set.lockedAt;
+      return record;
+    });
+    jest.spyOn(IdempotencyKey.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(IdempotencyKey.prototype, 'deleteOne').mockImplementation(function() {
+      stored = stored.filter(record => record !== this);
+      return Promise.resolve({ deletedCount: 1 });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('replays the first response to a repeat instead of running it again', async () => {
+    const app = buildApp();
+
+    const first = await request(app).post('/events').set('Idempotency-Key', 'k1').send({ type: 'LIKE' });
+    const repeat = await request(app).post('/events').set('Idempotency-Key', 'k1').send({ type: 'LIKE' });
+
+    expect(first.status).toBe(201);
+    expect(repeat.status).toBe(201);
+    expect(repeat.body).toEqual(first.body);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('treats the same payload with its keys in another order as a repeat', async () => {
+    const app = buildApp();
+
+    await request(app).post('/events').set('Idempotency-Key', 'k1').send({ type: 'LIKE', data: { a: 1, b: 2 } });
+    const repeat = await request(app).post('/events').set('Idempotency-Key', 'k1').send({ data: { b: 2, a: 1 }, type: 'LIKE' });
+
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('uses the body key when there is no header', async () => {
+    const app = buildApp();
+
+    await request(app).post('/events').send({ eventId: 'e1', type: 'LIKE' });
+    const repeat = await request(app).post('/events').send({ eventId: 'e1', type: 'LIKE' });
+
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers 409 while the first request with the key is still running', async () => {
+    let finish;
+    handler.mockImplementationOnce((req, res) => {
+      finish = () => res.status(201).json({ created: 1 });
+    });
+    const app = buildApp();
+
+    const first = request(app).post('/events').set('Idempotency-Key', 'k1').send({ type: 'LIKE' }).then(res => res);
+    // Wait until the first request holds the key and is inside the handler
+    while (!finish) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const concurrent = await request(app).post('/events').set('Idempotency-Key', 'k1').send({ type: 'LIKE' });
+    expect(concurrent.status).toBe(409);
+    expect(concurrent.headers['retry-after']).toBe('1');
+
+    finish();
+    expect((await first).status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('takes over a claim abandoned by a request that died', async () => {
+    const app = buildApp();
+    await request(app).post('/events').set('Idempotency-Key', 'k1').send({ type: 'LIKE' });
+    Object.assign(stored[0], { status: 'processing', lockedAt: new Date(Date.now() - 5 * 60 * 1000) });
+
+    const retry = await request(app).post('/events').set('Idempotency-Key', 'k1').send({ type: 'LIKE' });
+
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('releases the key when the request fails, so it can be retried', async () => {
+    handler.mockImplementationOnce((req, res) => res.status(500).json({ error: 'Failed to create event' }));
+    const app = buildApp();
+
+    const failed = await request(app).post('/events').set('Idempotency-Key', 'k1').send({ type: 'LIKE' });
+    expect(failed.status).toBe(500);
+    expect(stored).toHaveLength(0);
+
+    const retry = await request(app).post('/events').set('Idempotency-Key', 'k1').send({ type: 'LIKE' });
+    expect(retry.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects a key reused with a different payload', async () => {
+    const app = buildApp();
+
+    await request(app).post('/events').set('Idempotency-Key', 'k1').send({ type: 'LIKE' });
+    const reused = await request(app).post('/events').set('Idempotency-Key', 'k1').send({ type: 'COMMENT' });
+
+    expect(reused.status).toBe(422);
+    expect(reused.body.error).toBe('Idempotency key reused with a different payload');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('scopes keys to the caller', async () => {
+    const app = buildApp();
+
+    await request(app).post('/events').set('Idempotency-Key', 'k1').send({ type: 'LIKE' });
+    const other = await request(app).post('/events').set('X-User', 'rohit').set('Idempotency-Key', 'k1').send({ type: 'COMMENT' });
+
+    expect(other.status).toBe(201);
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  it('leaves requests without a key alone', async () => {
+    const app = buildApp();
+
+    await request(app).post('/events').send({ type: 'LIKE' });
+    await request(app).post('/events').send({ type: 'LIKE' });
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/events with a client eventId', () => {
+  // Stands in for the events collection, unique on eventId
+  let events;
+
+  const app = express().use(express.json()).use('/api/events', eventsRouter);
+  const token = signToken({ userId: 'admin', username: 'admin', role: 'admin' });
+
+  function post(body) {
+    return request(app).post('/api/events').set('Authorization', `Bearer ${token}`).send(body);
+  }
+
+  beforeEach(() => {
+    events = [];
+    jest.spyOn(Event, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Event.prototype, 'save').mockImplementation(async function() {
+      if (events.some(event => event.eventId === this.eventId)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      events.push(this);
+      return this;
+    });
+    jest.spyOn(Event, 'findOne').mockImplementation(async ({ eventId }) =>
+      events.find(event => event.eventId === eventId) || null);
+    // Let every request through, as if each were the first with its key
+    jest.spyOn(IdempotencyKey, 'claim').mockImplementation(async () => ({
+      record: { complete: jest.fn().mockResolvedValue(), release: jest.fn().mockResolvedValue() },
+      claimed: true,
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it("scopes it to the user, so another user's id neither clashes nor shows", async () => {
+    const first = await post({ eventId: 'e1', type: 'LIKE', sourceUserId: 'rohit', targetUserId: 'priya' });
+    const retry = await post({ eventId: 'e1', type: 'LIKE', sourceUserId: 'rohit', targetUserId: 'priya' });
+    const otherUser = await post({ eventId: 'e1', type: 'LIKE', sourceUserId: 'ananya', targetUserId: 'priya' });
+    const otherType = await post({ eventId: 'e1', type: 'SHARE', sourceUserId: 'rohit', targetUserId: 'priya' });
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body.event.eventId).toBe('rohit:e1');
+    expect(otherUser.status).toBe(201);
+    expect(otherUser.body.event.eventId).toBe('ananya:e1');
+    expect(otherType.status).toBe(409);
+    expect(otherType.body).toEqual({ error: 'Event already exists', message: 'Event e1 already exists' });
+    expect(events.map(event => event.eventId)).toEqual(['rohit:e1', 'ananya:e1']);
+    expect(queueEvent).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,139 @@
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+const { defineJob, runJob, startRun } = require('../services/scheduler');
+
+const MINUTE = 60 * 1000;
+
+describe('JobLock', () => {
+  // Stands in for the joblocks collection, unique on name
+  let locks;
+
+  // The { $or: [{ field: null }, { field: { $lte | $lt: value } }] } clauses acquire builds
+  const matchesClause = (lock, { $or: [nullCase, bound] }) => {
+    const [field] = Object.keys(nullCase);
+    const value = lock[field];
+    const { $lte, $lt } = bound[field];
+    return value == null || ($lte !== undefined ? value <= $lte : value < $lt);
+  };
+
+  beforeEach(() => {
+    locks = new Map();
+
+    jest.spyOn(JobLock, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      const lock = locks.get(filter.name);
+      if (lock) {
+        if (!filter.$and.every(clause => matchesClause(lock, clause))) {
+          throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        Object.assign(lock, $set);
+        return { ...lock };
+      }
+      locks.set(filter.name, { name: filter.name, ...$set });
+      return { ...locks.get(filter.name) };
+    });
+    jest.spyOn(JobLock, 'updateOne').mockImplementation(async ({ name, lockedBy }, { $set }) => {
+      const lock = locks.get(name);
+      if (lock && lock.lockedBy === lockedBy) {
+        Object.assign(lock, $set);
+      }
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives the lease to one holder at a time', async () => {
+    const first = await JobLock.acquire('cleanup', { owner: 'a', leaseMs: MINUTE });
+    const second = await JobLock.acquire('cleanup', { owner: 'b', leaseMs: MINUTE });
+
+    expect(first.lockedBy).toBe('a');
+    expect(second).toBeNull();
+
+    // Only the holder can release it
+    await JobLock.release('cleanup', 'b');
+    expect(await JobLock.acquire('cleanup', { owner: 'b', leaseMs: MINUTE })).toBeNull();
+
+    await JobLock.release('cleanup', 'a');
+    expect((await JobLock.acquire('cleanup', { owner: 'b', leaseMs: MINUTE })).lockedBy).toBe('b');
+  });
+
+  it("lets another instance take over once a crashed holder's lease runs out", async () => {
+    await JobLock.acquire('cleanup', { owner: 'a', leaseMs: MINUTE });
+    locks.get('cleanup').lockedUntil = new Date(Date.now() - 1);
+
+    expect((await JobLock.acquire('cleanup', { owner: 'b', leaseMs: MINUTE })).lockedBy).toBe('b');
+  });
+
+  it('runs each scheduled tick once, even after the lock is released', async () => {
+    const tick = new Date('2026-01-01T03:30:00Z');
+    const nextTick = new Date('2026-01-02T03:30:00Z');
+
+    expect(await JobLock.acquire('cleanup', { owner: 'a', leaseMs: MINUTE, scheduledAt: tick })).not.toBeNull();
+    await JobLock.release('cleanup', 'a');
+
+    expect(await JobLock.acquire('cleanup', { owner: 'b', leaseMs: MINUTE, scheduledAt: tick })).toBeNull();
+    expect(await JobLock.acquire('cleanup', { owner: 'b', leaseMs: MINUTE, scheduledAt: nextTick })).not.toBeNull();
+  });
+
+  it('allows a manual run between ticks', async () => {
+    await JobLock.acquire('cleanup', { owner: 'a', leaseMs: MINUTE, scheduledAt: new Date() });
+    await JobLock.release('cleanup', 'a');
+
+    expect(await JobLock.acquire('cleanup', { owner: 'b', leaseMs: MINUTE })).not.toBeNull();
+  });
+
+  describe('scheduler runs', () => {
+    let runs;
+
+    beforeEach(() => {
+      runs = [];
+      jest.spyOn(JobRun, 'create').mockImplementation(async fields => {
+        const run = new JobRun(fields);
+        runs.push(run);
+        return run;
+      });
+      jest.spyOn(JobRun.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+    });
+
+    it('skips a run while another holds the lock, and records the outcome', async () => {
+      let finish;
+      defineJob({
+        name: 'test-slow-job',
+        schedule: '0 * * * *',
+        run: () => new Promise(resolve => {
+          finish = resolve;
+        }),
+      });
+
+      const started = await startRun('test-slow-job');
+      expect(await startRun('test-slow-job')).toBeNull();
+
+      finish({ deleted: 3 });
+      const run = await started.finished;
+
+      expect(run).toMatchObject({ status: 'succeeded', result: { deleted: 3 } });
+      expect(locks.get('test-slow-job').lockedUntil).toBeNull();
+      expect(runs).toHaveLength(1);
+    });
+
+    it('records a failed run and releases the lock', async () => {
+      defineJob({
+        name: 'test-failing-job',
+        schedule: '0 * * * *',
+        run: async () => {
+          throw new Error('Mongo unavailable');
+        },
+      });
+
+      const run = await runJob('test-failing-job');
+
+      expect(run.status).toBe('failed');
+      expect(run.error.message).toBe('Mongo unavailable');
+      expect(locks.get('test-failing-job').lockedUntil).toBeNull();
+    });
+  });
+});
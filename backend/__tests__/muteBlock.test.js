@@ -0,0 +1,153 @@
+jest.mock('../services/deliveryService', () => ({ deliverNotification: jest.fn() }));
+jest.mock('../services/notificationStream', () => ({ publishNotification: jest.fn() }));
+jest.mock('../services/webhookService', () => ({ dispatchWebhooks: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const usersRouter = require('../routes/users');
+const { signToken } = require('../middleware/auth');
+const { processEvent } = require('../services/notificationProcessor');
+
+describe('mutes and blocks', () => {
+  let users;
+
+  function buildUser(userId, fields = {}) {
+    return new User({ userId, username: `${userId}_u`, email: `${userId}@example.com`, ...fields });
+  }
+
+  function event(type, sourceUserId, data = {}) {
+    return {
+      eventId: `${type}:${sourceUserId}:${Math.random()}`,
+      type,
+      sourceUserId,
+      targetUserId: 'priya',
+      data,
+    };
+  }
+
+  beforeEach(() => {
+    users = {
+      priya: buildUser('priya'),
+      rohit: buildUser('rohit'),
+    };
+
+    jest.spyOn(User, 'findByUserId').mockImplementation(async userId => users[userId] || null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Event, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Notification, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Notification, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Notification, 'exists').mockResolvedValue(null);
+    jest.spyOn(Notification.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recipient resolution', () => {
+    it('drops activity from a muted user but lets follows and mentions through', async () => {
+      await users.priya.mute({ userId: 'rohit' });
+
+      expect(await processEvent(event('LIKE', 'rohit', { postId: 'post1' }))).toEqual([]);
+      expect(await processEvent(event('FOLLOW', 'rohit'))).toHaveLength(1);
+      expect(await processEvent(event('MENTION', 'rohit', { postId: 'post1', mentionedUsers: ['priya'] }))).toHaveLength(1);
+    });
+
+    it('notifies again once a mute expires', async () => {
+      await users.priya.mute({ userId: 'rohit', expiresAt: new Date(Date.now() - 1000) });
+
+      expect(await processEvent(event('LIKE', 'rohit', { postId: 'post1' }))).toHaveLength(1);
+    });
+
+    it('drops all activity about a muted post', async () => {
+      await users.priya.mute({ postId: 'post1' });
+
+      expect(await processEvent(event('COMMENT', 'rohit', { postId: 'post1' }))).toEqual([]);
+      expect(await processEvent(event('COMMENT', 'rohit', { postId: 'post2' }))).toHaveLength(1);
+    });
+
+    it('drops everything between two users when either blocked the other', async () => {
+      users.rohit.blockedUsers = ['priya'];
+      expect(await processEvent(event('FOLLOW', 'rohit'))).toEqual([]);
+
+      users.rohit.blockedUsers = [];
+      users.priya.blockedUsers = ['rohit'];
+      expect(await processEvent(event('MENTION', 'rohit', { mentionedUsers: ['priya'] }))).toEqual([]);
+    });
+  });
+
+  describe('POST /api/users/:userId/blocks', () => {
+    const app = express().use(express.json()).use('/api/users', usersRouter);
+    const token = signToken({ userId: 'priya', username: 'priya_u', role: 'user' });
+
+    it('blocks the user and removes follows in both directions', async () => {
+      // priya and rohit follow each other, and both follow ananya
+      let edges = [
+        { followerId: 'priya', followeeId: 'rohit' },
+        { followerId: 'rohit', followeeId: 'priya' },
+        { followerId: 'priya', followeeId: 'ananya' },
+        { followerId: 'rohit', followeeId: 'ananya' },
+      ];
+      jest.spyOn(Follow, 'deleteMany').mockImplementation(async ({ $or }) => {
+        const removed = edges.filter(edge => $or.some(pair =>
+          pair.followerId === edge.followerId && pair.followeeId === edge.followeeId));
+        edges = edges.filter(edge => !removed.includes(edge));
+        return { deletedCount: removed.length };
+      });
+
+      const res = await request(app)
+        .post('/api/users/priya/blocks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ targetUserId: 'rohit' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.blockedUsers).toEqual(['rohit']);
+      expect(Follow.deleteMany).toHaveBeenCalledTimes(1);
+      expect(edges).toEqual([
+        { followerId: 'priya', followeeId: 'ananya' },
+        { followerId: 'rohit', followeeId: 'ananya' },
+      ]);
+    });
+
+    it('refuses to block yourself', async () => {
+      const res = await request(app)
+        .post('/api/users/priya/blocks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ targetUserId: 'priya' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Cannot block yourself');
+    });
+  });
+
+  describe('GET /api/users', () => {
+    const app = express().use('/api/users', usersRouter);
+    const token = signToken({ userId: 'rohit', username: 'rohit_u', role: 'user' });
+
+    it("keeps other users' emails and mute and block lists private", async () => {
+      users.priya.blockedUsers = ['ananya'];
+      users.priya.mutedUsers = [{ userId: 'vikram' }];
+      users.priya.mutedPosts = [{ postId: 'post1' }];
+      jest.spyOn(User, 'find').mockReturnValue({
+        sort: () => ({ limit: async () => [users.priya] }),
+      });
+      jest.spyOn(Follow, 'aggregate').mockResolvedValue([]);
+
+      const res = await request(app).get('/api/users').set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.users[0]).toMatchObject({ userId: 'priya', followerCount: 0, followingCount: 0 });
+      ['email', 'blockedUsers', 'mutedUsers', 'mutedPosts'].forEach(field => {
+        expect(res.body.users[0]).not.toHaveProperty(field);
+      });
+    });
+  });
+});
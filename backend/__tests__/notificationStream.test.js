@@ -0,0 +1,79 @@
+const { NotificationStream } = require('../services/notificationStream');
+
+const REPLAY_WINDOW_MS = 60 * 1000;
+
+describe('NotificationStream replay buffers', () => {
+  let stream;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    stream = new NotificationStream(100, REPLAY_WINDOW_MS);
+  });
+
+  afterEach(() => {
+    stream.stopSweeping();
+    jest.useRealTimers();
+  });
+
+  it('buffers nothing for users without an open stream', () => {
+    stream.publish('priya', 'notification', { notificationId: 'n1' });
+
+    expect(stream.buffers.has('priya')).toBe(false);
+  });
+
+  it('replays what was published while a client was briefly disconnected', () => {
+    const unsubscribe = stream.subscribe('priya', () => {});
+    const seen = stream.publish('priya', 'notification', { notificationId: 'n1' });
+    unsubscribe();
+
+    jest.advanceTimersByTime(REPLAY_WINDOW_MS / 2);
+    stream.publish('priya', 'notification', { notificationId: 'n2' });
+    stream.subscribe('priya', () => {});
+
+    const { messages, complete } = stream.replay('priya', seen.id);
+    expect(complete).toBe(true);
+    expect(messages.map(message => message.data.notificationId)).toEqual(['n2']);
+  });
+
+  it('drops the buffer once the replay window has passed', () => {
+    const unsubscribe = stream.subscribe('priya', () => {});
+    const seen = stream.publish('priya', 'notification', { notificationId: 'n1' });
+    unsubscribe();
+
+    jest.advanceTimersByTime(REPLAY_WINDOW_MS);
+    expect(stream.buffers.has('priya')).toBe(false);
+    expect(stream.sweepTimer).toBeNull();
+
+    // Reconnecting from before the drop has to resync
+    stream.publish('priya', 'notification', { notificationId: 'n2' });
+    stream.subscribe('priya', () => {});
+    expect(stream.replay('priya', seen.id)).toEqual({ messages: [], complete: false });
+  });
+
+  it('stops buffering after the window but keeps the buffer while its newest message is recent', () => {
+    const unsubscribe = stream.subscribe('priya', () => {});
+    unsubscribe();
+    jest.advanceTimersByTime(REPLAY_WINDOW_MS - 1000);
+    const seen = stream.publish('priya', 'notification', { notificationId: 'n1' });
+
+    jest.advanceTimersByTime(1000);
+    stream.publish('priya', 'notification', { notificationId: 'n2' });
+    expect(stream.buffers.get('priya').messages.map(message => message.data.notificationId)).toEqual(['n1']);
+    expect(stream.replay('priya', seen.id).complete).toBe(false);
+
+    jest.advanceTimersByTime(REPLAY_WINDOW_MS);
+    expect(stream.buffers.has('priya')).toBe(false);
+  });
+
+  it('never drops the buffer of a connected user', () => {
+    stream.subscribe('priya', () => {});
+    const unsubscribe = stream.subscribe('rohit', () => {});
+    stream.publish('priya', 'notification', { notificationId: 'n1' });
+    unsubscribe();
+
+    jest.advanceTimersByTime(REPLAY_WINDOW_MS * 3);
+
+    expect(stream.buffers.has('priya')).toBe(true);
+    expect(stream.buffers.has('rohit')).toBe(false);
+  });
+});
@@ -0,0 +1,214 @@
+const express = require('express');
+const request = require('supertest');
+const Event = require('../models/Event');
+const EventJob = require('../models/EventJob');
+const { requestContext } = require('../middleware/requestContext');
+const { getLogContext, runWithLogContext } = require('../utils/logger');
+const { register } = require('../utils/metrics');
+const { eventQueue } = require('../services/notificationProcessor');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+async function metricValue(name, labels) {
+  const { values } = await register.getSingleMetric(name).get();
+  const match = values.find(value => Object.entries(labels).every(([key, label]) => value.labels[key] === label));
+  return match ? match.value : 0;
+}
+
+/**
+ * Load the logger, and the module `path` that logs through it, with their own
+ * LOG_LEVEL and capture what they write
+ */
+function loadLogger(level, path = '../utils/logger') {
+  const lines = [];
+  const previous = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = level;
+  let loaded;
+  jest.isolateModules(() => {
+    loaded = require(path);
+  });
+  process.env.LOG_LEVEL = previous;
+
+  // Keep the logger's lines and pass everything else (jest's own output) through
+  [process.stdout, process.stderr].forEach(stream => {
+    const write = stream.write.bind(stream);
+    jest.spyOn(stream, 'write').mockImplementation((chunk, ...rest) => {
+      if (typeof chunk === 'string' && chunk.startsWith('{"time"')) {
+        lines.push(JSON.parse(chunk));
+        return true;
+      }
+      return write(chunk, ...rest);
+    });
+  });
+  return { ...loaded, lines };
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('logger', () => {
+  it('writes one JSON object per entry with the log context merged in', async () => {
+    const { logger, runWithLogContext: withContext, lines } = loadLogger('debug');
+
+    await withContext({ requestId: 'req-1' }, () => withContext({ eventId: 'e1' }, async () => {
+      await Promise.resolve();
+      logger.info('Event processed', { notifications: 2 });
+    }));
+    logger.warn('Outside any request');
+
+    expect(lines).toEqual([
+      expect.objectContaining({ level: 'info', msg: 'Event processed', requestId: 'req-1', eventId: 'e1', notifications: 2 }),
+      expect.objectContaining({ level: 'warn', msg: 'Outside any request' }),
+    ]);
+    expect(lines[1].requestId).toBeUndefined();
+    expect(Date.parse(lines[0].time)).not.toBeNaN();
+  });
+
+  it('serializes errors with their code and stack', () => {
+    const { logger, lines } = loadLogger('debug');
+
+    logger.error('Insert failed', { error: Object.assign(new Error('E11000 duplicate key'), { code: 11000 }) });
+
+    expect(lines[0].error).toEqual({
+      name: 'Error',
+      message: 'E11000 duplicate key',
+      code: 11000,
+      stack: expect.stringContaining('E11000 duplicate key'),
+    });
+  });
+
+  it('drops entries below LOG_LEVEL, and everything when silent', () => {
+    const warnOnly = loadLogger('warn');
+    warnOnly.logger.info('Hidden');
+    warnOnly.logger.error('Shown');
+    expect(warnOnly.lines.map(line => line.msg)).toEqual(['Shown']);
+
+    jest.restoreAllMocks();
+    const silent = loadLogger('silent');
+    silent.logger.error('Hidden');
+    expect(silent.lines).toEqual([]);
+  });
+});
+
+describe('requestContext', () => {
+  const app = express()
+    .use(requestContext())
+    .get('/users/:userId', (req, res) => res.json(getLogContext()));
+
+  it('gives every request an id that is echoed back and in the log context', async () => {
+    const res = await request(app).get('/users/priya');
+
+    expect(res.headers['x-request-id']).toMatch(UUID);
+    expect(res.body).toEqual({ requestId: res.headers['x-request-id'] });
+  });
+
+  it("keeps a caller's request id only if it is a plain token", async () => {
+    const kept = await request(app).get('/users/priya').set('X-Request-Id', 'lb-1234.abc');
+    const replaced = await request(app).get('/users/priya').set('X-Request-Id', '<script>alert(1)</script>');
+
+    expect(kept.headers['x-request-id']).toBe('lb-1234.abc');
+    expect(replaced.headers['x-request-id']).toMatch(UUID);
+  });
+
+  it('logs each request without its query string, which can carry tokens', async () => {
+    const { requestContext: logged, lines } = loadLogger('info', '../middleware/requestContext');
+    const loggedApp = express()
+      .use(logged())
+      .get('/users/:userId/stream', (req, res) => res.end());
+
+    const res = await request(loggedApp).get('/users/priya/stream?access_token=secret');
+
+    expect(lines).toEqual([expect.objectContaining({
+      msg: 'Request completed',
+      requestId: res.headers['x-request-id'],
+      method: 'GET',
+      path: '/users/priya/stream',
+      route: '/users/:userId/stream',
+      status: 200,
+    })]);
+    expect(JSON.stringify(lines)).not.toContain('secret');
+  });
+
+  it('times requests by route pattern rather than raw URL', async () => {
+    const labels = { method: 'GET', route: '/users/:userId', status_code: 200 };
+    const before = (await register.getSingleMetric('insyd_http_request_duration_seconds').get()).values
+      .find(value => value.metricName.endsWith('_count') && value.labels.route === labels.route);
+
+    await request(app).get('/users/rohit');
+    await request(app).get('/users/ananya');
+
+    const after = (await register.getSingleMetric('insyd_http_request_duration_seconds').get()).values
+      .find(value => value.metricName.endsWith('_count') && value.labels.route === labels.route);
+    expect(after.value - (before ? before.value : 0)).toBe(2);
+  });
+});
+
+describe('event queue', () => {
+  const event = new Event({
+    eventId: 'e1',
+    type: 'COMMENT',
+    sourceUserId: 'rohit',
+    targetUserId: 'priya',
+    correlationId: 'req-42',
+    data: { postId: 'post1' },
+  });
+
+  function buildJob(attempts) {
+    return new EventJob({ eventId: 'e1', lane: 'default', status: 'processing', attempts, maxAttempts: 5 });
+  }
+
+  beforeEach(() => {
+    jest.spyOn(Event, 'findOne').mockReturnValue({
+      lean: () => Promise.resolve(event.toObject()),
+      then: (resolve, reject) => Promise.resolve(event).then(resolve, reject),
+    });
+    jest.spyOn(EventJob.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  it('processes an event in the log context of the request that created it', async () => {
+    let context;
+    jest.spyOn(eventQueue, 'processEvent').mockImplementation(async () => {
+      context = getLogContext();
+    });
+
+    await runWithLogContext({ requestId: 'unrelated' }, () => eventQueue.runJob(buildJob(1)));
+
+    expect(context).toEqual({ requestId: 'req-42', eventId: 'e1' });
+  });
+
+  it('counts failed attempts, labelling the one that dead-letters', async () => {
+    const DeadLetter = require('../models/DeadLetter');
+    jest.spyOn(DeadLetter, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(eventQueue, 'processEvent').mockRejectedValue(new Error('Recipient lookup failed'));
+    const labels = dead => ({ type: 'COMMENT', dead_lettered: String(dead) });
+    const retried = await metricValue('insyd_event_processing_failures_total', labels(false));
+    const dead = await metricValue('insyd_event_processing_failures_total', labels(true));
+
+    await eventQueue.runJob(buildJob(1));
+    await eventQueue.runJob(buildJob(5));
+
+    expect(await metricValue('insyd_event_processing_failures_total', labels(false))).toBe(retried + 1);
+    expect(await metricValue('insyd_event_processing_failures_total', labels(true))).toBe(dead + 1);
+  });
+
+  it('reports queue depth by lane and status at scrape time, from indexed counts', async () => {
+    const aggregate = jest.spyOn(EventJob, 'aggregate');
+    const countDocuments = jest.spyOn(EventJob, 'countDocuments').mockImplementation(async ({ lane, status }) => {
+      if (status === 'pending') {
+        // Jobs queued before lanes existed count in the default lane
+        return lane.$in ? 9 : 0;
+      }
+      return status === 'processing' && lane === 'fanout' ? 1 : 0;
+    });
+
+    expect(await metricValue('insyd_event_queue_jobs', { lane: 'default', status: 'pending' })).toBe(9);
+    expect(await metricValue('insyd_event_queue_jobs', { lane: 'fanout', status: 'processing' })).toBe(1);
+    expect(await metricValue('insyd_event_queue_jobs', { lane: 'fanout', status: 'dead' })).toBe(0);
+    expect(countDocuments).toHaveBeenCalledWith({ lane: { $in: ['default', null] }, status: 'pending' });
+    expect(countDocuments).not.toHaveBeenCalledWith(expect.objectContaining({ status: 'completed' }));
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+});
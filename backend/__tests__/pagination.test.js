@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const {
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor,
+  clampLimit,
+  findPage,
+} = require('../utils/pagination');
+
+const { ObjectId } = mongoose.Types;
+
+// Orders dates, numbers and ObjectIds (hex strings of equal length sort like the ids)
+const key = value => (value instanceof ObjectId ? value.toHexString() : value instanceof Date ? value.getTime() : value);
+
+function compare(a, b) {
+  return key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0;
+}
+
+// Enough of MongoDB's query language for the conditions findPage builds
+function matches(doc, query) {
+  return Object.entries(query).every(([field, condition]) => {
+    if (field === '$and') {
+      return condition.every(part => matches(doc, part));
+    }
+    if (field === '$or') {
+      return condition.some(part => matches(doc, part));
+    }
+    if (condition && (condition.$lt !== undefined || condition.$gt !== undefined)) {
+      return condition.$lt !== undefined ? compare(doc[field], condition.$lt) < 0 : compare(doc[field], condition.$gt) > 0;
+    }
+    return compare(doc[field], condition) === 0;
+  });
+}
+
+function fakeModel(docs) {
+  return {
+    find(query) {
+      let results = docs.filter(doc => matches(doc, query));
+      const request = {
+        sort(spec) {
+          results = [...results].sort((a, b) => {
+            for (const [field, direction] of Object.entries(spec)) {
+              const order = compare(a[field], b[field]) * direction;
+              if (order !== 0) {
+                return order;
+              }
+            }
+            return 0;
+          });
+          return request;
+        },
+        limit(count) {
+          results = results.slice(0, count);
+          return request;
+        },
+        then(resolve, reject) {
+          return Promise.resolve(results).then(resolve, reject);
+        },
+      };
+      return request;
+    },
+  };
+}
+
+// Ten items, in pairs that share a timestamp so the _id tie-breaker matters
+function buildItems() {
+  return Array.from({ length: 10 }, (_, index) => ({
+    _id: new ObjectId(),
+    name: `item${index}`,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, Math.floor(index / 2))),
+  }));
+}
+
+describe('cursors', () => {
+  it('round-trip the boundary item sort key', () => {
+    const item = { _id: new ObjectId(), timestamp: new Date('2026-03-01T10:00:00Z') };
+
+    const decoded = decodeCursor(encodeCursor(item));
+
+    expect(decoded.date).toEqual(item.timestamp);
+    expect(decoded.id.equals(item._id)).toBe(true);
+    expect(decoded.field).toBeNull();
+  });
+
+  it('reject malformed cursors', () => {
+    expect(() => decodeCursor('not-a-cursor')).toThrow(InvalidCursorError);
+    const badId = Buffer.from(JSON.stringify({ t: Date.now(), id: 'nope' })).toString('base64url');
+    expect(() => decodeCursor(badId)).toThrow(InvalidCursorError);
+  });
+
+  it('reject a search-score cursor on a date sort', async () => {
+    const scoreCursor = encodeCursor({ _id: new ObjectId(), score: 1.5 }, 'score');
+
+    await expect(findPage(fakeModel(buildItems()), {}, { before: scoreCursor }))
+      .rejects.toThrow('Cursor is from another sort');
+  });
+});
+
+describe('clampLimit', () => {
+  it('defaults bad limits and caps large ones', () => {
+    expect(clampLimit('20')).toBe(20);
+    expect(clampLimit('0')).toBe(50);
+    expect(clampLimit('abc', 10)).toBe(10);
+    expect(clampLimit('5000')).toBe(100);
+  });
+});
+
+describe('findPage', () => {
+  const names = page => page.items.map(item => item.name);
+
+  it('pages newest first without skipping or repeating items that share a timestamp', async () => {
+    const items = buildItems();
+    const model = fakeModel(items);
+    const seen = [];
+
+    let page = await findPage(model, {}, { limit: 3 });
+    seen.push(...names(page));
+    while (page.hasMore) {
+      page = await findPage(model, {}, { limit: 3, before: page.nextCursor });
+      seen.push(...names(page));
+    }
+
+    const newestFirst = [...items]
+      .sort((a, b) => compare(b.timestamp, a.timestamp) || compare(b._id, a._id))
+      .map(item => item.name);
+    expect(seen).toEqual(newestFirst);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  it('fetches items newer than the top of the list with a prevCursor', async () => {
+    const items = buildItems();
+    const model = fakeModel(items);
+    const first = await findPage(model, {}, { limit: 3 });
+
+    items.push(
+      { _id: new ObjectId(), name: 'new1', timestamp: new Date(Date.UTC(2026, 0, 2)) },
+      { _id: new ObjectId(), name: 'new2', timestamp: new Date(Date.UTC(2026, 0, 3)) }
+    );
+    const newer = await findPage(model, {}, { limit: 3, after: first.prevCursor });
+
+    expect(names(newer)).toEqual(['new2', 'new1']);
+    expect(newer.hasMore).toBe(false);
+
+    // Nothing newer yet: the same prevCursor comes back
+    const none = await findPage(model, {}, { limit: 3, after: newer.prevCursor });
+    expect(none.items).toHaveLength(0);
+    expect(none.prevCursor).toBe(newer.prevCursor);
+  });
+
+  it('pages oldest first with order: 1', async () => {
+    const items = buildItems();
+    const model = fakeModel(items);
+
+    const first = await findPage(model, {}, { limit: 4, order: 1 });
+    const second = await findPage(model, {}, { limit: 4, order: 1, before: first.nextCursor });
+
+    const oldestFirst = [...items]
+      .sort((a, b) => compare(a.timestamp, b.timestamp) || compare(a._id, b._id))
+      .map(item => item.name);
+    expect([...names(first), ...names(second)]).toEqual(oldestFirst.slice(0, 8));
+    expect(second.hasMore).toBe(true);
+  });
+
+  it('applies the filter alongside the cursor', async () => {
+    const items = buildItems().map((item, index) => ({ ...item, kind: index % 2 === 0 ? 'even' : 'odd' }));
+    const model = fakeModel(items);
+
+    const first = await findPage(model, { kind: 'even' }, { limit: 2 });
+    const second = await findPage(model, { kind: 'even' }, { limit: 2, before: first.nextCursor });
+
+    expect([...names(first), ...names(second)]).toEqual(['item8', 'item6', 'item4', 'item2']);
+  });
+});
@@ -0,0 +1,137 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const usersRouter = require('../routes/users');
+const { signToken } = require('../middleware/auth');
+const { convertPreferences } = require('../scripts/migratePreferences');
+
+function buildUser(preferences = {}) {
+  return new User({ userId: 'priya', username: 'priya_u', email: 'priya@example.com', preferences });
+}
+
+describe('getDeliveryFrequency', () => {
+  it('uses the defaults for cells the user has not set', () => {
+    const user = buildUser();
+
+    expect(user.getDeliveryFrequency('LIKE', 'inApp')).toBe('instant');
+    expect(user.getDeliveryFrequency('LIKE', 'email')).toBe('digest');
+    expect(user.getDeliveryFrequency('LIKE', 'push')).toBe('instant');
+  });
+
+  it('applies a cell without touching other types or channels', () => {
+    const user = buildUser({ delivery: { COMMENT: { email: 'instant' } } });
+
+    expect(user.getDeliveryFrequency('COMMENT', 'email')).toBe('instant');
+    expect(user.getDeliveryFrequency('COMMENT', 'push')).toBe('instant');
+    expect(user.getDeliveryFrequency('LIKE', 'email')).toBe('digest');
+  });
+
+  it('turns email and push off with the in-app cell', () => {
+    const user = buildUser({ delivery: { SHARE: { inApp: 'off', email: 'instant', push: 'instant' } } });
+
+    expect(user.getDeliveryFrequency('SHARE', 'email')).toBe('off');
+    expect(user.getDeliveryFrequency('SHARE', 'push')).toBe('off');
+  });
+
+  it('lists the types delivered on a channel at a frequency', () => {
+    const user = buildUser({
+      delivery: {
+        LIKE: { email: 'off' },
+        FOLLOW: { email: 'instant' },
+        POST_CREATE: { inApp: 'off' },
+      },
+    });
+
+    expect(user.getTypesDeliveredAt('email', 'digest')).toEqual(['COMMENT', 'MENTION', 'SHARE']);
+    expect(user.getTypesDeliveredAt('email', 'instant')).toEqual(['FOLLOW']);
+  });
+});
+
+describe('preferences routes', () => {
+  const app = express().use(express.json()).use('/api/users', usersRouter);
+  const auth = { Authorization: `Bearer ${signToken({ userId: 'priya', username: 'priya_u', role: 'user' })}` };
+  let user;
+
+  beforeEach(() => {
+    user = buildUser({ delivery: { LIKE: { push: 'off' } }, digestFrequency: 'weekly' });
+    jest.spyOn(User, 'findByUserId').mockResolvedValue(user);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return this.validate().then(() => this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns every cell as it currently applies', async () => {
+    const res = await request(app).get('/api/users/priya/preferences').set(auth);
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.preferences.delivery)).toEqual(['LIKE', 'FOLLOW', 'COMMENT', 'POST_CREATE', 'MENTION', 'SHARE']);
+    expect(res.body.preferences.delivery.LIKE).toEqual({ inApp: 'instant', email: 'digest', push: 'off' });
+  });
+
+  it('changes only the cells sent', async () => {
+    const res = await request(app)
+      .put('/api/users/priya/preferences')
+      .set(auth)
+      .send({ preferences: { delivery: { LIKE: { email: 'instant' }, MENTION: { push: 'off' } } } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.preferences.delivery.LIKE).toEqual({ inApp: 'instant', email: 'instant', push: 'off' });
+    expect(res.body.preferences.delivery.MENTION.push).toBe('off');
+    expect(res.body.preferences.digestFrequency).toBe('weekly');
+  });
+
+  it('rejects a frequency the channel does not support', async () => {
+    const res = await request(app)
+      .put('/api/users/priya/preferences')
+      .set(auth)
+      .send({ preferences: { delivery: { LIKE: { push: 'digest' } } } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([
+      { field: 'body.preferences.delivery.LIKE.push', message: 'must be one of: instant, off' },
+    ]);
+  });
+});
+
+describe('convertPreferences', () => {
+  it('writes nothing for the old defaults', () => {
+    expect(convertPreferences({
+      emailNotifications: true,
+      emailFrequency: 'daily',
+      pushNotifications: true,
+      notificationTypes: ['LIKE', 'FOLLOW', 'COMMENT', 'POST_CREATE', 'MENTION'],
+    })).toEqual({ 'preferences.digestFrequency': 'daily' });
+  });
+
+  it('turns off the in-app cell of types that were unchecked', () => {
+    const $set = convertPreferences({ notificationTypes: ['LIKE', 'FOLLOW'] });
+
+    expect($set['preferences.delivery.COMMENT.inApp']).toBe('off');
+    expect($set['preferences.delivery.MENTION.inApp']).toBe('off');
+    expect($set['preferences.delivery.LIKE.inApp']).toBeUndefined();
+    // SHARE was never listed, so it keeps the default
+    expect($set['preferences.delivery.SHARE.inApp']).toBeUndefined();
+  });
+
+  it('maps immediate email to instant cells and keeps the digest frequency otherwise', () => {
+    const immediate = convertPreferences({ emailFrequency: 'immediate' });
+    expect(immediate['preferences.delivery.LIKE.email']).toBe('instant');
+    expect(immediate['preferences.delivery.SHARE.email']).toBe('instant');
+    expect(immediate['preferences.digestFrequency']).toBeUndefined();
+
+    expect(convertPreferences({ emailFrequency: 'weekly' })).toEqual({ 'preferences.digestFrequency': 'weekly' });
+  });
+
+  it('turns email and push off for every type when the channel was off', () => {
+    const $set = convertPreferences({ emailNotifications: false, pushNotifications: false });
+
+    ['LIKE', 'FOLLOW', 'COMMENT', 'POST_CREATE', 'MENTION', 'SHARE'].forEach(type => {
+      expect($set[`preferences.delivery.${type}.email`]).toBe('off');
+      expect($set[`preferences.delivery.${type}.push`]).toBe('off');
+    });
+  });
+});
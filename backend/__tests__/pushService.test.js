@@ -0,0 +1,114 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const PushSubscription = require('../models/PushSubscription');
+const { createFakePushProvider } = require('../services/push/fakeProvider');
+const { setProviders, sendPushNotification } = require('../services/pushService');
+
+function buildSubscription(overrides = {}) {
+  return new PushSubscription({
+    subscriptionId: `sub-${overrides.token || overrides.endpoint}`,
+    userId: 'priya',
+    kind: 'device',
+    platform: 'android',
+    ...overrides,
+  });
+}
+
+describe('pushService', () => {
+  const user = new User({ userId: 'priya', username: 'priya_designer', email: 'priya@example.com' });
+  const notification = new Notification({
+    notificationId: 'n1',
+    userId: 'priya',
+    type: 'LIKE',
+    sourceUserId: 'rohit',
+    actors: [{ userId: 'rohit', username: 'rohit_urban' }],
+    actorCount: 1,
+    content: 'rohit_urban liked your post',
+  });
+
+  let provider;
+  let deleted;
+
+  beforeEach(() => {
+    provider = createFakePushProvider();
+    setProviders([provider]);
+
+    deleted = [];
+    jest.spyOn(PushSubscription.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(PushSubscription.prototype, 'deleteOne').mockImplementation(function() {
+      deleted.push(this.subscriptionId);
+      return Promise.resolve({ deletedCount: 1 });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends to every subscription of the recipient', async () => {
+    const subscriptions = [buildSubscription({ token: 'phone' }), buildSubscription({ token: 'tablet' })];
+    jest.spyOn(PushSubscription, 'find').mockResolvedValue(subscriptions);
+
+    const result = await sendPushNotification(notification, user);
+
+    expect(result).toEqual({ sent: 2, pruned: 0 });
+    expect(provider.sent.map(push => push.subscriptionId)).toEqual(['sub-phone', 'sub-tablet']);
+    expect(provider.sent[0].payload).toMatchObject({ notificationId: 'n1', type: 'LIKE' });
+    expect(subscriptions.every(subscription => subscription.lastSuccessAt)).toBe(true);
+  });
+
+  it('prunes subscriptions the provider reports as expired and keeps sending to the rest', async () => {
+    const expired = buildSubscription({ token: 'old-phone' });
+    const active = buildSubscription({ token: 'phone' });
+    jest.spyOn(PushSubscription, 'find').mockResolvedValue([expired, active]);
+    provider.expire(expired);
+
+    const result = await sendPushNotification(notification, user);
+
+    expect(result).toEqual({ sent: 1, pruned: 1 });
+    expect(deleted).toEqual(['sub-old-phone']);
+    expect(provider.sent.map(push => push.subscriptionId)).toEqual(['sub-phone']);
+  });
+
+  it('prunes subscriptions past their expirationTime without sending to them', async () => {
+    const lapsed = buildSubscription({
+      kind: 'webpush',
+      endpoint: 'https://push.example.com/lapsed',
+      expirationTime: new Date(Date.now() - 1000),
+    });
+    jest.spyOn(PushSubscription, 'find').mockResolvedValue([lapsed]);
+
+    const result = await sendPushNotification(notification, user);
+
+    expect(result).toEqual({ sent: 0, pruned: 1 });
+    expect(deleted).toEqual(['sub-https://push.example.com/lapsed']);
+    expect(provider.sent).toHaveLength(0);
+  });
+
+  it('counts other failures on the subscription instead of pruning it', async () => {
+    const flaky = buildSubscription({ token: 'phone' });
+    jest.spyOn(PushSubscription, 'find').mockResolvedValue([flaky]);
+    jest.spyOn(provider, 'send').mockRejectedValue(new Error('Provider unavailable'));
+
+    const result = await sendPushNotification(notification, user);
+
+    expect(result).toEqual({ sent: 0, pruned: 0 });
+    expect(flaky.failureCount).toBe(1);
+    expect(deleted).toHaveLength(0);
+  });
+
+  it('sends nothing when the recipient turned push off for the type', async () => {
+    const find = jest.spyOn(PushSubscription, 'find');
+    const muted = new User({
+      userId: 'priya',
+      username: 'priya_designer',
+      email: 'priya@example.com',
+      preferences: { delivery: { LIKE: { push: 'off' } } },
+    });
+
+    expect(await sendPushNotification(notification, muted)).toEqual({ sent: 0, pruned: 0 });
+    expect(find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,251 @@
+jest.mock('../services/deliveryService', () => ({ deliverNotification: jest.fn() }));
+jest.mock('../services/notificationStream', () => ({ publishNotification: jest.fn() }));
+jest.mock('../services/webhookService', () => ({ dispatchWebhooks: jest.fn() }));
+
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const { deliverNotification } = require('../services/deliveryService');
+const { publishNotification } = require('../services/notificationStream');
+const { dispatchWebhooks } = require('../services/webhookService');
+const { processEvent } = require('../services/notificationProcessor');
+
+const users = Object.fromEntries(['priya', 'rohit', 'ananya', 'vikram'].map(userId => [
+  userId,
+  new User({ userId, username: `${userId}_u`, email: `${userId}@example.com` }),
+]));
+
+function likeBy(sourceUserId, postId = 'post1') {
+  return {
+    eventId: `${sourceUserId}:${postId}:${Math.random()}`,
+    type: 'LIKE',
+    sourceUserId,
+    targetUserId: 'priya',
+    data: { postId },
+  };
+}
+
+describe('rollup notifications', () => {
+  // Stands in for the notifications collection, with just enough of
+  // MongoDB's semantics for the rollup queries
+  let stored;
+
+  const isOpen = notification => notification.status !== 'dismissed';
+
+  beforeEach(() => {
+    stored = [];
+
+    jest.spyOn(User, 'findByUserId').mockImplementation(async userId => users[userId] || null);
+    jest.spyOn(Event, 'findOneAndUpdate').mockResolvedValue(null);
+
+    jest.spyOn(Notification.prototype, 'save').mockImplementation(async function() {
+      if (this.isNew) {
+        const conflict = this.aggregationKey && stored.some(other =>
+          other.aggregationKey === this.aggregationKey && isOpen(other));
+        if (conflict) {
+          throw Object.assign(new Error('E11000 duplicate key error'), {
+            code: 11000,
+            keyPattern: { aggregationKey: 1 },
+          });
+        }
+        this.isNew = false;
+        stored.push(this);
+      }
+      return this;
+    });
+
+    jest.spyOn(Notification, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const notification = stored.find(candidate =>
+        candidate.aggregationKey === filter.aggregationKey &&
+        isOpen(candidate) &&
+        !candidate.actors.some(actor => actor.userId === filter['actors.userId'].$ne));
+      if (!notification) {
+        return null;
+      }
+
+      const { $each, $position, $slice } = update.$push.actors;
+      // Without $position, backfilled actors are appended as the oldest
+      const actors = $position === 0 ? [...$each, ...notification.actors] : [...notification.actors, ...$each];
+      notification.actors = actors.slice(0, $slice);
+      notification.actorCount += update.$inc.actorCount;
+      Object.entries(update.$set || {}).forEach(([path, value]) => notification.set(path, value));
+      Object.entries(update.$max || {}).forEach(([path, value]) => {
+        if (value > notification.get(path)) {
+          notification.set(path, value);
+        }
+      });
+      Object.keys(update.$unset || {}).forEach(path => notification.set(path, undefined));
+      return notification;
+    });
+
+    jest.spyOn(Notification, 'exists').mockImplementation(async filter =>
+      stored.find(notification => notification.aggregationKey === filter.aggregationKey && isOpen(notification)) || null);
+
+    // The re-delivery claim: succeeds if the rollup wasn't delivered within the interval
+    jest.spyOn(Notification, 'updateOne').mockImplementation(async (filter, update) => {
+      const notification = stored.find(candidate => candidate._id.equals(filter._id));
+      const [, { deliveredAt: { $lte: cutoff } }] = filter.$or;
+      if (notification.deliveredAt && notification.deliveredAt > cutoff) {
+        return { modifiedCount: 0 };
+      }
+      notification.deliveredAt = update.$set.deliveredAt;
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('starts a rollup with the first actor', async () => {
+    const [notification] = await processEvent(likeBy('rohit'));
+
+    expect(stored).toEqual([notification]);
+    expect(notification).toMatchObject({
+      aggregationKey: 'priya:LIKE:post1',
+      actorCount: 1,
+      content: 'rohit_u liked your post',
+    });
+    expect(publishNotification).toHaveBeenCalledWith(notification);
+    expect(deliverNotification).toHaveBeenCalledWith(notification, users.priya);
+    expect(dispatchWebhooks).toHaveBeenCalledWith('notification.created', [notification]);
+  });
+
+  it('adds later actors to the same notification, most recent first', async () => {
+    await processEvent(likeBy('rohit'));
+    stored[0].status = 'read';
+
+    const [notification] = await processEvent(likeBy('ananya'));
+    await processEvent(likeBy('vikram'));
+
+    expect(stored).toEqual([notification]);
+    expect(notification.actors.map(actor => actor.userId)).toEqual(['vikram', 'ananya', 'rohit']);
+    expect(notification).toMatchObject({
+      actorCount: 3,
+      sourceUserId: 'vikram',
+      status: 'unread',
+      content: 'vikram_u, ananya_u and 1 other liked your post',
+    });
+    expect(publishNotification).toHaveBeenCalledTimes(3);
+    expect(dispatchWebhooks).toHaveBeenLastCalledWith('notification.updated', [notification]);
+  });
+
+  it('ignores a repeat by an actor already in the rollup', async () => {
+    await processEvent(likeBy('rohit'));
+
+    expect(await processEvent(likeBy('rohit'))).toEqual([]);
+    expect(stored).toHaveLength(1);
+    expect(stored[0].actorCount).toBe(1);
+  });
+
+  it('keeps separate rollups per post, and starts a new one once dismissed', async () => {
+    await processEvent(likeBy('rohit', 'post1'));
+    await processEvent(likeBy('rohit', 'post2'));
+    stored[0].status = 'dismissed';
+    await processEvent(likeBy('ananya', 'post1'));
+
+    expect(stored.map(notification => [notification.aggregationKey, notification.status, notification.actorCount]))
+      .toEqual([
+        ['priya:LIKE:post1', 'dismissed', 1],
+        ['priya:LIKE:post2', 'unread', 1],
+        ['priya:LIKE:post1', 'unread', 1],
+      ]);
+  });
+
+  it('caps the stored actors while actorCount keeps the total', async () => {
+    await processEvent(likeBy('rohit'));
+    const [rollup] = stored;
+    rollup.actors = Array.from({ length: 50 }, (_, index) => ({ userId: `fan${index}`, username: `fan${index}` }));
+    rollup.actorCount = 120;
+
+    await processEvent(likeBy('ananya'));
+
+    expect(rollup.actors).toHaveLength(50);
+    expect(rollup.actors[0].userId).toBe('ananya');
+    expect(rollup.actors[49].userId).toBe('fan48');
+    expect(rollup.actorCount).toBe(121);
+    expect(rollup.content).toBe('ananya_u, fan0 and 119 others liked your post');
+  });
+
+  it('joins the rollup another actor created concurrently', async () => {
+    await processEvent(likeBy('rohit'));
+    // The second event looked before the first was saved
+    Notification.findOneAndUpdate.mockResolvedValueOnce(null);
+    Notification.exists.mockResolvedValueOnce(null);
+
+    const [notification] = await processEvent(likeBy('ananya'));
+
+    expect(stored).toEqual([notification]);
+    expect(notification.actorCount).toBe(2);
+  });
+
+  it('re-sends an updated rollup on email and push at most once per interval', async () => {
+    await processEvent(likeBy('rohit'));
+    await processEvent(likeBy('ananya'));
+    expect(deliverNotification).toHaveBeenCalledTimes(1);
+
+    stored[0].deliveredAt = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    await processEvent(likeBy('vikram'));
+    expect(deliverNotification).toHaveBeenCalledTimes(2);
+  });
+
+  describe('backfilled events', () => {
+    const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const backfilled = event => ({ ...event, backfill: true, timestamp: lastWeek });
+
+    it('records a backfilled like at the time it happened, without delivering it', async () => {
+      const [notification] = await processEvent(backfilled(likeBy('rohit')));
+
+      expect(stored).toEqual([notification]);
+      expect(notification.timestamp).toEqual(lastWeek);
+      expect(notification.backfill).toBe(true);
+      expect(notification.deliveredAt).toBeUndefined();
+      expect(publishNotification).not.toHaveBeenCalled();
+      expect(deliverNotification).not.toHaveBeenCalled();
+      expect(dispatchWebhooks).not.toHaveBeenCalled();
+    });
+
+    it('adds a backfilled actor as the oldest, without resurfacing or re-sending the rollup', async () => {
+      const [rollup] = await processEvent(likeBy('rohit'));
+      rollup.status = 'read';
+      const { timestamp } = rollup;
+      jest.clearAllMocks();
+
+      await processEvent(backfilled(likeBy('ananya')));
+
+      expect(rollup.actors.map(actor => actor.userId)).toEqual(['rohit', 'ananya']);
+      expect(rollup).toMatchObject({
+        actorCount: 2,
+        sourceUserId: 'rohit',
+        status: 'read',
+        content: 'rohit_u and ananya_u liked your post',
+      });
+      expect(rollup.timestamp).toEqual(timestamp);
+      expect(publishNotification).not.toHaveBeenCalled();
+      expect(deliverNotification).not.toHaveBeenCalled();
+      expect(dispatchWebhooks).not.toHaveBeenCalled();
+      expect(Notification.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('checks for duplicates around the time a backfilled follow happened', async () => {
+      const findOne = jest.spyOn(Notification, 'findOne').mockResolvedValue(null);
+
+      const [notification] = await processEvent(backfilled({
+        eventId: 'follow-1',
+        type: 'FOLLOW',
+        sourceUserId: 'rohit',
+        targetUserId: 'priya',
+        data: {},
+      }));
+
+      expect(findOne.mock.calls[0][0].timestamp).toEqual({
+        $gte: new Date(lastWeek.getTime() - 5 * 60 * 1000),
+        $lte: new Date(lastWeek.getTime() + 5 * 60 * 1000),
+      });
+      expect(notification.timestamp).toEqual(lastWeek);
+      expect(deliverNotification).not.toHaveBeenCalled();
+      expect(dispatchWebhooks).not.toHaveBeenCalled();
+    });
+  });
+});
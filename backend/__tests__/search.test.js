@@ -0,0 +1,207 @@
+const express = require('express');
+const request = require('supertest');
+const { ObjectId } = require('mongodb');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const notificationsRouter = require('../routes/notifications');
+const { getFeedFacets } = require('../services/notificationFeed');
+const { signToken } = require('../middleware/auth');
+const { encodeCursor } = require('../utils/pagination');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Notification.getUserNotifications', () => {
+  let pipeline;
+
+  beforeEach(() => {
+    jest.spyOn(Notification, 'aggregate').mockImplementation(async stages => {
+      pipeline = stages;
+      return [1.5, 1.2, 0.8].map((score, index) => ({
+        _id: new ObjectId(),
+        notificationId: `n${index}`,
+        userId: 'priya',
+        type: 'COMMENT',
+        content: 'Rohit commented on your launch post',
+        score,
+      }));
+    });
+    jest.spyOn(Notification, 'populate').mockImplementation(async items => items);
+  });
+
+  it('ranks a text search by score within the filters', async () => {
+    const from = new Date('2026-10-01T00:00:00Z');
+
+    const page = await Notification.getUserNotifications('priya', {
+      q: 'launch',
+      statuses: ['unread', 'read'],
+      types: ['COMMENT'],
+      sourceUserId: 'rohit',
+      from,
+      sort: 'relevance',
+      limit: 2,
+    });
+
+    // $text has to be in the first stage
+    expect(pipeline[0]).toEqual({
+      $match: {
+        userId: 'priya',
+        $text: { $search: 'launch' },
+        status: { $in: ['unread', 'read'] },
+        type: { $in: ['COMMENT'] },
+        'actors.userId': 'rohit',
+        timestamp: { $gte: from },
+      },
+    });
+    expect(pipeline).toContainEqual({ $sort: { score: -1, _id: -1 } });
+    expect(pipeline).toContainEqual({ $limit: 3 });
+    expect(page.notifications.map(notification => notification.notificationId)).toEqual(['n0', 'n1']);
+    expect(page.notifications[0]).toBeInstanceOf(Notification);
+    expect(page.hasMore).toBe(true);
+  });
+});
+
+describe('Notification.getFacetCounts', () => {
+  it('counts every type and status, each facet ignoring its own filter', async () => {
+    const aggregate = jest.spyOn(Notification, 'aggregate').mockResolvedValue([{
+      types: [{ _id: 'LIKE', count: 4 }, { _id: 'COMMENT', count: 2 }],
+      statuses: [{ _id: 'unread', count: 3 }],
+    }]);
+
+    const facets = await Notification.getFacetCounts('priya', {
+      q: 'launch',
+      statuses: ['unread'],
+      types: ['LIKE'],
+    });
+
+    expect(aggregate).toHaveBeenCalledWith([
+      { $match: { userId: 'priya', $text: { $search: 'launch' } } },
+      {
+        $facet: {
+          types: [
+            { $match: { status: { $in: ['unread'] } } },
+            { $group: { _id: '$type', count: { $sum: 1 } } },
+          ],
+          statuses: [
+            { $match: { type: { $in: ['LIKE'] } } },
+            { $group: { _id: '$status', count: { $sum: 1 } } },
+          ],
+        },
+      },
+    ]);
+    expect(facets.types).toMatchObject({ LIKE: 4, COMMENT: 2, SHARE: 0, POST_CREATE: 0 });
+    expect(facets.statuses).toEqual({ unread: 3, read: 0, dismissed: 0 });
+  });
+});
+
+describe('getFeedFacets', () => {
+  const feedReadAt = new Date(Date.now() - HOUR_MS);
+
+  beforeEach(() => {
+    jest.spyOn(Notification, 'getFacetCounts').mockResolvedValue({
+      types: { LIKE: 4, POST_CREATE: 1 },
+      statuses: { unread: 3, read: 2, dismissed: 0 },
+    });
+    jest.spyOn(User, 'findByUserId').mockResolvedValue(new User({ userId: 'priya', username: 'priya_u', feedReadAt }));
+    jest.spyOn(Follow, 'getFollowingIds').mockResolvedValue(['rohit']);
+    // Two unseen posts since the feed was last read, five before it
+    jest.spyOn(Event, 'countDocuments').mockImplementation(async ({ timestamp }) => {
+      if (timestamp.$gt) {
+        return 2;
+      }
+      return timestamp.$lte ? 5 : 7;
+    });
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(0);
+  });
+
+  it('adds the fan-out-on-read posts to the stored counts', async () => {
+    const facets = await getFeedFacets('priya', {});
+
+    expect(facets.types).toEqual({ LIKE: 4, POST_CREATE: 8 });
+    expect(facets.statuses).toEqual({ unread: 5, read: 7, dismissed: 0 });
+  });
+
+  it('leaves them out of a text search, which covers stored notifications only', async () => {
+    const facets = await getFeedFacets('priya', { q: 'launch' });
+
+    expect(facets.types).toEqual({ LIKE: 4, POST_CREATE: 1 });
+    expect(Event.countDocuments).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/notifications/:userId search', () => {
+  const app = express().use('/api/notifications', notificationsRouter);
+  const auth = { Authorization: `Bearer ${signToken({ userId: 'priya', username: 'priya_u', role: 'user' })}` };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findByUserId').mockResolvedValue(null);
+    jest.spyOn(Notification, 'getUnreadCount').mockResolvedValue(0);
+    jest.spyOn(Notification, 'getUserNotifications').mockResolvedValue({
+      notifications: [],
+      nextCursor: null,
+      prevCursor: null,
+      hasMore: false,
+    });
+    jest.spyOn(Notification, 'getFacetCounts').mockResolvedValue({
+      types: { LIKE: 1 },
+      statuses: { unread: 1 },
+    });
+  });
+
+  it('passes the filters on and adds facets when asked', async () => {
+    const res = await request(app)
+      .get('/api/notifications/priya?q=launch&status=unread,read&types=LIKE&from=2026-10-01T00:00:00Z&sort=relevance&facets=true')
+      .set(auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.facets).toEqual({ types: { LIKE: 1 }, statuses: { unread: 1 } });
+    expect(Notification.getUserNotifications).toHaveBeenCalledWith('priya', expect.objectContaining({
+      q: 'launch',
+      statuses: ['unread', 'read'],
+      types: ['LIKE'],
+      from: new Date('2026-10-01T00:00:00Z'),
+      to: null,
+      sort: 'relevance',
+    }));
+  });
+
+  it('only includes facets when asked', async () => {
+    const res = await request(app).get('/api/notifications/priya').set(auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.facets).toBeUndefined();
+    expect(Notification.getFacetCounts).not.toHaveBeenCalled();
+  });
+
+  it('requires q to sort by relevance', async () => {
+    const res = await request(app).get('/api/notifications/priya?sort=relevance').set(auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([{ field: 'query.sort', message: 'relevance requires q' }]);
+    expect(Notification.getUserNotifications).not.toHaveBeenCalled();
+  });
+
+  it('rejects a date range that ends before it starts', async () => {
+    const res = await request(app)
+      .get('/api/notifications/priya?from=2026-10-02T00:00:00Z&to=2026-10-01T00:00:00Z')
+      .set(auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([{ field: 'query.to', message: 'must not be before from' }]);
+  });
+
+  it('rejects a cursor from another sort', async () => {
+    const scoreCursor = encodeCursor({ _id: new ObjectId(), score: 1.5 }, 'score');
+    Notification.getUserNotifications.mockRestore();
+
+    const res = await request(app).get(`/api/notifications/priya?before=${scoreCursor}`).set(auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid cursor', message: 'Cursor is from another sort' });
+  });
+});
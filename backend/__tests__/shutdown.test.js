@@ -0,0 +1,204 @@
+process.env.READINESS_MAX_QUEUE_BACKLOG = '100';
+// The shutdown tests fake timers; nothing here talks to MongoDB
+process.env.SUPPRESS_JEST_WARNINGS = 'true';
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const EventJob = require('../models/EventJob');
+const healthRoutes = require('../routes/health');
+
+const app = express().use('/health', healthRoutes);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('health probes', () => {
+  /**
+   * Report the connection as open and answering pings with `ping`
+   */
+  function connect(ping) {
+    Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+    mongoose.connection.db = { admin: () => ({ ping }) };
+  }
+
+  afterEach(() => {
+    delete mongoose.connection.readyState;
+    delete mongoose.connection.db;
+  });
+
+  it('is live without touching the database', async () => {
+    const res = await request(app).get('/health/live');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('OK');
+  });
+
+  it('is ready when MongoDB answers and the queue backlog is under the limit', async () => {
+    connect(() => Promise.resolve({ ok: 1 }));
+    const countDocuments = jest.spyOn(EventJob, 'countDocuments').mockResolvedValue(3);
+
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: 'ready',
+      checks: {
+        database: { status: 'pass' },
+        queue: { status: 'pass', backlog: 3, maxBacklog: 100 },
+      },
+    });
+    expect(countDocuments).toHaveBeenCalledWith(expect.objectContaining({ status: 'pending' }));
+  });
+
+  it('is not ready while disconnected, and skips the queue check', async () => {
+    const countDocuments = jest.spyOn(EventJob, 'countDocuments');
+
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(503);
+    expect(res.body.checks).toEqual({
+      database: { status: 'fail', message: 'Not connected' },
+      queue: { status: 'fail', message: 'Database unavailable' },
+    });
+    expect(countDocuments).not.toHaveBeenCalled();
+  });
+
+  it('is not ready when the ping fails', async () => {
+    connect(() => Promise.reject(new Error('connection reset')));
+
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(503);
+    expect(res.body.checks.database).toEqual({ status: 'fail', message: 'connection reset' });
+  });
+
+  it('is not ready when the queue backlog is over READINESS_MAX_QUEUE_BACKLOG', async () => {
+    connect(() => Promise.resolve({ ok: 1 }));
+    jest.spyOn(EventJob, 'countDocuments').mockResolvedValue(150);
+
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(503);
+    expect(res.body.checks.queue).toEqual({ status: 'fail', backlog: 150, maxBacklog: 100 });
+  });
+});
+
+describe('graceful shutdown', () => {
+  let modules;
+  let signals;
+  let server;
+  let wss;
+  let socket;
+  let exit;
+
+  /**
+   * Fresh copies of the shutdown module and what it drains, since shutting down is one-way
+   */
+  function load() {
+    process.env.SHUTDOWN_TIMEOUT_MS = '1000';
+    jest.isolateModules(() => {
+      jest.doMock('../services/webhookService', () => ({
+        dispatchWebhooks: jest.fn(),
+        stopWebhookDispatcher: jest.fn().mockResolvedValue(),
+      }));
+      jest.doMock('../services/scheduler', () => ({
+        stopScheduler: jest.fn().mockResolvedValue([]),
+        releaseActiveRuns: jest.fn().mockResolvedValue(0),
+      }));
+
+      modules = {
+        shutdown: require('../services/shutdown'),
+        health: require('../routes/health'),
+        scheduler: require('../services/scheduler'),
+        eventQueue: require('../services/notificationProcessor').eventQueue,
+        mongoose: require('mongoose'),
+      };
+    });
+    delete process.env.SHUTDOWN_TIMEOUT_MS;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    load();
+
+    signals = {};
+    jest.spyOn(process, 'on').mockImplementation((signal, handler) => {
+      signals[signal] = handler;
+      return process;
+    });
+    exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    jest.spyOn(modules.mongoose.connection, 'close').mockResolvedValue();
+
+    socket = { close: jest.fn() };
+    wss = { clients: new Set([socket]), close: jest.fn() };
+    server = {
+      close: jest.fn(callback => callback()),
+      closeIdleConnections: jest.fn(),
+      closeAllConnections: jest.fn(),
+    };
+    modules.shutdown.registerShutdown({ server, wss });
+  });
+
+  it('stops taking work, drains it, then closes MongoDB and exits', async () => {
+    const drain = jest.spyOn(modules.eventQueue, 'drain').mockResolvedValue([]);
+    const releaseJobs = jest.spyOn(modules.eventQueue, 'releaseActiveJobs');
+    const hook = jest.fn();
+    modules.shutdown.onShutdown(hook);
+
+    signals.SIGTERM();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(modules.shutdown.isShuttingDown()).toBe(true);
+    expect(server.close).toHaveBeenCalled();
+    expect(socket.close).toHaveBeenCalledWith(1001, 'Server shutting down');
+    expect(wss.close).toHaveBeenCalled();
+    expect(hook).toHaveBeenCalled();
+    expect(drain).toHaveBeenCalled();
+    expect(releaseJobs).not.toHaveBeenCalled();
+    expect(server.closeAllConnections).not.toHaveBeenCalled();
+    expect(modules.mongoose.connection.close).toHaveBeenCalled();
+    expect(exit).toHaveBeenCalledWith(0);
+  });
+
+  it('reports not ready as soon as shutdown starts', async () => {
+    jest.spyOn(modules.eventQueue, 'drain').mockReturnValue(new Promise(() => {}));
+    signals.SIGTERM();
+    jest.useRealTimers();
+
+    const res = await request(express().use('/health', modules.health)).get('/health/ready');
+
+    expect(res.status).toBe(503);
+    expect(res.body.status).toBe('shutting_down');
+  });
+
+  it('releases work still running at the timeout and closes lingering connections', async () => {
+    jest.spyOn(modules.eventQueue, 'drain').mockReturnValue(new Promise(() => {}));
+    const releaseJobs = jest.spyOn(modules.eventQueue, 'releaseActiveJobs').mockResolvedValue(1);
+    server.close.mockImplementation(() => {});
+
+    signals.SIGTERM();
+    await jest.advanceTimersByTimeAsync(999);
+    expect(releaseJobs).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(releaseJobs).toHaveBeenCalled();
+    expect(modules.scheduler.releaseActiveRuns).toHaveBeenCalled();
+
+    // The requests still in flight get no more time
+    await jest.advanceTimersByTimeAsync(1);
+    expect(server.closeAllConnections).toHaveBeenCalled();
+    expect(exit).toHaveBeenCalledWith(0);
+  });
+
+  it('exits immediately on a second signal', async () => {
+    jest.spyOn(modules.eventQueue, 'drain').mockReturnValue(new Promise(() => {}));
+
+    signals.SIGTERM();
+    signals.SIGINT();
+
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+});
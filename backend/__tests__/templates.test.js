@@ -0,0 +1,91 @@
+const {
+  getLocaleChain,
+  isSupportedLocale,
+  normalizeLocale,
+  translate,
+  excerpt,
+  renderNotification,
+  describeEvent,
+} = require('../services/templates');
+
+const actors = names => names.map(username => ({ username }));
+
+function like(names, actorCount = names.length) {
+  return { type: 'LIKE', actors: actors(names), actorCount };
+}
+
+describe('locale fallback', () => {
+  it('tries the region, then the language, then English', () => {
+    expect(getLocaleChain('ta-IN')).toEqual(['ta', 'en']);
+    expect(getLocaleChain('hi')).toEqual(['hi', 'en']);
+    expect(getLocaleChain('fr-FR')).toEqual(['en']);
+    expect(getLocaleChain('not a locale!')).toEqual(['en']);
+    expect(getLocaleChain(undefined)).toEqual(['en']);
+  });
+
+  it('canonicalizes tags and supports any region of a known language', () => {
+    expect(normalizeLocale('ta-in')).toBe('ta-IN');
+    expect(isSupportedLocale('hi-IN')).toBe(true);
+    expect(isSupportedLocale('fr')).toBe(false);
+    expect(isSupportedLocale('not a locale!')).toBe(false);
+  });
+
+  it('renders unsupported locales in English', () => {
+    expect(renderNotification(like(['rohit']), { locale: 'fr' })).toBe('rohit liked your post');
+  });
+
+  it('uses the in-app text of the same locale before an English channel variant', () => {
+    const comment = { type: 'COMMENT', actors: actors(['rohit']), actorCount: 1, data: { excerpt: 'बहुत सुंदर' } };
+
+    // Hindi has no push templates: the Hindi in-app text wins over English push text
+    expect(renderNotification(comment, { locale: 'hi', channel: 'push' })).toBe('rohit ने टिप्पणी की: "बहुत सुंदर"');
+    expect(renderNotification(comment, { locale: 'en', channel: 'push' })).toBe('rohit: "बहुत सुंदर"');
+  });
+
+  it('falls back to English for a message the locale lacks', () => {
+    expect(translate('push.title', {}, 'ta')).toBe('Insyd');
+    expect(translate('email.nope', {}, 'ta')).toBe('email.nope');
+  });
+});
+
+describe('pluralization', () => {
+  it('picks one or other by count', () => {
+    expect(renderNotification(like(['vikram', 'ananya'], 3))).toBe('vikram, ananya and 1 other liked your post');
+    expect(renderNotification(like(['vikram', 'ananya'], 14))).toBe('vikram, ananya and 12 others liked your post');
+    expect(translate('email.digestSubject', { count: 1, period: 'today' })).toBe('You have 1 unread notification on Insyd today');
+    expect(translate('email.digestSubject', { count: 5, period: 'today' })).toBe('You have 5 unread notifications on Insyd today');
+  });
+
+  it('agrees the verb with the number of people in Tamil', () => {
+    expect(renderNotification(like(['rohit']), { locale: 'ta' })).toBe('rohit உங்கள் பதிவை விரும்பினார்');
+    expect(renderNotification(like(['rohit', 'priya']), { locale: 'ta' })).toBe('rohit மற்றும் priya உங்கள் பதிவை விரும்பினர்');
+  });
+
+  it('formats counts for the locale', () => {
+    expect(renderNotification(like(['vikram', 'ananya'], 1236))).toBe('vikram, ananya and 1,234 others liked your post');
+    expect(renderNotification(like(['vikram', 'ananya'], 100002), { locale: 'hi' }))
+      .toBe('vikram, ananya और 1,00,000 अन्य ने आपकी पोस्ट पसंद की');
+  });
+});
+
+describe('message selection', () => {
+  it('quotes a single comment and mentions in comments', () => {
+    expect(describeEvent({ type: 'COMMENT', sourceUserId: 'rohit', data: { content: 'Love it' } }))
+      .toBe('rohit commented: "Love it"');
+    expect(describeEvent({ type: 'MENTION', sourceUserId: 'rohit', data: { commentId: 'c1' } }))
+      .toBe('rohit mentioned you in a comment');
+    expect(describeEvent({ type: 'POKE', sourceUserId: 'rohit' })).toBe('rohit performed an action');
+  });
+});
+
+describe('excerpt', () => {
+  it('cuts at a word boundary', () => {
+    expect(excerpt('the quick brown fox jumps', 12)).toBe('the quick…');
+    expect(excerpt('short', 12)).toBe('short');
+  });
+
+  it('never splits a vowel sign from its letter', () => {
+    // 'कि' is one grapheme made of two code points
+    expect(excerpt('किकिकिकि', 2)).toBe('किकि…');
+  });
+});
@@ -0,0 +1,127 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const usersRouter = require('../routes/users');
+const notificationsRouter = require('../routes/notifications');
+const eventsRouter = require('../routes/events');
+const { signToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { params, pageQuery, body } = require('../schemas/common');
+
+describe('validate', () => {
+  const schema = {
+    params: params('userId'),
+    query: pageQuery(20, {
+      types: { type: 'array', items: { type: 'string', enum: ['LIKE', 'COMMENT'] } },
+    }),
+    body: body({
+      postId: { type: 'string', minLength: 1 },
+      at: { type: 'string', format: 'date-time' },
+    }, ['postId']),
+  };
+
+  const app = express()
+    .use(express.json())
+    .post('/users/:userId', validate(schema), (req, res) => res.json({ query: req.query, body: req.body }));
+
+  it('coerces query values, splits list params and applies defaults', async () => {
+    const res = await request(app)
+      .post('/users/priya?types=LIKE,COMMENT')
+      .send({ postId: 'post1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.query).toEqual({ limit: 20, types: ['LIKE', 'COMMENT'] });
+
+    const limited = await request(app).post('/users/priya?limit=5').send({ postId: 'post1' });
+    expect(limited.body.query.limit).toBe(5);
+  });
+
+  it('reports every failing field in one 400', async () => {
+    const res = await request(app)
+      .post('/users/priya?limit=0&types=LIKE,POKE')
+      .send({ at: 'yesterday', extra: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      { field: 'query.limit', message: 'must be >= 1' },
+      { field: 'query.types.1', message: 'must be one of: LIKE, COMMENT' },
+      { field: 'body.postId', message: 'is required' },
+      { field: 'body.extra', message: 'is not allowed' },
+      { field: 'body.at', message: 'must be a valid date-time' },
+    ]));
+  });
+
+  it('does not coerce body types', async () => {
+    const res = await request(app).post('/users/priya').send({ postId: 42 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([{ field: 'body.postId', message: 'must be string' }]);
+  });
+
+  it('exposes the schema for the OpenAPI document', () => {
+    expect(validate(schema).schema).toBe(schema);
+  });
+});
+
+describe('route schemas', () => {
+  const app = express()
+    .use(express.json())
+    .use('/api/users', usersRouter)
+    .use('/api/notifications', notificationsRouter)
+    .use('/api/events', eventsRouter);
+  const auth = { Authorization: `Bearer ${signToken({ userId: 'priya', username: 'priya_u', role: 'user' })}` };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findByUserId');
+    jest.spyOn(Notification, 'getUserNotifications');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects unknown and malformed preferences before touching the user', async () => {
+    const res = await request(app)
+      .put('/api/users/priya/preferences')
+      .set(auth)
+      .send({ preferences: { timezone: 'Mars/Olympus', quietHours: { start: '25:00' }, sounds: true } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      { field: 'body.preferences.timezone', message: 'must be a valid timezone' },
+      { field: 'body.preferences.quietHours.start', message: expect.stringMatching(/^must match pattern/) },
+      { field: 'body.preferences.sounds', message: 'is not allowed' },
+    ]));
+    expect(User.findByUserId).not.toHaveBeenCalled();
+  });
+
+  it('rejects an empty preferences update', async () => {
+    const res = await request(app).put('/api/users/priya/preferences').set(auth).send({ preferences: {} });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([{ field: 'body.preferences', message: 'must NOT have fewer than 1 properties' }]);
+  });
+
+  it('bounds the page size and status filter of the notification list', async () => {
+    const res = await request(app).get('/api/notifications/priya?limit=500&status=archived').set(auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      { field: 'query.limit', message: 'must be <= 100' },
+      { field: 'query.status.0', message: expect.stringMatching(/^must be one of: unread, read, dismissed/) },
+    ]));
+    expect(Notification.getUserNotifications).not.toHaveBeenCalled();
+  });
+
+  it('requires a known event type', async () => {
+    const res = await request(app).post('/api/events').set(auth).send({ type: 'POKE' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      { field: 'body.type', message: expect.stringMatching(/^must be one of: /) },
+      { field: 'body.sourceUserId', message: 'is required' },
+    ]));
+  });
+});
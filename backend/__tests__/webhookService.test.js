@@ -0,0 +1,179 @@
+const http = require('http');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { verifySignature } = require('../utils/webhookSignature');
+const {
+  dispatchWebhooks,
+  invalidateSubscriptionCache,
+  processDueDeliveries,
+} = require('../services/webhookService');
+
+const SECRET = 'whsec_test';
+
+describe('webhookService', () => {
+  let server;
+  let url;
+  let received;
+  let responses;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responses.length > 0 ? responses.shift() : 200;
+        res.end('ok');
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  let subscription;
+  let deliveries;
+
+  beforeEach(() => {
+    received = [];
+    responses = [];
+    invalidateSubscriptionCache();
+
+    subscription = new WebhookSubscription({
+      subscriptionId: 'sub1',
+      url,
+      topics: ['notification.created'],
+      secret: SECRET,
+    });
+    jest.spyOn(WebhookSubscription, 'find').mockResolvedValue([subscription]);
+    jest.spyOn(WebhookSubscription, 'findOne').mockReturnValue({ select: () => Promise.resolve(subscription) });
+    jest.spyOn(WebhookSubscription, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(WebhookSubscription, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    // An in-memory delivery queue: claiming takes the first due pending delivery
+    deliveries = [];
+    jest.spyOn(WebhookDelivery, 'insertMany').mockImplementation(async docs => {
+      deliveries.push(...docs.map(doc => new WebhookDelivery(doc)));
+      return deliveries;
+    });
+    jest.spyOn(WebhookDelivery, 'findOneAndUpdate').mockImplementation(async () => {
+      const due = deliveries.find(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= new Date());
+      if (!due) {
+        return null;
+      }
+      due.status = 'delivering';
+      due.lockedAt = new Date();
+      due.attempts += 1;
+      return due;
+    });
+    jest.spyOn(WebhookDelivery.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const notification = { notificationId: 'n1', type: 'LIKE', content: 'rohit_urban liked your post' };
+
+  function expectSigned(request) {
+    return expect(verifySignature({
+      secret: SECRET,
+      timestamp: request.headers['x-insyd-webhook-timestamp'],
+      signature: request.headers['x-insyd-webhook-signature'],
+      body: request.body,
+    }));
+  }
+
+  it('signs each delivery with the subscription secret', async () => {
+    expect(await dispatchWebhooks('notification.created', [notification])).toBe(1);
+    await processDueDeliveries();
+
+    expect(received).toHaveLength(1);
+    const [request] = received;
+    const payload = JSON.parse(request.body);
+    expect(payload).toMatchObject({ topic: 'notification.created', data: notification });
+    expect(request.headers['x-insyd-webhook-id']).toBe(payload.id);
+    expect(request.headers['x-insyd-webhook-topic']).toBe('notification.created');
+    expectSigned(request).toBe(true);
+
+    // A tampered body or another secret doesn't verify
+    expect(verifySignature({
+      secret: 'whsec_other',
+      timestamp: request.headers['x-insyd-webhook-timestamp'],
+      signature: request.headers['x-insyd-webhook-signature'],
+      body: request.body,
+    })).toBe(false);
+    expectSigned({ ...request, body: request.body.replace('rohit_urban', 'mallory') }).toBe(false);
+
+    const [delivery] = deliveries;
+    expect(delivery.status).toBe('succeeded');
+    expect(delivery.attemptLog).toHaveLength(1);
+    expect(WebhookSubscription.updateOne).toHaveBeenCalledWith(
+      { subscriptionId: 'sub1' },
+      { $set: expect.objectContaining({ consecutiveFailures: 0 }) }
+    );
+  });
+
+  it('skips subscriptions that are not for the topic', async () => {
+    expect(await dispatchWebhooks('event.created', [notification])).toBe(0);
+    expect(WebhookDelivery.insertMany).not.toHaveBeenCalled();
+  });
+
+  it('retries a failed attempt with backoff', async () => {
+    responses = [503];
+    await dispatchWebhooks('notification.created', [notification]);
+
+    const startedAt = Date.now();
+    await processDueDeliveries();
+
+    const [delivery] = deliveries;
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 503 });
+    expect(delivery.error).toBe('Receiver responded with 503');
+    // WEBHOOK_BASE_DELAY_MS (10s) after the first failure
+    expect(delivery.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(startedAt + 10 * 1000);
+    expect(WebhookSubscription.findOneAndUpdate).toHaveBeenCalledWith(
+      { subscriptionId: 'sub1' },
+      expect.objectContaining({ $inc: { consecutiveFailures: 1 } }),
+      { new: true }
+    );
+
+    // Not due yet
+    await processDueDeliveries();
+    expect(received).toHaveLength(1);
+
+    delivery.nextAttemptAt = new Date(Date.now() - 1);
+    await processDueDeliveries();
+
+    expect(received).toHaveLength(2);
+    expect(delivery).toMatchObject({ status: 'succeeded', attempts: 2, responseStatus: 200 });
+    expect(delivery.attemptLog.map(attempt => attempt.responseStatus)).toEqual([503, 200]);
+
+    // The retry carries the same webhook id, re-signed with its own timestamp
+    expect(received[1].headers['x-insyd-webhook-id']).toBe(received[0].headers['x-insyd-webhook-id']);
+    expectSigned(received[1]).toBe(true);
+  });
+
+  it('fails the delivery for good once its attempts are used up', async () => {
+    responses = [500, 500];
+    await dispatchWebhooks('notification.created', [notification]);
+    const [delivery] = deliveries;
+    delivery.maxAttempts = 2;
+
+    await processDueDeliveries();
+    delivery.nextAttemptAt = new Date(Date.now() - 1);
+    await processDueDeliveries();
+
+    expect(received).toHaveLength(2);
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 2, responseStatus: 500 });
+  });
+});
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
 
 const connectDB = async () => {
   try {
@@ -9,34 +10,21 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
 
-    console.log('✅ MongoDB connected successfully');
+    logger.info('✅ MongoDB connected successfully');
     
     // Log database name
-    console.log(`📊 Database: ${mongoose.connection.name}`);
+    logger.info(`📊 Database: ${mongoose.connection.name}`);
     
     // Handle connection events
     mongoose.connection.on('error', (err) => {
-      console.error('❌ MongoDB connection error:', err);
+      logger.error('❌ MongoDB connection error', { error: err });
     });
 
     mongoose.connection.on('disconnected', () => {
-      console.log('📴 MongoDB disconnected');
+      logger.info('📴 MongoDB disconnected');
     });
-
-    // Graceful shutdown
-    process.on('SIGINT', async () => {
-      try {
-        await mongoose.connection.close();
-        console.log('🛑 MongoDB connection closed through app termination');
-        process.exit(0);
-      } catch (error) {
-        console.error('❌ Error closing MongoDB connection:', error);
-        process.exit(1);
-      }
-    });
-
   } catch (error) {
-    console.error('❌ MongoDB connection failed:', error.message);
+    logger.error('❌ MongoDB connection failed', { error });
     process.exit(1);
   }
 };
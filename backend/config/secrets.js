@@ -0,0 +1,25 @@
+// Only these environments may run on the built-in, publicly known secret
+const DEV_ENVIRONMENTS = ['development', 'test'];
+const DEV_SECRET = 'insyd-dev-secret';
+
+/**
+ * Read a signing secret from the first of `names` that is set
+ * Throws when none is, unless NODE_ENV is development or test, so a deployment
+ * that forgot to configure one fails at startup instead of signing with DEV_SECRET
+ */
+function getSecret(...names) {
+  const name = names.find(candidate => process.env[candidate]);
+  if (name) {
+    return process.env[name];
+  }
+
+  if (DEV_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+    return DEV_SECRET;
+  }
+
+  throw new Error(`${names.join(' or ')} must be set (only NODE_ENV=development or test may omit it)`);
+}
+
+module.exports = {
+  getSecret,
+};
@@ -0,0 +1,2 @@
+// Tests assert on behaviour, not log lines; run with LOG_LEVEL=debug to see them
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
@@ -0,0 +1,123 @@
+const jwt = require('jsonwebtoken');
+const { getSecret } = require('../config/secrets');
+
+const JWT_SECRET = getSecret('JWT_SECRET');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+
+/**
+ * Issue an access token for a user
+ */
+function signToken(user) {
+  return jwt.sign(
+    { sub: user.userId, username: user.username, role: user.role },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+/**
+ * Verify an access token and return the authenticated principal
+ * Throws if the token is missing, malformed or expired
+ */
+function verifyToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+  return {
+    userId: payload.sub,
+    username: payload.username,
+    role: payload.role,
+  };
+}
+
+/**
+ * Read the token from the Authorization header
+ * With `allowQuery`, fall back to ?access_token= for clients that cannot set
+ * headers (EventSource, WebSocket). Other routes never take it, so tokens stay
+ * out of URLs wherever a header works
+ */
+function getRequestToken(req, { allowQuery = false } = {}) {
+  const header = req.get ? req.get('Authorization') : req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7);
+  }
+
+  if (!allowQuery) {
+    return null;
+  }
+
+  const url = new URL(req.originalUrl || req.url, 'http://localhost');
+  return url.searchParams.get('access_token');
+}
+
+function isAdmin(user) {
+  return Boolean(user) && user.role === 'admin';
+}
+
+function authenticateWith(options = {}) {
+  return (req, res, next) => {
+    const token = getRequestToken(req, options);
+
+    if (!token) {
+      return res.status(401).json({
+        error: 'Authentication required',
+      });
+    }
+
+    try {
+      req.user = verifyToken(token);
+      next();
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Invalid or expired token',
+      });
+    }
+  };
+}
+
+/**
+ * Require a valid bearer token and bind the caller to req.user
+ */
+const authenticate = authenticateWith();
+
+/**
+ * Like authenticate, but also accepts ?access_token= (for EventSource streams)
+ */
+const authenticateStream = authenticateWith({ allowQuery: true });
+
+/**
+ * Only allow the user named by a route param (or an admin) to continue
+ */
+function requireSelf(param = 'userId') {
+  return (req, res, next) => {
+    if (isAdmin(req.user) || req.params[param] === req.user.userId) {
+      return next();
+    }
+
+    res.status(403).json({
+      error: 'You can only access your own data',
+    });
+  };
+}
+
+/**
+ * Only allow admins to continue
+ */
+function requireAdmin(req, res, next) {
+  if (isAdmin(req.user)) {
+    return next();
+  }
+
+  res.status(403).json({
+    error: 'Admin access required',
+  });
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+  getRequestToken,
+  isAdmin,
+  authenticate,
+  authenticateStream,
+  requireSelf,
+  requireAdmin,
+};
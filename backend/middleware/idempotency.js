@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { logger } = require('../utils/logger');
+
+// Serialize with sorted keys so the same payload always hashes the same
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = canonicalize(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+}
+
+function hashRequest(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(canonicalize(body || {}))).digest('hex');
+}
+
+/**
+ * Make a create endpoint safe to retry. The key is the Idempotency-Key header,
+ * or the client-supplied `bodyKey` field (e.g. eventId). The first request with
+ * a key runs normally and its 2xx response is stored; repeats get that response
+ * back (with Idempotent-Replayed: true) instead of running again. Reusing a key
+ * for a different payload is rejected with 422. Requests without a key are not
+ * affected. Runs after authenticate, since keys are scoped to the caller
+ */
+function idempotent({ bodyKey } = {}) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key') || (bodyKey && req.body[bodyKey]);
+    if (!key) {
+      return next();
+    }
+
+    try {
+      const requestHash = hashRequest(req.body);
+      const { record, claimed } = await IdempotencyKey.claim({ userId: req.user.userId, key, requestHash });
+
+      if (!claimed) {
+        if (record.requestHash !== requestHash) {
+          return res.status(422).json({
+            error: 'Idempotency key reused with a different payload',
+            message: `Key "${key}" was first used for another request`,
+          });
+        }
+
+        if (record.status !== 'completed') {
+          res.set('Retry-After', '1');
+          return res.status(409).json({
+            error: 'A request with this idempotency key is still in progress',
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.responseStatus).json(record.responseBody);
+      }
+
+      // Store successful responses before sending them, so an immediate retry sees them;
+      // anything else releases the key and the request may be retried
+      const json = res.json.bind(res);
+      res.json = body => {
+        const settle = res.statusCode < 300
+          ? record.complete(res.statusCode, body)
+          : record.release();
+
+        settle
+          .catch(error => logger.error('Error saving idempotency key', { error }))
+          .finally(() => json(body));
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  idempotent,
+};
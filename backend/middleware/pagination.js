@@ -0,0 +1,36 @@
+const { decodeCursor, clampLimit } = require('../utils/pagination');
+
+/**
+ * Parse ?limit, ?before and ?after into req.page, rejecting malformed cursors
+ */
+function parsePagination(defaultLimit = 50) {
+  return (req, res, next) => {
+    const { limit, before, after } = req.query;
+
+    if (before && after) {
+      return res.status(400).json({
+        error: 'Use either before or after, not both',
+      });
+    }
+
+    try {
+      if (before) decodeCursor(before);
+      if (after) decodeCursor(after);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+      });
+    }
+
+    req.page = {
+      limit: clampLimit(limit, defaultLimit),
+      before: before || null,
+      after: after || null,
+    };
+    next();
+  };
+}
+
+module.exports = {
+  parsePagination,
+};
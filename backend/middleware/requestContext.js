@@ -0,0 +1,46 @@
+const { v4: uuidv4 } = require('uuid');
+const { logger, runWithLogContext } = require('../utils/logger');
+const { httpRequestDuration } = require('../utils/metrics');
+
+// Accept a caller's X-Request-Id (e.g. from a proxy) only if it is a plain token
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * Give every request an id (echoed as X-Request-Id) that is added to everything
+ * logged while handling it, then log the request and time it once the response is sent
+ */
+function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+    const endTimer = httpRequestDuration.startTimer();
+
+    req.requestId = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+      // Label by route pattern, not the raw URL, so ids don't explode the label set
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      const durationSeconds = endTimer({ method: req.method, route, status_code: res.statusCode });
+
+      logger.info('Request completed', {
+        requestId,
+        method: req.method,
+        // Without the query string, which can carry credentials (?access_token=, unsubscribe ?token=)
+        path: req.originalUrl.split('?')[0],
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(durationSeconds * 1000),
+        userId: req.user ? req.user.userId : undefined,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+    });
+
+    runWithLogContext({ requestId }, next);
+  };
+}
+
+module.exports = {
+  requestContext,
+};
@@ -0,0 +1,120 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { isValidTimezone } = require('../utils/timezone');
+const { isSupportedLocale } = require('../services/templates');
+
+const LOCATIONS = ['params', 'headers', 'query', 'body'];
+
+function createAjv(options = {}) {
+  const ajv = new Ajv({ allErrors: true, useDefaults: true, allowUnionTypes: true, ...options });
+  addFormats(ajv);
+  ajv.addFormat('timezone', isValidTimezone);
+  ajv.addFormat('locale', isSupportedLocale);
+  return ajv;
+}
+
+// Path params, headers and query strings arrive as strings and are coerced to the
+// schema's types; JSON bodies must already have the right types
+const coercingAjv = createAjv({ coerceTypes: 'array' });
+const bodyAjv = createAjv();
+
+/**
+ * Turn Ajv errors into { field, message } pairs, e.g. { field: 'query.limit', message: 'must be <= 100' }
+ */
+function formatErrors(location, errors) {
+  return errors.map(error => {
+    const path = error.instancePath.split('/').slice(1);
+    let { message } = error;
+
+    if (error.keyword === 'required') {
+      path.push(error.params.missingProperty);
+      message = 'is required';
+    } else if (error.keyword === 'additionalProperties') {
+      path.push(error.params.additionalProperty);
+      message = 'is not allowed';
+    } else if (error.keyword === 'enum') {
+      message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    } else if (error.keyword === 'format') {
+      message = `must be a valid ${error.params.format}`;
+    }
+
+    return {
+      field: [location, ...path].join('.'),
+      message,
+    };
+  });
+}
+
+/**
+ * Compile a schema into a function returning the { field, message } details for
+ * an invalid value, or null. For values checked outside a request part, such as
+ * the items of a batch
+ */
+function compileValidator(schema, location) {
+  const check = bodyAjv.compile(schema);
+  return value => (check(value) ? null : formatErrors(location, check.errors));
+}
+
+/**
+ * Respond with the uniform 400 for invalid input
+ * Routes use this directly for rules that span several fields
+ */
+function validationFailed(res, details) {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details,
+  });
+}
+
+// Array query params are sent comma-separated (?types=LIKE,COMMENT)
+function splitLists(query, schema) {
+  Object.entries(schema.properties || {}).forEach(([name, property]) => {
+    if (property.type === 'array' && typeof query[name] === 'string') {
+      query[name] = query[name].split(',').filter(Boolean);
+    }
+  });
+}
+
+/**
+ * Validate req.params, req.headers, req.query and req.body against a route schema
+ * ({ params, headers, query, body, responses, ... }), applying defaults and coercing
+ * params and query values in place. Header names are lowercase. The schema is kept on the middleware so
+ * the OpenAPI document can be generated from the routers
+ */
+function validate(schema) {
+  const validators = LOCATIONS
+    .filter(location => schema[location])
+    .map(location => ({
+      location,
+      check: (location === 'body' ? bodyAjv : coercingAjv).compile(schema[location]),
+    }));
+
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    for (const { location, check } of validators) {
+      if (location === 'query') {
+        splitLists(req.query, schema.query);
+      }
+
+      if (!check(req[location])) {
+        details.push(...formatErrors(location, check.errors));
+      }
+    }
+
+    if (details.length > 0) {
+      return validationFailed(res, details);
+    }
+
+    next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+}
+
+module.exports = {
+  validate,
+  compileValidator,
+  validationFailed,
+};
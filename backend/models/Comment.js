@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { findPage } = require('../utils/pagination');
+
+const commentSchema = new mongoose.Schema({
+  commentId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  postId: {
+    type: String,
+    required: true,
+    ref: 'Post',
+  },
+  authorId: {
+    type: String,
+    required: true,
+    ref: 'User',
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000,
+  },
+}, {
+  timestamps: true,
+});
+
+// _id is the tie-breaker for cursor pagination
+commentSchema.index({ postId: 1, createdAt: -1, _id: -1 });
+
+// Static methods
+commentSchema.statics.getPostComments = async function(postId, options = {}) {
+  const { limit = 50, before = null, after = null } = options;
+
+  const page = await findPage(this, { postId }, { before, after, limit, field: 'createdAt' });
+
+  return {
+    comments: page.items,
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor,
+    hasMore: page.hasMore,
+  };
+};
+
+// Pre-save middleware
+commentSchema.pre('save', function(next) {
+  if (this.isNew && !this.commentId) {
+    this.commentId = new mongoose.Types.ObjectId().toString();
+  }
+  next();
+});
+
+// Transform output
+commentSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Comment', commentSchema);
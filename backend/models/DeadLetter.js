@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { findPage } = require('../utils/pagination');
+
+const deadLetterSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+    ref: 'Event',
+  },
+  type: {
+    type: String,
+    index: true,
+  },
+  sourceUserId: {
+    type: String,
+    ref: 'User',
+  },
+  status: {
+    type: String,
+    enum: ['dead', 'replayed'],
+    default: 'dead',
+    index: true,
+  },
+  attempts: {
+    type: Number,
+    required: true,
+  },
+  lastError: {
+    message: String,
+    stack: String,
+    at: Date,
+  },
+  failedAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+  replayCount: {
+    type: Number,
+    default: 0,
+  },
+  replayedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+deadLetterSchema.index({ status: 1, failedAt: -1, _id: -1 });
+
+// Static methods
+deadLetterSchema.statics.getDeadLetters = async function(options = {}) {
+  const {
+    status = 'dead',
+    type = null,
+    limit = 50,
+    before = null,
+    after = null,
+  } = options;
+
+  const query = {};
+
+  if (status) {
+    query.status = status;
+  }
+
+  if (type) {
+    query.type = type;
+  }
+
+  const page = await findPage(this, query, { before, after, limit, field: 'failedAt' });
+
+  return {
+    deadLetters: page.items,
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor,
+    hasMore: page.hasMore,
+  };
+};
+
+// Transform output
+deadLetterSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('DeadLetter', deadLetterSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const emailDeliverySchema = new mongoose.Schema({
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ['immediate', 'digest'],
+    required: true,
+  },
+  frequency: {
+    type: String,
+    enum: ['immediate', 'daily', 'weekly'],
+  },
+  subject: {
+    type: String,
+  },
+  notificationIds: [{
+    type: String,
+    ref: 'Notification',
+  }],
+  transport: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true,
+    index: true,
+  },
+  messageId: {
+    type: String,
+  },
+  error: {
+    type: String,
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+}, {
+  timestamps: true,
+});
+
+emailDeliverySchema.index({ userId: 1, timestamp: -1 });
+
+// Transform output
+emailDeliverySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('EmailDelivery', emailDeliverySchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { findPage } = require('../utils/pagination');
+const { describeEvent } = require('../services/templates');
 
 const eventSchema = new mongoose.Schema({
   eventId: {
@@ -28,6 +30,11 @@ const eventSchema = new mongoose.Schema({
     postId: String,
     commentId: String,
     content: String,
+    // Resolved server-side from @usernames in the content (MENTION events)
+    mentionedUsers: [{
+      type: String,
+      ref: 'User',
+    }],
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
@@ -43,19 +50,73 @@ const eventSchema = new mongoose.Schema({
     default: false,
     index: true,
   },
+  // A historical action sent with its timestamp in a batch: notifications are
+  // recorded at that time but never delivered (no stream, email, push or webhooks)
+  backfill: {
+    type: Boolean,
+    default: false,
+  },
+  // Id of the request that created the event; processing logs carry it as requestId
+  correlationId: {
+    type: String,
+    index: true,
+  },
+  // Set when the event went over a throttling budget (services/eventThrottle.js):
+  // it is recorded but notifies no one
+  suppression: {
+    reason: {
+      type: String,
+      enum: ['source_limit', 'target_limit', 'toggle'],
+    },
+    // The budget, and the count that went over it, within windowMs
+    limit: Number,
+    count: Number,
+    windowMs: Number,
+  },
   notificationsGenerated: [{
     notificationId: String,
     userId: String,
   }],
+  // Progress of a POST_CREATE fan-out to the author's followers
+  // (notificationsGenerated is not filled for fan-outs)
+  fanout: {
+    mode: {
+      type: String,
+      enum: ['write', 'read'],
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed'],
+    },
+    totalFollowers: Number,
+    scanned: Number,
+    notified: Number,
+    // _id of the last Follow edge processed, for resuming
+    lastFollowerId: mongoose.Schema.Types.ObjectId,
+    startedAt: Date,
+    completedAt: Date,
+  },
 }, {
   timestamps: true,
 });
 
 // Compound indexes for efficient queries
-eventSchema.index({ sourceUserId: 1, timestamp: -1 });
-eventSchema.index({ targetUserId: 1, timestamp: -1 });
+// _id is the tie-breaker for cursor pagination
+eventSchema.index({ sourceUserId: 1, timestamp: -1, _id: -1 });
+eventSchema.index({ targetUserId: 1, timestamp: -1, _id: -1 });
 eventSchema.index({ type: 1, timestamp: -1 });
 eventSchema.index({ processed: 1, timestamp: 1 });
+eventSchema.index(
+  { sourceUserId: 1, 'fanout.mode': 1, timestamp: -1, _id: -1 },
+  { partialFilterExpression: { 'fanout.mode': 'read' } }
+);
+// Throttling budgets count by save time, so backfilled timestamps don't skew them
+eventSchema.index({ sourceUserId: 1, type: 1, createdAt: -1 });
+eventSchema.index({ sourceUserId: 1, type: 1, targetUserId: 1, createdAt: -1 });
+eventSchema.index(
+  { createdAt: -1, 'suppression.reason': 1 },
+  { partialFilterExpression: { 'suppression.reason': { $exists: true } } }
+);
 
 // Static methods
 eventSchema.statics.getRecentEvents = function(userId, limit = 50) {
@@ -71,15 +132,104 @@ eventSchema.statics.getRecentEvents = function(userId, limit = 50) {
   .populate('targetUserId', 'username');
 };
 
+eventSchema.statics.getUserEvents = async function(userId, options = {}) {
+  const {
+    type = null,
+    limit = 50,
+    before = null,
+    after = null,
+  } = options;
+
+  const query = {
+    $or: [
+      { sourceUserId: userId },
+      { targetUserId: userId },
+    ]
+  };
+
+  if (type) {
+    query.type = type;
+  }
+
+  const page = await findPage(this, query, { before, after, limit, lean: true });
+
+  return {
+    events: page.items,
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor,
+    hasMore: page.hasMore,
+  };
+};
+
 eventSchema.statics.getEventsByType = function(type, limit = 100) {
   return this.find({ type })
     .sort({ timestamp: -1 })
     .limit(limit);
 };
 
-eventSchema.statics.getUnprocessedEvents = function() {
-  return this.find({ processed: false })
-    .sort({ timestamp: 1 }); // Process oldest first
+eventSchema.statics.getUnprocessedEvents = function(options = {}) {
+  const { createdBefore = null, limit = 0 } = options;
+  const query = { processed: false };
+
+  if (createdBefore) {
+    query.createdAt = { $lt: createdBefore };
+  }
+
+  return this.find(query)
+    .sort({ timestamp: 1 }) // Process oldest first
+    .limit(limit);
+};
+
+/**
+ * Suppressed event counts since a date, by reason and type, with the senders
+ * suppressed most
+ */
+eventSchema.statics.getSuppressionStats = async function(options = {}) {
+  const { since, limit = 20 } = options;
+
+  const [stats] = await this.aggregate([
+    { $match: { 'suppression.reason': { $exists: true }, createdAt: { $gte: since } } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        byReason: [{ $group: { _id: '$suppression.reason', count: { $sum: 1 } } }],
+        byType: [{ $group: { _id: '$type', count: { $sum: 1 } } }],
+        topSources: [
+          {
+            $group: {
+              _id: { sourceUserId: '$sourceUserId', reason: '$suppression.reason' },
+              count: { $sum: 1 },
+              lastSuppressedAt: { $max: '$createdAt' },
+            },
+          },
+          {
+            $group: {
+              _id: '$_id.sourceUserId',
+              suppressed: { $sum: '$count' },
+              byReason: { $push: { k: '$_id.reason', v: '$count' } },
+              lastSuppressedAt: { $max: '$lastSuppressedAt' },
+            },
+          },
+          { $sort: { suppressed: -1, _id: 1 } },
+          { $limit: limit },
+        ],
+      },
+    },
+  ]);
+
+  const toCounts = groups => Object.fromEntries(groups.map(({ _id, count }) => [_id, count]));
+
+  return {
+    total: stats.total.length > 0 ? stats.total[0].count : 0,
+    byReason: toCounts(stats.byReason),
+    byType: toCounts(stats.byType),
+    topSources: stats.topSources.map(source => ({
+      sourceUserId: source._id,
+      suppressed: source.suppressed,
+      byReason: Object.fromEntries(source.byReason.map(({ k, v }) => [k, v])),
+      lastSuppressedAt: source.lastSuppressedAt,
+    })),
+  };
 };
 
 // Instance methods
@@ -93,17 +243,9 @@ eventSchema.methods.addNotification = function(notificationId, userId) {
   return this.save();
 };
 
-// Virtual for event description
+// Virtual for event description, from the same templates as notifications
 eventSchema.virtual('description').get(function() {
-  const descriptions = {
-    LIKE: 'liked your post',
-    FOLLOW: 'started following you',
-    COMMENT: 'commented on your post',
-    POST_CREATE: 'created a new post',
-    MENTION: 'mentioned you in a post',
-    SHARE: 'shared your post',
-  };
-  return descriptions[this.type] || 'performed an action';
+  return describeEvent(this);
 });
 
 // Pre-save middleware
@@ -119,6 +261,9 @@ eventSchema.set('toJSON', {
   transform: function(doc, ret) {
     delete ret._id;
     delete ret.__v;
+    if (ret.fanout) {
+      delete ret.fanout.lastFollowerId;
+    }
     return ret;
   }
 });
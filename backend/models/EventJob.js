@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const eventJobSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+    ref: 'Event',
+  },
+  // Post fan-outs are worked separately from everything else
+  lane: {
+    type: String,
+    enum: ['default', 'fanout'],
+    default: 'default',
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'dead'],
+    default: 'pending',
+    index: true,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    required: true,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: {
+    type: Date,
+  },
+  lastError: {
+    message: String,
+    stack: String,
+    at: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    index: { expireAfterSeconds: 0 },
+  },
+}, {
+  timestamps: true,
+});
+
+// Compound indexes for claiming the next due job
+eventJobSchema.index({ lane: 1, status: 1, nextAttemptAt: 1 });
+eventJobSchema.index({ lane: 1, status: 1, lockedAt: 1 });
+
+// Static methods
+// Each count is a separate indexed countDocuments, so neither method scans the collection
+eventJobSchema.statics.getStats = async function() {
+  const statuses = this.schema.path('status').enumValues;
+  const counts = await Promise.all(statuses.map(status => this.countDocuments({ status })));
+
+  return Object.fromEntries(statuses.map((status, index) => [status, counts[index]]));
+};
+
+/**
+ * Count jobs for every lane and each of `statuses`, as [{ lane, status, count }]
+ */
+eventJobSchema.statics.countByLane = async function(statuses) {
+  const pairs = this.schema.path('lane').enumValues
+    .flatMap(lane => statuses.map(status => ({ lane, status })));
+
+  const counts = await Promise.all(pairs.map(({ lane, status }) => this.countDocuments({
+    // Jobs queued before lanes existed belong to the default lane
+    lane: lane === 'default' ? { $in: ['default', null] } : lane,
+    status,
+  })));
+
+  return pairs.map((pair, index) => ({ ...pair, count: counts[index] }));
+};
+
+// Transform output
+eventJobSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    delete ret.expiresAt;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('EventJob', eventJobSchema);
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { findPage } = require('../utils/pagination');
+
+// One document per follow edge; follower and following counts are counted from these
+const followSchema = new mongoose.Schema({
+  followerId: {
+    type: String,
+    required: true,
+    ref: 'User',
+  },
+  followeeId: {
+    type: String,
+    required: true,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+followSchema.index({ followerId: 1, followeeId: 1 }, { unique: true });
+// _id is the tie-breaker for cursor pagination
+followSchema.index({ followeeId: 1, createdAt: -1, _id: -1 });
+followSchema.index({ followerId: 1, createdAt: -1, _id: -1 });
+
+// Static methods
+
+/**
+ * Create the follow edge; returns false if it already existed
+ * The unique index makes concurrent follows safe, and only the request
+ * that actually inserted the edge gets true
+ */
+followSchema.statics.follow = async function(followerId, followeeId) {
+  try {
+    const result = await this.updateOne(
+      { followerId, followeeId },
+      { $setOnInsert: { followerId, followeeId, createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    return result.upsertedCount > 0;
+  } catch (error) {
+    // A concurrent upsert of the same edge won the race
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Remove the follow edge; returns false if there was none
+ */
+followSchema.statics.unfollow = async function(followerId, followeeId) {
+  const result = await this.deleteOne({ followerId, followeeId });
+  return result.deletedCount > 0;
+};
+
+followSchema.statics.isFollowing = async function(followerId, followeeId) {
+  return Boolean(await this.exists({ followerId, followeeId }));
+};
+
+/**
+ * Follow state between two users in both directions
+ */
+followSchema.statics.getRelationship = async function(userId, targetUserId) {
+  const [isFollowing, isFollowedBy] = await Promise.all([
+    this.isFollowing(userId, targetUserId),
+    this.isFollowing(targetUserId, userId),
+  ]);
+
+  return {
+    isFollowing,
+    isFollowedBy,
+    isMutual: isFollowing && isFollowedBy,
+  };
+};
+
+followSchema.statics.getFollowers = function(userId, options = {}) {
+  const { limit = 50, before = null, after = null } = options;
+  return findPage(this, { followeeId: userId }, { before, after, limit, field: 'createdAt', lean: true });
+};
+
+followSchema.statics.getFollowing = function(userId, options = {}) {
+  const { limit = 50, before = null, after = null } = options;
+  return findPage(this, { followerId: userId }, { before, after, limit, field: 'createdAt', lean: true });
+};
+
+followSchema.statics.getFollowingIds = async function(userId) {
+  const follows = await this.find({ followerId: userId }, 'followeeId').lean();
+  return follows.map(follow => follow.followeeId);
+};
+
+/**
+ * Remove any follow between two users, in either direction
+ */
+followSchema.statics.removeBetween = async function(userId, otherUserId) {
+  const result = await this.deleteMany({
+    $or: [
+      { followerId: userId, followeeId: otherUserId },
+      { followerId: otherUserId, followeeId: userId },
+    ],
+  });
+  return result.deletedCount;
+};
+
+/**
+ * Follower and following counts for each of `userIds`, counted from the edges
+ * Returns a Map of userId to { followerCount, followingCount }; users with no
+ * edges get zeros
+ */
+followSchema.statics.getCounts = async function(userIds) {
+  const countBy = field => this.aggregate([
+    { $match: { [field]: { $in: userIds } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  ]);
+  const [followers, following] = await Promise.all([countBy('followeeId'), countBy('followerId')]);
+
+  const counts = new Map(userIds.map(userId => [userId, { followerCount: 0, followingCount: 0 }]));
+  followers.forEach(({ _id, count }) => {
+    counts.get(_id).followerCount = count;
+  });
+  following.forEach(({ _id, count }) => {
+    counts.get(_id).followingCount = count;
+  });
+  return counts;
+};
+
+/**
+ * Serialize users with their follower and following counts
+ */
+followSchema.statics.withCounts = async function(users) {
+  const counts = await this.getCounts(users.map(user => user.userId));
+  return users.map(user => ({ ...user.toJSON(), ...counts.get(user.userId) }));
+};
+
+// Transform output
+followSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * Push/email delivery postponed until the recipient's quiet hours end
+ * The in-app notification itself is stored immediately
+ */
+const heldDeliverySchema = new mongoose.Schema({
+  notificationId: {
+    type: String,
+    required: true,
+    unique: true,
+    ref: 'Notification',
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true,
+  },
+  releaseAt: {
+    type: Date,
+    required: true,
+    index: true,
+  },
+  // Set while a releaser is sending it; reclaimable once the claim is stale
+  claimedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Transform output
+heldDeliverySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('HeldDelivery', heldDeliverySchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const RETENTION_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_RETENTION_HOURS) || 24;
+// A claim older than this belongs to a request that died before responding
+const LOCK_TIMEOUT_MS = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS) || 60 * 1000;
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  // Keys are scoped to the caller, so two clients can't collide
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User',
+  },
+  // SHA-256 of the canonical request body, to detect a key reused for another payload
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing',
+  },
+  responseStatus: {
+    type: Number,
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    default: function() {
+      return new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000);
+    },
+    index: { expireAfterSeconds: 0 },
+  },
+}, {
+  timestamps: true,
+});
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// Static methods
+
+/**
+ * Claim a key for a new request
+ * Resolves to { record, claimed }: claimed is false when the key is already in
+ * use, and record is then the earlier request's (completed or in progress)
+ */
+idempotencyKeySchema.statics.claim = async function({ userId, key, requestHash }) {
+  try {
+    const record = await this.create({ userId, key, requestHash });
+    return { record, claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Take over a claim abandoned by a request that crashed
+  const abandoned = await this.findOneAndUpdate(
+    {
+      userId,
+      key,
+      requestHash,
+      status: 'processing',
+      lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) },
+    },
+    { $set: { lockedAt: new Date() } },
+    { new: true }
+  );
+  if (abandoned) {
+    return { record: abandoned, claimed: true };
+  }
+
+  const record = await this.findOne({ userId, key });
+  if (!record) {
+    // Expired in between; claim it afresh
+    return this.claim({ userId, key, requestHash });
+  }
+
+  return { record, claimed: false };
+};
+
+// Instance methods
+idempotencyKeySchema.methods.complete = function(responseStatus, responseBody) {
+  this.status = 'completed';
+  this.responseStatus = responseStatus;
+  this.responseBody = responseBody;
+  return this.save();
+};
+
+// Release the key so the request can be retried
+idempotencyKeySchema.methods.release = function() {
+  return this.deleteOne();
+};
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * One document per scheduled job; whoever holds the lease runs the job
+ * lastScheduledAt records the cron tick last claimed, so an instance that
+ * reaches the same tick after the run has finished does not run it again
+ */
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  lockedBy: {
+    type: String,
+  },
+  lockedAt: {
+    type: Date,
+  },
+  // Lease end; a crashed holder's lock can be taken over after this
+  lockedUntil: {
+    type: Date,
+  },
+  lastScheduledAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Static methods
+
+/**
+ * Take the lock for a run, or return null if another instance holds it or
+ * has already claimed this tick. Manual runs pass no scheduledAt
+ */
+jobLockSchema.statics.acquire = async function(name, { owner, leaseMs, scheduledAt = null }) {
+  const now = new Date();
+  const filter = {
+    name,
+    $and: [
+      { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    ],
+  };
+  const update = {
+    lockedBy: owner,
+    lockedAt: now,
+    lockedUntil: new Date(now.getTime() + leaseMs),
+  };
+
+  if (scheduledAt) {
+    filter.$and.push({ $or: [{ lastScheduledAt: null }, { lastScheduledAt: { $lt: scheduledAt } }] });
+    update.lastScheduledAt = scheduledAt;
+  }
+
+  try {
+    return await this.findOneAndUpdate(filter, { $set: update }, { upsert: true, new: true });
+  } catch (error) {
+    // The upsert lost to an existing document that did not match: someone else has it
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+jobLockSchema.statics.release = function(name, owner) {
+  return this.updateOne({ name, lockedBy: owner }, { $set: { lockedUntil: null } });
+};
+
+// Transform output
+jobLockSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
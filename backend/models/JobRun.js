@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { findPage } = require('../utils/pagination');
+
+const RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS) || 30;
+
+/**
+ * One run of a scheduled job, kept for RETENTION_DAYS
+ */
+const jobRunSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'startup', 'manual'],
+    required: true,
+  },
+  // Admin who started a manual run
+  triggeredBy: {
+    type: String,
+  },
+  // Cron tick the run was for; absent for manual runs
+  scheduledAt: {
+    type: Date,
+  },
+  instance: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running',
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  durationMs: {
+    type: Number,
+  },
+  // Whatever the job returned, e.g. { requeued: 3 }
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  error: {
+    message: String,
+    stack: String,
+  },
+  expiresAt: {
+    type: Date,
+    default: function() {
+      return new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    },
+    index: { expireAfterSeconds: 0 },
+  },
+}, {
+  timestamps: true,
+});
+
+jobRunSchema.index({ name: 1, startedAt: -1, _id: -1 });
+jobRunSchema.index({ startedAt: -1, _id: -1 });
+
+// Static methods
+jobRunSchema.statics.getRuns = async function(options = {}) {
+  const {
+    name = null,
+    status = null,
+    limit = 50,
+    before = null,
+    after = null,
+  } = options;
+
+  const query = {};
+
+  if (name) {
+    query.name = name;
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  const page = await findPage(this, query, { before, after, limit, field: 'startedAt' });
+
+  return {
+    runs: page.items,
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor,
+    hasMore: page.hasMore,
+  };
+};
+
+/**
+ * Most recent run of each of the named jobs, keyed by name
+ */
+jobRunSchema.statics.getLatestRuns = async function(names) {
+  const latest = await this.aggregate([
+    { $match: { name: { $in: names } } },
+    { $sort: { startedAt: -1, _id: -1 } },
+    { $group: { _id: '$name', run: { $first: '$$ROOT' } } },
+  ]);
+
+  return Object.fromEntries(latest.map(({ _id, run }) => [_id, this.hydrate(run)]));
+};
+
+// Transform output
+jobRunSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    delete ret.expiresAt;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// One document per user per liked post; Post.likeCount is kept in step
+const likeSchema = new mongoose.Schema({
+  postId: {
+    type: String,
+    required: true,
+    ref: 'Post',
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+likeSchema.index({ postId: 1, userId: 1 }, { unique: true });
+
+// Static methods
+
+/**
+ * Record the like; returns false if the user already liked the post
+ */
+likeSchema.statics.like = async function(postId, userId) {
+  try {
+    const result = await this.updateOne(
+      { postId, userId },
+      { $setOnInsert: { postId, userId, createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount === 0) {
+      return false;
+    }
+  } catch (error) {
+    // A concurrent like of the same post won the race
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+
+  await mongoose.model('Post').incrementCount(postId, 'likeCount', 1);
+  return true;
+};
+
+/**
+ * Remove the like; returns false if there was none
+ */
+likeSchema.statics.unlike = async function(postId, userId) {
+  const removed = await this.findOneAndDelete({ postId, userId });
+
+  if (!removed) {
+    return false;
+  }
+
+  await mongoose.model('Post').incrementCount(postId, 'likeCount', -1);
+  return true;
+};
+
+likeSchema.statics.hasLiked = async function(postId, userId) {
+  return Boolean(await this.exists({ postId, userId }));
+};
+
+// Transform output
+likeSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Like', likeSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { findPage, findTextPage } = require('../utils/pagination');
 
 const notificationSchema = new mongoose.Schema({
   notificationId: {
@@ -39,11 +40,40 @@ const notificationSchema = new mongoose.Schema({
     ref: 'User',
     index: true,
   },
+  // Rollups ("X, Y and N others liked your post") share one row per
+  // recipient + type + post; sourceUserId is the most recent actor
+  aggregationKey: {
+    type: String,
+  },
+  // The most recent actors first, capped; actorCount counts all of them
+  actors: [{
+    _id: false,
+    userId: String,
+    username: String,
+  }],
+  actorCount: {
+    type: Number,
+    default: 1,
+  },
+  // Last email/push delivery of a rollup, so new actors re-send it at most every ROLLUP_REDELIVERY_INTERVAL_MS
+  deliveredAt: {
+    type: Date,
+  },
+  // Stored copy of a fan-out-on-read post, saved when the recipient read or dismissed it
+  fanoutOnRead: {
+    type: Boolean,
+  },
+  // Recorded from a backfilled event: in the feed, never delivered or included in digests
+  backfill: {
+    type: Boolean,
+  },
   data: {
     postId: String,
     commentId: String,
     url: String,
     imageUrl: String,
+    // Comment text quoted by the templates, so each channel can render its own variant
+    excerpt: String,
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
@@ -73,35 +103,136 @@ const notificationSchema = new mongoose.Schema({
 });
 
 // Compound indexes for efficient queries
-notificationSchema.index({ userId: 1, timestamp: -1 });
-notificationSchema.index({ userId: 1, status: 1, timestamp: -1 });
+// _id is the tie-breaker for cursor pagination
+notificationSchema.index({ userId: 1, timestamp: -1, _id: -1 });
+notificationSchema.index({ userId: 1, status: 1, timestamp: -1, _id: -1 });
 notificationSchema.index({ type: 1, timestamp: -1 });
 notificationSchema.index({ sourceUserId: 1, timestamp: -1 });
+// Filters of a user's feed and search
+notificationSchema.index({ userId: 1, type: 1, timestamp: -1, _id: -1 });
+notificationSchema.index({ userId: 1, 'actors.userId': 1, timestamp: -1, _id: -1 });
+notificationSchema.index({ userId: 1, 'data.postId': 1, timestamp: -1, _id: -1 });
+// Full-text search within one user's notifications. Content is written in the
+// recipient's language, so words are matched as-is, without English stemming or stop words
+notificationSchema.index({ userId: 1, content: 'text' }, { default_language: 'none' });
+// At most one open (unread or read) rollup per key, even when two actors arrive at once
+notificationSchema.index(
+  { aggregationKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { aggregationKey: { $exists: true }, status: { $in: ['unread', 'read'] } },
+  }
+);
 
-// Static methods
-notificationSchema.statics.getUserNotifications = function(userId, options = {}) {
+/**
+ * Query for a user's notifications matching the feed filters
+ * `sourceUserId` matches any actor of a rollup; `from` and `to` are inclusive
+ */
+function buildUserQuery(userId, options = {}) {
   const {
-    status = null,
-    limit = 50,
-    skip = 0,
+    q = null,
+    statuses = null,
     types = null,
+    sourceUserId = null,
+    postId = null,
+    from = null,
+    to = null,
   } = options;
 
-  let query = { userId };
-  
-  if (status) {
-    query.status = status;
+  const query = { userId };
+
+  if (q) {
+    query.$text = { $search: q };
   }
-  
+
+  if (statuses && statuses.length > 0) {
+    query.status = { $in: statuses };
+  }
+
   if (types && types.length > 0) {
     query.type = { $in: types };
   }
 
-  return this.find(query)
-    .sort({ timestamp: -1 })
-    .limit(limit)
-    .skip(skip)
-    .populate('sourceUserId', 'username profile.company');
+  if (sourceUserId) {
+    query['actors.userId'] = sourceUserId;
+  }
+
+  if (postId) {
+    query['data.postId'] = postId;
+  }
+
+  if (from || to) {
+    query.timestamp = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+  }
+
+  return query;
+}
+
+// Static methods
+/**
+ * A page of a user's notifications: newest first, oldest first (sort: 'oldest')
+ * or best match first for a text search (sort: 'relevance', requires q)
+ */
+notificationSchema.statics.getUserNotifications = async function(userId, options = {}) {
+  const {
+    limit = 50,
+    before = null,
+    after = null,
+    sort = 'newest',
+  } = options;
+
+  const query = buildUserQuery(userId, options);
+  const pageOptions = {
+    before,
+    after,
+    limit,
+    populate: ['sourceUserId', 'username profile.company'],
+  };
+
+  const page = sort === 'relevance'
+    ? await findTextPage(this, query, pageOptions)
+    : await findPage(this, query, { ...pageOptions, order: sort === 'oldest' ? 1 : -1 });
+
+  return {
+    notifications: page.items,
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor,
+    hasMore: page.hasMore,
+  };
+};
+
+/**
+ * Counts per type and per status of a user's notifications matching the feed filters
+ * Each facet applies every filter but its own, so the counts show what choosing
+ * another type or status would return
+ */
+notificationSchema.statics.getFacetCounts = async function(userId, options = {}) {
+  const { statuses = null, types = null, ...filters } = options;
+  const byStatus = statuses && statuses.length > 0 ? [{ $match: { status: { $in: statuses } } }] : [];
+  const byType = types && types.length > 0 ? [{ $match: { type: { $in: types } } }] : [];
+
+  const [facets] = await this.aggregate([
+    { $match: buildUserQuery(userId, filters) },
+    {
+      $facet: {
+        types: [...byStatus, { $group: { _id: '$type', count: { $sum: 1 } } }],
+        statuses: [...byType, { $group: { _id: '$status', count: { $sum: 1 } } }],
+      },
+    },
+  ]);
+
+  const toCounts = (values, groups) => Object.fromEntries(values.map(value => [
+    value,
+    (groups.find(group => group._id === value) || { count: 0 }).count,
+  ]));
+
+  return {
+    types: toCounts(this.schema.path('type').enumValues, facets.types),
+    statuses: toCounts(this.schema.path('status').enumValues, facets.statuses),
+  };
 };
 
 notificationSchema.statics.getUnreadCount = function(userId) {
@@ -176,6 +307,10 @@ notificationSchema.set('toJSON', {
     delete ret._id;
     delete ret.__v;
     delete ret.expiresAt; // Don't expose expiration in API
+    delete ret.aggregationKey;
+    delete ret.deliveredAt;
+    delete ret.fanoutOnRead;
+    delete ret.backfill;
     return ret;
   }
 });
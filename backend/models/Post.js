@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { findPage } = require('../utils/pagination');
+
+const postSchema = new mongoose.Schema({
+  postId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  authorId: {
+    type: String,
+    required: true,
+    ref: 'User',
+  },
+  content: {
+    type: String,
+    trim: true,
+    maxlength: 5000,
+  },
+  imageUrl: {
+    type: String,
+  },
+  // Set when this post is a share of another post
+  sharedPostId: {
+    type: String,
+    ref: 'Post',
+  },
+  likeCount: {
+    type: Number,
+    default: 0,
+  },
+  commentCount: {
+    type: Number,
+    default: 0,
+  },
+  shareCount: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+// _id is the tie-breaker for cursor pagination
+postSchema.index({ authorId: 1, createdAt: -1, _id: -1 });
+postSchema.index({ createdAt: -1, _id: -1 });
+
+// Static methods
+postSchema.statics.findByPostId = function(postId) {
+  return this.findOne({ postId });
+};
+
+postSchema.statics.getPosts = async function(options = {}) {
+  const {
+    authorId = null,
+    limit = 50,
+    before = null,
+    after = null,
+  } = options;
+
+  const query = {};
+
+  if (authorId) {
+    query.authorId = authorId;
+  }
+
+  const page = await findPage(this, query, { before, after, limit, field: 'createdAt' });
+
+  return {
+    posts: page.items,
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor,
+    hasMore: page.hasMore,
+  };
+};
+
+postSchema.statics.incrementCount = function(postId, field, delta = 1) {
+  return this.findOneAndUpdate({ postId }, { $inc: { [field]: delta } }, { new: true });
+};
+
+// Pre-save middleware
+postSchema.pre('save', function(next) {
+  if (this.isNew && !this.postId) {
+    this.postId = new mongoose.Types.ObjectId().toString();
+  }
+  next();
+});
+
+// Transform output
+postSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Post', postSchema);
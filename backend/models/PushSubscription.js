@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const pushSubscriptionSchema = new mongoose.Schema({
+  subscriptionId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true,
+  },
+  // 'webpush' subscriptions come from the browser Push API; 'device' ones are
+  // mobile provider tokens (FCM, APNs, ...) identified by platform + token
+  kind: {
+    type: String,
+    enum: ['webpush', 'device'],
+    required: true,
+  },
+  endpoint: {
+    type: String,
+  },
+  keys: {
+    p256dh: String,
+    auth: String,
+  },
+  platform: {
+    type: String,
+  },
+  token: {
+    type: String,
+  },
+  expirationTime: {
+    type: Date,
+  },
+  userAgent: {
+    type: String,
+  },
+  lastSuccessAt: {
+    type: Date,
+  },
+  failureCount: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+// A browser endpoint or device token belongs to one subscription at a time
+pushSubscriptionSchema.index(
+  { endpoint: 1 },
+  { unique: true, partialFilterExpression: { kind: 'webpush' } }
+);
+pushSubscriptionSchema.index(
+  { platform: 1, token: 1 },
+  { unique: true, partialFilterExpression: { kind: 'device' } }
+);
+
+// Instance methods
+pushSubscriptionSchema.methods.isExpired = function() {
+  return Boolean(this.expirationTime) && this.expirationTime < new Date();
+};
+
+// Transform output
+pushSubscriptionSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    delete ret.keys; // Don't expose encryption keys in API responses
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -1,4 +1,34 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
 const mongoose = require('mongoose');
+const { TIME_PATTERN, isValidTimezone } = require('../utils/timezone');
+const { DEFAULT_LOCALE, isSupportedLocale, normalizeLocale } = require('../services/templates');
+
+const scrypt = promisify(crypto.scrypt);
+const PASSWORD_KEY_LENGTH = 64;
+
+const NOTIFICATION_TYPES = ['LIKE', 'FOLLOW', 'COMMENT', 'POST_CREATE', 'MENTION', 'SHARE'];
+// Frequencies each channel supports; only email can batch into a digest
+const DELIVERY_CHANNELS = {
+  inApp: ['instant', 'off'],
+  email: ['instant', 'digest', 'off'],
+  push: ['instant', 'off'],
+};
+// Used for every cell the user hasn't set
+const DEFAULT_DELIVERY = {
+  inApp: 'instant',
+  email: 'digest',
+  push: 'instant',
+};
+
+// preferences.delivery.<type>.<channel>, e.g. preferences.delivery.COMMENT.email = 'instant'
+const deliveryMatrix = Object.fromEntries(NOTIFICATION_TYPES.map(type => [
+  type,
+  Object.fromEntries(Object.entries(DELIVERY_CHANNELS).map(([channel, frequencies]) => [
+    channel,
+    { type: String, enum: frequencies },
+  ])),
+]));
 
 const userSchema = new mongoose.Schema({
   userId: {
@@ -21,32 +51,100 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true,
   },
+  passwordHash: {
+    type: String,
+    select: false,
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user',
+  },
+  // BCP 47 tag notifications are written in, e.g. 'hi' or 'ta-IN'
+  locale: {
+    type: String,
+    default: DEFAULT_LOCALE,
+    set: normalizeLocale,
+    validate: {
+      validator: isSupportedLocale,
+      message: props => `${props.value} is not a supported locale`,
+    },
+  },
   preferences: {
-    emailNotifications: {
-      type: Boolean,
-      default: true,
+    // How each type reaches the user on each channel; unset cells use DEFAULT_DELIVERY
+    delivery: deliveryMatrix,
+    // When email cells set to 'digest' are sent
+    digestFrequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      default: 'daily',
+    },
+    // IANA time zone used for quiet hours
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimezone,
+        message: props => `${props.value} is not a valid time zone`,
+      },
     },
-    pushNotifications: {
-      type: Boolean,
-      default: true,
+    // Daily local window during which push/email deliveries are held
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      start: {
+        type: String,
+        match: TIME_PATTERN,
+        default: '22:00',
+      },
+      end: {
+        type: String,
+        match: TIME_PATTERN,
+        default: '07:00',
+      },
     },
-    notificationTypes: {
+    // One-off do-not-disturb window, held like quiet hours
+    doNotDisturbUntil: {
+      type: Date,
+    },
+    // Types delivered immediately even during quiet hours / do-not-disturb
+    urgentTypes: {
       type: [String],
-      enum: ['LIKE', 'FOLLOW', 'COMMENT', 'POST_CREATE', 'MENTION'],
-      default: ['LIKE', 'FOLLOW', 'COMMENT', 'POST_CREATE', 'MENTION'],
+      enum: NOTIFICATION_TYPES,
+      default: ['MENTION'],
     },
   },
+  lastEmailDigestAt: {
+    type: Date,
+  },
+  // Posts merged into the feed at read time are unread until they are newer than this
+  feedReadAt: {
+    type: Date,
+  },
   profile: {
     bio: String,
     location: String,
     company: String,
     website: String,
   },
-  followers: [{
-    type: String,
-    ref: 'User',
+  // Mutes silence activity (except follows and mentions) until they expire
+  mutedUsers: [{
+    _id: false,
+    userId: {
+      type: String,
+      ref: 'User',
+    },
+    expiresAt: Date,
   }],
-  following: [{
+  mutedPosts: [{
+    _id: false,
+    postId: String,
+    expiresAt: Date,
+  }],
+  // Blocks silence everything between the two users, in both directions
+  blockedUsers: [{
     type: String,
     ref: 'User',
   }],
@@ -65,46 +163,175 @@ const userSchema = new mongoose.Schema({
 // Indexes for performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+// Case-insensitive lookups (e.g. resolving @mentions)
+userSchema.index({ username: 1 }, { name: 'username_case_insensitive', collation: { locale: 'en', strength: 2 } });
 userSchema.index({ createdAt: -1 });
 
-// Virtual for follower count
-userSchema.virtual('followerCount').get(function() {
-  return this.followers.length;
-});
+// Methods
+userSchema.methods.getActiveMutes = function(now = new Date()) {
+  const isActive = mute => !mute.expiresAt || mute.expiresAt > now;
+  return {
+    mutedUsers: this.mutedUsers.filter(isActive),
+    mutedPosts: this.mutedPosts.filter(isActive),
+  };
+};
 
-// Virtual for following count
-userSchema.virtual('followingCount').get(function() {
-  return this.following.length;
-});
+userSchema.methods.isMutingUser = function(userId) {
+  return this.getActiveMutes().mutedUsers.some(mute => mute.userId === userId);
+};
 
-// Methods
-userSchema.methods.follow = function(targetUserId) {
-  if (!this.following.includes(targetUserId)) {
-    this.following.push(targetUserId);
+userSchema.methods.isMutingPost = function(postId) {
+  return Boolean(postId) && this.getActiveMutes().mutedPosts.some(mute => mute.postId === postId);
+};
+
+userSchema.methods.hasBlocked = function(userId) {
+  return this.blockedUsers.includes(userId);
+};
+
+/**
+ * Mute a user or a post (replacing any existing mute); expired mutes are dropped
+ */
+userSchema.methods.mute = function({ userId, postId, expiresAt = null }) {
+  const { mutedUsers, mutedPosts } = this.getActiveMutes();
+
+  if (userId) {
+    this.mutedUsers = [...mutedUsers.filter(mute => mute.userId !== userId), { userId, expiresAt }];
+  } else {
+    this.mutedUsers = mutedUsers;
   }
+
+  if (postId) {
+    this.mutedPosts = [...mutedPosts.filter(mute => mute.postId !== postId), { postId, expiresAt }];
+  } else {
+    this.mutedPosts = mutedPosts;
+  }
+
   return this.save();
 };
 
-userSchema.methods.unfollow = function(targetUserId) {
-  this.following = this.following.filter(id => id !== targetUserId);
+userSchema.methods.unmuteUser = function(userId) {
+  this.mutedUsers = this.mutedUsers.filter(mute => mute.userId !== userId);
   return this.save();
 };
 
-userSchema.methods.isFollowing = function(targetUserId) {
-  return this.following.includes(targetUserId);
+userSchema.methods.unmutePost = function(postId) {
+  this.mutedPosts = this.mutedPosts.filter(mute => mute.postId !== postId);
+  return this.save();
+};
+
+userSchema.methods.block = function(userId) {
+  if (!this.blockedUsers.includes(userId)) {
+    this.blockedUsers.push(userId);
+  }
+  return this.save();
+};
+
+userSchema.methods.unblock = function(userId) {
+  this.blockedUsers = this.blockedUsers.filter(id => id !== userId);
+  return this.save();
+};
+
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await this.constructor.hashPassword(password);
+  return this;
+};
+
+userSchema.methods.verifyPassword = async function(password) {
+  if (!this.passwordHash) {
+    return false;
+  }
+
+  const [salt, key] = this.passwordHash.split(':');
+  const derivedKey = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return crypto.timingSafeEqual(Buffer.from(key, 'hex'), derivedKey);
 };
 
+/**
+ * How a notification type reaches the user on a channel: 'instant', 'digest' or 'off'
+ * Email and push deliver the in-app notification, so they are off when it is
+ */
+userSchema.methods.getDeliveryFrequency = function(type, channel) {
+  const delivery = this.preferences.delivery || {};
+  const cell = delivery[type] || {};
+
+  if (channel !== 'inApp' && this.getDeliveryFrequency(type, 'inApp') === 'off') {
+    return 'off';
+  }
+  return cell[channel] || DEFAULT_DELIVERY[channel];
+};
+
+/**
+ * Types delivered on a channel at a frequency, e.g. the types that go into email digests
+ */
+userSchema.methods.getTypesDeliveredAt = function(channel, frequency) {
+  return NOTIFICATION_TYPES.filter(type => this.getDeliveryFrequency(type, channel) === frequency);
+};
+
+/**
+ * Preferences with every delivery cell filled in as it currently applies
+ */
+userSchema.methods.getEffectivePreferences = function() {
+  const preferences = this.toObject().preferences;
+
+  preferences.delivery = Object.fromEntries(NOTIFICATION_TYPES.map(type => [
+    type,
+    Object.fromEntries(Object.keys(DELIVERY_CHANNELS).map(channel => [
+      channel,
+      this.getDeliveryFrequency(type, channel),
+    ])),
+  ]));
+
+  return preferences;
+};
+
+/**
+ * Apply a partial update: only the fields (and delivery cells) present are changed
+ */
 userSchema.methods.updatePreferences = function(newPreferences) {
-  this.preferences = { ...this.preferences, ...newPreferences };
+  const setLeaves = (value, path) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      Object.entries(value).forEach(([key, child]) => setLeaves(child, `${path}.${key}`));
+    } else {
+      this.set(path, value);
+    }
+  };
+
+  setLeaves(newPreferences, 'preferences');
   this.updatedAt = new Date();
   return this.save();
 };
 
 // Static methods
+
+/**
+ * Query filter for users with at least one type delivered on a channel at a
+ * frequency; the query form of getTypesDeliveredAt (for frequencies other than 'off')
+ */
+userSchema.statics.deliversAnyTypeAt = function(channel, frequency) {
+  return {
+    $or: NOTIFICATION_TYPES.map(type => {
+      const cell = `preferences.delivery.${type}`;
+      const condition = {
+        [`${cell}.${channel}`]: frequency === DEFAULT_DELIVERY[channel] ? { $in: [null, frequency] } : frequency,
+      };
+      if (channel !== 'inApp') {
+        condition[`${cell}.inApp`] = { $ne: 'off' };
+      }
+      return condition;
+    }),
+  };
+};
+
 userSchema.statics.findByUserId = function(userId) {
   return this.findOne({ userId });
 };
 
+userSchema.statics.hashPassword = async function(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derivedKey = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return `${salt}:${derivedKey.toString('hex')}`;
+};
+
 userSchema.statics.searchUsers = function(query, limit = 10) {
   return this.find({
     $or: [
@@ -126,6 +353,11 @@ userSchema.set('toJSON', {
     delete ret._id;
     delete ret.__v;
     delete ret.email; // Don't expose email in API responses
+    delete ret.passwordHash;
+    // Mute and block lists are private to the user
+    delete ret.mutedUsers;
+    delete ret.mutedPosts;
+    delete ret.blockedUsers;
     return ret;
   }
 });
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { findPage } = require('../utils/pagination');
+
+const RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true,
+  },
+  responseStatus: {
+    type: Number,
+  },
+  error: {
+    type: String,
+  },
+  durationMs: {
+    type: Number,
+  },
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  subscriptionId: {
+    type: String,
+    required: true,
+    ref: 'WebhookSubscription',
+  },
+  topic: {
+    type: String,
+    required: true,
+  },
+  // Event or notification type the payload is about
+  type: {
+    type: String,
+  },
+  // The signed JSON body: { id, topic, createdAt, data }. Redeliveries resend it unchanged,
+  // so receivers can de-duplicate on its id
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'succeeded', 'failed'],
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    required: true,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: {
+    type: Date,
+  },
+  attemptLog: [attemptSchema],
+  // Outcome of the latest attempt
+  responseStatus: {
+    type: Number,
+  },
+  responseBody: {
+    type: String,
+  },
+  error: {
+    type: String,
+  },
+  deliveredAt: {
+    type: Date,
+  },
+  redeliveryOf: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+    default: function() {
+      return new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    },
+    index: { expireAfterSeconds: 0 },
+  },
+}, {
+  timestamps: true,
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1, _id: -1 });
+
+// Static methods
+webhookDeliverySchema.statics.getDeliveries = async function(subscriptionId, options = {}) {
+  const {
+    status = null,
+    topic = null,
+    limit = 50,
+    before = null,
+    after = null,
+  } = options;
+
+  const query = { subscriptionId };
+
+  if (status) {
+    query.status = status;
+  }
+
+  if (topic) {
+    query.topic = topic;
+  }
+
+  const page = await findPage(this, query, { before, after, limit, field: 'createdAt' });
+
+  return {
+    deliveries: page.items,
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor,
+    hasMore: page.hasMore,
+  };
+};
+
+// Transform output
+webhookDeliverySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
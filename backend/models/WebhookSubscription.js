@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Event = require('./Event');
+
+const WEBHOOK_TOPICS = ['event.created', 'notification.created', 'notification.updated'];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  subscriptionId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+    maxlength: 500,
+  },
+  topics: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_TOPICS,
+    }],
+    default: WEBHOOK_TOPICS,
+  },
+  // Event/notification types to send; empty means every type
+  types: [{
+    type: String,
+    enum: Event.schema.path('type').enumValues,
+  }],
+  // Shared secret deliveries are signed with; only returned when created
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+    default: () => `whsec_${crypto.randomBytes(24).toString('hex')}`,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true,
+  },
+  disabledAt: {
+    type: Date,
+  },
+  disabledReason: {
+    type: String,
+  },
+  // Failed attempts since the last successful one; too many disables the subscription
+  consecutiveFailures: {
+    type: Number,
+    default: 0,
+  },
+  lastDeliveryAt: {
+    type: Date,
+  },
+  lastSuccessAt: {
+    type: Date,
+  },
+  lastFailureAt: {
+    type: Date,
+  },
+  createdBy: {
+    type: String,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+webhookSubscriptionSchema.index({ createdAt: -1, _id: -1 });
+
+// Instance methods
+webhookSubscriptionSchema.methods.matches = function(topic, type) {
+  return this.topics.includes(topic) && (this.types.length === 0 || this.types.includes(type));
+};
+
+webhookSubscriptionSchema.methods.enable = function() {
+  this.active = true;
+  this.consecutiveFailures = 0;
+  this.disabledAt = undefined;
+  this.disabledReason = undefined;
+};
+
+webhookSubscriptionSchema.methods.disable = function(reason) {
+  this.active = false;
+  this.disabledAt = new Date();
+  this.disabledReason = reason;
+};
+
+// Transform output
+webhookSubscriptionSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    delete ret.secret; // Only shown once, when the subscription is created
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
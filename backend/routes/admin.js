@@ -0,0 +1,403 @@
+const express = require('express');
+const Event = require('../models/Event');
+const EventJob = require('../models/EventJob');
+const DeadLetter = require('../models/DeadLetter');
+const EmailDelivery = require('../models/EmailDelivery');
+const JobRun = require('../models/JobRun');
+const { eventQueue } = require('../services/notificationProcessor');
+const { sendDueDigests } = require('../services/emailService');
+const { isJobDefined, listJobs, startRun } = require('../services/jobs');
+const { getLimits } = require('../services/eventThrottle');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { parsePagination } = require('../middleware/pagination');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin');
+const { findPage } = require('../utils/pagination');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+router.use(authenticate, requireAdmin);
+
+/**
+ * @route   GET /api/admin/queue
+ * @desc    Get event queue job counts by status
+ * @access  Admin
+ */
+router.get('/queue', validate(schemas.getQueueStats), async (req, res) => {
+  try {
+    const stats = await EventJob.getStats();
+    const deadLetters = await DeadLetter.countDocuments({ status: 'dead' });
+
+    res.json({
+      stats,
+      deadLetters,
+    });
+  } catch (error) {
+    logger.error('Error fetching queue stats', { error });
+    res.status(500).json({
+      error: 'Failed to fetch queue stats',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/dead-letters
+ * @desc    List dead-lettered events (status=dead by default, or status=replayed)
+ * @access  Admin
+ */
+router.get('/dead-letters', validate(schemas.listDeadLetters), parsePagination(), async (req, res) => {
+  try {
+    const { type, status } = req.query;
+
+    const { deadLetters, nextCursor, prevCursor, hasMore } = await DeadLetter.getDeadLetters({
+      ...req.page,
+      status,
+      type,
+    });
+
+    res.json({
+      deadLetters,
+      count: deadLetters.length,
+      nextCursor,
+      prevCursor,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error('Error fetching dead letters', { error });
+    res.status(500).json({
+      error: 'Failed to fetch dead letters',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/dead-letters/:eventId
+ * @desc    Inspect a dead-lettered event with its original payload and job state
+ * @access  Admin
+ */
+router.get('/dead-letters/:eventId', validate(schemas.getDeadLetter), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const deadLetter = await DeadLetter.findOne({ eventId });
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        error: 'Dead letter not found',
+      });
+    }
+
+    const [event, job] = await Promise.all([
+      Event.findOne({ eventId }),
+      EventJob.findOne({ eventId }),
+    ]);
+
+    res.json({
+      deadLetter,
+      event,
+      job,
+    });
+  } catch (error) {
+    logger.error('Error fetching dead letter', { error });
+    res.status(500).json({
+      error: 'Failed to fetch dead letter',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/dead-letters/:eventId/replay
+ * @desc    Re-queue a dead-lettered event with a fresh attempt budget
+ * @access  Admin
+ */
+router.post('/dead-letters/:eventId/replay', validate(schemas.replayDeadLetter), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const deadLetter = await eventQueue.replay(eventId);
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        error: 'Dead letter not found',
+      });
+    }
+
+    res.json({
+      message: 'Event queued for replay',
+      deadLetter,
+    });
+  } catch (error) {
+    logger.error('Error replaying dead letter', { error });
+    res.status(500).json({
+      error: 'Failed to replay dead letter',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/fanouts
+ * @desc    List post fan-outs, newest first (filter by status=running|completed, mode=write|read)
+ * @access  Admin
+ */
+router.get('/fanouts', validate(schemas.listFanouts), parsePagination(), async (req, res) => {
+  try {
+    const { status, mode } = req.query;
+
+    let query = { 'fanout.mode': { $exists: true } };
+
+    if (status) {
+      query['fanout.status'] = status;
+    }
+
+    if (mode) {
+      query['fanout.mode'] = mode;
+    }
+
+    const page = await findPage(Event, query, req.page);
+    const fanouts = page.items.map(event => ({
+      eventId: event.eventId,
+      sourceUserId: event.sourceUserId,
+      timestamp: event.timestamp,
+      ...event.toJSON().fanout,
+    }));
+
+    res.json({
+      fanouts,
+      count: fanouts.length,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      hasMore: page.hasMore,
+    });
+  } catch (error) {
+    logger.error('Error fetching fan-outs', { error });
+    res.status(500).json({
+      error: 'Failed to fetch fan-outs',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/fanouts/:eventId
+ * @desc    Get the progress of a post's fan-out to followers
+ * @access  Admin
+ */
+router.get('/fanouts/:eventId', validate(schemas.getFanout), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const [event, job] = await Promise.all([
+      Event.findOne({ eventId, type: 'POST_CREATE' }),
+      EventJob.findOne({ eventId }),
+    ]);
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Post event not found',
+      });
+    }
+
+    res.json({
+      eventId,
+      sourceUserId: event.sourceUserId,
+      fanout: event.toJSON().fanout || null,
+      job,
+    });
+  } catch (error) {
+    logger.error('Error fetching fan-out progress', { error });
+    res.status(500).json({
+      error: 'Failed to fetch fan-out progress',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/email-deliveries
+ * @desc    List recorded email delivery attempts (filter by userId, status, kind)
+ * @access  Admin
+ */
+router.get('/email-deliveries', validate(schemas.listEmailDeliveries), parsePagination(), async (req, res) => {
+  try {
+    const { userId, status, kind } = req.query;
+
+    let query = {};
+
+    if (userId) {
+      query.userId = userId;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (kind) {
+      query.kind = kind;
+    }
+
+    const page = await findPage(EmailDelivery, query, req.page);
+    const deliveries = page.items;
+
+    res.json({
+      deliveries,
+      count: deliveries.length,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      hasMore: page.hasMore,
+    });
+  } catch (error) {
+    logger.error('Error fetching email deliveries', { error });
+    res.status(500).json({
+      error: 'Failed to fetch email deliveries',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/email-digests/:frequency/run
+ * @desc    Send all due daily or weekly digests now
+ * @access  Admin
+ */
+router.post('/email-digests/:frequency/run', validate(schemas.runEmailDigests), async (req, res) => {
+  try {
+    const { frequency } = req.params;
+
+    const result = await sendDueDigests(frequency);
+
+    res.json({
+      message: 'Digest run completed',
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Error running email digests', { error });
+    res.status(500).json({
+      error: 'Failed to run email digests',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    List scheduled jobs with their schedule, lock state and most recent run
+ * @access  Admin
+ */
+router.get('/jobs', validate(schemas.listJobs), async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    res.json({ jobs });
+  } catch (error) {
+    logger.error('Error fetching jobs', { error });
+    res.status(500).json({
+      error: 'Failed to fetch jobs',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs/:name/runs
+ * @desc    List a job's run history, most recent first (filter by status)
+ * @access  Admin
+ */
+router.get('/jobs/:name/runs', validate(schemas.listJobRuns), parsePagination(), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!isJobDefined(name)) {
+      return res.status(404).json({
+        error: 'Job not found',
+      });
+    }
+
+    const { runs, nextCursor, prevCursor, hasMore } = await JobRun.getRuns({
+      ...req.page,
+      name,
+      status: req.query.status,
+    });
+
+    res.json({
+      runs,
+      count: runs.length,
+      nextCursor,
+      prevCursor,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error('Error fetching job runs', { error });
+    res.status(500).json({
+      error: 'Failed to fetch job runs',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/:name/run
+ * @desc    Run a job now; responds once the run has started
+ * @access  Admin
+ */
+router.post('/jobs/:name/run', validate(schemas.runJob), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!isJobDefined(name)) {
+      return res.status(404).json({
+        error: 'Job not found',
+      });
+    }
+
+    const started = await startRun(name, { trigger: 'manual', triggeredBy: req.user.userId });
+
+    if (!started) {
+      return res.status(409).json({
+        error: 'Job is already running',
+        message: `Wait for the current run of ${name} to finish`,
+      });
+    }
+
+    res.status(202).json({
+      message: 'Job started',
+      run: started.run,
+    });
+  } catch (error) {
+    logger.error('Error starting job', { error });
+    res.status(500).json({
+      error: 'Failed to start job',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/throttling
+ * @desc    Suppressed event counts by reason and type since ?since= (default: last 24 hours),
+ *          the senders suppressed most, and the throttling limits in force
+ * @access  Admin
+ */
+router.get('/throttling', validate(schemas.getThrottlingStats), async (req, res) => {
+  try {
+    const since = req.query.since ? new Date(req.query.since) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const suppressed = await Event.getSuppressionStats({ since, limit: req.query.limit });
+
+    res.json({
+      since,
+      suppressed,
+      limits: getLimits(),
+    });
+  } catch (error) {
+    logger.error('Error fetching throttling stats', { error });
+    res.status(500).json({
+      error: 'Failed to fetch throttling stats',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
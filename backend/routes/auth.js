@@ -0,0 +1,75 @@
+const express = require('express');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const { signToken, authenticate } = require('../middleware/auth');
+const { validate, validationFailed } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Exchange a userId (or email) and password for an access token
+ * @access  Public
+ */
+router.post('/login', validate(schemas.login), async (req, res) => {
+  try {
+    const { userId, email, password } = req.body;
+
+    if (!userId && !email) {
+      return validationFailed(res, [{ field: 'body', message: 'must have userId or email' }]);
+    }
+
+    const query = userId ? { userId } : { email: email.toLowerCase() };
+    const user = await User.findOne(query).select('+passwordHash');
+
+    if (!user || !(await user.verifyPassword(password))) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+      });
+    }
+
+    res.json({
+      message: 'Login successful',
+      token: signToken(user),
+      user,
+    });
+  } catch (error) {
+    logger.error('Error logging in', { error });
+    res.status(500).json({
+      error: 'Failed to log in',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the authenticated user
+ * @access  Private
+ */
+router.get('/me', authenticate, validate(schemas.getMe), async (req, res) => {
+  try {
+    const user = await User.findByUserId(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+      });
+    }
+
+    const [profile] = await Follow.withCounts([user]);
+
+    res.json({
+      user: profile,
+    });
+  } catch (error) {
+    logger.error('Error fetching current user', { error });
+    res.status(500).json({
+      error: 'Failed to fetch user',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
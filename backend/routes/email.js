@@ -0,0 +1,88 @@
+const express = require('express');
+const User = require('../models/User');
+const { verifyUnsubscribeToken } = require('../services/emailService');
+const { escapeHtml } = require('../services/email/templates');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/email');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+const INVALID_LINK_PAGE = '<p>This unsubscribe link is invalid or has expired.</p>';
+
+async function findTokenUser(token) {
+  const userId = verifyUnsubscribeToken(token);
+  return userId ? User.findByUserId(userId) : null;
+}
+
+async function unsubscribe(user) {
+  const types = Object.keys(user.getEffectivePreferences().delivery);
+  await user.updatePreferences({
+    delivery: Object.fromEntries(types.map(type => [type, { email: 'off' }])),
+  });
+}
+
+/**
+ * @route   GET /api/email/unsubscribe
+ * @desc    Confirmation page for an email's unsubscribe link; changes nothing,
+ *          so link scanners and prefetchers can't unsubscribe anyone
+ * @access  Public (signed token)
+ */
+router.get('/unsubscribe', validate(schemas.unsubscribePage), async (req, res) => {
+  try {
+    const user = await findTokenUser(req.query.token);
+
+    if (!user) {
+      return res.status(400).send(INVALID_LINK_PAGE);
+    }
+
+    res.send(`<form method="post" action="?token=${escapeHtml(encodeURIComponent(req.query.token))}">
+  <p>Stop all Insyd email notifications for ${escapeHtml(user.username)}?</p>
+  <button type="submit">Unsubscribe</button>
+</form>`);
+  } catch (error) {
+    logger.error('Error loading unsubscribe page', { error });
+    res.status(500).send('<p>Something went wrong, please try again later.</p>');
+  }
+});
+
+/**
+ * @route   POST /api/email/unsubscribe
+ * @desc    Turn off email notifications: the confirmation form, or one-click
+ *          unsubscribe from a mail client (RFC 8058 List-Unsubscribe-Post)
+ * @access  Public (signed token)
+ */
+router.post('/unsubscribe', validate(schemas.unsubscribe), async (req, res) => {
+  // The confirmation form is submitted by a browser; mail clients get JSON
+  const html = req.accepts(['json', 'html']) === 'html';
+
+  try {
+    const user = await findTokenUser(req.query.token);
+
+    if (!user) {
+      return html
+        ? res.status(400).send(INVALID_LINK_PAGE)
+        : res.status(400).json({ error: 'Invalid unsubscribe token' });
+    }
+
+    await unsubscribe(user);
+
+    if (html) {
+      return res.send('<p>You have been unsubscribed from Insyd email notifications. You can turn them back on in your preferences.</p>');
+    }
+    res.json({
+      message: 'Unsubscribed from email notifications',
+      userId: user.userId,
+    });
+  } catch (error) {
+    logger.error('Error unsubscribing', { error });
+    if (html) {
+      return res.status(500).send('<p>Something went wrong, please try again later.</p>');
+    }
+    res.status(500).json({
+      error: 'Failed to unsubscribe',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,55 +1,72 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const Event = require('../models/Event');
-const { processEvent } = require('../services/notificationProcessor');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { emitEvent, SERVER_EMITTED_TYPES } = require('../services/eventService');
+const { resolveMentions } = require('../services/mentionService');
+const { MAX_BATCH_EVENTS, parseNdjson, ingestEventBatch } = require('../services/eventBatchService');
+const { authenticate, requireSelf, requireAdmin, isAdmin } = require('../middleware/auth');
+const { parsePagination } = require('../middleware/pagination');
+const { idempotent } = require('../middleware/idempotency');
+const { validate, validationFailed } = require('../middleware/validate');
+const schemas = require('../schemas/events');
+const { findPage } = require('../utils/pagination');
+const { logger } = require('../utils/logger');
 const router = express.Router();
 
 /**
  * @route   POST /api/events
  * @desc    Create a new event and trigger notification processing
- * @access  Public (for POC - would be protected in production)
+ *          Post, comment, share and follow events are emitted by their own routes;
+ *          only admins may submit them here (the post owner is still resolved server-side)
+ *          Retries with the same Idempotency-Key header (or eventId) replay the first response
+ * @access  Private (sourceUserId must be the caller unless admin)
  */
-router.post('/', async (req, res) => {
+router.post('/', authenticate, validate(schemas.createEvent), idempotent({ bodyKey: 'eventId' }), async (req, res) => {
   try {
-    const { type, sourceUserId, targetUserId, data = {} } = req.body;
+    const { eventId, type, sourceUserId, targetUserId, data = {} } = req.body;
 
-    // Validation
-    if (!type || !sourceUserId) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        required: ['type', 'sourceUserId'],
+    if (sourceUserId !== req.user.userId && !isAdmin(req.user)) {
+      return res.status(403).json({
+        error: 'Cannot create events on behalf of another user',
       });
     }
 
-    const validTypes = ['LIKE', 'FOLLOW', 'COMMENT', 'POST_CREATE', 'MENTION', 'SHARE'];
-    if (!validTypes.includes(type)) {
-      return res.status(400).json({
-        error: 'Invalid event type',
-        validTypes,
+    if (SERVER_EMITTED_TYPES.includes(type) && !isAdmin(req.user)) {
+      return res.status(403).json({
+        error: 'This event type is emitted by the server',
+        message: 'Use the /api/posts and /api/users/:userId/follow endpoints instead',
       });
     }
 
-    // Create event
-    const event = new Event({
-      eventId: uuidv4(),
-      type,
-      sourceUserId,
-      targetUserId,
-      data,
-      timestamp: new Date(),
-    });
-
-    await event.save();
+    // Activity on a known post always notifies its real owner
+    let target = targetUserId;
+    if (['LIKE', 'COMMENT', 'SHARE'].includes(type) && data.postId) {
+      const post = await Post.findByPostId(data.postId);
+      if (post) {
+        target = post.authorId;
+      }
+    }
 
-    // Process event asynchronously to generate notifications
-    setImmediate(async () => {
-      try {
-        await processEvent(event);
-        console.log(`✅ Event processed: ${event.eventId}`);
-      } catch (error) {
-        console.error(`❌ Error processing event ${event.eventId}:`, error);
+    // Mentions are always resolved from the content, never taken from the client
+    let eventData = data;
+    if (type === 'MENTION') {
+      const sourceUser = await User.findByUserId(sourceUserId);
+      const mentionedUsers = sourceUser ? await resolveMentions(data.content, sourceUser) : [];
+
+      if (mentionedUsers.length === 0) {
+        return res.status(400).json({
+          error: 'No mentioned users found',
+          message: 'data.content must mention at least one existing user as @username',
+        });
       }
-    });
+
+      eventData = { ...data, mentionedUsers };
+      target = undefined;
+    }
+
+    // Persist the event and its processing job; notifications are generated asynchronously
+    const event = await emitEvent({ eventId, type, sourceUserId, targetUserId: target, data: eventData });
 
     res.status(201).json({
       message: 'Event created successfully',
@@ -60,7 +77,14 @@ router.post('/', async (req, res) => {
       },
     });
   } catch (error) {
-    console.error('Error creating event:', error);
+    if (error.name === 'EventIdConflictError') {
+      return res.status(409).json({
+        error: 'Event already exists',
+        message: error.message,
+      });
+    }
+
+    logger.error('Error creating event', { error });
     res.status(500).json({
       error: 'Failed to create event',
       message: error.message,
@@ -69,38 +93,66 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * @route   GET /api/events/:userId
- * @desc    Get events for a specific user
- * @access  Public (for POC)
+ * @route   POST /api/events/batch
+ * @desc    Create many events at once from a JSON array or NDJSON (application/x-ndjson)
+ *          Each event is checked on its own and reported as accepted, duplicate or rejected
+ * @access  Private (sourceUserId must be the caller unless admin)
  */
-router.get('/:userId', async (req, res) => {
+router.post('/batch', authenticate, validate(schemas.createEventBatch), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { limit = 50, type } = req.query;
+    const items = req.is('application/x-ndjson') ? parseNdjson(req.body) : req.body;
 
-    let query = {
-      $or: [
-        { sourceUserId: userId },
-        { targetUserId: userId },
-      ]
-    };
+    if (!Array.isArray(items) || items.length === 0) {
+      return validationFailed(res, [{ field: 'body', message: 'must be a non-empty JSON array or NDJSON of events' }]);
+    }
 
-    if (type) {
-      query.type = type;
+    if (items.length > MAX_BATCH_EVENTS) {
+      return res.status(413).json({
+        error: 'Batch too large',
+        message: `A batch may contain at most ${MAX_BATCH_EVENTS} events`,
+      });
     }
 
-    const events = await Event.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .lean();
+    const summary = await ingestEventBatch(items, req.user);
+
+    res.json({
+      message: 'Batch processed',
+      ...summary,
+    });
+  } catch (error) {
+    logger.error('Error ingesting event batch', { error });
+    res.status(500).json({
+      error: 'Failed to ingest event batch',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/events/:userId
+ * @desc    Get events for a specific user
+ * @access  Private (owner or admin)
+ */
+router.get('/:userId', authenticate, requireSelf(), validate(schemas.getUserEvents), parsePagination(), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { type } = req.query;
+
+    const { events, nextCursor, prevCursor, hasMore } = await Event.getUserEvents(userId, {
+      ...req.page,
+      type,
+    });
 
     res.json({
       events,
       count: events.length,
       userId,
+      nextCursor,
+      prevCursor,
+      hasMore,
     });
   } catch (error) {
-    console.error('Error fetching events:', error);
+    logger.error('Error fetching events', { error });
     res.status(500).json({
       error: 'Failed to fetch events',
       message: error.message,
@@ -111,11 +163,12 @@ router.get('/:userId', async (req, res) => {
 /**
  * @route   GET /api/events
  * @desc    Get all events (admin/debug endpoint)
- * @access  Public (for POC)
+ *          ?suppressed=true lists events suppressed by throttling
+ * @access  Admin
  */
-router.get('/', async (req, res) => {
+router.get('/', authenticate, requireAdmin, validate(schemas.listEvents), parsePagination(100), async (req, res) => {
   try {
-    const { limit = 100, type, processed } = req.query;
+    const { type, processed, suppressed } = req.query;
 
     let query = {};
     
@@ -124,13 +177,15 @@ router.get('/', async (req, res) => {
     }
     
     if (processed !== undefined) {
-      query.processed = processed === 'true';
+      query.processed = processed;
+    }
+
+    if (suppressed !== undefined) {
+      query['suppression.reason'] = { $exists: suppressed };
     }
 
-    const events = await Event.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .lean();
+    const page = await findPage(Event, query, { ...req.page, lean: true });
+    const events = page.items;
 
     const stats = await Event.aggregate([
       {
@@ -138,6 +193,7 @@ router.get('/', async (req, res) => {
           _id: '$type',
           count: { $sum: 1 },
           processed: { $sum: { $cond: ['$processed', 1, 0] } },
+          suppressed: { $sum: { $cond: [{ $ifNull: ['$suppression.reason', false] }, 1, 0] } },
         }
       }
     ]);
@@ -146,9 +202,12 @@ router.get('/', async (req, res) => {
       events,
       count: events.length,
       stats,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      hasMore: page.hasMore,
     });
   } catch (error) {
-    console.error('Error fetching all events:', error);
+    logger.error('Error fetching all events', { error });
     res.status(500).json({
       error: 'Failed to fetch events',
       message: error.message,
@@ -159,9 +218,9 @@ router.get('/', async (req, res) => {
 /**
  * @route   DELETE /api/events/:eventId
  * @desc    Delete an event (admin/cleanup endpoint)
- * @access  Public (for POC)
+ * @access  Admin
  */
-router.delete('/:eventId', async (req, res) => {
+router.delete('/:eventId', authenticate, requireAdmin, validate(schemas.deleteEvent), async (req, res) => {
   try {
     const { eventId } = req.params;
 
@@ -178,7 +237,7 @@ router.delete('/:eventId', async (req, res) => {
       eventId,
     });
   } catch (error) {
-    console.error('Error deleting event:', error);
+    logger.error('Error deleting event', { error });
     res.status(500).json({
       error: 'Failed to delete event',
       message: error.message,
@@ -0,0 +1,106 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const EventJob = require('../models/EventJob');
+const { isShuttingDown } = require('../services/shutdown');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+// Due jobs waiting in the event queue above which the instance reports not ready (unset: no limit)
+const MAX_QUEUE_BACKLOG = parseInt(process.env.READINESS_MAX_QUEUE_BACKLOG) || null;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkDatabase() {
+  if (mongoose.connection.readyState !== 1) {
+    return { status: 'fail', message: 'Not connected' };
+  }
+
+  const startedAt = Date.now();
+  await withTimeout(mongoose.connection.db.admin().ping(), CHECK_TIMEOUT_MS);
+  return { status: 'pass', latencyMs: Date.now() - startedAt };
+}
+
+async function checkQueue() {
+  const backlog = await withTimeout(
+    EventJob.countDocuments({ status: 'pending', nextAttemptAt: { $lte: new Date() } }),
+    CHECK_TIMEOUT_MS
+  );
+
+  if (MAX_QUEUE_BACKLOG && backlog > MAX_QUEUE_BACKLOG) {
+    return { status: 'fail', backlog, maxBacklog: MAX_QUEUE_BACKLOG };
+  }
+  return { status: 'pass', backlog, maxBacklog: MAX_QUEUE_BACKLOG };
+}
+
+async function runCheck(name, check) {
+  try {
+    return await check();
+  } catch (error) {
+    logger.warn('Readiness check failed', { check: name, error });
+    return { status: 'fail', message: error.message };
+  }
+}
+
+/**
+ * @route   GET /health
+ * @desc    Basic health check (kept for existing monitors; use /health/live and /health/ready)
+ * @access  Public
+ */
+router.get('/', (req, res) => {
+  res.status(200).json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+  });
+});
+
+/**
+ * @route   GET /health/live
+ * @desc    Liveness probe: the process is up and serving requests
+ * @access  Public
+ */
+router.get('/live', (req, res) => {
+  res.status(200).json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+  });
+});
+
+/**
+ * @route   GET /health/ready
+ * @desc    Readiness probe: 503 while shutting down, when MongoDB is unreachable
+ *          or when the event queue backlog exceeds READINESS_MAX_QUEUE_BACKLOG
+ * @access  Public
+ */
+router.get('/ready', async (req, res) => {
+  if (isShuttingDown()) {
+    return res.status(503).json({
+      status: 'shutting_down',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const database = await runCheck('database', checkDatabase);
+  // The queue lives in the database, so only check it once the database answers
+  const queue = database.status === 'pass'
+    ? await runCheck('queue', checkQueue)
+    : { status: 'fail', message: 'Database unavailable' };
+  const ready = database.status === 'pass' && queue.status === 'pass';
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    timestamp: new Date().toISOString(),
+    checks: { database, queue },
+  });
+});
+
+module.exports = router;
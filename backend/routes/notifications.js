@@ -1,46 +1,84 @@
 const express = require('express');
 const Notification = require('../models/Notification');
+const { notificationStream, publishStatusChange } = require('../services/notificationStream');
+const { onShutdown } = require('../services/shutdown');
+const {
+  getNotificationFeed,
+  getFeedFacets,
+  getUnreadCount,
+  markAllAsRead,
+  findFeedNotification,
+} = require('../services/notificationFeed');
+const { authenticate, authenticateStream, requireSelf, requireAdmin, isAdmin } = require('../middleware/auth');
+const { parsePagination } = require('../middleware/pagination');
+const { validate, validationFailed } = require('../middleware/validate');
+const schemas = require('../schemas/notifications');
+const { findPage } = require('../utils/pagination');
+const { logger } = require('../utils/logger');
 const router = express.Router();
 
+const SSE_HEARTBEAT_MS = 25 * 1000;
+
 /**
  * @route   GET /api/notifications/:userId
- * @desc    Get notifications for a specific user
- * @access  Public (for POC)
+ * @desc    Get notifications for a specific user, newest first
+ *          Search with ?q=, filter by ?status=, ?types=, ?sourceUserId=, ?postId=, ?from= and ?to=,
+ *          sort with ?sort=newest|oldest|relevance and add counts per type and status with ?facets=true
+ *          Includes posts from followed accounts that fan out on read (not in text searches)
+ *          Page older with ?before=<nextCursor>, refresh the top with ?after=<prevCursor>
+ * @access  Private (owner or admin)
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', authenticate, requireSelf(), validate(schemas.getNotifications), parsePagination(), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { 
-      status,
-      limit = 50, 
-      skip = 0,
-      types,
-    } = req.query;
-
-    const options = {
-      limit: parseInt(limit),
-      skip: parseInt(skip),
-    };
+    const { q, status, types, sourceUserId, postId, from, to, sort, facets } = req.query;
 
-    if (status) {
-      options.status = status;
+    if (sort === 'relevance' && !q) {
+      return validationFailed(res, [{ field: 'query.sort', message: 'relevance requires q' }]);
     }
 
-    if (types) {
-      options.types = types.split(',');
+    if (from && to && new Date(from) > new Date(to)) {
+      return validationFailed(res, [{ field: 'query.to', message: 'must not be before from' }]);
     }
 
-    const notifications = await Notification.getUserNotifications(userId, options);
-    const unreadCount = await Notification.getUnreadCount(userId);
+    const options = {
+      ...req.page,
+      q,
+      statuses: status,
+      types,
+      sourceUserId,
+      postId,
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null,
+      sort,
+    };
+
+    const [feed, unreadCount, facetCounts] = await Promise.all([
+      getNotificationFeed(userId, options),
+      getUnreadCount(userId),
+      facets ? getFeedFacets(userId, options) : null,
+    ]);
+    const { notifications, nextCursor, prevCursor, hasMore } = feed;
 
     res.json({
       notifications,
       unreadCount,
       count: notifications.length,
       userId,
+      nextCursor,
+      prevCursor,
+      hasMore,
+      ...(facetCounts && { facets: facetCounts }),
     });
   } catch (error) {
-    console.error('Error fetching notifications:', error);
+    if (error.name === 'InvalidCursorError') {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        message: error.message,
+      });
+    }
+
+    logger.error('Error fetching notifications', { error });
     res.status(500).json({
       error: 'Failed to fetch notifications',
       message: error.message,
@@ -48,16 +86,71 @@ router.get('/:userId', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/notifications/:userId/stream
+ * @desc    Server-Sent Events stream of new notifications, status changes and unread counts
+ *          Reconnecting clients resume via the Last-Event-ID header (or ?lastEventId=)
+ *          EventSource cannot send headers, so the token may be passed as ?access_token=
+ * @access  Private (owner or admin)
+ */
+router.get('/:userId/stream', authenticateStream, requireSelf(), validate(schemas.streamNotifications), async (req, res) => {
+  const { userId } = req.params;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = ({ id, event, data }) => {
+    if (id) {
+      res.write(`id: ${id}\n`);
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Subscribe before replaying so nothing published in between is missed
+  const unsubscribe = notificationStream.subscribe(userId, send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  // End the stream on shutdown; EventSource reconnects, and resumes, on another instance
+  const removeShutdownHook = onShutdown(() => res.end());
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    removeShutdownHook();
+  });
+
+  const { messages, complete } = notificationStream.replay(userId, lastEventId);
+  if (!complete) {
+    send({ event: 'resync', data: { reason: 'Missed events are no longer available' } });
+  }
+  messages.forEach(send);
+
+  try {
+    const unreadCount = await getUnreadCount(userId);
+    send({ event: 'unread_count', data: { unreadCount } });
+  } catch (error) {
+    logger.error('Error sending initial unread count', { error });
+  }
+});
+
 /**
  * @route   PUT /api/notifications/:notificationId/read
  * @desc    Mark a notification as read
- * @access  Public (for POC)
+ * @access  Private (recipient or admin)
  */
-router.put('/:notificationId/read', async (req, res) => {
+router.put('/:notificationId/read', authenticate, validate(schemas.markNotificationRead), async (req, res) => {
   try {
     const { notificationId } = req.params;
 
-    const notification = await Notification.findOne({ notificationId });
+    // Fan-out-on-read posts are stored the first time the user acts on them
+    const notification = await Notification.findOne({ notificationId }) ||
+      await findFeedNotification(notificationId);
 
     if (!notification) {
       return res.status(404).json({
@@ -65,8 +158,23 @@ router.put('/:notificationId/read', async (req, res) => {
       });
     }
 
+    if (notification.userId !== req.user.userId && !isAdmin(req.user)) {
+      return res.status(403).json({
+        error: 'You can only access your own notifications',
+      });
+    }
+
+    const wasUnread = notification.status === 'unread';
     await notification.markAsRead();
 
+    if (wasUnread) {
+      await publishStatusChange(notification.userId, {
+        notificationId: notification.notificationId,
+        status: notification.status,
+        readAt: notification.readAt,
+      });
+    }
+
     res.json({
       message: 'Notification marked as read',
       notification: {
@@ -76,7 +184,7 @@ router.put('/:notificationId/read', async (req, res) => {
       },
     });
   } catch (error) {
-    console.error('Error marking notification as read:', error);
+    logger.error('Error marking notification as read', { error });
     res.status(500).json({
       error: 'Failed to mark notification as read',
       message: error.message,
@@ -87,13 +195,21 @@ router.put('/:notificationId/read', async (req, res) => {
 /**
  * @route   PUT /api/notifications/:userId/read-all
  * @desc    Mark all notifications as read for a user
- * @access  Public (for POC)
+ * @access  Private (owner or admin)
  */
-router.put('/:userId/read-all', async (req, res) => {
+router.put('/:userId/read-all', authenticate, requireSelf(), validate(schemas.markAllNotificationsRead), async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const result = await Notification.markAllAsRead(userId);
+    const result = await markAllAsRead(userId);
+
+    if (result.modifiedCount > 0) {
+      await publishStatusChange(userId, {
+        all: true,
+        status: 'read',
+        modifiedCount: result.modifiedCount,
+      });
+    }
 
     res.json({
       message: 'All notifications marked as read',
@@ -101,7 +217,7 @@ router.put('/:userId/read-all', async (req, res) => {
       userId,
     });
   } catch (error) {
-    console.error('Error marking all notifications as read:', error);
+    logger.error('Error marking all notifications as read', { error });
     res.status(500).json({
       error: 'Failed to mark all notifications as read',
       message: error.message,
@@ -112,13 +228,15 @@ router.put('/:userId/read-all', async (req, res) => {
 /**
  * @route   DELETE /api/notifications/:notificationId
  * @desc    Delete/dismiss a notification
- * @access  Public (for POC)
+ * @access  Private (recipient or admin)
  */
-router.delete('/:notificationId', async (req, res) => {
+router.delete('/:notificationId', authenticate, validate(schemas.dismissNotification), async (req, res) => {
   try {
     const { notificationId } = req.params;
 
-    const notification = await Notification.findOne({ notificationId });
+    // Fan-out-on-read posts are stored the first time the user acts on them
+    const notification = await Notification.findOne({ notificationId }) ||
+      await findFeedNotification(notificationId);
 
     if (!notification) {
       return res.status(404).json({
@@ -126,14 +244,26 @@ router.delete('/:notificationId', async (req, res) => {
       });
     }
 
+    if (notification.userId !== req.user.userId && !isAdmin(req.user)) {
+      return res.status(403).json({
+        error: 'You can only access your own notifications',
+      });
+    }
+
     await notification.dismiss();
 
+    await publishStatusChange(notification.userId, {
+      notificationId: notification.notificationId,
+      status: notification.status,
+      dismissedAt: notification.dismissedAt,
+    });
+
     res.json({
       message: 'Notification dismissed',
       notificationId,
     });
   } catch (error) {
-    console.error('Error dismissing notification:', error);
+    logger.error('Error dismissing notification', { error });
     res.status(500).json({
       error: 'Failed to dismiss notification',
       message: error.message,
@@ -144,11 +274,11 @@ router.delete('/:notificationId', async (req, res) => {
 /**
  * @route   GET /api/notifications
  * @desc    Get all notifications (admin/debug endpoint)
- * @access  Public (for POC)
+ * @access  Admin
  */
-router.get('/', async (req, res) => {
+router.get('/', authenticate, requireAdmin, validate(schemas.listNotifications), parsePagination(100), async (req, res) => {
   try {
-    const { limit = 100, status, type } = req.query;
+    const { status, type } = req.query;
 
     let query = {};
     
@@ -160,11 +290,12 @@ router.get('/', async (req, res) => {
       query.type = type;
     }
 
-    const notifications = await Notification.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .populate('sourceUserId', 'username')
-      .lean();
+    const page = await findPage(Notification, query, {
+      ...req.page,
+      populate: ['sourceUserId', 'username'],
+      lean: true,
+    });
+    const notifications = page.items;
 
     // Get summary statistics
     const stats = await Notification.aggregate([
@@ -195,9 +326,12 @@ router.get('/', async (req, res) => {
       notifications,
       count: notifications.length,
       stats,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      hasMore: page.hasMore,
     });
   } catch (error) {
-    console.error('Error fetching all notifications:', error);
+    logger.error('Error fetching all notifications', { error });
     res.status(500).json({
       error: 'Failed to fetch notifications',
       message: error.message,
@@ -208,9 +342,9 @@ router.get('/', async (req, res) => {
 /**
  * @route   POST /api/notifications/cleanup
  * @desc    Clean up expired notifications
- * @access  Public (for POC)
+ * @access  Admin
  */
-router.post('/cleanup', async (req, res) => {
+router.post('/cleanup', authenticate, requireAdmin, validate(schemas.cleanupNotifications), async (req, res) => {
   try {
     const result = await Notification.cleanupExpired();
 
@@ -219,7 +353,7 @@ router.post('/cleanup', async (req, res) => {
       deletedCount: result.deletedCount,
     });
   } catch (error) {
-    console.error('Error cleaning up notifications:', error);
+    logger.error('Error cleaning up notifications', { error });
     res.status(500).json({
       error: 'Failed to cleanup notifications',
       message: error.message,
@@ -0,0 +1,393 @@
+const express = require('express');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const User = require('../models/User');
+const { emitEvent } = require('../services/eventService');
+const { emitMentions } = require('../services/mentionService');
+const { authenticate } = require('../middleware/auth');
+const { parsePagination } = require('../middleware/pagination');
+const { validate, validationFailed } = require('../middleware/validate');
+const schemas = require('../schemas/posts');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @route   POST /api/posts
+ * @desc    Create a post as the authenticated user (notifies their followers and @mentioned users)
+ * @access  Private
+ */
+router.post('/', validate(schemas.createPost), async (req, res) => {
+  try {
+    const { content, imageUrl } = req.body;
+
+    if (!content && !imageUrl) {
+      return validationFailed(res, [{ field: 'body', message: 'must have content or an imageUrl' }]);
+    }
+
+    const post = new Post({
+      authorId: req.user.userId,
+      content,
+      imageUrl,
+    });
+
+    await post.save();
+
+    await emitEvent({
+      type: 'POST_CREATE',
+      sourceUserId: post.authorId,
+      data: {
+        postId: post.postId,
+        content: post.content,
+      },
+    });
+
+    const mentionedUsers = await emitMentions({
+      authorId: post.authorId,
+      content: post.content,
+      postId: post.postId,
+    });
+
+    res.status(201).json({
+      message: 'Post created',
+      post,
+      mentionedUsers,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid post',
+        message: error.message,
+      });
+    }
+
+    logger.error('Error creating post', { error });
+    res.status(500).json({
+      error: 'Failed to create post',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/posts
+ * @desc    List posts, newest first (filter by authorId)
+ * @access  Private
+ */
+router.get('/', validate(schemas.listPosts), parsePagination(), async (req, res) => {
+  try {
+    const { authorId } = req.query;
+
+    const { posts, nextCursor, prevCursor, hasMore } = await Post.getPosts({ ...req.page, authorId });
+
+    res.json({
+      posts,
+      count: posts.length,
+      nextCursor,
+      prevCursor,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error('Error fetching posts', { error });
+    res.status(500).json({
+      error: 'Failed to fetch posts',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/posts/:postId
+ * @desc    Get a post (target of notification deep links)
+ * @access  Private
+ */
+router.get('/:postId', validate(schemas.getPost), async (req, res) => {
+  try {
+    const { postId } = req.params;
+
+    const post = await Post.findByPostId(postId);
+
+    if (!post) {
+      return res.status(404).json({
+        error: 'Post not found',
+      });
+    }
+
+    const likedByMe = await Like.hasLiked(postId, req.user.userId);
+
+    res.json({
+      post,
+      likedByMe,
+    });
+  } catch (error) {
+    logger.error('Error fetching post', { error });
+    res.status(500).json({
+      error: 'Failed to fetch post',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/posts/:postId/likes
+ * @desc    Like a post (notifies the post owner the first time)
+ * @access  Private
+ */
+router.post('/:postId/likes', validate(schemas.likePost), loadPost, async (req, res) => {
+  try {
+    const { post } = req;
+
+    if (await isBlockedBetween(req.user.userId, post.authorId)) {
+      return res.status(403).json({
+        error: 'Cannot interact with this post',
+      });
+    }
+
+    const liked = await Like.like(post.postId, req.user.userId);
+
+    if (liked) {
+      await emitEvent({
+        type: 'LIKE',
+        sourceUserId: req.user.userId,
+        targetUserId: post.authorId,
+        data: { postId: post.postId },
+      });
+    }
+
+    res.status(liked ? 201 : 200).json({
+      message: liked ? 'Post liked' : 'Post already liked',
+      liked: true,
+      postId: post.postId,
+    });
+  } catch (error) {
+    logger.error('Error liking post', { error });
+    res.status(500).json({
+      error: 'Failed to like post',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/posts/:postId/likes
+ * @desc    Remove the caller's like from a post
+ * @access  Private
+ */
+router.delete('/:postId/likes', validate(schemas.unlikePost), loadPost, async (req, res) => {
+  try {
+    const { post } = req;
+
+    await Like.unlike(post.postId, req.user.userId);
+
+    res.json({
+      message: 'Post unliked',
+      liked: false,
+      postId: post.postId,
+    });
+  } catch (error) {
+    logger.error('Error unliking post', { error });
+    res.status(500).json({
+      error: 'Failed to unlike post',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/posts/:postId/comments
+ * @desc    List a post's comments, newest first
+ * @access  Private
+ */
+router.get('/:postId/comments', validate(schemas.getComments), loadPost, parsePagination(), async (req, res) => {
+  try {
+    const { comments, nextCursor, prevCursor, hasMore } = await Comment.getPostComments(req.post.postId, req.page);
+
+    res.json({
+      comments,
+      count: comments.length,
+      nextCursor,
+      prevCursor,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error('Error fetching comments', { error });
+    res.status(500).json({
+      error: 'Failed to fetch comments',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/posts/:postId/comments
+ * @desc    Comment on a post (notifies the post owner and @mentioned users)
+ * @access  Private
+ */
+router.post('/:postId/comments', validate(schemas.createComment), loadPost, async (req, res) => {
+  try {
+    const { post } = req;
+    const { content } = req.body;
+
+    if (await isBlockedBetween(req.user.userId, post.authorId)) {
+      return res.status(403).json({
+        error: 'Cannot interact with this post',
+      });
+    }
+
+    const comment = new Comment({
+      postId: post.postId,
+      authorId: req.user.userId,
+      content,
+    });
+
+    await comment.save();
+    await Post.incrementCount(post.postId, 'commentCount', 1);
+
+    await emitEvent({
+      type: 'COMMENT',
+      sourceUserId: comment.authorId,
+      targetUserId: post.authorId,
+      data: {
+        postId: post.postId,
+        commentId: comment.commentId,
+        content: comment.content,
+      },
+    });
+
+    // The post owner already gets the COMMENT, so a mention of them adds nothing
+    const mentionedUsers = await emitMentions({
+      authorId: comment.authorId,
+      content: comment.content,
+      postId: post.postId,
+      commentId: comment.commentId,
+      exclude: [post.authorId],
+    });
+
+    res.status(201).json({
+      message: 'Comment added',
+      comment,
+      mentionedUsers,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid comment',
+        message: error.message,
+      });
+    }
+
+    logger.error('Error adding comment', { error });
+    res.status(500).json({
+      error: 'Failed to add comment',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/posts/:postId/shares
+ * @desc    Share a post as a new post, with optional commentary (notifies the post owner and @mentioned users)
+ * @access  Private
+ */
+router.post('/:postId/shares', validate(schemas.sharePost), loadPost, async (req, res) => {
+  try {
+    const { post } = req;
+    const { content } = req.body;
+
+    if (await isBlockedBetween(req.user.userId, post.authorId)) {
+      return res.status(403).json({
+        error: 'Cannot interact with this post',
+      });
+    }
+
+    // Sharing a share shares the original
+    const originalPostId = post.sharedPostId || post.postId;
+    const original = post.sharedPostId ? await Post.findByPostId(originalPostId) : post;
+
+    if (!original) {
+      return res.status(404).json({
+        error: 'Post not found',
+      });
+    }
+
+    const share = new Post({
+      authorId: req.user.userId,
+      content,
+      sharedPostId: original.postId,
+    });
+
+    await share.save();
+    await Post.incrementCount(original.postId, 'shareCount', 1);
+
+    await emitEvent({
+      type: 'SHARE',
+      sourceUserId: share.authorId,
+      targetUserId: original.authorId,
+      data: {
+        postId: original.postId,
+        metadata: { sharePostId: share.postId },
+      },
+    });
+
+    const mentionedUsers = await emitMentions({
+      authorId: share.authorId,
+      content: share.content,
+      postId: share.postId,
+      exclude: [original.authorId],
+    });
+
+    res.status(201).json({
+      message: 'Post shared',
+      post: share,
+      mentionedUsers,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid share',
+        message: error.message,
+      });
+    }
+
+    logger.error('Error sharing post', { error });
+    res.status(500).json({
+      error: 'Failed to share post',
+      message: error.message,
+    });
+  }
+});
+
+// Load :postId into req.post, or respond 404
+async function loadPost(req, res, next) {
+  try {
+    const post = await Post.findByPostId(req.params.postId);
+
+    if (!post) {
+      return res.status(404).json({
+        error: 'Post not found',
+      });
+    }
+
+    req.post = post;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function isBlockedBetween(userId, otherUserId) {
+  if (userId === otherUserId) {
+    return false;
+  }
+
+  const [user, other] = await Promise.all([
+    User.findByUserId(userId),
+    User.findByUserId(otherUserId),
+  ]);
+
+  return Boolean(user && other && (user.hasBlocked(otherUserId) || other.hasBlocked(userId)));
+}
+
+module.exports = router;
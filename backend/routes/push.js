@@ -0,0 +1,135 @@
+const express = require('express');
+const PushSubscription = require('../models/PushSubscription');
+const { getVapidPublicKey, saveSubscription } = require('../services/pushService');
+const { authenticate, requireSelf } = require('../middleware/auth');
+const { validate, validationFailed } = require('../middleware/validate');
+const schemas = require('../schemas/push');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+/**
+ * @route   GET /api/push/vapid-public-key
+ * @desc    Get the VAPID public key browsers need to create a Web Push subscription
+ * @access  Public
+ */
+router.get('/vapid-public-key', validate(schemas.getVapidPublicKey), (req, res) => {
+  const publicKey = getVapidPublicKey();
+
+  if (!publicKey) {
+    return res.status(503).json({
+      error: 'Web Push is not configured',
+    });
+  }
+
+  res.json({
+    publicKey,
+  });
+});
+
+/**
+ * @route   GET /api/push/:userId/subscriptions
+ * @desc    List a user's push subscriptions
+ * @access  Private (owner or admin)
+ */
+router.get('/:userId/subscriptions', authenticate, requireSelf(), validate(schemas.getPushSubscriptions), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const subscriptions = await PushSubscription.find({ userId }).sort({ createdAt: -1 });
+
+    res.json({
+      subscriptions,
+      count: subscriptions.length,
+      userId,
+    });
+  } catch (error) {
+    logger.error('Error fetching push subscriptions', { error });
+    res.status(500).json({
+      error: 'Failed to fetch push subscriptions',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/push/:userId/subscriptions
+ * @desc    Register a push subscription: a browser PushSubscription
+ *          ({ endpoint, keys: { p256dh, auth }, expirationTime }) or a
+ *          mobile device token ({ platform, token })
+ * @access  Private (owner or admin)
+ */
+router.post('/:userId/subscriptions', authenticate, requireSelf(), validate(schemas.createPushSubscription), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { endpoint, keys, expirationTime, platform, token } = req.body;
+
+    let subscription;
+    if (endpoint) {
+      if (!keys) {
+        return validationFailed(res, [{ field: 'body.keys', message: 'is required with endpoint' }]);
+      }
+
+      subscription = {
+        kind: 'webpush',
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        expirationTime: expirationTime ? new Date(expirationTime) : null,
+      };
+    } else if (platform && token) {
+      subscription = {
+        kind: 'device',
+        platform,
+        token,
+      };
+    } else {
+      return validationFailed(res, [{ field: 'body', message: 'must have endpoint and keys, or platform and token' }]);
+    }
+
+    subscription.userAgent = req.get('User-Agent');
+
+    const saved = await saveSubscription(userId, subscription);
+
+    res.status(201).json({
+      message: 'Push subscription registered',
+      subscription: saved,
+    });
+  } catch (error) {
+    logger.error('Error registering push subscription', { error });
+    res.status(500).json({
+      error: 'Failed to register push subscription',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/push/:userId/subscriptions/:subscriptionId
+ * @desc    Remove a push subscription
+ * @access  Private (owner or admin)
+ */
+router.delete('/:userId/subscriptions/:subscriptionId', authenticate, requireSelf(), validate(schemas.deletePushSubscription), async (req, res) => {
+  try {
+    const { userId, subscriptionId } = req.params;
+
+    const deleted = await PushSubscription.findOneAndDelete({ userId, subscriptionId });
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Push subscription not found',
+      });
+    }
+
+    res.json({
+      message: 'Push subscription removed',
+      subscriptionId,
+    });
+  } catch (error) {
+    logger.error('Error removing push subscription', { error });
+    res.status(500).json({
+      error: 'Failed to remove push subscription',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,21 @@
 const express = require('express');
 const User = require('../models/User');
+const Follow = require('../models/Follow');
+const { authenticate, requireSelf, signToken } = require('../middleware/auth');
+const { parsePagination } = require('../middleware/pagination');
+const { validate, validationFailed } = require('../middleware/validate');
+const schemas = require('../schemas/users');
+const { emitEvent } = require('../services/eventService');
+const { SUPPORTED_LOCALES } = require('../services/templates');
+const { logger } = require('../utils/logger');
 const router = express.Router();
 
 /**
  * @route   GET /api/users/:userId
  * @desc    Get user profile
- * @access  Public (for POC)
+ * @access  Private
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', authenticate, validate(schemas.getUser), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -19,11 +27,13 @@ router.get('/:userId', async (req, res) => {
       });
     }
 
+    const [profile] = await Follow.withCounts([user]);
+
     res.json({
-      user,
+      user: profile,
     });
   } catch (error) {
-    console.error('Error fetching user:', error);
+    logger.error('Error fetching user', { error });
     res.status(500).json({
       error: 'Failed to fetch user',
       message: error.message,
@@ -32,21 +42,45 @@ router.get('/:userId', async (req, res) => {
 });
 
 /**
- * @route   PUT /api/users/:userId/preferences
- * @desc    Update user notification preferences
- * @access  Public (for POC)
+ * @route   GET /api/users/:userId/preferences
+ * @desc    Get notification preferences with every delivery cell resolved
+ * @access  Private (owner or admin)
  */
-router.put('/:userId/preferences', async (req, res) => {
+router.get('/:userId/preferences', authenticate, requireSelf(), validate(schemas.getPreferences), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { preferences } = req.body;
 
-    if (!preferences) {
-      return res.status(400).json({
-        error: 'Missing preferences in request body',
+    const user = await User.findByUserId(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
       });
     }
 
+    res.json({
+      userId,
+      preferences: user.getEffectivePreferences(),
+    });
+  } catch (error) {
+    logger.error('Error fetching preferences', { error });
+    res.status(500).json({
+      error: 'Failed to fetch preferences',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/users/:userId/preferences
+ * @desc    Update user notification preferences
+ * @access  Private (owner or admin)
+ */
+router.put('/:userId/preferences', authenticate, requireSelf(), validate(schemas.updatePreferences), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { preferences } = req.body;
+
     const user = await User.findByUserId(userId);
 
     if (!user) {
@@ -59,10 +93,17 @@ router.put('/:userId/preferences', async (req, res) => {
 
     res.json({
       message: 'Preferences updated successfully',
-      preferences: user.preferences,
+      preferences: user.getEffectivePreferences(),
     });
   } catch (error) {
-    console.error('Error updating preferences:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid preferences',
+        message: error.message,
+      });
+    }
+
+    logger.error('Error updating preferences', { error });
     res.status(500).json({
       error: 'Failed to update preferences',
       message: error.message,
@@ -71,21 +112,48 @@ router.put('/:userId/preferences', async (req, res) => {
 });
 
 /**
- * @route   POST /api/users/:userId/follow
- * @desc    Follow another user
- * @access  Public (for POC)
+ * @route   PUT /api/users/:userId/locale
+ * @desc    Set the language notifications are written in (e.g. { locale: 'ta-IN' })
+ * @access  Private (owner or admin)
  */
-router.post('/:userId/follow', async (req, res) => {
+router.put('/:userId/locale', authenticate, requireSelf(), validate(schemas.updateLocale), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { targetUserId } = req.body;
 
-    if (!targetUserId) {
-      return res.status(400).json({
-        error: 'Missing targetUserId in request body',
+    const user = await User.findByUserId(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
       });
     }
 
+    user.locale = req.body.locale;
+    await user.save();
+
+    res.json({
+      message: 'Locale updated successfully',
+      locale: user.locale,
+    });
+  } catch (error) {
+    logger.error('Error updating locale', { error });
+    res.status(500).json({
+      error: 'Failed to update locale',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/users/:userId/follow
+ * @desc    Follow another user (notifies them)
+ * @access  Private (owner or admin)
+ */
+router.post('/:userId/follow', authenticate, requireSelf(), validate(schemas.followUser), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { targetUserId } = req.body;
+
     if (userId === targetUserId) {
       return res.status(400).json({
         error: 'Cannot follow yourself',
@@ -101,13 +169,21 @@ router.post('/:userId/follow', async (req, res) => {
       });
     }
 
-    // Add to following list
-    await user.follow(targetUserId);
-    
-    // Add to followers list
-    if (!targetUser.followers.includes(userId)) {
-      targetUser.followers.push(userId);
-      await targetUser.save();
+    if (user.hasBlocked(targetUserId) || targetUser.hasBlocked(userId)) {
+      return res.status(403).json({
+        error: 'Cannot follow this user',
+      });
+    }
+
+    const created = await Follow.follow(userId, targetUserId);
+
+    // Only a new follow notifies; following again is a no-op
+    if (created) {
+      await emitEvent({
+        type: 'FOLLOW',
+        sourceUserId: userId,
+        targetUserId,
+      });
     }
 
     res.json({
@@ -115,7 +191,7 @@ router.post('/:userId/follow', async (req, res) => {
       isFollowing: true,
     });
   } catch (error) {
-    console.error('Error following user:', error);
+    logger.error('Error following user', { error });
     res.status(500).json({
       error: 'Failed to follow user',
       message: error.message,
@@ -126,16 +202,311 @@ router.post('/:userId/follow', async (req, res) => {
 /**
  * @route   DELETE /api/users/:userId/follow
  * @desc    Unfollow another user
- * @access  Public (for POC)
+ * @access  Private (owner or admin)
  */
-router.delete('/:userId/follow', async (req, res) => {
+router.delete('/:userId/follow', authenticate, requireSelf(), validate(schemas.unfollowUser), async (req, res) => {
   try {
     const { userId } = req.params;
     const { targetUserId } = req.body;
 
-    if (!targetUserId) {
+    const user = await User.findByUserId(userId);
+    const targetUser = await User.findByUserId(targetUserId);
+
+    if (!user || !targetUser) {
+      return res.status(404).json({
+        error: 'User not found',
+      });
+    }
+
+    await Follow.unfollow(userId, targetUserId);
+
+    res.json({
+      message: 'Successfully unfollowed user',
+      isFollowing: false,
+    });
+  } catch (error) {
+    logger.error('Error unfollowing user', { error });
+    res.status(500).json({
+      error: 'Failed to unfollow user',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/:userId/followers
+ * @desc    List the user's followers, most recent first
+ * @access  Private
+ */
+router.get('/:userId/followers', authenticate, validate(schemas.getFollowers), parsePagination(), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const page = await Follow.getFollowers(userId, req.page);
+    const followers = await withProfiles(page.items, 'followerId');
+
+    res.json({
+      followers,
+      count: followers.length,
+      userId,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      hasMore: page.hasMore,
+    });
+  } catch (error) {
+    logger.error('Error fetching followers', { error });
+    res.status(500).json({
+      error: 'Failed to fetch followers',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/:userId/following
+ * @desc    List the users this user follows, most recent first
+ * @access  Private
+ */
+router.get('/:userId/following', authenticate, validate(schemas.getFollowing), parsePagination(), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const page = await Follow.getFollowing(userId, req.page);
+    const following = await withProfiles(page.items, 'followeeId');
+
+    res.json({
+      following,
+      count: following.length,
+      userId,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      hasMore: page.hasMore,
+    });
+  } catch (error) {
+    logger.error('Error fetching following', { error });
+    res.status(500).json({
+      error: 'Failed to fetch following',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/:userId/relationship/:targetUserId
+ * @desc    Follow state between two users (isFollowing, isFollowedBy, isMutual)
+ * @access  Private
+ */
+router.get('/:userId/relationship/:targetUserId', authenticate, validate(schemas.getRelationship), async (req, res) => {
+  try {
+    const { userId, targetUserId } = req.params;
+
+    const relationship = await Follow.getRelationship(userId, targetUserId);
+
+    res.json({
+      userId,
+      targetUserId,
+      ...relationship,
+    });
+  } catch (error) {
+    logger.error('Error fetching relationship', { error });
+    res.status(500).json({
+      error: 'Failed to fetch relationship',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/:userId/mutes
+ * @desc    List the user's active mutes
+ * @access  Private (owner or admin)
+ */
+router.get('/:userId/mutes', authenticate, requireSelf(), validate(schemas.getMutes), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findByUserId(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+      });
+    }
+
+    res.json({
+      ...user.getActiveMutes(),
+      userId,
+    });
+  } catch (error) {
+    logger.error('Error fetching mutes', { error });
+    res.status(500).json({
+      error: 'Failed to fetch mutes',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/users/:userId/mutes
+ * @desc    Mute a user ({ targetUserId }) or a post ({ postId }), optionally
+ *          for a limited time ({ durationMinutes } or { expiresAt })
+ * @access  Private (owner or admin)
+ */
+router.post('/:userId/mutes', authenticate, requireSelf(), validate(schemas.mute), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { targetUserId, postId, durationMinutes, expiresAt } = req.body;
+
+    if (!targetUserId === !postId) {
+      return validationFailed(res, [{ field: 'body', message: 'must have either targetUserId or postId' }]);
+    }
+
+    if (targetUserId === userId) {
       return res.status(400).json({
-        error: 'Missing targetUserId in request body',
+        error: 'Cannot mute yourself',
+      });
+    }
+
+    let expiry = null;
+    if (durationMinutes !== undefined) {
+      expiry = new Date(Date.now() + durationMinutes * 60 * 1000);
+    } else if (expiresAt !== undefined) {
+      expiry = new Date(expiresAt);
+      if (expiry <= new Date()) {
+        return validationFailed(res, [{ field: 'body.expiresAt', message: 'must be in the future' }]);
+      }
+    }
+
+    const user = await User.findByUserId(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+      });
+    }
+
+    await user.mute({ userId: targetUserId, postId, expiresAt: expiry });
+
+    res.status(201).json({
+      message: targetUserId ? 'User muted' : 'Post muted',
+      ...user.getActiveMutes(),
+    });
+  } catch (error) {
+    logger.error('Error muting', { error });
+    res.status(500).json({
+      error: 'Failed to mute',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/:userId/mutes/users/:targetUserId
+ * @desc    Unmute a user
+ * @access  Private (owner or admin)
+ */
+router.delete('/:userId/mutes/users/:targetUserId', authenticate, requireSelf(), validate(schemas.unmuteUser), async (req, res) => {
+  try {
+    const { userId, targetUserId } = req.params;
+
+    const user = await User.findByUserId(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+      });
+    }
+
+    await user.unmuteUser(targetUserId);
+
+    res.json({
+      message: 'User unmuted',
+      ...user.getActiveMutes(),
+    });
+  } catch (error) {
+    logger.error('Error unmuting user', { error });
+    res.status(500).json({
+      error: 'Failed to unmute user',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/:userId/mutes/posts/:postId
+ * @desc    Unmute a post
+ * @access  Private (owner or admin)
+ */
+router.delete('/:userId/mutes/posts/:postId', authenticate, requireSelf(), validate(schemas.unmutePost), async (req, res) => {
+  try {
+    const { userId, postId } = req.params;
+
+    const user = await User.findByUserId(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+      });
+    }
+
+    await user.unmutePost(postId);
+
+    res.json({
+      message: 'Post unmuted',
+      ...user.getActiveMutes(),
+    });
+  } catch (error) {
+    logger.error('Error unmuting post', { error });
+    res.status(500).json({
+      error: 'Failed to unmute post',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/:userId/blocks
+ * @desc    List the users this user has blocked
+ * @access  Private (owner or admin)
+ */
+router.get('/:userId/blocks', authenticate, requireSelf(), validate(schemas.getBlocks), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findByUserId(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+      });
+    }
+
+    res.json({
+      blockedUsers: user.blockedUsers,
+      userId,
+    });
+  } catch (error) {
+    logger.error('Error fetching blocks', { error });
+    res.status(500).json({
+      error: 'Failed to fetch blocks',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/users/:userId/blocks
+ * @desc    Block a user; also removes follows between the two users
+ * @access  Private (owner or admin)
+ */
+router.post('/:userId/blocks', authenticate, requireSelf(), validate(schemas.blockUser), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { targetUserId } = req.body;
+
+    if (userId === targetUserId) {
+      return res.status(400).json({
+        error: 'Cannot block yourself',
       });
     }
 
@@ -148,21 +519,49 @@ router.delete('/:userId/follow', async (req, res) => {
       });
     }
 
-    // Remove from following list
-    await user.unfollow(targetUserId);
-    
-    // Remove from followers list
-    targetUser.followers = targetUser.followers.filter(id => id !== userId);
-    await targetUser.save();
+    await user.block(targetUserId);
+    await Follow.removeBetween(userId, targetUserId);
+
+    res.status(201).json({
+      message: 'User blocked',
+      blockedUsers: user.blockedUsers,
+    });
+  } catch (error) {
+    logger.error('Error blocking user', { error });
+    res.status(500).json({
+      error: 'Failed to block user',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/:userId/blocks/:targetUserId
+ * @desc    Unblock a user
+ * @access  Private (owner or admin)
+ */
+router.delete('/:userId/blocks/:targetUserId', authenticate, requireSelf(), validate(schemas.unblockUser), async (req, res) => {
+  try {
+    const { userId, targetUserId } = req.params;
+
+    const user = await User.findByUserId(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+      });
+    }
+
+    await user.unblock(targetUserId);
 
     res.json({
-      message: 'Successfully unfollowed user',
-      isFollowing: false,
+      message: 'User unblocked',
+      blockedUsers: user.blockedUsers,
     });
   } catch (error) {
-    console.error('Error unfollowing user:', error);
+    logger.error('Error unblocking user', { error });
     res.status(500).json({
-      error: 'Failed to unfollow user',
+      error: 'Failed to unblock user',
       message: error.message,
     });
   }
@@ -170,29 +569,29 @@ router.delete('/:userId/follow', async (req, res) => {
 
 /**
  * @route   GET /api/users
- * @desc    Get all users (for POC/testing)
- * @access  Public (for POC)
+ * @desc    List or search users
+ * @access  Private
  */
-router.get('/', async (req, res) => {
+router.get('/', authenticate, validate(schemas.listUsers), async (req, res) => {
   try {
-    const { limit = 20, search } = req.query;
+    const { limit, search } = req.query;
 
     let users;
     if (search) {
-      users = await User.searchUsers(search, parseInt(limit));
+      users = await User.searchUsers(search, limit);
     } else {
+      // Not lean: the toJSON transform keeps emails and mute/block lists private
       users = await User.find()
         .sort({ createdAt: -1 })
-        .limit(parseInt(limit))
-        .lean();
+        .limit(limit);
     }
 
     res.json({
-      users,
+      users: await Follow.withCounts(users),
       count: users.length,
     });
   } catch (error) {
-    console.error('Error fetching users:', error);
+    logger.error('Error fetching users', { error });
     res.status(500).json({
       error: 'Failed to fetch users',
       message: error.message,
@@ -202,19 +601,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @route   POST /api/users
- * @desc    Create a new user (for POC/testing)
- * @access  Public (for POC)
+ * @desc    Register a new user and return an access token
+ * @access  Public
  */
-router.post('/', async (req, res) => {
+router.post('/', validate(schemas.createUser), async (req, res) => {
   try {
-    const { userId, username, email, profile } = req.body;
-
-    if (!userId || !username || !email) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        required: ['userId', 'username', 'email'],
-      });
-    }
+    const { userId, username, email, password, profile, locale } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -233,17 +625,21 @@ router.post('/', async (req, res) => {
       userId,
       username,
       email,
+      // Without an explicit choice, use the browser's language if we have templates for it
+      locale: locale || (req.get('Accept-Language') && req.acceptsLanguages(...SUPPORTED_LOCALES)) || undefined,
       profile: profile || {},
     });
 
+    await user.setPassword(password);
     await user.save();
 
     res.status(201).json({
       message: 'User created successfully',
+      token: signToken(user),
       user,
     });
   } catch (error) {
-    console.error('Error creating user:', error);
+    logger.error('Error creating user', { error });
     res.status(500).json({
       error: 'Failed to create user',
       message: error.message,
@@ -251,4 +647,18 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Attach public profiles to a page of follow edges
+async function withProfiles(follows, field) {
+  const users = await User.find({ userId: { $in: follows.map(follow => follow[field]) } });
+  const profiles = await Follow.withCounts(users);
+  const profilesById = new Map(profiles.map(profile => [profile.userId, profile]));
+
+  return follows
+    .filter(follow => profilesById.has(follow[field]))
+    .map(follow => ({
+      ...profilesById.get(follow[field]),
+      followedAt: follow.createdAt,
+    }));
+}
+
 module.exports = router;
\ No newline at end of file
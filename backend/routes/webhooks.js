@@ -0,0 +1,333 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { invalidateSubscriptionCache, pingSubscription, redeliver } = require('../services/webhookService');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { parsePagination } = require('../middleware/pagination');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/webhooks');
+const { findPage } = require('../utils/pagination');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+router.use(authenticate, requireAdmin);
+
+function subscriptionNotFound(res) {
+  return res.status(404).json({
+    error: 'Webhook subscription not found',
+  });
+}
+
+function subscriptionDisabled(res, subscription) {
+  return res.status(409).json({
+    error: 'Webhook subscription is disabled',
+    message: subscription.disabledReason || 'Re-enable it with PATCH { active: true } first',
+  });
+}
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhook subscriptions, newest first (optionally ?active=true|false)
+ * @access  Admin
+ */
+router.get('/', validate(schemas.listWebhookSubscriptions), parsePagination(), async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const { items: subscriptions, nextCursor, prevCursor, hasMore } = await findPage(
+      WebhookSubscription,
+      active === undefined ? {} : { active },
+      { ...req.page, field: 'createdAt' }
+    );
+
+    res.json({
+      subscriptions,
+      count: subscriptions.length,
+      nextCursor,
+      prevCursor,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook subscriptions', { error });
+    res.status(500).json({
+      error: 'Failed to fetch webhook subscriptions',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Subscribe a URL to webhooks. The signing secret is only returned here
+ * @access  Admin
+ */
+router.post('/', validate(schemas.createWebhookSubscription), async (req, res) => {
+  try {
+    const { url, description, topics, types, secret } = req.body;
+
+    const subscription = new WebhookSubscription({
+      subscriptionId: uuidv4(),
+      url,
+      description,
+      topics,
+      types,
+      secret,
+      createdBy: req.user.userId,
+    });
+    await subscription.save();
+    invalidateSubscriptionCache();
+
+    res.status(201).json({
+      message: 'Webhook subscription created',
+      subscription,
+      secret: subscription.secret,
+    });
+  } catch (error) {
+    logger.error('Error creating webhook subscription', { error });
+    res.status(500).json({
+      error: 'Failed to create webhook subscription',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:subscriptionId
+ * @desc    Get a webhook subscription
+ * @access  Admin
+ */
+router.get('/:subscriptionId', validate(schemas.getWebhookSubscription), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findOne({ subscriptionId: req.params.subscriptionId });
+
+    if (!subscription) {
+      return subscriptionNotFound(res);
+    }
+
+    res.json({
+      subscription,
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook subscription', { error });
+    res.status(500).json({
+      error: 'Failed to fetch webhook subscription',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/webhooks/:subscriptionId
+ * @desc    Update a webhook subscription; active: false disables it and
+ *          active: true re-enables it with a clean failure count
+ * @access  Admin
+ */
+router.patch('/:subscriptionId', validate(schemas.updateWebhookSubscription), async (req, res) => {
+  try {
+    const { active, ...changes } = req.body;
+
+    const subscription = await WebhookSubscription.findOne({ subscriptionId: req.params.subscriptionId });
+
+    if (!subscription) {
+      return subscriptionNotFound(res);
+    }
+
+    subscription.set(changes);
+
+    if (active === true && !subscription.active) {
+      subscription.enable();
+    } else if (active === false && subscription.active) {
+      subscription.disable(`Disabled by ${req.user.userId}`);
+    }
+
+    await subscription.save();
+    invalidateSubscriptionCache();
+
+    res.json({
+      message: 'Webhook subscription updated',
+      subscription,
+    });
+  } catch (error) {
+    logger.error('Error updating webhook subscription', { error });
+    res.status(500).json({
+      error: 'Failed to update webhook subscription',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/webhooks/:subscriptionId
+ * @desc    Delete a webhook subscription and its delivery log
+ * @access  Admin
+ */
+router.delete('/:subscriptionId', validate(schemas.deleteWebhookSubscription), async (req, res) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    const deleted = await WebhookSubscription.findOneAndDelete({ subscriptionId });
+
+    if (!deleted) {
+      return subscriptionNotFound(res);
+    }
+
+    await WebhookDelivery.deleteMany({ subscriptionId });
+    invalidateSubscriptionCache();
+
+    res.json({
+      message: 'Webhook subscription deleted',
+      subscriptionId,
+    });
+  } catch (error) {
+    logger.error('Error deleting webhook subscription', { error });
+    res.status(500).json({
+      error: 'Failed to delete webhook subscription',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/:subscriptionId/ping
+ * @desc    Send a webhook.ping delivery and return the receiver's response
+ * @access  Admin
+ */
+router.post('/:subscriptionId/ping', validate(schemas.pingWebhookSubscription), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findOne({ subscriptionId: req.params.subscriptionId });
+
+    if (!subscription) {
+      return subscriptionNotFound(res);
+    }
+    if (!subscription.active) {
+      return subscriptionDisabled(res, subscription);
+    }
+
+    const delivery = await pingSubscription(subscription);
+
+    res.status(201).json({
+      message: delivery.status === 'succeeded' ? 'Ping delivered' : 'Ping failed',
+      delivery,
+    });
+  } catch (error) {
+    logger.error('Error pinging webhook subscription', { error });
+    res.status(500).json({
+      error: 'Failed to ping webhook subscription',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:subscriptionId/deliveries
+ * @desc    List a subscription's deliveries, newest first (optionally by status or topic)
+ * @access  Admin
+ */
+router.get('/:subscriptionId/deliveries', validate(schemas.listWebhookDeliveries), parsePagination(), async (req, res) => {
+  try {
+    const { subscriptionId } = req.params;
+    const { status, topic } = req.query;
+
+    const exists = await WebhookSubscription.exists({ subscriptionId });
+
+    if (!exists) {
+      return subscriptionNotFound(res);
+    }
+
+    const { deliveries, nextCursor, prevCursor, hasMore } = await WebhookDelivery.getDeliveries(subscriptionId, {
+      ...req.page,
+      status,
+      topic,
+    });
+
+    res.json({
+      deliveries,
+      count: deliveries.length,
+      nextCursor,
+      prevCursor,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries', { error });
+    res.status(500).json({
+      error: 'Failed to fetch webhook deliveries',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:subscriptionId/deliveries/:deliveryId
+ * @desc    Get a delivery with its payload and every attempt's outcome
+ * @access  Admin
+ */
+router.get('/:subscriptionId/deliveries/:deliveryId', validate(schemas.getWebhookDelivery), async (req, res) => {
+  try {
+    const { subscriptionId, deliveryId } = req.params;
+
+    const delivery = await WebhookDelivery.findOne({ subscriptionId, deliveryId });
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Webhook delivery not found',
+      });
+    }
+
+    res.json({
+      delivery,
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook delivery', { error });
+    res.status(500).json({
+      error: 'Failed to fetch webhook delivery',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/:subscriptionId/deliveries/:deliveryId/redeliver
+ * @desc    Send a delivery's payload again (same payload id) as a new delivery
+ *          with a fresh attempt budget
+ * @access  Admin
+ */
+router.post('/:subscriptionId/deliveries/:deliveryId/redeliver', validate(schemas.redeliverWebhook), async (req, res) => {
+  try {
+    const { subscriptionId, deliveryId } = req.params;
+
+    const [subscription, original] = await Promise.all([
+      WebhookSubscription.findOne({ subscriptionId }),
+      WebhookDelivery.findOne({ subscriptionId, deliveryId }),
+    ]);
+
+    if (!subscription || !original) {
+      return res.status(404).json({
+        error: 'Webhook delivery not found',
+      });
+    }
+    if (!subscription.active) {
+      return subscriptionDisabled(res, subscription);
+    }
+
+    const delivery = await redeliver(subscription, original);
+
+    const messages = {
+      succeeded: 'Redelivered',
+      pending: 'Redelivery failed, it will be retried',
+    };
+
+    res.status(201).json({
+      message: messages[delivery.status] || 'Redelivery failed',
+      delivery,
+    });
+  } catch (error) {
+    logger.error('Error redelivering webhook', { error });
+    res.status(500).json({
+      error: 'Failed to redeliver webhook',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const EmailDelivery = require('../models/EmailDelivery');
+const JobRun = require('../models/JobRun');
+const { DIGEST_FREQUENCIES } = require('../services/emailService');
+const { EVENT_TYPES, id, timestamp, params, pageQuery, page, message, ref, defineRoutes } = require('./common');
+
+const fanoutSummary = {
+  allOf: [
+    {
+      type: 'object',
+      properties: {
+        eventId: { type: 'string' },
+        sourceUserId: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' },
+      },
+    },
+    ref('Fanout'),
+  ],
+};
+
+module.exports = defineRoutes({
+  getQueueStats: {
+    summary: 'Get event queue job counts by status',
+    responses: {
+      200: {
+        description: 'Job counts',
+        schema: {
+          type: 'object',
+          properties: {
+            stats: {
+              type: 'object',
+              properties: {
+                pending: { type: 'integer' },
+                processing: { type: 'integer' },
+                completed: { type: 'integer' },
+                dead: { type: 'integer' },
+              },
+            },
+            deadLetters: { type: 'integer' },
+          },
+        },
+      },
+    },
+  },
+  listDeadLetters: {
+    summary: 'List dead-lettered events',
+    query: pageQuery(50, {
+      status: { type: 'string', enum: ['dead', 'replayed'], default: 'dead' },
+      type: { type: 'string', enum: EVENT_TYPES },
+    }),
+    responses: {
+      200: {
+        description: 'A page of dead letters',
+        schema: page('deadLetters', ref('DeadLetter')),
+      },
+    },
+  },
+  getDeadLetter: {
+    summary: 'Inspect a dead-lettered event with its original payload and job state',
+    params: params('eventId'),
+    responses: {
+      200: {
+        description: 'The dead letter',
+        schema: {
+          type: 'object',
+          properties: {
+            deadLetter: ref('DeadLetter'),
+            event: ref('Event'),
+            job: ref('EventJob'),
+          },
+        },
+      },
+      404: 'Dead letter not found',
+    },
+  },
+  replayDeadLetter: {
+    summary: 'Re-queue a dead-lettered event with a fresh attempt budget',
+    params: params('eventId'),
+    responses: {
+      200: {
+        description: 'Event queued for replay',
+        schema: message({ deadLetter: ref('DeadLetter') }),
+      },
+      404: 'Dead letter not found',
+    },
+  },
+  listFanouts: {
+    summary: 'List post fan-outs, newest first',
+    query: pageQuery(50, {
+      status: { type: 'string', enum: ['running', 'completed'] },
+      mode: { type: 'string', enum: ['write', 'read'] },
+    }),
+    responses: {
+      200: {
+        description: 'A page of fan-outs',
+        schema: page('fanouts', fanoutSummary),
+      },
+    },
+  },
+  getFanout: {
+    summary: "Get the progress of a post's fan-out to followers",
+    params: params('eventId'),
+    responses: {
+      200: {
+        description: 'Fan-out progress',
+        schema: {
+          type: 'object',
+          properties: {
+            eventId: { type: 'string' },
+            sourceUserId: { type: 'string' },
+            fanout: { oneOf: [ref('Fanout'), { type: 'null' }] },
+            job: ref('EventJob'),
+          },
+        },
+      },
+      404: 'Post event not found',
+    },
+  },
+  listEmailDeliveries: {
+    summary: 'List recorded email delivery attempts',
+    query: pageQuery(50, {
+      userId: id,
+      status: { type: 'string', enum: EmailDelivery.schema.path('status').enumValues },
+      kind: { type: 'string', enum: EmailDelivery.schema.path('kind').enumValues },
+    }),
+    responses: {
+      200: {
+        description: 'A page of deliveries',
+        schema: page('deliveries', ref('EmailDelivery')),
+      },
+    },
+  },
+  runEmailDigests: {
+    summary: 'Send all due daily or weekly digests now',
+    params: {
+      type: 'object',
+      properties: {
+        frequency: { type: 'string', enum: DIGEST_FREQUENCIES },
+      },
+      required: ['frequency'],
+    },
+    responses: {
+      200: {
+        description: 'Digest run completed',
+        schema: message({
+          frequency: { type: 'string', enum: DIGEST_FREQUENCIES },
+          sent: { type: 'integer' },
+          failed: { type: 'integer' },
+        }),
+      },
+    },
+  },
+  listJobs: {
+    summary: 'List scheduled jobs with their next run and most recent run',
+    responses: {
+      200: {
+        description: 'Jobs',
+        schema: { type: 'object', properties: { jobs: { type: 'array', items: ref('Job') } } },
+      },
+    },
+  },
+  listJobRuns: {
+    summary: "List a job's run history, most recent first",
+    params: params('name'),
+    query: pageQuery(50, {
+      status: { type: 'string', enum: JobRun.schema.path('status').enumValues },
+    }),
+    responses: {
+      200: {
+        description: 'A page of runs',
+        schema: page('runs', ref('JobRun')),
+      },
+      404: 'Job not found',
+    },
+  },
+  runJob: {
+    summary: 'Run a job now',
+    description: 'Responds once the run has started; follow it in the run history.',
+    params: params('name'),
+    responses: {
+      202: {
+        description: 'Run started',
+        schema: message({ run: ref('JobRun') }),
+      },
+      404: 'Job not found',
+      409: 'Job is already running',
+    },
+  },
+  getThrottlingStats: {
+    summary: 'Get suppressed event counts and the senders suppressed most',
+    description: 'Events over a throttling budget are recorded but notify no one. '
+      + 'List them with GET /api/events?suppressed=true.',
+    query: {
+      type: 'object',
+      properties: {
+        since: { ...timestamp, description: 'Count events saved since (defaults to the last 24 hours)' },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Number of top senders' },
+      },
+    },
+    responses: {
+      200: {
+        description: 'Suppression counters and the current limits',
+        schema: {
+          type: 'object',
+          properties: {
+            since: timestamp,
+            suppressed: ref('SuppressionStats'),
+            limits: ref('ThrottleLimits'),
+          },
+        },
+      },
+    },
+  },
+});
@@ -0,0 +1,29 @@
+const { id, body, message, ref, defineRoutes } = require('./common');
+
+module.exports = defineRoutes({
+  login: {
+    summary: 'Exchange a userId (or email) and password for an access token',
+    body: body({
+      userId: id,
+      email: { type: 'string', format: 'email' },
+      password: { type: 'string', minLength: 1 },
+    }, ['password']),
+    responses: {
+      200: {
+        description: 'Logged in',
+        schema: message({ token: { type: 'string' }, user: ref('User') }),
+      },
+      401: 'Invalid credentials',
+    },
+  },
+  getMe: {
+    summary: 'Get the authenticated user',
+    responses: {
+      200: {
+        description: 'The caller',
+        schema: { type: 'object', properties: { user: ref('User') } },
+      },
+      404: 'User not found',
+    },
+  },
+});
@@ -0,0 +1,115 @@
+const { MAX_PAGE_SIZE } = require('../utils/pagination');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const { SUPPORTED_LOCALES } = require('../services/templates');
+
+const EVENT_TYPES = Event.schema.path('type').enumValues;
+const NOTIFICATION_STATUSES = Notification.schema.path('status').enumValues;
+
+const id = { type: 'string', minLength: 1, maxLength: 100 };
+const cursor = { type: 'string', minLength: 1, maxLength: 200 };
+const nullableCursor = { type: ['string', 'null'] };
+const timestamp = { type: 'string', format: 'date-time' };
+const locale = {
+  type: 'string',
+  format: 'locale',
+  maxLength: 35,
+  description: `BCP 47 tag in a supported language (${SUPPORTED_LOCALES.join(', ')}), e.g. ta-IN`,
+};
+
+/**
+ * Required string path params, e.g. params('userId', 'postId')
+ */
+function params(...names) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(names.map(name => [name, id])),
+    required: names,
+  };
+}
+
+/**
+ * ?limit, ?before and ?after (plus any route-specific filters) for cursor-paginated lists
+ */
+function pageQuery(defaultLimit = 50, filters = {}) {
+  return {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: defaultLimit },
+      before: { ...cursor, description: 'Page older: the nextCursor of the previous page' },
+      after: { ...cursor, description: 'Refresh newer: the prevCursor of the first page' },
+      ...filters,
+    },
+  };
+}
+
+/**
+ * A page of `key` items with its cursors
+ */
+function page(key, items, extra = {}) {
+  return {
+    type: 'object',
+    properties: {
+      [key]: { type: 'array', items },
+      count: { type: 'integer' },
+      ...extra,
+      nextCursor: nullableCursor,
+      prevCursor: nullableCursor,
+      hasMore: { type: 'boolean' },
+    },
+  };
+}
+
+/**
+ * A request body object; unknown fields are rejected
+ */
+function body(properties, required = []) {
+  return {
+    type: 'object',
+    properties,
+    required,
+    additionalProperties: false,
+  };
+}
+
+/**
+ * A { message, ... } confirmation response
+ */
+function message(properties = {}) {
+  return {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      ...properties,
+    },
+  };
+}
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Name each route schema after its key, which becomes the OpenAPI operationId
+ */
+function defineRoutes(routes) {
+  Object.entries(routes).forEach(([operationId, schema]) => {
+    schema.operationId = operationId;
+  });
+  return routes;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  NOTIFICATION_STATUSES,
+  id,
+  timestamp,
+  locale,
+  params,
+  pageQuery,
+  page,
+  body,
+  message,
+  ref,
+  defineRoutes,
+};
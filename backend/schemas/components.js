@@ -0,0 +1,483 @@
+const User = require('../models/User');
+const Event = require('../models/Event');
+const EmailDelivery = require('../models/EmailDelivery');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const JobRun = require('../models/JobRun');
+const { TIME_PATTERN } = require('../utils/timezone');
+const { EVENT_TYPES, NOTIFICATION_STATUSES, timestamp, locale, ref } = require('./common');
+
+const EMAIL_FREQUENCIES = EmailDelivery.schema.path('frequency').enumValues;
+const DIGEST_FREQUENCIES = User.schema.path('preferences.digestFrequency').enumValues;
+const SUPPRESSION_REASONS = Event.schema.path('suppression.reason').enumValues;
+const URGENT_TYPES = User.schema.path('preferences.urgentTypes').caster.enumValues;
+const WEBHOOK_TOPICS = WebhookSubscription.schema.path('topics').caster.enumValues;
+const WEBHOOK_DELIVERY_STATUSES = WebhookDelivery.schema.path('status').enumValues;
+const JOB_RUN_TRIGGERS = JobRun.schema.path('trigger').enumValues;
+const JOB_RUN_STATUSES = JobRun.schema.path('status').enumValues;
+
+const timeOfDay = { type: 'string', pattern: TIME_PATTERN.source, description: 'HH:mm, local time' };
+const metadata = { type: 'object', additionalProperties: true };
+
+// preferences.delivery.<TYPE>.<channel>, read from the User model's delivery matrix
+const deliveryTypes = {};
+User.schema.eachPath((path, schemaType) => {
+  const match = path.match(/^preferences\.delivery\.(\w+)\.(\w+)$/);
+  if (match) {
+    const [, type, channel] = match;
+    deliveryTypes[type] = deliveryTypes[type] || { type: 'object', properties: {}, additionalProperties: false };
+    deliveryTypes[type].properties[channel] = { type: 'string', enum: schemaType.enumValues };
+  }
+});
+
+// Shared by the User response and the preferences update body
+const preferenceProperties = {
+  delivery: {
+    type: 'object',
+    description: "Per type and channel: 'instant', 'digest' (email only) or 'off'. Email and push are off while inApp is off",
+    properties: deliveryTypes,
+    additionalProperties: false,
+  },
+  digestFrequency: { type: 'string', enum: DIGEST_FREQUENCIES, description: "How often types set to 'digest' are emailed" },
+  timezone: { type: 'string', format: 'timezone', description: 'IANA time zone used for quiet hours' },
+  quietHours: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      start: timeOfDay,
+      end: timeOfDay,
+    },
+    additionalProperties: false,
+  },
+  doNotDisturbUntil: { type: ['string', 'null'], format: 'date-time' },
+  urgentTypes: {
+    type: 'array',
+    items: { type: 'string', enum: URGENT_TYPES },
+    uniqueItems: true,
+  },
+};
+
+// Model shapes as they appear in responses, referenced from route schemas as
+// #/components/schemas/<name>
+const components = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' },
+    },
+    required: ['error'],
+  },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', const: 'Validation failed' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', description: 'Location and path of the failing value, e.g. query.limit' },
+            message: { type: 'string' },
+          },
+        },
+      },
+    },
+    required: ['error', 'details'],
+  },
+  Preferences: {
+    type: 'object',
+    properties: preferenceProperties,
+  },
+  Profile: {
+    type: 'object',
+    properties: {
+      bio: { type: 'string' },
+      location: { type: 'string' },
+      company: { type: 'string' },
+      website: { type: 'string' },
+    },
+  },
+  User: {
+    type: 'object',
+    properties: {
+      userId: { type: 'string' },
+      username: { type: 'string' },
+      role: { type: 'string', enum: User.schema.path('role').enumValues },
+      locale,
+      preferences: ref('Preferences'),
+      profile: ref('Profile'),
+      followerCount: { type: 'integer' },
+      followingCount: { type: 'integer' },
+      lastEmailDigestAt: timestamp,
+      feedReadAt: timestamp,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+  },
+  FollowProfile: {
+    allOf: [
+      ref('User'),
+      {
+        type: 'object',
+        properties: {
+          followedAt: timestamp,
+        },
+      },
+    ],
+  },
+  Mutes: {
+    type: 'object',
+    properties: {
+      mutedUsers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            userId: { type: 'string' },
+            expiresAt: { type: ['string', 'null'], format: 'date-time' },
+          },
+        },
+      },
+      mutedPosts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            postId: { type: 'string' },
+            expiresAt: { type: ['string', 'null'], format: 'date-time' },
+          },
+        },
+      },
+    },
+  },
+  Notification: {
+    type: 'object',
+    properties: {
+      notificationId: { type: 'string' },
+      userId: { type: 'string' },
+      type: { type: 'string', enum: EVENT_TYPES },
+      content: { type: 'string' },
+      status: { type: 'string', enum: NOTIFICATION_STATUSES },
+      relatedEventId: { type: 'string' },
+      sourceUserId: { type: 'string' },
+      actors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            userId: { type: 'string' },
+            username: { type: 'string' },
+          },
+        },
+      },
+      actorCount: { type: 'integer' },
+      data: {
+        type: 'object',
+        properties: {
+          postId: { type: 'string' },
+          commentId: { type: 'string' },
+          url: { type: 'string' },
+          imageUrl: { type: 'string' },
+          metadata,
+        },
+      },
+      timestamp,
+      readAt: timestamp,
+      dismissedAt: timestamp,
+      expiresAt: timestamp,
+    },
+  },
+  NotificationFacets: {
+    type: 'object',
+    description: 'Counts of matching notifications per type (under the status filter) '
+      + 'and per status (under the type filter)',
+    properties: {
+      types: {
+        type: 'object',
+        properties: Object.fromEntries(EVENT_TYPES.map(type => [type, { type: 'integer' }])),
+      },
+      statuses: {
+        type: 'object',
+        properties: Object.fromEntries(NOTIFICATION_STATUSES.map(status => [status, { type: 'integer' }])),
+      },
+    },
+  },
+  Event: {
+    type: 'object',
+    properties: {
+      eventId: { type: 'string' },
+      type: { type: 'string', enum: EVENT_TYPES },
+      sourceUserId: { type: 'string' },
+      targetUserId: { type: 'string' },
+      data: {
+        type: 'object',
+        properties: {
+          postId: { type: 'string' },
+          commentId: { type: 'string' },
+          content: { type: 'string' },
+          mentionedUsers: { type: 'array', items: { type: 'string' } },
+          metadata,
+        },
+      },
+      timestamp,
+      processed: { type: 'boolean' },
+      backfill: { type: 'boolean', description: 'Sent with a past timestamp in a batch; recorded in feeds, never delivered' },
+      correlationId: { type: 'string', description: 'X-Request-Id of the request that created the event' },
+      suppression: ref('Suppression'),
+      fanout: ref('Fanout'),
+    },
+  },
+  Suppression: {
+    type: 'object',
+    description: 'Present when the event went over a throttling budget and notified no one',
+    properties: {
+      reason: { type: 'string', enum: SUPPRESSION_REASONS },
+      limit: { type: 'integer', description: 'The budget that was exceeded' },
+      count: { type: 'integer', description: 'Events counted toward it, this one included' },
+      windowMs: { type: 'integer' },
+    },
+  },
+  SuppressionStats: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      byReason: { type: 'object', additionalProperties: { type: 'integer' } },
+      byType: { type: 'object', additionalProperties: { type: 'integer' } },
+      topSources: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            sourceUserId: { type: 'string' },
+            suppressed: { type: 'integer' },
+            byReason: { type: 'object', additionalProperties: { type: 'integer' } },
+            lastSuppressedAt: timestamp,
+          },
+        },
+      },
+    },
+  },
+  ThrottleLimits: {
+    type: 'object',
+    properties: {
+      windowMs: { type: 'integer' },
+      toggleWindowMs: { type: 'integer' },
+      toggleMaxRepeats: { type: 'integer' },
+      budgets: {
+        type: 'object',
+        description: 'Events of each type allowed per window from one sender, and from one sender to one recipient',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            perSource: { type: 'integer' },
+            perTarget: { type: 'integer' },
+          },
+        },
+      },
+    },
+  },
+  Fanout: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: ['write', 'read'] },
+      status: { type: 'string', enum: ['running', 'completed'] },
+      totalFollowers: { type: 'integer' },
+      scanned: { type: 'integer' },
+      notified: { type: 'integer' },
+      startedAt: timestamp,
+      completedAt: timestamp,
+    },
+  },
+  EventJob: {
+    type: 'object',
+    properties: {
+      eventId: { type: 'string' },
+      lane: { type: 'string', enum: ['default', 'fanout'] },
+      status: { type: 'string', enum: ['pending', 'processing', 'completed', 'dead'] },
+      attempts: { type: 'integer' },
+      maxAttempts: { type: 'integer' },
+      nextAttemptAt: timestamp,
+      lockedAt: timestamp,
+      lastError: { type: 'string' },
+      completedAt: timestamp,
+    },
+  },
+  DeadLetter: {
+    type: 'object',
+    properties: {
+      eventId: { type: 'string' },
+      type: { type: 'string', enum: EVENT_TYPES },
+      sourceUserId: { type: 'string' },
+      status: { type: 'string', enum: ['dead', 'replayed'] },
+      attempts: { type: 'integer' },
+      lastError: { type: 'string' },
+      failedAt: timestamp,
+      replayCount: { type: 'integer' },
+      replayedAt: timestamp,
+    },
+  },
+  EmailDelivery: {
+    type: 'object',
+    properties: {
+      deliveryId: { type: 'string' },
+      userId: { type: 'string' },
+      to: { type: 'string' },
+      kind: { type: 'string', enum: ['immediate', 'digest'] },
+      frequency: { type: 'string', enum: EMAIL_FREQUENCIES },
+      subject: { type: 'string' },
+      notificationIds: { type: 'array', items: { type: 'string' } },
+      transport: { type: 'string' },
+      status: { type: 'string', enum: ['sent', 'failed'] },
+      messageId: { type: 'string' },
+      error: { type: 'string' },
+      timestamp,
+    },
+  },
+  PushSubscription: {
+    type: 'object',
+    properties: {
+      subscriptionId: { type: 'string' },
+      userId: { type: 'string' },
+      kind: { type: 'string', enum: ['webpush', 'device'] },
+      endpoint: { type: 'string' },
+      platform: { type: 'string' },
+      expirationTime: timestamp,
+      userAgent: { type: 'string' },
+      lastSuccessAt: timestamp,
+      failureCount: { type: 'integer' },
+    },
+  },
+  WebhookSubscription: {
+    type: 'object',
+    properties: {
+      subscriptionId: { type: 'string' },
+      url: { type: 'string' },
+      description: { type: 'string' },
+      topics: { type: 'array', items: { type: 'string', enum: WEBHOOK_TOPICS } },
+      types: {
+        type: 'array',
+        items: { type: 'string', enum: EVENT_TYPES },
+        description: 'Event/notification types sent; empty means all',
+      },
+      active: { type: 'boolean' },
+      disabledAt: timestamp,
+      disabledReason: { type: 'string' },
+      consecutiveFailures: { type: 'integer' },
+      lastDeliveryAt: timestamp,
+      lastSuccessAt: timestamp,
+      lastFailureAt: timestamp,
+      createdBy: { type: 'string' },
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      deliveryId: { type: 'string' },
+      subscriptionId: { type: 'string' },
+      topic: { type: 'string' },
+      type: { type: 'string' },
+      payload: {
+        type: 'object',
+        description: 'The signed body that was sent',
+        properties: {
+          id: { type: 'string' },
+          topic: { type: 'string' },
+          createdAt: timestamp,
+          data: metadata,
+        },
+      },
+      status: { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES },
+      attempts: { type: 'integer' },
+      maxAttempts: { type: 'integer' },
+      nextAttemptAt: timestamp,
+      attemptLog: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            at: timestamp,
+            responseStatus: { type: 'integer' },
+            error: { type: 'string' },
+            durationMs: { type: 'integer' },
+          },
+        },
+      },
+      responseStatus: { type: 'integer' },
+      responseBody: { type: 'string' },
+      error: { type: 'string' },
+      deliveredAt: timestamp,
+      redeliveryOf: { type: 'string' },
+      createdAt: timestamp,
+    },
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      schedule: { type: 'string', description: 'Cron expression' },
+      timezone: { type: 'string' },
+      nextRunAt: timestamp,
+      running: { type: 'boolean', description: 'Whether some instance holds the lock' },
+      lockedBy: { type: ['string', 'null'] },
+      lastRun: { oneOf: [ref('JobRun'), { type: 'null' }] },
+    },
+  },
+  JobRun: {
+    type: 'object',
+    properties: {
+      runId: { type: 'string' },
+      name: { type: 'string' },
+      trigger: { type: 'string', enum: JOB_RUN_TRIGGERS },
+      triggeredBy: { type: 'string' },
+      scheduledAt: timestamp,
+      instance: { type: 'string' },
+      status: { type: 'string', enum: JOB_RUN_STATUSES },
+      startedAt: timestamp,
+      finishedAt: timestamp,
+      durationMs: { type: 'integer' },
+      result: metadata,
+      error: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          stack: { type: 'string' },
+        },
+      },
+    },
+  },
+  Post: {
+    type: 'object',
+    properties: {
+      postId: { type: 'string' },
+      authorId: { type: 'string' },
+      content: { type: 'string' },
+      imageUrl: { type: 'string' },
+      sharedPostId: { type: 'string' },
+      likeCount: { type: 'integer' },
+      commentCount: { type: 'integer' },
+      shareCount: { type: 'integer' },
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+  },
+  Comment: {
+    type: 'object',
+    properties: {
+      commentId: { type: 'string' },
+      postId: { type: 'string' },
+      authorId: { type: 'string' },
+      content: { type: 'string' },
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+  },
+};
+
+module.exports = {
+  components,
+  preferenceProperties,
+};
@@ -0,0 +1,34 @@
+const { message, defineRoutes } = require('./common');
+
+const tokenQuery = {
+  type: 'object',
+  properties: {
+    token: { type: 'string', minLength: 1, description: 'Signed token from the email' },
+  },
+  required: ['token'],
+};
+
+module.exports = defineRoutes({
+  unsubscribePage: {
+    summary: "Confirmation page for an email's unsubscribe link",
+    query: tokenQuery,
+    responses: {
+      200: {
+        description: 'Confirmation page',
+        contentType: 'text/html',
+        schema: { type: 'string' },
+      },
+    },
+  },
+  unsubscribe: {
+    summary: 'Turn off email notifications (confirmation form or RFC 8058 one-click unsubscribe)',
+    description: 'Browsers that submit the confirmation form get an HTML page instead of JSON',
+    query: tokenQuery,
+    responses: {
+      200: {
+        description: 'Unsubscribed',
+        schema: message({ userId: { type: 'string' } }),
+      },
+    },
+  },
+});
@@ -0,0 +1,174 @@
+const { EVENT_TYPES, id, timestamp, params, pageQuery, page, body, message, ref, defineRoutes } = require('./common');
+
+const eventData = {
+  type: 'object',
+  properties: {
+    postId: id,
+    commentId: id,
+    content: { type: 'string', maxLength: 5000 },
+    metadata: { type: 'object', additionalProperties: true },
+  },
+  additionalProperties: false,
+};
+
+const eventProperties = {
+  type: { type: 'string', enum: EVENT_TYPES },
+  sourceUserId: id,
+  targetUserId: id,
+  data: eventData,
+};
+
+const batchEvent = body({
+  ...eventProperties,
+  eventId: {
+    ...id,
+    description: 'Client-generated id, stored as sourceUserId:eventId; an event already saved with it is reported as a duplicate',
+  },
+  timestamp: {
+    ...timestamp,
+    description: 'When the action happened, for backfills (defaults to now). A backfilled event is recorded '
+      + 'in feeds at this time but not delivered: no stream, email, push or webhooks',
+  },
+}, ['type', 'sourceUserId']);
+
+const batchResult = {
+  type: 'object',
+  properties: {
+    index: { type: 'integer', description: 'Position of the event in the batch' },
+    status: { type: 'string', enum: ['accepted', 'duplicate', 'rejected'] },
+    eventId: { type: 'string' },
+    error: { type: 'string', description: 'Why a rejected event was not saved' },
+    message: { type: 'string' },
+    details: { type: 'array', items: { type: 'object' } },
+  },
+};
+
+module.exports = defineRoutes({
+  createEvent: {
+    summary: 'Create an event and queue it for notification processing',
+    description: 'LIKE, COMMENT, SHARE, POST_CREATE and FOLLOW are emitted by the post and follow endpoints; '
+      + 'only admins may submit them here. MENTION recipients are resolved from data.content.',
+    headers: {
+      type: 'object',
+      properties: {
+        'idempotency-key': {
+          type: 'string',
+          minLength: 1,
+          maxLength: 255,
+          description: 'Retries with the same key replay the first response instead of creating another event',
+        },
+      },
+    },
+    body: body({
+      eventId: {
+        ...id,
+        description: 'Client-generated id (e.g. a UUID); doubles as the idempotency key when no header is sent. '
+          + 'The event is stored as sourceUserId:eventId, so ids only need to be unique per user',
+      },
+      ...eventProperties,
+    }, ['type', 'sourceUserId']),
+    responses: {
+      201: {
+        description: 'Event created (or the stored response of an earlier request with the same key, '
+          + 'marked with Idempotent-Replayed: true)',
+        schema: message({
+          event: {
+            type: 'object',
+            properties: {
+              eventId: { type: 'string' },
+              type: { type: 'string', enum: EVENT_TYPES },
+              timestamp,
+            },
+          },
+        }),
+      },
+      403: 'Events on behalf of another user, or a server-emitted type',
+      409: 'Idempotency key in use by a request still in progress, or eventId used by one of your events of another type',
+      422: 'Idempotency key reused with a different payload',
+    },
+  },
+  createEventBatch: {
+    summary: 'Create many events at once and queue them for notification processing',
+    description: 'Send a JSON array, or NDJSON (application/x-ndjson, one event per line), of up to '
+      + 'EVENT_BATCH_MAX_EVENTS (default 10000) events. Each event is checked on its own, under the same rules as POST /api/events, '
+      + 'and gets a result: accepted, duplicate (its eventId already exists) or rejected with the reason.',
+    // Items are validated one by one by the handler, so this is documentation only
+    item: batchEvent,
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: { type: 'array', items: batchEvent, minItems: 1 },
+        },
+        'application/x-ndjson': {
+          schema: { type: 'string', description: 'One JSON event per line' },
+        },
+      },
+    },
+    responses: {
+      200: {
+        description: 'Per-event results, in request order',
+        schema: message({
+          received: { type: 'integer' },
+          accepted: { type: 'integer' },
+          duplicates: { type: 'integer' },
+          rejected: { type: 'integer' },
+          results: { type: 'array', items: batchResult },
+        }),
+      },
+      413: 'Too many events in the batch, or the body is too large',
+    },
+  },
+  getUserEvents: {
+    summary: "List a user's events, newest first",
+    params: params('userId'),
+    query: pageQuery(50, {
+      type: { type: 'string', enum: EVENT_TYPES },
+    }),
+    responses: {
+      200: {
+        description: 'A page of events',
+        schema: page('events', ref('Event'), { userId: { type: 'string' } }),
+      },
+      403: 'Not your data',
+    },
+  },
+  listEvents: {
+    summary: 'List all events with per-type counts',
+    query: pageQuery(100, {
+      type: { type: 'string', enum: EVENT_TYPES },
+      processed: { type: 'boolean' },
+      suppressed: { type: 'boolean', description: 'Only events suppressed by throttling, or only those that were not' },
+    }),
+    responses: {
+      200: {
+        description: 'A page of events',
+        schema: page('events', ref('Event'), {
+          stats: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string', enum: EVENT_TYPES },
+                count: { type: 'integer' },
+                processed: { type: 'integer' },
+                suppressed: { type: 'integer' },
+              },
+            },
+          },
+        }),
+      },
+    },
+  },
+  deleteEvent: {
+    summary: 'Delete an event',
+    params: params('eventId'),
+    responses: {
+      200: {
+        description: 'Event deleted',
+        schema: message({ eventId: { type: 'string' } }),
+      },
+      404: 'Event not found',
+    },
+  },
+});
@@ -0,0 +1,175 @@
+const {
+  EVENT_TYPES,
+  NOTIFICATION_STATUSES,
+  id,
+  timestamp,
+  params,
+  pageQuery,
+  page,
+  message,
+  ref,
+  defineRoutes,
+} = require('./common');
+
+module.exports = defineRoutes({
+  getNotifications: {
+    summary: "Search and filter a user's notifications, newest first by default",
+    description: 'Includes posts from followed accounts that fan out on read (except in text searches, '
+      + 'which cover stored notifications). Page on with ?before=<nextCursor>, refresh the top with '
+      + '?after=<prevCursor>; cursors only continue the same sort.',
+    params: params('userId'),
+    query: pageQuery(50, {
+      q: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 200,
+        description: 'Full-text search of the notification text; "quoted phrases" and -excluded words are supported',
+      },
+      status: {
+        type: 'array',
+        items: { type: 'string', enum: NOTIFICATION_STATUSES },
+        uniqueItems: true,
+        description: 'Comma-separated statuses',
+      },
+      types: {
+        type: 'array',
+        items: { type: 'string', enum: EVENT_TYPES },
+        uniqueItems: true,
+        description: 'Comma-separated notification types',
+      },
+      sourceUserId: { ...id, description: 'Only notifications with this user among the actors' },
+      postId: id,
+      from: { ...timestamp, description: 'Only notifications at or after this time' },
+      to: { ...timestamp, description: 'Only notifications at or before this time' },
+      sort: {
+        type: 'string',
+        enum: ['newest', 'oldest', 'relevance'],
+        default: 'newest',
+        description: 'relevance (best match first) requires q',
+      },
+      facets: { type: 'boolean', default: false, description: 'Include counts per type and status' },
+    }),
+    responses: {
+      200: {
+        description: 'A page of notifications',
+        schema: page('notifications', ref('Notification'), {
+          unreadCount: { type: 'integer' },
+          userId: { type: 'string' },
+          facets: ref('NotificationFacets'),
+        }),
+      },
+      400: 'Invalid filters, or a cursor from another sort',
+      403: 'Not your data',
+    },
+  },
+  streamNotifications: {
+    summary: 'Stream new notifications, status changes and unread counts (Server-Sent Events)',
+    description: 'Reconnecting clients resume via the Last-Event-ID header or ?lastEventId=. '
+      + 'EventSource cannot send headers, so the token may be passed as ?access_token=.',
+    params: params('userId'),
+    query: {
+      type: 'object',
+      properties: {
+        lastEventId: { type: 'string', maxLength: 100 },
+      },
+    },
+    responses: {
+      200: {
+        description: 'notification, status, unread_count and resync events',
+        contentType: 'text/event-stream',
+        schema: { type: 'string' },
+      },
+      403: 'Not your data',
+    },
+  },
+  markNotificationRead: {
+    summary: 'Mark a notification as read',
+    params: params('notificationId'),
+    responses: {
+      200: {
+        description: 'Notification marked as read',
+        schema: message({
+          notification: {
+            type: 'object',
+            properties: {
+              notificationId: { type: 'string' },
+              status: { type: 'string', enum: NOTIFICATION_STATUSES },
+              readAt: { type: 'string', format: 'date-time' },
+            },
+          },
+        }),
+      },
+      403: 'Not the recipient',
+      404: 'Notification not found',
+    },
+  },
+  markAllNotificationsRead: {
+    summary: "Mark all of a user's notifications as read",
+    params: params('userId'),
+    responses: {
+      200: {
+        description: 'Notifications marked as read',
+        schema: message({
+          modifiedCount: { type: 'integer' },
+          userId: { type: 'string' },
+        }),
+      },
+      403: 'Not your data',
+    },
+  },
+  dismissNotification: {
+    summary: 'Dismiss a notification',
+    params: params('notificationId'),
+    responses: {
+      200: {
+        description: 'Notification dismissed',
+        schema: message({ notificationId: { type: 'string' } }),
+      },
+      403: 'Not the recipient',
+      404: 'Notification not found',
+    },
+  },
+  listNotifications: {
+    summary: 'List all notifications with counts by status and type',
+    query: pageQuery(100, {
+      status: { type: 'string', enum: NOTIFICATION_STATUSES },
+      type: { type: 'string', enum: EVENT_TYPES },
+    }),
+    responses: {
+      200: {
+        description: 'A page of notifications',
+        schema: page('notifications', ref('Notification'), {
+          stats: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string', enum: NOTIFICATION_STATUSES },
+                types: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      type: { type: 'string', enum: EVENT_TYPES },
+                      count: { type: 'integer' },
+                    },
+                  },
+                },
+                total: { type: 'integer' },
+              },
+            },
+          },
+        }),
+      },
+    },
+  },
+  cleanupNotifications: {
+    summary: 'Delete expired notifications',
+    responses: {
+      200: {
+        description: 'Cleanup completed',
+        schema: message({ deletedCount: { type: 'integer' } }),
+      },
+    },
+  },
+});
@@ -0,0 +1,122 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { id, params, pageQuery, page, body, message, ref, defineRoutes } = require('./common');
+
+const postContent = { type: 'string', maxLength: Post.schema.path('content').options.maxlength };
+const commentContent = { type: 'string', minLength: 1, maxLength: Comment.schema.path('content').options.maxlength };
+const mentionedUsers = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Users notified of an @mention',
+};
+
+const likeResponse = description => ({
+  description,
+  schema: message({
+    liked: { type: 'boolean' },
+    postId: { type: 'string' },
+  }),
+});
+
+module.exports = defineRoutes({
+  createPost: {
+    summary: 'Create a post (notifies followers and @mentioned users)',
+    description: 'A post needs content or an imageUrl.',
+    body: body({
+      content: postContent,
+      imageUrl: { type: 'string', format: 'uri' },
+    }),
+    responses: {
+      201: {
+        description: 'Post created',
+        schema: message({ post: ref('Post'), mentionedUsers }),
+      },
+    },
+  },
+  listPosts: {
+    summary: 'List posts, newest first',
+    query: pageQuery(50, {
+      authorId: id,
+    }),
+    responses: {
+      200: {
+        description: 'A page of posts',
+        schema: page('posts', ref('Post')),
+      },
+    },
+  },
+  getPost: {
+    summary: 'Get a post',
+    params: params('postId'),
+    responses: {
+      200: {
+        description: 'The post',
+        schema: {
+          type: 'object',
+          properties: {
+            post: ref('Post'),
+            likedByMe: { type: 'boolean' },
+          },
+        },
+      },
+      404: 'Post not found',
+    },
+  },
+  likePost: {
+    summary: 'Like a post (notifies the post owner the first time)',
+    params: params('postId'),
+    responses: {
+      200: likeResponse('Already liked'),
+      201: likeResponse('Post liked'),
+      403: 'Blocked',
+      404: 'Post not found',
+    },
+  },
+  unlikePost: {
+    summary: "Remove the caller's like from a post",
+    params: params('postId'),
+    responses: {
+      200: likeResponse('Post unliked'),
+      404: 'Post not found',
+    },
+  },
+  getComments: {
+    summary: "List a post's comments, newest first",
+    params: params('postId'),
+    query: pageQuery(),
+    responses: {
+      200: {
+        description: 'A page of comments',
+        schema: page('comments', ref('Comment')),
+      },
+      404: 'Post not found',
+    },
+  },
+  createComment: {
+    summary: 'Comment on a post (notifies the post owner and @mentioned users)',
+    params: params('postId'),
+    body: body({ content: commentContent }, ['content']),
+    responses: {
+      201: {
+        description: 'Comment added',
+        schema: message({ comment: ref('Comment'), mentionedUsers }),
+      },
+      403: 'Blocked',
+      404: 'Post not found',
+    },
+  },
+  sharePost: {
+    summary: 'Share a post as a new post, with optional commentary',
+    description: 'Notifies the original post owner and @mentioned users. Sharing a share shares the original.',
+    params: params('postId'),
+    body: body({ content: postContent }),
+    responses: {
+      201: {
+        description: 'Post shared',
+        schema: message({ post: ref('Post'), mentionedUsers }),
+      },
+      403: 'Blocked',
+      404: 'Post not found',
+    },
+  },
+});
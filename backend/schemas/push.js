@@ -0,0 +1,71 @@
+const { params, body, message, ref, defineRoutes } = require('./common');
+
+module.exports = defineRoutes({
+  getVapidPublicKey: {
+    summary: 'Get the VAPID public key browsers need to create a Web Push subscription',
+    responses: {
+      200: {
+        description: 'The public key',
+        schema: { type: 'object', properties: { publicKey: { type: 'string' } } },
+      },
+      503: 'Web Push is not configured',
+    },
+  },
+  getPushSubscriptions: {
+    summary: "List a user's push subscriptions",
+    params: params('userId'),
+    responses: {
+      200: {
+        description: 'Subscriptions, newest first',
+        schema: {
+          type: 'object',
+          properties: {
+            subscriptions: { type: 'array', items: ref('PushSubscription') },
+            count: { type: 'integer' },
+            userId: { type: 'string' },
+          },
+        },
+      },
+      403: 'Not your data',
+    },
+  },
+  createPushSubscription: {
+    summary: 'Register a browser PushSubscription or a mobile device token',
+    description: 'Send a browser PushSubscription ({ endpoint, keys, expirationTime }) '
+      + 'or a mobile device token ({ platform, token }).',
+    params: params('userId'),
+    body: body({
+      endpoint: { type: 'string', format: 'uri' },
+      keys: {
+        type: 'object',
+        properties: {
+          p256dh: { type: 'string', minLength: 1 },
+          auth: { type: 'string', minLength: 1 },
+        },
+        required: ['p256dh', 'auth'],
+      },
+      expirationTime: { type: ['number', 'string', 'null'] },
+      platform: { type: 'string', minLength: 1 },
+      token: { type: 'string', minLength: 1 },
+    }),
+    responses: {
+      201: {
+        description: 'Subscription registered',
+        schema: message({ subscription: ref('PushSubscription') }),
+      },
+      403: 'Not your data',
+    },
+  },
+  deletePushSubscription: {
+    summary: 'Remove a push subscription',
+    params: params('userId', 'subscriptionId'),
+    responses: {
+      200: {
+        description: 'Subscription removed',
+        schema: message({ subscriptionId: { type: 'string' } }),
+      },
+      403: 'Not your data',
+      404: 'Push subscription not found',
+    },
+  },
+});
@@ -0,0 +1,285 @@
+const User = require('../models/User');
+const { MAX_PAGE_SIZE } = require('../utils/pagination');
+const { id, locale, params, pageQuery, page, body, message, ref, defineRoutes } = require('./common');
+const { preferenceProperties } = require('./components');
+
+const targetUser = body({ targetUserId: id }, ['targetUserId']);
+
+const mutesResponse = description => ({
+  description,
+  schema: {
+    allOf: [message(), ref('Mutes')],
+  },
+});
+
+const blocksResponse = description => ({
+  description,
+  schema: message({
+    blockedUsers: { type: 'array', items: { type: 'string' } },
+  }),
+});
+
+module.exports = defineRoutes({
+  getUser: {
+    summary: "Get a user's profile",
+    params: params('userId'),
+    responses: {
+      200: {
+        description: 'The user',
+        schema: { type: 'object', properties: { user: ref('User') } },
+      },
+      404: 'User not found',
+    },
+  },
+  getPreferences: {
+    summary: 'Get notification preferences with defaults filled in',
+    description: 'Every delivery cell is present and shows how that type currently reaches the user on that channel.',
+    params: params('userId'),
+    responses: {
+      200: {
+        description: 'Effective preferences',
+        schema: { type: 'object', properties: { userId: { type: 'string' }, preferences: ref('Preferences') } },
+      },
+      403: 'Not your data',
+      404: 'User not found',
+    },
+  },
+  updatePreferences: {
+    summary: 'Update notification preferences',
+    description: 'Only the fields sent are changed, down to single delivery cells '
+      + '(e.g. { "delivery": { "LIKE": { "email": "off" } } }); unknown fields are rejected. '
+      + 'Responds with the effective preferences.',
+    params: params('userId'),
+    body: body({
+      preferences: {
+        type: 'object',
+        properties: preferenceProperties,
+        additionalProperties: false,
+        minProperties: 1,
+      },
+    }, ['preferences']),
+    responses: {
+      200: {
+        description: 'Preferences updated',
+        schema: message({ preferences: ref('Preferences') }),
+      },
+      403: 'Not your data',
+      404: 'User not found',
+    },
+  },
+  updateLocale: {
+    summary: 'Set the language notifications are written in',
+    description: 'Applies to notifications created from now on; existing ones keep their text.',
+    params: params('userId'),
+    body: body({ locale }, ['locale']),
+    responses: {
+      200: {
+        description: 'Locale updated',
+        schema: message({ locale: { type: 'string' } }),
+      },
+      403: 'Not your data',
+      404: 'User not found',
+    },
+  },
+  followUser: {
+    summary: 'Follow a user (notifies them)',
+    params: params('userId'),
+    body: targetUser,
+    responses: {
+      200: {
+        description: 'Following',
+        schema: message({ isFollowing: { type: 'boolean' } }),
+      },
+      403: 'Not your data, or blocked',
+      404: 'User not found',
+    },
+  },
+  unfollowUser: {
+    summary: 'Unfollow a user',
+    params: params('userId'),
+    body: targetUser,
+    responses: {
+      200: {
+        description: 'No longer following',
+        schema: message({ isFollowing: { type: 'boolean' } }),
+      },
+      403: 'Not your data',
+      404: 'User not found',
+    },
+  },
+  getFollowers: {
+    summary: "List a user's followers, most recent first",
+    params: params('userId'),
+    query: pageQuery(),
+    responses: {
+      200: {
+        description: 'A page of follower profiles',
+        schema: page('followers', ref('FollowProfile'), { userId: { type: 'string' } }),
+      },
+    },
+  },
+  getFollowing: {
+    summary: 'List the accounts a user follows, most recent first',
+    params: params('userId'),
+    query: pageQuery(),
+    responses: {
+      200: {
+        description: 'A page of followed profiles',
+        schema: page('following', ref('FollowProfile'), { userId: { type: 'string' } }),
+      },
+    },
+  },
+  getRelationship: {
+    summary: 'Get the follow relationship between two users',
+    params: params('userId', 'targetUserId'),
+    responses: {
+      200: {
+        description: 'The relationship',
+        schema: {
+          type: 'object',
+          properties: {
+            userId: { type: 'string' },
+            targetUserId: { type: 'string' },
+            isFollowing: { type: 'boolean' },
+            isFollowedBy: { type: 'boolean' },
+            isMutual: { type: 'boolean' },
+          },
+        },
+      },
+    },
+  },
+  getMutes: {
+    summary: "List a user's active mutes",
+    params: params('userId'),
+    responses: {
+      200: {
+        description: 'Active mutes',
+        schema: {
+          allOf: [ref('Mutes'), { type: 'object', properties: { userId: { type: 'string' } } }],
+        },
+      },
+      403: 'Not your data',
+      404: 'User not found',
+    },
+  },
+  mute: {
+    summary: 'Mute a user or a post, optionally for a limited time',
+    description: 'Send either targetUserId or postId, and optionally durationMinutes or expiresAt.',
+    params: params('userId'),
+    body: body({
+      targetUserId: id,
+      postId: id,
+      durationMinutes: { type: 'integer', minimum: 1 },
+      expiresAt: { type: 'string', format: 'date-time' },
+    }),
+    responses: {
+      201: mutesResponse('Muted'),
+      403: 'Not your data',
+      404: 'User not found',
+    },
+  },
+  unmuteUser: {
+    summary: 'Unmute a user',
+    params: params('userId', 'targetUserId'),
+    responses: {
+      200: mutesResponse('User unmuted'),
+      403: 'Not your data',
+      404: 'User not found',
+    },
+  },
+  unmutePost: {
+    summary: 'Unmute a post',
+    params: params('userId', 'postId'),
+    responses: {
+      200: mutesResponse('Post unmuted'),
+      403: 'Not your data',
+      404: 'User not found',
+    },
+  },
+  getBlocks: {
+    summary: 'List the users a user has blocked',
+    params: params('userId'),
+    responses: {
+      200: {
+        description: 'Blocked users',
+        schema: {
+          type: 'object',
+          properties: {
+            blockedUsers: { type: 'array', items: { type: 'string' } },
+            userId: { type: 'string' },
+          },
+        },
+      },
+      403: 'Not your data',
+      404: 'User not found',
+    },
+  },
+  blockUser: {
+    summary: 'Block a user; also removes follows between the two users',
+    params: params('userId'),
+    body: targetUser,
+    responses: {
+      201: blocksResponse('User blocked'),
+      403: 'Not your data',
+      404: 'User not found',
+    },
+  },
+  unblockUser: {
+    summary: 'Unblock a user',
+    params: params('userId', 'targetUserId'),
+    responses: {
+      200: blocksResponse('User unblocked'),
+      403: 'Not your data',
+      404: 'User not found',
+    },
+  },
+  listUsers: {
+    summary: 'List or search users',
+    query: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 20 },
+        search: { type: 'string', minLength: 1, maxLength: 100 },
+      },
+    },
+    responses: {
+      200: {
+        description: 'Users, newest first',
+        schema: {
+          type: 'object',
+          properties: {
+            users: { type: 'array', items: ref('User') },
+            count: { type: 'integer' },
+          },
+        },
+      },
+    },
+  },
+  createUser: {
+    summary: 'Register a new user and return an access token',
+    body: body({
+      userId: id,
+      username: { type: 'string', minLength: 1, maxLength: User.schema.path('username').options.maxlength },
+      email: { type: 'string', format: 'email' },
+      password: { type: 'string', minLength: 8 },
+      locale: { ...locale, description: `${locale.description}. Defaults from Accept-Language` },
+      profile: {
+        type: 'object',
+        properties: {
+          bio: { type: 'string' },
+          location: { type: 'string' },
+          company: { type: 'string' },
+          website: { type: 'string' },
+        },
+        additionalProperties: false,
+      },
+    }, ['userId', 'username', 'email', 'password']),
+    responses: {
+      201: {
+        description: 'User created',
+        schema: message({ token: { type: 'string' }, user: ref('User') }),
+      },
+      409: 'User already exists',
+    },
+  },
+});
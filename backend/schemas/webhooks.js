@@ -0,0 +1,156 @@
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { EVENT_TYPES, params, pageQuery, page, body, message, ref, defineRoutes } = require('./common');
+
+const WEBHOOK_TOPICS = WebhookSubscription.schema.path('topics').caster.enumValues;
+const DELIVERY_STATUSES = WebhookDelivery.schema.path('status').enumValues;
+
+const subscriptionProperties = {
+  url: {
+    type: 'string',
+    format: 'uri',
+    pattern: '^https?://',
+    maxLength: 2000,
+    description: 'Receives a signed POST per delivery',
+  },
+  description: { type: 'string', maxLength: 500 },
+  topics: {
+    type: 'array',
+    items: { type: 'string', enum: WEBHOOK_TOPICS },
+    minItems: 1,
+    uniqueItems: true,
+  },
+  types: {
+    type: 'array',
+    items: { type: 'string', enum: EVENT_TYPES },
+    uniqueItems: true,
+    description: 'Only send these event/notification types; empty means all',
+  },
+  secret: {
+    type: 'string',
+    minLength: 16,
+    maxLength: 200,
+    description: 'Signing secret; generated when omitted',
+  },
+};
+
+const subscription = {
+  description: 'The subscription',
+  schema: { type: 'object', properties: { subscription: ref('WebhookSubscription') } },
+};
+
+const deliveryAttempt = {
+  description: 'The delivery after its first attempt',
+  schema: message({ delivery: ref('WebhookDelivery') }),
+};
+
+module.exports = defineRoutes({
+  listWebhookSubscriptions: {
+    summary: 'List webhook subscriptions, newest first',
+    query: pageQuery(50, {
+      active: { type: 'boolean' },
+    }),
+    responses: {
+      200: {
+        description: 'A page of subscriptions',
+        schema: page('subscriptions', ref('WebhookSubscription')),
+      },
+    },
+  },
+  createWebhookSubscription: {
+    summary: 'Subscribe a URL to webhooks',
+    description: 'Topics default to all of them. The signing secret is only returned in this response.',
+    body: body(subscriptionProperties, ['url']),
+    responses: {
+      201: {
+        description: 'Subscription created',
+        schema: message({
+          subscription: ref('WebhookSubscription'),
+          secret: { type: 'string' },
+        }),
+      },
+    },
+  },
+  getWebhookSubscription: {
+    summary: 'Get a webhook subscription',
+    params: params('subscriptionId'),
+    responses: {
+      200: subscription,
+      404: 'Webhook subscription not found',
+    },
+  },
+  updateWebhookSubscription: {
+    summary: 'Update a webhook subscription, or disable or re-enable it',
+    description: 'Re-enabling (active: true) resets the consecutive failure count.',
+    params: params('subscriptionId'),
+    body: {
+      ...body({
+        ...subscriptionProperties,
+        active: { type: 'boolean' },
+      }),
+      minProperties: 1,
+    },
+    responses: {
+      200: {
+        description: 'Subscription updated',
+        schema: message({ subscription: ref('WebhookSubscription') }),
+      },
+      404: 'Webhook subscription not found',
+    },
+  },
+  deleteWebhookSubscription: {
+    summary: 'Delete a webhook subscription and its delivery log',
+    params: params('subscriptionId'),
+    responses: {
+      200: {
+        description: 'Subscription deleted',
+        schema: message({ subscriptionId: { type: 'string' } }),
+      },
+      404: 'Webhook subscription not found',
+    },
+  },
+  pingWebhookSubscription: {
+    summary: 'Send a webhook.ping delivery to check the receiver',
+    params: params('subscriptionId'),
+    responses: {
+      201: deliveryAttempt,
+      404: 'Webhook subscription not found',
+      409: 'Webhook subscription is disabled',
+    },
+  },
+  listWebhookDeliveries: {
+    summary: "List a subscription's deliveries, newest first",
+    params: params('subscriptionId'),
+    query: pageQuery(50, {
+      status: { type: 'string', enum: DELIVERY_STATUSES },
+      topic: { type: 'string', maxLength: 100 },
+    }),
+    responses: {
+      200: {
+        description: 'A page of deliveries',
+        schema: page('deliveries', ref('WebhookDelivery')),
+      },
+      404: 'Webhook subscription not found',
+    },
+  },
+  getWebhookDelivery: {
+    summary: 'Get a delivery with its payload and attempts',
+    params: params('subscriptionId', 'deliveryId'),
+    responses: {
+      200: {
+        description: 'The delivery',
+        schema: { type: 'object', properties: { delivery: ref('WebhookDelivery') } },
+      },
+      404: 'Webhook delivery not found',
+    },
+  },
+  redeliverWebhook: {
+    summary: "Send a delivery's payload again as a new delivery",
+    params: params('subscriptionId', 'deliveryId'),
+    responses: {
+      201: deliveryAttempt,
+      404: 'Webhook delivery not found',
+      409: 'Webhook subscription is disabled',
+    },
+  },
+});
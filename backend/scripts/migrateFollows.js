@@ -0,0 +1,133 @@
+/**
+ * One-off migration from the embedded User.followers/following arrays to the
+ * Follow collection. Counts stored on users are dropped, since they are now
+ * counted from the edges, then the arrays are removed (pass --keep-arrays to
+ * leave them).
+ *
+ * Safe to re-run: existing edges are left untouched.
+ *
+ * Usage: npm run migrate:follows [-- --keep-arrays]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+
+const BATCH_SIZE = 1000;
+
+async function writeEdges(edges) {
+  if (edges.length === 0) {
+    return 0;
+  }
+
+  try {
+    const result = await Follow.bulkWrite(edges.map(({ followerId, followeeId }) => ({
+      updateOne: {
+        filter: { followerId, followeeId },
+        update: { $setOnInsert: { followerId, followeeId, createdAt: new Date() } },
+        upsert: true,
+      },
+    })), { ordered: false });
+    return result.upsertedCount;
+  } catch (error) {
+    // Edges created concurrently by the live follow API are fine
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length > 0 && writeErrors.every(writeError => writeError.code === 11000)) {
+      return error.result ? error.result.upsertedCount : 0;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Copy every edge recorded on either side of the old arrays into Follow
+ */
+async function migrateEdges() {
+  const knownUserIds = new Set(await User.distinct('userId'));
+
+  // The arrays are no longer in the schema, so read the raw documents
+  const users = User.collection.find(
+    { $or: [{ followers: { $exists: true } }, { following: { $exists: true } }] },
+    { projection: { userId: 1, followers: 1, following: 1 } }
+  );
+
+  let batch = new Map();
+  let scanned = 0;
+  let created = 0;
+
+  const addEdge = (followerId, followeeId) => {
+    if (followerId !== followeeId && knownUserIds.has(followerId) && knownUserIds.has(followeeId)) {
+      batch.set(`${followerId}\u0000${followeeId}`, { followerId, followeeId });
+    }
+  };
+
+  for await (const user of users) {
+    // Either side may be the only record of an edge, since the two drifted apart
+    (user.following || []).forEach(followeeId => addEdge(user.userId, followeeId));
+    (user.followers || []).forEach(followerId => addEdge(followerId, user.userId));
+    scanned++;
+
+    if (batch.size >= BATCH_SIZE) {
+      created += await writeEdges([...batch.values()]);
+      batch = new Map();
+    }
+  }
+  created += await writeEdges([...batch.values()]);
+
+  return { scanned, created };
+}
+
+/**
+ * Remove the followerCount and followingCount once stored on users
+ * Counts are now counted from the edges when read
+ */
+async function removeStoredCounts() {
+  const result = await User.collection.updateMany(
+    { $or: [{ followerCount: { $exists: true } }, { followingCount: { $exists: true } }] },
+    { $unset: { followerCount: '', followingCount: '' } }
+  );
+  return result.modifiedCount;
+}
+
+async function migrateFollows({ keepArrays = false } = {}) {
+  // The unique index has to exist before edges are upserted
+  await Follow.init();
+
+  const { scanned, created } = await migrateEdges();
+  console.log(`🤝 Scanned ${scanned} users, created ${created} follow edges`);
+
+  const uncounted = await removeStoredCounts();
+  console.log(`🔢 Removed stored follow counts from ${uncounted} users`);
+
+  if (!keepArrays) {
+    const result = await User.collection.updateMany(
+      { $or: [{ followers: { $exists: true } }, { following: { $exists: true } }] },
+      { $unset: { followers: '', following: '' } }
+    );
+    console.log(`🧹 Removed follow arrays from ${result.modifiedCount} users`);
+
+    // Index from when fan-out scanned User.following
+    await User.collection.dropIndex('following_1__id_1').catch(() => {});
+  }
+}
+
+if (require.main === module) {
+  (async () => {
+    await connectDB();
+    try {
+      await migrateFollows({ keepArrays: process.argv.includes('--keep-arrays') });
+      console.log('✅ Follow migration complete');
+    } catch (error) {
+      console.error('❌ Follow migration failed:', error);
+      process.exitCode = 1;
+    } finally {
+      await mongoose.connection.close();
+    }
+  })();
+}
+
+module.exports = {
+  migrateFollows,
+  removeStoredCounts,
+};
@@ -0,0 +1,107 @@
+/**
+ * One-off migration from the flat notification preferences (emailNotifications,
+ * emailFrequency, pushNotifications, notificationTypes) to the per-type,
+ * per-channel preferences.delivery matrix. Only cells that differ from the
+ * defaults are written, then the old fields are removed.
+ *
+ * SHARE was never in notificationTypes, so its in-app cell is left to the
+ * default; its email and push cells still follow the old channel switches.
+ *
+ * Safe to re-run: users without the old fields are skipped.
+ *
+ * Usage: npm run migrate:preferences
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+
+const BATCH_SIZE = 1000;
+const LEGACY_FIELDS = ['emailNotifications', 'emailFrequency', 'pushNotifications', 'notificationTypes'];
+const LEGACY_TYPES = ['LIKE', 'FOLLOW', 'COMMENT', 'POST_CREATE', 'MENTION'];
+const NOTIFICATION_TYPES = User.schema.path('preferences.urgentTypes').caster.enumValues;
+
+/**
+ * $set for the delivery cells (and digest frequency) equivalent to the old fields
+ */
+function convertPreferences(preferences = {}) {
+  const {
+    emailNotifications = true,
+    emailFrequency = 'daily',
+    pushNotifications = true,
+    notificationTypes = LEGACY_TYPES,
+  } = preferences;
+  const $set = {};
+
+  for (const type of NOTIFICATION_TYPES) {
+    if (LEGACY_TYPES.includes(type) && !notificationTypes.includes(type)) {
+      $set[`preferences.delivery.${type}.inApp`] = 'off';
+    }
+    if (!emailNotifications) {
+      $set[`preferences.delivery.${type}.email`] = 'off';
+    } else if (emailFrequency === 'immediate') {
+      $set[`preferences.delivery.${type}.email`] = 'instant';
+    }
+    if (!pushNotifications) {
+      $set[`preferences.delivery.${type}.push`] = 'off';
+    }
+  }
+
+  if (emailFrequency !== 'immediate') {
+    $set['preferences.digestFrequency'] = emailFrequency;
+  }
+
+  return $set;
+}
+
+async function migratePreferences() {
+  const legacyFilter = { $or: LEGACY_FIELDS.map(field => ({ [`preferences.${field}`]: { $exists: true } })) };
+  const $unset = Object.fromEntries(LEGACY_FIELDS.map(field => [`preferences.${field}`, '']));
+
+  // The old fields are no longer in the schema, so read the raw documents
+  const users = User.collection.find(legacyFilter, { projection: { userId: 1, preferences: 1 } });
+
+  let updates = [];
+  let migrated = 0;
+
+  for await (const user of users) {
+    const $set = convertPreferences(user.preferences);
+    updates.push({
+      updateOne: {
+        filter: { _id: user._id },
+        update: Object.keys($set).length > 0 ? { $set, $unset } : { $unset },
+      },
+    });
+
+    if (updates.length >= BATCH_SIZE) {
+      migrated += (await User.collection.bulkWrite(updates, { ordered: false })).modifiedCount;
+      updates = [];
+    }
+  }
+  if (updates.length > 0) {
+    migrated += (await User.collection.bulkWrite(updates, { ordered: false })).modifiedCount;
+  }
+
+  return { migrated };
+}
+
+if (require.main === module) {
+  (async () => {
+    await connectDB();
+    try {
+      const { migrated } = await migratePreferences();
+      console.log(`🎛️  Migrated notification preferences for ${migrated} users`);
+      console.log('✅ Preference migration complete');
+    } catch (error) {
+      console.error('❌ Preference migration failed:', error);
+      process.exitCode = 1;
+    } finally {
+      await mongoose.connection.close();
+    }
+  })();
+}
+
+module.exports = {
+  convertPreferences,
+  migratePreferences,
+};
@@ -0,0 +1,75 @@
+/**
+ * Local HTTP receiver for trying out webhook subscriptions. Logs each delivery
+ * and checks its signature when the subscription secret is given.
+ *
+ * Subscribe it with POST /api/webhooks { "url": "http://localhost:4000/webhooks" }.
+ *
+ * Usage: npm run webhook:receiver -- [--port 4000] [--secret whsec_...]
+ *                                    [--status 500] [--fail-first 3]
+ *   --secret      verify signatures (or set WEBHOOK_SECRET); bad ones get 401
+ *   --status      respond with this status instead of 200, e.g. to exercise
+ *                 retries and automatic disabling
+ *   --fail-first  respond 500 to the first N deliveries, then succeed
+ */
+const http = require('http');
+const { verifySignature } = require('../utils/webhookSignature');
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+}
+
+function createReceiver({ secret, status = 200, failFirst = 0 } = {}) {
+  let received = 0;
+
+  return http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received++;
+      const topic = req.headers['x-insyd-webhook-topic'];
+      const id = req.headers['x-insyd-webhook-id'];
+
+      if (secret && !verifySignature({
+        secret,
+        timestamp: req.headers['x-insyd-webhook-timestamp'],
+        signature: req.headers['x-insyd-webhook-signature'],
+        body,
+      })) {
+        console.warn(`❌ #${received} ${topic} ${id}: invalid signature`);
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'Invalid signature' }));
+      }
+
+      const responseStatus = received <= failFirst ? 500 : status;
+      console.log(`📬 #${received} ${topic} ${id}${secret ? ' (signature ok)' : ''} -> ${responseStatus}`);
+      console.log(body);
+
+      res.writeHead(responseStatus, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: responseStatus < 300 }));
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(readOption('port', 4000));
+  const secret = readOption('secret', process.env.WEBHOOK_SECRET);
+
+  createReceiver({
+    secret,
+    status: parseInt(readOption('status', 200)),
+    failFirst: parseInt(readOption('fail-first', 0)),
+  }).listen(port, () => {
+    console.log(`🎧 Webhook receiver listening on http://localhost:${port}`);
+    if (!secret) {
+      console.log('⚠️  No --secret given, signatures are not checked');
+    }
+  });
+}
+
+module.exports = {
+  createReceiver,
+};
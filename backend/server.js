@@ -2,14 +2,30 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const swaggerUi = require('swagger-ui-express');
 
 const connectDB = require('./config/database');
 const eventRoutes = require('./routes/events');
 const notificationRoutes = require('./routes/notifications');
 const userRoutes = require('./routes/users');
+const postRoutes = require('./routes/posts');
+const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
+const emailRoutes = require('./routes/email');
+const pushRoutes = require('./routes/push');
+const webhookRoutes = require('./routes/webhooks');
+const healthRoutes = require('./routes/health');
 const { seedDatabase } = require('./services/seedService');
+const { attachNotificationSocket } = require('./services/notificationSocket');
+const { eventQueue } = require('./services/notificationProcessor');
+const { startWebhookDispatcher } = require('./services/webhookService');
+const { startScheduler } = require('./services/jobs');
+const { registerShutdown } = require('./services/shutdown');
+const { requestContext } = require('./middleware/requestContext');
+const { buildOpenApiSpec } = require('./utils/openapi');
+const { logger } = require('./utils/logger');
+const { register: metricsRegister } = require('./utils/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -18,8 +34,34 @@ const PORT = process.env.PORT || 5000;
 connectDB();
 
 // Middleware
+// Request ids, JSON access logs and HTTP metrics
+app.use(requestContext());
 app.use(helmet());
-app.use(morgan('combined'));
+
+// Liveness and readiness probes, ahead of the rate limiter like metrics
+app.use('/health', healthRoutes);
+
+// Prometheus metrics, ahead of the rate limiter so scrapes are never throttled
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid metrics token is required',
+    });
+  }
+
+  try {
+    res.set('Content-Type', metricsRegister.contentType);
+    res.send(await metricsRegister.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics', { error });
+    res.status(500).json({
+      error: 'Failed to collect metrics',
+      message: error.message,
+    });
+  }
+});
 
 // Rate limiting
 const limiter = rateLimit({
@@ -31,27 +73,42 @@ app.use(limiter);
 
 // CORS configuration
 app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+  origin: process.env.FRONTEND_URL || 'http://localhost:8080',
   credentials: true,
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After', 'X-Request-Id'],
 }));
 
 // Body parsing middleware
+// Batch ingestion takes much larger bodies, as a JSON array or NDJSON
+const batchBodyLimit = process.env.EVENT_BATCH_BODY_LIMIT || '10mb';
+app.use(
+  '/api/events/batch',
+  express.json({ limit: batchBodyLimit }),
+  express.text({ type: 'application/x-ndjson', limit: batchBodyLimit })
+);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-  });
-});
-
 // API Routes
-app.use('/api/events', eventRoutes);
-app.use('/api/notifications', notificationRoutes);
-app.use('/api/users', userRoutes);
+const apiRoutes = {
+  '/api/auth': authRoutes,
+  '/api/events': eventRoutes,
+  '/api/notifications': notificationRoutes,
+  '/api/users': userRoutes,
+  '/api/posts': postRoutes,
+  '/api/admin': adminRoutes,
+  '/api/email': emailRoutes,
+  '/api/push': pushRoutes,
+  '/api/webhooks': webhookRoutes,
+};
+Object.entries(apiRoutes).forEach(([path, router]) => app.use(path, router));
+
+// OpenAPI document generated from the route schemas, with an interactive viewer
+const openApiSpec = buildOpenApiSpec(apiRoutes);
+app.get('/api/docs/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec));
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -63,7 +120,7 @@ app.use('*', (req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
+  logger.error('Unhandled error', { error: err });
   
   res.status(err.status || 500).json({
     error: process.env.NODE_ENV === 'production' ? 'Internal server error' : err.message,
@@ -72,30 +129,31 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, async () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📱 Environment: ${process.env.NODE_ENV}`);
+const server = app.listen(PORT, async () => {
+  logger.info(`🚀 Server running on http://localhost:${PORT}`);
+  logger.info(`📱 Environment: ${process.env.NODE_ENV}`);
+
+  // Resume queued events left over from a previous run and poll for retries
+  eventQueue.start();
+  startWebhookDispatcher();
+  // Maintenance jobs, including startup recovery of events that never reached the queue
+  startScheduler();
   
   // Seed database with sample data in development
   if (process.env.NODE_ENV === 'development') {
     try {
       await seedDatabase();
-      console.log('📊 Sample data seeded successfully');
+      logger.info('📊 Sample data seeded successfully');
     } catch (error) {
-      console.error('❌ Error seeding database:', error.message);
+      logger.error('❌ Error seeding database', { error });
     }
   }
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+// Real-time notification stream over WebSocket (SSE is served by the notifications routes)
+const wss = attachNotificationSocket(server);
 
-process.on('SIGINT', () => {
-  console.log('🛑 SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+// Graceful shutdown: drain background work, finish in-flight requests, then close MongoDB
+registerShutdown({ server, wss });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,115 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const HeldDelivery = require('../models/HeldDelivery');
+const { sendNotificationEmail } = require('./emailService');
+const { sendPushNotification } = require('./pushService');
+const { getQuietUntil } = require('./quietHours');
+const { logger } = require('../utils/logger');
+
+const RELEASE_BATCH_SIZE = 100;
+// A claim older than this belongs to a releaser that died mid-send
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+async function sendOnChannels(notification, recipient) {
+  try {
+    await sendNotificationEmail(notification, recipient);
+  } catch (error) {
+    logger.error(`Error delivering email for notification ${notification.notificationId}`, { error });
+  }
+
+  try {
+    await sendPushNotification(notification, recipient);
+  } catch (error) {
+    logger.error(`Error delivering push for notification ${notification.notificationId}`, { error });
+  }
+}
+
+/**
+ * Deliver a stored notification on the recipient's external channels
+ * During quiet hours non-urgent deliveries are held until the window ends.
+ * Channel failures are recorded by each channel and never fail event processing
+ */
+async function deliverNotification(notification, recipient) {
+  const releaseAt = getQuietUntil(recipient, notification.type);
+
+  if (releaseAt) {
+    await HeldDelivery.updateOne(
+      { notificationId: notification.notificationId },
+      { $set: { userId: recipient.userId, releaseAt }, $unset: { claimedAt: '' } },
+      { upsert: true }
+    );
+    logger.info(`🌙 Holding delivery of ${notification.notificationId} for ${recipient.userId} until ${releaseAt.toISOString()}`);
+    return;
+  }
+
+  await sendOnChannels(notification, recipient);
+}
+
+/**
+ * Claim the held delivery that has waited longest, including ones whose
+ * releaser died before finishing
+ */
+function claimNextHeldDelivery() {
+  const now = new Date();
+
+  return HeldDelivery.findOneAndUpdate(
+    {
+      releaseAt: { $lte: now },
+      $or: [
+        { claimedAt: null },
+        { claimedAt: { $lt: new Date(now - CLAIM_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { claimedAt: now } },
+    { sort: { releaseAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Deliver held notifications whose quiet window has ended
+ * Each one is claimed before sending and removed only after it was sent, so
+ * concurrent releasers never double-deliver and a crash mid-send loses nothing.
+ * Notifications the user already read or dismissed in-app are dropped
+ */
+async function releaseHeldDeliveries() {
+  let released = 0;
+  let held;
+
+  while (released < RELEASE_BATCH_SIZE && (held = await claimNextHeldDelivery())) {
+    try {
+      const [notification, recipient] = await Promise.all([
+        Notification.findOne({ notificationId: held.notificationId }),
+        User.findByUserId(held.userId),
+      ]);
+
+      const deliverable = notification && recipient && notification.status === 'unread';
+
+      // The window may have been extended (e.g. do-not-disturb set meanwhile);
+      // holding it again also clears the claim
+      if (deliverable && getQuietUntil(recipient, notification.type)) {
+        await deliverNotification(notification, recipient);
+        continue;
+      }
+
+      if (deliverable) {
+        await sendOnChannels(notification, recipient);
+        released++;
+      }
+
+      await HeldDelivery.deleteOne({ _id: held._id, claimedAt: held.claimedAt });
+    } catch (error) {
+      // Left claimed, so it is retried once the claim goes stale
+      logger.error(`Error releasing held delivery ${held.notificationId}`, { error });
+    }
+  }
+
+  if (released > 0) {
+    logger.info(`☀️  Released ${released} held deliveries`);
+  }
+  return { released };
+}
+
+module.exports = {
+  deliverNotification,
+  releaseHeldDeliveries,
+};
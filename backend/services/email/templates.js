@@ -0,0 +1,121 @@
+/**
+ * HTML and plain-text email templates, in the recipient's locale
+ */
+const { DEFAULT_LOCALE, translate, renderNotification } = require('../templates');
+
+const TYPE_ORDER = ['MENTION', 'COMMENT', 'FOLLOW', 'LIKE', 'SHARE', 'POST_CREATE'];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Group notifications by type in display order
+ */
+function groupByType(notifications, locale) {
+  const groups = new Map();
+
+  for (const notification of notifications) {
+    if (!groups.has(notification.type)) {
+      groups.set(notification.type, []);
+    }
+    groups.get(notification.type).push(notification);
+  }
+
+  return TYPE_ORDER
+    .filter(type => groups.has(type))
+    .map(type => ({ type, label: translate(`email.typeLabels.${type}`, {}, locale), notifications: groups.get(type) }));
+}
+
+function layout(title, bodyHtml, unsubscribeUrl, locale) {
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+  <body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #4f46e5;">${escapeHtml(title)}</h2>
+    ${bodyHtml}
+    <p style="font-size: 12px; color: #6b7280; margin-top: 32px;">
+      ${escapeHtml(translate('email.footer', {}, locale))}
+      <a href="${escapeHtml(unsubscribeUrl)}">${escapeHtml(translate('email.unsubscribe', {}, locale))}</a>
+    </p>
+  </body>
+</html>`;
+}
+
+function notificationItemHtml(notification) {
+  const content = escapeHtml(notification.content);
+  const link = notification.data && notification.data.url
+    ? `<a href="${escapeHtml(notification.data.url)}">${content}</a>`
+    : content;
+  return `<li style="margin-bottom: 8px;">${link}</li>`;
+}
+
+/**
+ * Email for a single notification (immediate mode)
+ */
+function renderNotificationEmail({ user, notification, unsubscribeUrl }) {
+  const locale = user.locale || DEFAULT_LOCALE;
+  const subject = renderNotification(notification, { locale, channel: 'emailSubject' });
+  const greeting = translate('email.greeting', { username: user.username }, locale);
+
+  const html = layout(
+    greeting,
+    `<ul style="padding-left: 20px;">${notificationItemHtml(notification)}</ul>`,
+    unsubscribeUrl,
+    locale
+  );
+
+  const text = [
+    greeting,
+    '',
+    notification.content,
+    ...(notification.data && notification.data.url ? [notification.data.url] : []),
+    '',
+    `${translate('email.unsubscribe', {}, locale)}: ${unsubscribeUrl}`,
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+/**
+ * Digest of unread notifications summarised by type (daily/weekly mode)
+ */
+function renderDigestEmail({ user, notifications, frequency, unsubscribeUrl }) {
+  const locale = user.locale || DEFAULT_LOCALE;
+  const period = translate(`email.periods.${frequency}`, {}, locale);
+  const subject = translate('email.digestSubject', { count: notifications.length, period }, locale);
+  const heading = translate('email.digestHeading', { username: user.username, period }, locale);
+  const groups = groupByType(notifications, locale);
+
+  const sectionsHtml = groups.map(group => `
+    <h3 style="margin-bottom: 4px;">${escapeHtml(group.label)} (${group.notifications.length})</h3>
+    <ul style="padding-left: 20px;">${group.notifications.map(notificationItemHtml).join('')}</ul>`).join('');
+
+  const html = layout(heading, sectionsHtml, unsubscribeUrl, locale);
+
+  const sectionsText = groups.map(group => [
+    `${group.label} (${group.notifications.length})`,
+    ...group.notifications.map(notification => `- ${notification.content}`),
+  ].join('\n'));
+
+  const text = [
+    `${heading}:`,
+    '',
+    sectionsText.join('\n\n'),
+    '',
+    `${translate('email.unsubscribe', {}, locale)}: ${unsubscribeUrl}`,
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+module.exports = {
+  renderNotificationEmail,
+  renderDigestEmail,
+  groupByType,
+  escapeHtml,
+};
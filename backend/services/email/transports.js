@@ -0,0 +1,101 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Email transports share one interface: send(message) -> { messageId }
+ * where message is { from, to, subject, html, text, headers }
+ */
+
+/**
+ * Deliver through an SMTP server
+ */
+function createSmtpTransport(options = {}) {
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST,
+    port: parseInt(options.port || process.env.SMTP_PORT) || 587,
+    secure: (options.secure || process.env.SMTP_SECURE) === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+/**
+ * Write each email as a .eml file (for local development)
+ */
+function createFileTransport(options = {}) {
+  const directory = options.directory || process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'insyd-emails');
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+    directory,
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.eml`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, filename), info.message);
+
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+/**
+ * Keep sent emails in memory (for tests)
+ */
+function createMemoryTransport() {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+    async send(message) {
+      const messageId = `<${Date.now()}.${sent.length}@insyd.local>`;
+      sent.push({ ...message, messageId });
+      return { messageId };
+    },
+    clear() {
+      sent.length = 0;
+    },
+  };
+}
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
+
+/**
+ * Create a transport by name; defaults to SMTP when SMTP_HOST is set, else file
+ */
+function createTransport(name = process.env.EMAIL_TRANSPORT, options) {
+  const transportName = name || (process.env.SMTP_HOST ? 'smtp' : 'file');
+  const factory = transportFactories[transportName];
+
+  if (!factory) {
+    throw new Error(`Unknown email transport: ${transportName}`);
+  }
+
+  return factory(options);
+}
+
+module.exports = {
+  createTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+};
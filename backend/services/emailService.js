@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const EmailDelivery = require('../models/EmailDelivery');
+const { createTransport } = require('./email/transports');
+const { renderNotificationEmail, renderDigestEmail } = require('./email/templates');
+const { getQuietUntil } = require('./quietHours');
+const { getSecret } = require('../config/secrets');
+const { logger } = require('../utils/logger');
+const { notificationsCreated } = require('../utils/metrics');
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Insyd <notifications@insyd.local>';
+const PUBLIC_API_URL = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const UNSUBSCRIBE_SECRET = getSecret('EMAIL_UNSUBSCRIBE_SECRET', 'JWT_SECRET');
+const UNSUBSCRIBE_TTL_MS = (parseInt(process.env.EMAIL_UNSUBSCRIBE_TTL_DAYS) || 90) * 24 * 60 * 60 * 1000;
+const DIGEST_MAX_NOTIFICATIONS = parseInt(process.env.EMAIL_DIGEST_MAX_NOTIFICATIONS) || 50;
+
+const DIGEST_PERIODS_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+}
+
+/**
+ * Swap the active transport (e.g. an in-memory transport in tests)
+ */
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', UNSUBSCRIBE_SECRET).update(value).digest('base64url');
+}
+
+/**
+ * Unsubscribe tokens are a signed userId and expiry, so links work without a
+ * login until EMAIL_UNSUBSCRIBE_TTL_DAYS after the email was sent
+ */
+function createUnsubscribeToken(userId, now = Date.now()) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: userId,
+    exp: now + UNSUBSCRIBE_TTL_MS,
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Return the userId for a valid, unexpired unsubscribe token, or null
+ */
+function verifyUnsubscribeToken(token, now = Date.now()) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+
+  if (!claims || typeof claims.sub !== 'string' || !(claims.exp > now)) {
+    return null;
+  }
+  return claims.sub;
+}
+
+function getUnsubscribeUrl(userId) {
+  return `${PUBLIC_API_URL}/api/email/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(userId))}`;
+}
+
+/**
+ * Send a rendered email and record the attempt and its outcome
+ */
+async function sendEmail(user, { kind, frequency, notificationIds, unsubscribeUrl, subject, html, text }) {
+  const activeTransport = getTransport();
+
+  const delivery = new EmailDelivery({
+    deliveryId: uuidv4(),
+    userId: user.userId,
+    to: user.email,
+    kind,
+    frequency,
+    subject,
+    notificationIds,
+    transport: activeTransport.name,
+    timestamp: new Date(),
+  });
+
+  try {
+    const { messageId } = await activeTransport.send({
+      from: EMAIL_FROM,
+      to: user.email,
+      subject,
+      html,
+      text,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+    });
+
+    delivery.status = 'sent';
+    delivery.messageId = messageId;
+    logger.info(`✉️  Sent ${kind} email`, { userId: user.userId, deliveryId: delivery.deliveryId, notificationIds });
+  } catch (error) {
+    delivery.status = 'failed';
+    delivery.error = error.message;
+    logger.error(`❌ Failed to send ${kind} email`, { userId: user.userId, deliveryId: delivery.deliveryId, error });
+  }
+
+  await delivery.save();
+  return delivery;
+}
+
+/**
+ * Email a single notification if its type is set to instant email
+ */
+async function sendNotificationEmail(notification, user) {
+  if (user.getDeliveryFrequency(notification.type, 'email') !== 'instant') {
+    return null;
+  }
+
+  const unsubscribeUrl = getUnsubscribeUrl(user.userId);
+  const rendered = renderNotificationEmail({ user, notification, unsubscribeUrl });
+
+  const delivery = await sendEmail(user, {
+    kind: 'immediate',
+    frequency: 'immediate',
+    notificationIds: [notification.notificationId],
+    unsubscribeUrl,
+    ...rendered,
+  });
+
+  if (delivery.status === 'sent') {
+    notificationsCreated.inc({ type: notification.type, channel: 'email' });
+  }
+  return delivery;
+}
+
+/**
+ * Email a digest of the user's unread notifications since their last digest
+ * Only types whose email cell is set to 'digest' are included
+ */
+async function sendDigest(user, frequency) {
+  const now = new Date();
+  const since = user.lastEmailDigestAt || new Date(now - DIGEST_PERIODS_MS[frequency]);
+  const types = user.getTypesDeliveredAt('email', 'digest');
+
+  // Nothing can go into the digest, and nothing has to be marked as sent
+  if (types.length === 0) {
+    return null;
+  }
+
+  const notifications = await Notification.find({
+    userId: user.userId,
+    type: { $in: types },
+    status: 'unread',
+    timestamp: { $gt: since },
+    backfill: { $ne: true },
+  })
+    .sort({ timestamp: -1 })
+    .limit(DIGEST_MAX_NOTIFICATIONS)
+    .lean();
+
+  if (notifications.length === 0) {
+    await User.updateOne({ userId: user.userId }, { lastEmailDigestAt: now });
+    return null;
+  }
+
+  const unsubscribeUrl = getUnsubscribeUrl(user.userId);
+  const rendered = renderDigestEmail({ user, notifications, frequency, unsubscribeUrl });
+
+  const delivery = await sendEmail(user, {
+    kind: 'digest',
+    frequency,
+    notificationIds: notifications.map(n => n.notificationId),
+    unsubscribeUrl,
+    ...rendered,
+  });
+
+  // Failed digests are retried on the next check
+  if (delivery.status === 'sent') {
+    await User.updateOne({ userId: user.userId }, { lastEmailDigestAt: now });
+    notifications.forEach(notification => notificationsCreated.inc({ type: notification.type, channel: 'email_digest' }));
+  }
+
+  return delivery;
+}
+
+/**
+ * Send digests to every user whose daily/weekly digest is due
+ */
+async function sendDueDigests(frequency) {
+  const dueBefore = new Date(Date.now() - DIGEST_PERIODS_MS[frequency]);
+  const users = User.find({
+    'preferences.digestFrequency': frequency,
+    $and: [
+      {
+        $or: [
+          { lastEmailDigestAt: null },
+          { lastEmailDigestAt: { $lte: dueBefore } },
+        ],
+      },
+      // Users with no types set to digest email have nothing to send
+      User.deliversAnyTypeAt('email', 'digest'),
+    ],
+  }).cursor();
+
+  let sent = 0;
+  let failed = 0;
+  for await (const user of users) {
+    // Picked up again on the first check after the user's quiet hours
+    if (getQuietUntil(user)) {
+      continue;
+    }
+
+    try {
+      const delivery = await sendDigest(user, frequency);
+      if (delivery && delivery.status === 'sent') {
+        sent++;
+      } else if (delivery) {
+        failed++;
+      }
+    } catch (error) {
+      failed++;
+      logger.error(`Error sending ${frequency} digest to ${user.userId}`, { error });
+    }
+  }
+
+  logger.info(`📬 Sent ${sent} ${frequency} digests (${failed} failed)`);
+  return { frequency, sent, failed };
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES: Object.keys(DIGEST_PERIODS_MS),
+  getTransport,
+  setTransport,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  getUnsubscribeUrl,
+  sendNotificationEmail,
+  sendDigest,
+  sendDueDigests,
+};
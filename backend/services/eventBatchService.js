@@ -0,0 +1,253 @@
+const { v4: uuidv4 } = require('uuid');
+const Event = require('../models/Event');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { SERVER_EMITTED_TYPES, scopeEventId, recordSuppression } = require('./eventService');
+const { createThrottleCheck } = require('./eventThrottle');
+const { resolveMentions } = require('./mentionService');
+const { queueEvents } = require('./notificationProcessor');
+const { dispatchWebhooks } = require('./webhookService');
+const { isAdmin } = require('../middleware/auth');
+const { compileValidator } = require('../middleware/validate');
+const schemas = require('../schemas/events');
+const { getLogContext } = require('../utils/logger');
+
+const MAX_BATCH_EVENTS = parseInt(process.env.EVENT_BATCH_MAX_EVENTS) || 10000;
+// Events are checked, inserted and queued this many at a time
+const BATCH_CHUNK_SIZE = parseInt(process.env.EVENT_BATCH_CHUNK_SIZE) || 500;
+const POST_ACTIVITY_TYPES = ['LIKE', 'COMMENT', 'SHARE'];
+
+const checkBatchEvent = compileValidator(schemas.createEventBatch.item, 'event');
+
+class InvalidLineError extends Error {
+  constructor(lineNumber, cause) {
+    super(`Line ${lineNumber} is not valid JSON: ${cause.message}`);
+    this.name = 'InvalidLineError';
+  }
+}
+
+/**
+ * Split an NDJSON body into events; unparsable lines become InvalidLineErrors
+ * so they are rejected individually
+ */
+function parseNdjson(text) {
+  return text
+    .split('\n')
+    .map((line, lineIndex) => ({ line: line.trim(), lineNumber: lineIndex + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, lineNumber }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return new InvalidLineError(lineNumber, error);
+      }
+    });
+}
+
+// Same permission rules as POST /api/events
+function getDenial(item, caller) {
+  if (isAdmin(caller)) {
+    return null;
+  }
+  if (item.sourceUserId !== caller.userId) {
+    return 'Cannot create events on behalf of another user';
+  }
+  if (SERVER_EMITTED_TYPES.includes(item.type)) {
+    return 'This event type is emitted by the server';
+  }
+  return null;
+}
+
+async function insertEvents(docs) {
+  if (docs.length === 0) {
+    return [];
+  }
+
+  try {
+    return await Event.insertMany(docs, { ordered: false });
+  } catch (error) {
+    // Events saved concurrently with the same eventId are duplicates, not failures.
+    // Mongoose copies the driver's write errors, so the code is on .err
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length > 0 && writeErrors.every(writeError => writeError.err.code === 11000)) {
+      return error.insertedDocs || [];
+    }
+    throw error;
+  }
+}
+
+async function ingestChunk(items, offset, caller, seenEventIds, checkThrottle, results) {
+  const candidates = [];
+
+  items.forEach((item, position) => {
+    const index = offset + position;
+
+    if (item instanceof InvalidLineError) {
+      results[index] = { index, status: 'rejected', error: 'Invalid JSON', message: item.message };
+      return;
+    }
+
+    const details = checkBatchEvent(item);
+    if (details) {
+      results[index] = { index, status: 'rejected', error: 'Validation failed', details };
+      return;
+    }
+
+    const denial = getDenial(item, caller);
+    if (denial) {
+      results[index] = { index, status: 'rejected', error: denial };
+      return;
+    }
+
+    if (item.timestamp && new Date(item.timestamp) > new Date()) {
+      results[index] = { index, status: 'rejected', error: 'timestamp must not be in the future' };
+      return;
+    }
+
+    if (item.eventId) {
+      const eventId = scopeEventId(item.sourceUserId, item.eventId);
+      if (seenEventIds.has(eventId)) {
+        results[index] = { index, status: 'duplicate', eventId };
+        return;
+      }
+      seenEventIds.add(eventId);
+      candidates.push({ index, item: { ...item, eventId } });
+      return;
+    }
+
+    candidates.push({ index, item });
+  });
+
+  // Look up everything the chunk needs in one query each
+  const eventIds = candidates.map(({ item }) => item.eventId).filter(Boolean);
+  const postIds = candidates
+    .filter(({ item }) => POST_ACTIVITY_TYPES.includes(item.type) && item.data && item.data.postId)
+    .map(({ item }) => item.data.postId);
+  const mentionAuthorIds = candidates
+    .filter(({ item }) => item.type === 'MENTION')
+    .map(({ item }) => item.sourceUserId);
+
+  const [existingEvents, posts, mentionAuthors] = await Promise.all([
+    eventIds.length > 0 ? Event.find({ eventId: { $in: eventIds } }, 'eventId type sourceUserId suppression').lean() : [],
+    postIds.length > 0 ? Post.find({ postId: { $in: postIds } }, 'postId authorId').lean() : [],
+    mentionAuthorIds.length > 0 ? User.find({ userId: { $in: mentionAuthorIds } }) : [],
+  ]);
+
+  const existingById = new Map(existingEvents.map(event => [event.eventId, event]));
+  const authorByPostId = new Map(posts.map(post => [post.postId, post.authorId]));
+  const mentionAuthorsById = new Map(mentionAuthors.map(user => [user.userId, user]));
+
+  const pending = [];
+  const requeue = [];
+
+  for (const { index, item } of candidates) {
+    const existing = item.eventId && existingById.get(item.eventId);
+    if (existing) {
+      if (existing.type !== item.type) {
+        results[index] = { index, status: 'rejected', error: 'Event already exists', eventId: item.eventId };
+      } else {
+        // A retried backfill re-queues events saved by an attempt that died before queueing them
+        results[index] = { index, status: 'duplicate', eventId: item.eventId };
+        if (!existing.suppression || !existing.suppression.reason) {
+          requeue.push(existing);
+        }
+      }
+      continue;
+    }
+
+    let data = item.data || {};
+    let targetUserId = item.targetUserId;
+
+    // Activity on a known post always notifies its real owner
+    if (POST_ACTIVITY_TYPES.includes(item.type) && authorByPostId.has(data.postId)) {
+      targetUserId = authorByPostId.get(data.postId);
+    }
+
+    // Mentions are always resolved from the content, never taken from the client
+    if (item.type === 'MENTION') {
+      const author = mentionAuthorsById.get(item.sourceUserId);
+      const mentionedUsers = author ? await resolveMentions(data.content, author) : [];
+
+      if (mentionedUsers.length === 0) {
+        results[index] = { index, status: 'rejected', error: 'No mentioned users found' };
+        continue;
+      }
+
+      data = { ...data, mentionedUsers };
+      targetUserId = undefined;
+    }
+
+    const doc = {
+      eventId: item.eventId || uuidv4(),
+      type: item.type,
+      sourceUserId: item.sourceUserId,
+      targetUserId,
+      data,
+      timestamp: item.timestamp ? new Date(item.timestamp) : new Date(),
+      // An action from the past is recorded in feeds without being delivered
+      backfill: Boolean(item.timestamp),
+      correlationId: getLogContext().requestId,
+    };
+
+    // Same throttling as POST /api/events (except for admins): suppressed events are saved but not queued
+    const suppression = await checkThrottle(doc);
+    if (suppression) {
+      doc.suppression = suppression;
+      doc.processed = true;
+    }
+
+    pending.push({ index, doc });
+  }
+
+  const inserted = await insertEvents(pending.map(({ doc }) => doc));
+  const insertedIds = new Set(inserted.map(event => event.eventId));
+
+  pending.forEach(({ index, doc }) => {
+    results[index] = {
+      index,
+      status: insertedIds.has(doc.eventId) ? 'accepted' : 'duplicate',
+      eventId: doc.eventId,
+    };
+  });
+
+  const suppressed = inserted.filter(event => event.suppression && event.suppression.reason);
+  suppressed.forEach(recordSuppression);
+
+  await queueEvents([...inserted.filter(event => !suppressed.includes(event)), ...requeue]);
+  await dispatchWebhooks('event.created', inserted.filter(event => !event.backfill));
+}
+
+/**
+ * Check, save and queue a batch of client-submitted events
+ * Every event is handled on its own under the POST /api/events rules and gets a
+ * result in request order: accepted, duplicate (its eventId already exists) or
+ * rejected with the reason. Work is done in chunks of BATCH_CHUNK_SIZE
+ */
+async function ingestEventBatch(items, caller) {
+  const results = new Array(items.length);
+  const seenEventIds = new Set();
+  // Shared by all chunks, so budgets count the whole batch. Admin batches
+  // (backfills, imports) replay many senders' history and are not throttled
+  const checkThrottle = isAdmin(caller) ? async () => null : createThrottleCheck();
+
+  for (let offset = 0; offset < items.length; offset += BATCH_CHUNK_SIZE) {
+    const chunk = items.slice(offset, offset + BATCH_CHUNK_SIZE);
+    await ingestChunk(chunk, offset, caller, seenEventIds, checkThrottle, results);
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+
+  return {
+    received: items.length,
+    accepted: count('accepted'),
+    duplicates: count('duplicate'),
+    rejected: count('rejected'),
+    results,
+  };
+}
+
+module.exports = {
+  MAX_BATCH_EVENTS,
+  parseNdjson,
+  ingestEventBatch,
+};
@@ -0,0 +1,110 @@
+const { v4: uuidv4 } = require('uuid');
+const Event = require('../models/Event');
+const { queueEvent } = require('./notificationProcessor');
+const { dispatchWebhooks } = require('./webhookService');
+const { checkThrottle } = require('./eventThrottle');
+const { logger, getLogContext } = require('../utils/logger');
+const { eventsSuppressed } = require('../utils/metrics');
+
+// Types the server emits itself from post, comment and follow actions.
+// Only admins may submit them directly to POST /api/events
+const SERVER_EMITTED_TYPES = ['LIKE', 'COMMENT', 'SHARE', 'POST_CREATE', 'FOLLOW'];
+
+class EventIdConflictError extends Error {
+  constructor(eventId) {
+    super(`Event ${eventId} already exists`);
+    this.name = 'EventIdConflictError';
+    this.status = 409;
+  }
+}
+
+/**
+ * The stored id for a client-supplied eventId, namespaced by the user the event
+ * is from so one user's ids can never collide with (or reveal) another's
+ */
+function scopeEventId(sourceUserId, eventId) {
+  return `${encodeURIComponent(sourceUserId)}:${eventId}`;
+}
+
+/**
+ * Count and log a saved event that went over a throttling budget
+ */
+function recordSuppression(event) {
+  const { reason, limit, count, windowMs } = event.suppression;
+
+  eventsSuppressed.inc({ type: event.type, reason });
+  logger.warn('Event suppressed', {
+    eventId: event.eventId,
+    type: event.type,
+    sourceUserId: event.sourceUserId,
+    targetUserId: event.targetUserId,
+    reason,
+    limit,
+    count,
+    windowMs,
+  });
+}
+
+/**
+ * Save an event and queue it for notification processing
+ * Resolves once the processing job is persisted; notifications are generated asynchronously
+ * An event over a throttling budget is saved as suppressed and not queued
+ * A client-supplied eventId makes this safe to retry: if that event was already
+ * saved by the same user it is (re-)queued and returned instead of duplicated.
+ * It is stored scoped to sourceUserId (see scopeEventId)
+ */
+async function emitEvent({ eventId, type, sourceUserId, targetUserId, data = {} }) {
+  const event = new Event({
+    eventId: eventId ? scopeEventId(sourceUserId, eventId) : uuidv4(),
+    type,
+    sourceUserId,
+    targetUserId,
+    data,
+    timestamp: new Date(),
+    correlationId: getLogContext().requestId,
+  });
+
+  // Suppressed events are stored as already processed, so they are never queued
+  const suppression = await checkThrottle(event);
+  if (suppression) {
+    event.suppression = suppression;
+    event.processed = true;
+  }
+
+  try {
+    await event.save();
+  } catch (error) {
+    if (!eventId || error.code !== 11000) {
+      throw error;
+    }
+
+    // The scoped id can only clash with the same user's own events
+    const existing = await Event.findOne({ eventId: event.eventId });
+    if (!existing || existing.type !== type) {
+      throw new EventIdConflictError(eventId);
+    }
+
+    // Queueing is idempotent, so a retry after a crash still gets processed exactly once
+    if (!existing.suppression || !existing.suppression.reason) {
+      await queueEvent(existing);
+    }
+    return existing;
+  }
+
+  if (suppression) {
+    recordSuppression(event);
+  } else {
+    await queueEvent(event);
+  }
+  await dispatchWebhooks('event.created', [event]);
+
+  return event;
+}
+
+module.exports = {
+  SERVER_EMITTED_TYPES,
+  EventIdConflictError,
+  scopeEventId,
+  recordSuppression,
+  emitEvent,
+};
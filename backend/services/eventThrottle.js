@@ -0,0 +1,160 @@
+const Event = require('../models/Event');
+
+/**
+ * Per-actor throttling of notification-generating events
+ *
+ * Every event is saved, but one that exceeds a budget is marked suppressed and
+ * never notifies anyone. Budgets count events (suppressed ones included, so a
+ * flood stays suppressed until it stops) saved in the last THROTTLE_WINDOW_MS:
+ * - source_limit: events of a type from one sender
+ * - target_limit: events of a type from one sender to one recipient
+ * - toggle: the same action on the same object repeated within
+ *   THROTTLE_TOGGLE_WINDOW_MS, i.e. a like/unlike or follow/unfollow loop
+ *   (the like and follow routes only emit an event for a new like or follow)
+ *
+ * Counts are read from the database, so all instances share them; concurrent
+ * requests can overshoot a budget by a few events.
+ */
+const WINDOW_MS = parseInt(process.env.THROTTLE_WINDOW_MS) || 60 * 60 * 1000;
+const TOGGLE_WINDOW_MS = parseInt(process.env.THROTTLE_TOGGLE_WINDOW_MS) || 24 * 60 * 60 * 1000;
+// Repeats allowed before a toggled action is suppressed, so one accidental unlike doesn't count
+const TOGGLE_MAX_REPEATS = parseInt(process.env.THROTTLE_TOGGLE_MAX_REPEATS) || 1;
+
+// Actions that can be undone, and what identifies the object they act on
+const TOGGLE_TYPES = {
+  LIKE: event => event.data && event.data.postId,
+  FOLLOW: event => event.targetUserId,
+};
+
+// Events allowed per THROTTLE_WINDOW_MS; override with THROTTLE_<TYPE>_PER_SOURCE
+// and THROTTLE_<TYPE>_PER_TARGET, e.g. THROTTLE_LIKE_PER_TARGET=100
+const DEFAULT_BUDGETS = {
+  LIKE: { perSource: 300, perTarget: 60 },
+  COMMENT: { perSource: 100, perTarget: 30 },
+  SHARE: { perSource: 50, perTarget: 10 },
+  FOLLOW: { perSource: 100, perTarget: 3 },
+  MENTION: { perSource: 50, perTarget: 10 },
+  POST_CREATE: { perSource: 30 },
+};
+
+const BUDGETS = Object.fromEntries(Object.entries(DEFAULT_BUDGETS).map(([type, budget]) => [type, {
+  perSource: parseInt(process.env[`THROTTLE_${type}_PER_SOURCE`]) || budget.perSource,
+  perTarget: parseInt(process.env[`THROTTLE_${type}_PER_TARGET`]) || budget.perTarget,
+}]));
+
+// Everyone the event would notify directly; POST_CREATE fans out to followers instead
+function getRecipients(event) {
+  if (event.type === 'MENTION') {
+    return [...new Set((event.data && event.data.mentionedUsers) || [])];
+  }
+  return event.targetUserId ? [event.targetUserId] : [];
+}
+
+function recipientQuery(type, recipientId) {
+  return type === 'MENTION' ? { 'data.mentionedUsers': recipientId } : { targetUserId: recipientId };
+}
+
+function getLimits() {
+  return {
+    windowMs: WINDOW_MS,
+    toggleWindowMs: TOGGLE_WINDOW_MS,
+    toggleMaxRepeats: TOGGLE_MAX_REPEATS,
+    budgets: BUDGETS,
+  };
+}
+
+/**
+ * A throttle check to run on each event before it is saved; resolves to the
+ * suppression to record on the event, or null to let it notify
+ * One check can be used for many events (a batch): counts are read once per
+ * sender, recipient or object and then kept up to date in memory
+ */
+function createThrottleCheck() {
+  const counts = new Map();
+
+  async function getCount(key, query, windowMs) {
+    if (!counts.has(key)) {
+      counts.set(key, Event.countDocuments({
+        ...query,
+        createdAt: { $gte: new Date(Date.now() - windowMs) },
+      }));
+    }
+    return counts.get(key);
+  }
+
+  function increment(key) {
+    counts.set(key, counts.get(key).then(count => count + 1));
+  }
+
+  return async function checkThrottle(event) {
+    const { type, sourceUserId } = event;
+    const budget = BUDGETS[type] || {};
+    const checks = [];
+
+    const getToggleObject = TOGGLE_TYPES[type];
+    const toggleObject = getToggleObject && getToggleObject(event);
+    if (toggleObject) {
+      checks.push({
+        reason: 'toggle',
+        key: `toggle:${sourceUserId}:${type}:${toggleObject}`,
+        query: type === 'LIKE'
+          ? { sourceUserId, type, 'data.postId': toggleObject }
+          : { sourceUserId, type, targetUserId: toggleObject },
+        windowMs: TOGGLE_WINDOW_MS,
+        limit: 1 + TOGGLE_MAX_REPEATS,
+      });
+    }
+
+    if (budget.perTarget) {
+      getRecipients(event)
+        .filter(recipientId => recipientId !== sourceUserId)
+        .forEach(recipientId => checks.push({
+          reason: 'target_limit',
+          key: `target:${sourceUserId}:${type}:${recipientId}`,
+          query: { sourceUserId, type, ...recipientQuery(type, recipientId) },
+          windowMs: WINDOW_MS,
+          limit: budget.perTarget,
+        }));
+    }
+
+    if (budget.perSource) {
+      checks.push({
+        reason: 'source_limit',
+        key: `source:${sourceUserId}:${type}`,
+        query: { sourceUserId, type },
+        windowMs: WINDOW_MS,
+        limit: budget.perSource,
+      });
+    }
+
+    const found = await Promise.all(checks.map(check => getCount(check.key, check.query, check.windowMs)));
+    // This event counts toward every budget, whether or not it is suppressed
+    checks.forEach(check => increment(check.key));
+
+    const exceeded = checks.findIndex((check, index) => found[index] >= check.limit);
+    if (exceeded === -1) {
+      return null;
+    }
+
+    const { reason, limit, windowMs } = checks[exceeded];
+    return {
+      reason,
+      limit,
+      count: found[exceeded] + 1,
+      windowMs,
+    };
+  };
+}
+
+/**
+ * Throttle check for a single event
+ */
+function checkThrottle(event) {
+  return createThrottleCheck()(event);
+}
+
+module.exports = {
+  getLimits,
+  createThrottleCheck,
+  checkThrottle,
+};
@@ -0,0 +1,161 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Event = require('../models/Event');
+const { publishNotification } = require('./notificationStream');
+const { deliverNotification } = require('./deliveryService');
+const { dispatchWebhooks } = require('./webhookService');
+const { isSilenced, shouldReceiveNotification } = require('./recipientFilters');
+const { buildNotificationData } = require('./notificationContent');
+const { renderNotification } = require('./templates');
+const { getFanoutNotificationId } = require('./notificationFeed');
+const { logger } = require('../utils/logger');
+const { notificationsCreated } = require('../utils/metrics');
+
+const FANOUT_CHUNK_SIZE = parseInt(process.env.FANOUT_CHUNK_SIZE) || 500;
+// Posts from accounts with more followers than this are merged into feeds at read time
+const FANOUT_ON_READ_THRESHOLD = parseInt(process.env.FANOUT_ON_READ_THRESHOLD) || 10000;
+
+/**
+ * Fan a POST_CREATE event out to the author's followers
+ * Follow edges are streamed with a cursor and followers notified in chunked bulk inserts.
+ * Progress is recorded on the event (event.fanout) after every chunk, and a
+ * retried job resumes after the last follower that was written.
+ * `onProgress` is called after every chunk so the caller can keep its lock alive
+ */
+async function fanOutPost(event, sourceUser, { onProgress } = {}) {
+  const followerCount = await Follow.countDocuments({ followeeId: sourceUser.userId });
+  const now = new Date();
+
+  if (followerCount > FANOUT_ON_READ_THRESHOLD) {
+    const fanout = {
+      mode: 'read',
+      status: 'completed',
+      totalFollowers: followerCount,
+      startedAt: now,
+      completedAt: now,
+    };
+    await Event.updateOne({ eventId: event.eventId }, { fanout });
+    logger.info(`📰 Post from ${sourceUser.userId} (${followerCount} followers) will be merged into feeds at read time`);
+    return fanout;
+  }
+
+  // Resume an interrupted fan-out where it stopped
+  const previous = event.toObject().fanout;
+  const resuming = previous && previous.mode === 'write' && previous.status === 'running';
+  const progress = resuming ? previous : {
+    mode: 'write',
+    status: 'running',
+    totalFollowers: followerCount,
+    scanned: 0,
+    notified: 0,
+    startedAt: now,
+  };
+  await Event.updateOne({ eventId: event.eventId }, { fanout: progress });
+
+  const query = { followeeId: sourceUser.userId };
+  if (progress.lastFollowerId) {
+    query._id = { $gt: progress.lastFollowerId };
+  }
+
+  const cursor = Follow.find(query, 'followerId').sort({ _id: 1 }).lean().cursor({ batchSize: FANOUT_CHUNK_SIZE });
+
+  let scannedChunk = [];
+  const flush = async () => {
+    const followers = await User.find({ userId: { $in: scannedChunk.map(follow => follow.followerId) } });
+    const recipients = followers.filter(follower =>
+      shouldReceiveNotification(follower, event.type) && !isSilenced(follower, event, sourceUser)
+    );
+
+    progress.notified += await writeChunk(event, sourceUser, recipients);
+    progress.scanned += scannedChunk.length;
+    progress.lastFollowerId = scannedChunk[scannedChunk.length - 1]._id;
+    scannedChunk = [];
+
+    await Event.updateOne({ eventId: event.eventId }, { fanout: progress });
+    if (onProgress) {
+      await onProgress(progress);
+    }
+  };
+
+  for await (const follow of cursor) {
+    scannedChunk.push(follow);
+    if (scannedChunk.length >= FANOUT_CHUNK_SIZE) {
+      await flush();
+    }
+  }
+
+  if (scannedChunk.length > 0) {
+    await flush();
+  }
+
+  progress.status = 'completed';
+  progress.completedAt = new Date();
+  await Event.updateOne({ eventId: event.eventId }, { fanout: progress });
+
+  logger.info(`📰 Fanned out post to ${progress.notified} of ${progress.scanned} followers`);
+  return progress;
+}
+
+/**
+ * Insert one chunk of follower notifications and deliver the new ones (unless backfilled)
+ * Ids are deterministic, so rows written by an earlier attempt are skipped.
+ * Returns the number inserted
+ */
+async function writeChunk(event, sourceUser, recipients) {
+  if (recipients.length === 0) {
+    return 0;
+  }
+
+  const notificationIds = recipients.map(recipient => getFanoutNotificationId(event.eventId, recipient.userId));
+  const existing = await Notification.find({ notificationId: { $in: notificationIds } }, 'notificationId').lean();
+  const written = new Set(existing.map(notification => notification.notificationId));
+
+  const actors = [{ userId: sourceUser.userId, username: sourceUser.username }];
+  const data = buildNotificationData(event);
+  const timestamp = event.backfill ? new Date(event.timestamp) : new Date();
+
+  const pending = recipients.filter(recipient =>
+    !written.has(getFanoutNotificationId(event.eventId, recipient.userId))
+  );
+
+  const notifications = await Notification.insertMany(pending.map(recipient => ({
+    notificationId: getFanoutNotificationId(event.eventId, recipient.userId),
+    userId: recipient.userId,
+    type: event.type,
+    content: renderNotification({ type: event.type, actors, actorCount: 1, data }, { locale: recipient.locale }),
+    sourceUserId: sourceUser.userId,
+    relatedEventId: event.eventId,
+    actors,
+    actorCount: 1,
+    data,
+    status: 'unread',
+    ...(event.backfill && { backfill: true }),
+    timestamp,
+  })), { ordered: false });
+
+  notificationsCreated.inc({ type: event.type, channel: 'inApp' }, notifications.length);
+  logger.debug('📧 Created fan-out notifications', {
+    notificationIds: notifications.map(notification => notification.notificationId),
+  });
+
+  // Backfilled posts go in the feed only
+  if (event.backfill) {
+    return notifications.length;
+  }
+
+  const recipientsById = new Map(pending.map(recipient => [recipient.userId, recipient]));
+  for (const notification of notifications) {
+    await publishNotification(notification);
+    await deliverNotification(notification, recipientsById.get(notification.userId));
+  }
+  await dispatchWebhooks('notification.created', notifications);
+
+  return notifications.length;
+}
+
+module.exports = {
+  FANOUT_CHUNK_SIZE,
+  FANOUT_ON_READ_THRESHOLD,
+  fanOutPost,
+};
@@ -0,0 +1,48 @@
+/**
+ * Periodic maintenance jobs, run by the scheduler (services/scheduler.js)
+ * Requiring this module registers them; schedules are cron expressions in
+ * SCHEDULER_TIMEZONE
+ */
+const { defineJob } = require('./scheduler');
+const { processUnprocessedEvents, cleanupOldNotifications } = require('./notificationProcessor');
+const { DIGEST_FREQUENCIES, sendDueDigests } = require('./emailService');
+const { releaseHeldDeliveries } = require('./deliveryService');
+
+defineJob({
+  name: 'recover-stuck-events',
+  description: 'Re-queue unprocessed events that never reached the event queue',
+  schedule: '*/5 * * * *',
+  runOnStart: true,
+  run: processUnprocessedEvents,
+});
+
+defineJob({
+  name: 'cleanup-notifications',
+  description: 'Delete read and dismissed notifications older than 30 days',
+  schedule: '30 3 * * *',
+  run: cleanupOldNotifications,
+});
+
+defineJob({
+  name: 'send-email-digests',
+  description: 'Send due daily and weekly email digests',
+  schedule: '0 * * * *',
+  leaseMs: 60 * 60 * 1000,
+  run: async () => {
+    const results = {};
+    for (const frequency of DIGEST_FREQUENCIES) {
+      const { sent, failed } = await sendDueDigests(frequency);
+      results[frequency] = { sent, failed };
+    }
+    return results;
+  },
+});
+
+defineJob({
+  name: 'release-held-deliveries',
+  description: 'Deliver email and push held back during quiet hours once the window ends',
+  schedule: '* * * * *',
+  run: releaseHeldDeliveries,
+});
+
+module.exports = require('./scheduler');
@@ -0,0 +1,99 @@
+const User = require('../models/User');
+const { emitEvent } = require('./eventService');
+
+// @username, not preceded by a word character (so emails don't count); trailing dots are punctuation
+const MENTION_PATTERN = /(?:^|[^\w@])@([A-Za-z0-9_](?:[A-Za-z0-9_.]*[A-Za-z0-9_])?)/g;
+const MAX_MENTIONS = parseInt(process.env.MAX_MENTIONS_PER_POST) || 20;
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+/**
+ * Extract the distinct @usernames from text (lowercased, in order of appearance)
+ */
+function parseMentions(text) {
+  if (!text) {
+    return [];
+  }
+
+  const names = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    names.add(match[1].toLowerCase());
+  }
+
+  return [...names].slice(0, MAX_MENTIONS);
+}
+
+/**
+ * Resolve the @usernames in text to userIds, case-insensitively
+ * Unknown names, the author themself and users blocked in either direction are skipped.
+ * When a name matches several users only an exact-case match counts
+ */
+async function resolveMentions(text, author) {
+  const names = parseMentions(text);
+  if (names.length === 0) {
+    return [];
+  }
+
+  const candidates = await User.find({ username: { $in: names } }).collation(CASE_INSENSITIVE);
+  const mentioned = text.match(MENTION_PATTERN) || [];
+
+  const resolved = [];
+  for (const name of names) {
+    const matches = candidates.filter(user => user.username.toLowerCase() === name);
+    const user = matches.length === 1
+      ? matches[0]
+      : matches.find(candidate => mentioned.some(token => token.endsWith(`@${candidate.username}`)));
+
+    if (!user || user.userId === author.userId) {
+      continue;
+    }
+
+    if (author.hasBlocked(user.userId) || user.hasBlocked(author.userId)) {
+      continue;
+    }
+
+    resolved.push(user.userId);
+  }
+
+  return resolved;
+}
+
+/**
+ * Emit one MENTION event for the users mentioned in a post or comment
+ * `exclude` lists users already notified about this action by another event
+ * (e.g. the post owner receiving the COMMENT). Returns the notified userIds
+ */
+async function emitMentions({ authorId, content, postId, commentId, exclude = [] }) {
+  if (parseMentions(content).length === 0) {
+    return [];
+  }
+
+  const author = await User.findByUserId(authorId);
+  if (!author) {
+    return [];
+  }
+
+  const mentionedUsers = (await resolveMentions(content, author)).filter(userId => !exclude.includes(userId));
+  if (mentionedUsers.length === 0) {
+    return [];
+  }
+
+  await emitEvent({
+    type: 'MENTION',
+    sourceUserId: authorId,
+    data: {
+      postId,
+      commentId,
+      content,
+      mentionedUsers,
+    },
+  });
+
+  return mentionedUsers;
+}
+
+module.exports = {
+  MENTION_PATTERN,
+  parseMentions,
+  resolveMentions,
+  emitMentions,
+};
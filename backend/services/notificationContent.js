@@ -0,0 +1,46 @@
+const { excerpt } = require('./templates');
+
+/**
+ * Generate URL for notification (for deep linking)
+ */
+function generateNotificationUrl(event) {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+  
+  switch (event.type) {
+    case 'LIKE':
+    case 'COMMENT':
+    case 'SHARE':
+      return event.data.postId ? `${baseUrl}/posts/${event.data.postId}` : baseUrl;
+    
+    case 'FOLLOW':
+      return `${baseUrl}/profile/${event.sourceUserId}`;
+    
+    case 'POST_CREATE':
+      return event.data.postId ? `${baseUrl}/posts/${event.data.postId}` : baseUrl;
+    
+    case 'MENTION':
+      return event.data.postId ? `${baseUrl}/posts/${event.data.postId}` : baseUrl;
+    
+    default:
+      return baseUrl;
+  }
+}
+
+/**
+ * Notification data for an event: what the post/comment links to, plus the
+ * comment text the templates quote (see services/templates)
+ */
+function buildNotificationData(event) {
+  return {
+    postId: event.data.postId,
+    commentId: event.data.commentId,
+    url: generateNotificationUrl(event),
+    excerpt: event.type === 'COMMENT' && event.data.content ? excerpt(event.data.content) : undefined,
+    metadata: event.data.metadata || {},
+  };
+}
+
+module.exports = {
+  generateNotificationUrl,
+  buildNotificationData,
+};
@@ -0,0 +1,328 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Event = require('../models/Event');
+const { findPage, encodeCursor } = require('../utils/pagination');
+const { unreadCountDuration, observeDuration } = require('../utils/metrics');
+const { isSilenced, shouldReceiveNotification } = require('./recipientFilters');
+const { buildNotificationData } = require('./notificationContent');
+const { renderNotification } = require('./templates');
+
+// Same lifetime as stored notifications
+const FEED_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * A user's notification feed: their stored notifications merged with posts
+ * from followed accounts that fan out on read (see services/fanoutService.js).
+ * Those posts are unread until they are older than the user's feedReadAt; when
+ * the user reads or dismisses one, a stored copy (fanoutOnRead) replaces it.
+ */
+
+/**
+ * Notification id for a post in a follower's feed
+ * Deterministic, so a post is stored at most once per follower whether it was
+ * fanned out on write or saved when acted on from the read-time feed
+ */
+function getFanoutNotificationId(eventId, userId) {
+  return `${eventId}:${userId}`;
+}
+
+/**
+ * Event query for the fan-out-on-read posts a user should see, or null for none
+ * Takes the feed filters of Notification.getUserNotifications
+ */
+async function getReadTimeQuery(user, options = {}) {
+  const {
+    q = null,
+    statuses = null,
+    types = null,
+    sourceUserId = null,
+    postId = null,
+    from = null,
+    to = null,
+  } = options;
+
+  // Search covers stored notifications; these posts are only stored once acted on
+  if (q || !shouldReceiveNotification(user, 'POST_CREATE')) {
+    return null;
+  }
+
+  if (types && types.length > 0 && !types.includes('POST_CREATE')) {
+    return null;
+  }
+
+  // Never dismissed: dismissing one stores the user's copy. Read means older than feedReadAt
+  const wanted = statuses && statuses.length > 0 ? statuses : ['unread', 'read'];
+  const unread = wanted.includes('unread');
+  const read = wanted.includes('read') && Boolean(user.feedReadAt);
+  if (!unread && !read) {
+    return null;
+  }
+
+  const following = await Follow.getFollowingIds(user.userId);
+  const sourceUserIds = following
+    .filter(id => !sourceUserId || id === sourceUserId)
+    .filter(id => !user.hasBlocked(id) && !user.isMutingUser(id));
+  if (sourceUserIds.length === 0) {
+    return null;
+  }
+
+  const windowStart = new Date(Date.now() - FEED_WINDOW_MS);
+  const timestamp = { $gte: from && from > windowStart ? from : windowStart };
+  if (to) {
+    timestamp.$lte = to;
+  }
+  if (unread && !read && user.feedReadAt) {
+    timestamp.$gt = user.feedReadAt;
+  }
+  if (read && !unread && (!to || user.feedReadAt < to)) {
+    timestamp.$lte = user.feedReadAt;
+  }
+
+  const query = {
+    sourceUserId: { $in: sourceUserIds },
+    'fanout.mode': 'read',
+    timestamp,
+  };
+
+  if (postId) {
+    query['data.postId'] = postId;
+  }
+
+  return query;
+}
+
+/**
+ * Build the (unsaved) notification for a fan-out-on-read post
+ * A copy listed in the feed (`listed`) takes the event's _id, so a cursor taken
+ * from it continues the Event page. Every other copy gets its own _id: the post
+ * is shared by all followers, and each of them may store one
+ */
+function buildFeedNotification(event, sourceUser, user, { listed = false } = {}) {
+  const read = Boolean(user.feedReadAt) && event.timestamp <= user.feedReadAt;
+
+  const notification = new Notification({
+    ...(listed && { _id: event._id }),
+    notificationId: getFanoutNotificationId(event.eventId, user.userId),
+    userId: user.userId,
+    type: event.type,
+    sourceUserId: sourceUser.userId,
+    relatedEventId: event.eventId,
+    actors: [{ userId: sourceUser.userId, username: sourceUser.username }],
+    actorCount: 1,
+    fanoutOnRead: true,
+    data: buildNotificationData(event),
+    status: read ? 'read' : 'unread',
+    readAt: read ? user.feedReadAt : undefined,
+    timestamp: event.timestamp,
+    expiresAt: new Date(event.timestamp.getTime() + FEED_WINDOW_MS),
+  });
+
+  notification.content = renderNotification(notification, { locale: user.locale });
+  return notification;
+}
+
+/**
+ * Fetch one page of fan-out-on-read posts as notifications
+ */
+async function getReadTimePage(user, query, { before, after, limit, order }) {
+  const page = await findPage(Event, query, { before, after, limit, order });
+  if (page.items.length === 0) {
+    return page;
+  }
+
+  const [sources, stored] = await Promise.all([
+    User.find({ userId: { $in: [...new Set(page.items.map(event => event.sourceUserId))] } }),
+    Notification.find({
+      notificationId: { $in: page.items.map(event => getFanoutNotificationId(event.eventId, user.userId)) },
+    }, 'notificationId').lean(),
+  ]);
+  const sourcesById = new Map(sources.map(source => [source.userId, source]));
+  const storedIds = new Set(stored.map(notification => notification.notificationId));
+
+  // Posts the user already acted on come back through their stored copy
+  const items = page.items
+    .filter(event => !storedIds.has(getFanoutNotificationId(event.eventId, user.userId)))
+    .filter(event => sourcesById.has(event.sourceUserId))
+    .filter(event => !isSilenced(user, event, sourcesById.get(event.sourceUserId)))
+    .map(event => buildFeedNotification(event, sourcesById.get(event.sourceUserId), user, { listed: true }));
+
+  return { ...page, items };
+}
+
+function compareNewestFirst(a, b) {
+  const diff = b.timestamp - a.timestamp;
+  return diff !== 0 ? diff : String(b._id).localeCompare(String(a._id));
+}
+
+function compareOldestFirst(a, b) {
+  return compareNewestFirst(b, a);
+}
+
+/**
+ * Get a page of a user's notifications, newest first unless sorted otherwise
+ * Same options and result as Notification.getUserNotifications
+ */
+async function getNotificationFeed(userId, options = {}) {
+  const { limit = 50, before = null, after = null, sort = 'newest' } = options;
+  const order = sort === 'oldest' ? 1 : -1;
+
+  const [stored, user] = await Promise.all([
+    Notification.getUserNotifications(userId, options),
+    User.findByUserId(userId),
+  ]);
+
+  const query = user && await getReadTimeQuery(user, options);
+  if (!query) {
+    return stored;
+  }
+
+  const readTime = await getReadTimePage(user, query, { before, after, limit, order });
+  if (readTime.items.length === 0) {
+    return {
+      ...stored,
+      hasMore: stored.hasMore || readTime.hasMore,
+    };
+  }
+
+  // Both pages hold the `limit` items nearest the cursor; keep the nearest of the union
+  const merged = [...stored.notifications, ...readTime.items]
+    .sort(order === 1 ? compareOldestFirst : compareNewestFirst);
+  const newer = Boolean(after);
+  const notifications = newer ? merged.slice(-limit) : merged.slice(0, limit);
+  const hasMore = stored.hasMore || readTime.hasMore || merged.length > limit;
+
+  return {
+    notifications,
+    nextCursor: notifications.length > 0 && (newer || hasMore)
+      ? encodeCursor(notifications[notifications.length - 1])
+      : null,
+    prevCursor: notifications.length > 0 ? encodeCursor(notifications[0]) : after,
+    hasMore,
+  };
+}
+
+/**
+ * Count the fan-out-on-read posts matching the feed filters that the user hasn't acted on
+ */
+async function countReadTime(user, options) {
+  const query = await getReadTimeQuery(user, options);
+  if (!query) {
+    return 0;
+  }
+
+  const [posts, actedOn] = await Promise.all([
+    Event.countDocuments(query),
+    Notification.countDocuments({
+      userId: user.userId,
+      fanoutOnRead: true,
+      sourceUserId: query.sourceUserId,
+      timestamp: query.timestamp,
+      ...(query['data.postId'] && { 'data.postId': query['data.postId'] }),
+    }),
+  ]);
+
+  return Math.max(posts - actedOn, 0);
+}
+
+function countUnreadReadTime(user) {
+  return countReadTime(user, { statuses: ['unread'] });
+}
+
+/**
+ * Counts per type and status for the feed filters, including fan-out-on-read posts
+ * Same result as Notification.getFacetCounts
+ */
+async function getFeedFacets(userId, options = {}) {
+  const [facets, user] = await Promise.all([
+    Notification.getFacetCounts(userId, options),
+    User.findByUserId(userId),
+  ]);
+
+  if (!user) {
+    return facets;
+  }
+
+  // Like the stored facets, each count applies every filter but its own
+  const [posts, unread, read] = await Promise.all([
+    countReadTime(user, { ...options, types: null }),
+    countReadTime(user, { ...options, statuses: ['unread'] }),
+    countReadTime(user, { ...options, statuses: ['read'] }),
+  ]);
+
+  facets.types.POST_CREATE += posts;
+  facets.statuses.unread += unread;
+  facets.statuses.read += read;
+  return facets;
+}
+
+/**
+ * Unread count including fan-out-on-read posts
+ */
+async function getUnreadCount(userId) {
+  return observeDuration(unreadCountDuration, () => ({}), async () => {
+    const [stored, user] = await Promise.all([
+      Notification.getUnreadCount(userId),
+      User.findByUserId(userId),
+    ]);
+
+    return stored + (user ? await countUnreadReadTime(user) : 0);
+  });
+}
+
+/**
+ * Mark everything in the feed as read, including fan-out-on-read posts
+ */
+async function markAllAsRead(userId) {
+  const user = await User.findByUserId(userId);
+  const readTimeCount = user ? await countUnreadReadTime(user) : 0;
+
+  const result = await Notification.markAllAsRead(userId);
+  await User.updateOne({ userId }, { feedReadAt: new Date() });
+
+  return { modifiedCount: result.modifiedCount + readTimeCount };
+}
+
+/**
+ * Resolve a fan-out-on-read post by its feed notification id
+ * Returns an unsaved notification (saving it stores the user's copy), or null
+ * when the id is not a post the user can see
+ */
+async function findFeedNotification(notificationId) {
+  const separator = notificationId.indexOf(':');
+  if (separator === -1) {
+    return null;
+  }
+
+  const eventId = notificationId.slice(0, separator);
+  const userId = notificationId.slice(separator + 1);
+
+  const [event, user] = await Promise.all([
+    Event.findOne({ eventId, 'fanout.mode': 'read' }),
+    User.findByUserId(userId),
+  ]);
+
+  if (!event || !user || !shouldReceiveNotification(user, event.type)) {
+    return null;
+  }
+
+  if (!await Follow.isFollowing(user.userId, event.sourceUserId)) {
+    return null;
+  }
+
+  const sourceUser = await User.findByUserId(event.sourceUserId);
+  if (!sourceUser || isSilenced(user, event, sourceUser)) {
+    return null;
+  }
+
+  return buildFeedNotification(event, sourceUser, user);
+}
+
+module.exports = {
+  getFanoutNotificationId,
+  getNotificationFeed,
+  getFeedFacets,
+  getUnreadCount,
+  markAllAsRead,
+  findFeedNotification,
+};
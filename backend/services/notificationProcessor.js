@@ -2,43 +2,336 @@ const { v4: uuidv4 } = require('uuid');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
 const Event = require('../models/Event');
+const EventJob = require('../models/EventJob');
+const DeadLetter = require('../models/DeadLetter');
+const { publishNotification } = require('./notificationStream');
+const { deliverNotification } = require('./deliveryService');
+const { dispatchWebhooks } = require('./webhookService');
+const { fanOutPost } = require('./fanoutService');
+const { isSilenced, shouldReceiveNotification } = require('./recipientFilters');
+const { buildNotificationData } = require('./notificationContent');
+const { renderNotification } = require('./templates');
+const { logger, runWithLogContext } = require('../utils/logger');
+const {
+  eventProcessingDuration,
+  eventProcessingFailures,
+  notificationsCreated,
+  observeDuration,
+} = require('../utils/metrics');
+
+const MAX_ATTEMPTS = parseInt(process.env.EVENT_QUEUE_MAX_ATTEMPTS) || 5;
+const BASE_DELAY_MS = parseInt(process.env.EVENT_QUEUE_BASE_DELAY_MS) || 1000;
+const MAX_DELAY_MS = parseInt(process.env.EVENT_QUEUE_MAX_DELAY_MS) || 5 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.EVENT_QUEUE_POLL_INTERVAL_MS) || 5000;
+const LOCK_TIMEOUT_MS = parseInt(process.env.EVENT_QUEUE_LOCK_TIMEOUT_MS) || 5 * 60 * 1000;
+const COMPLETED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const QUEUE_LANES = ['default', 'fanout'];
+
+// Activity on a post is rolled up per recipient; other types are only de-duplicated
+const ROLLUP_TYPES = ['LIKE', 'COMMENT', 'SHARE'];
+// Actors kept on a rollup; an actor older than these who repeats is counted again
+const ROLLUP_MAX_ACTORS = 50;
+const ROLLUP_REDELIVERY_INTERVAL_MS = parseInt(process.env.ROLLUP_REDELIVERY_INTERVAL_MS) || 60 * 60 * 1000;
+const DUPLICATE_WINDOW_MS = 5 * 60 * 1000;
+const NOTIFICATION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Unprocessed events younger than this are assumed to still be on their way to the queue
+const RECOVERY_GRACE_MS = parseInt(process.env.EVENT_RECOVERY_GRACE_MS) || 5 * 60 * 1000;
+const RECOVERY_BATCH_SIZE = 1000;
+const CLEANUP_AGE_MS = 30 * 24 * 60 * 60 * 1000;
 
 /**
- * In-memory event queue for processing notifications
- * In production, this would be replaced with Redis, RabbitMQ, or similar
+ * Durable event queue backed by the EventJob collection
+ * Jobs survive restarts, failed attempts are retried with exponential backoff
+ * and events that exhaust their attempts are moved to the DeadLetter collection.
+ * Post fan-outs run in their own lane so a large one never holds up other events
  */
 class EventQueue {
   constructor() {
-    this.queue = [];
-    this.processing = false;
+    // Lane -> promise of the worker loop running it
+    this.processing = new Map();
+    // Lane -> job its worker is attempting right now
+    this.activeJobs = new Map();
+    this.timer = null;
+    this.draining = false;
   }
 
-  enqueue(event) {
-    this.queue.push(event);
-    this.processQueue();
+  static getLane(event) {
+    return event.type === 'POST_CREATE' ? 'fanout' : 'default';
   }
 
-  async processQueue() {
-    if (this.processing || this.queue.length === 0) {
+  static newJob(event) {
+    return {
+      eventId: event.eventId,
+      lane: EventQueue.getLane(event),
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: MAX_ATTEMPTS,
+      nextAttemptAt: new Date(),
+    };
+  }
+
+  /**
+   * Persist a job for the event (no-op if one already exists) and kick the worker
+   */
+  async enqueue(event) {
+    const job = EventQueue.newJob(event);
+
+    await EventJob.updateOne(
+      { eventId: event.eventId },
+      { $setOnInsert: job },
+      { upsert: true }
+    );
+
+    this.processQueue(job.lane);
+  }
+
+  /**
+   * enqueue() for many events in one round trip
+   */
+  async enqueueMany(events) {
+    if (events.length === 0) {
       return;
     }
 
-    this.processing = true;
+    const jobs = events.map(event => EventQueue.newJob(event));
 
-    while (this.queue.length > 0) {
-      const event = this.queue.shift();
-      try {
-        await this.processEvent(event);
-      } catch (error) {
-        console.error('Error processing event from queue:', error);
+    await EventJob.bulkWrite(jobs.map(job => ({
+      updateOne: {
+        filter: { eventId: job.eventId },
+        update: { $setOnInsert: job },
+        upsert: true,
+      },
+    })), { ordered: false });
+
+    new Set(jobs.map(job => job.lane)).forEach(lane => this.processQueue(lane));
+  }
+
+  /**
+   * Start polling for due jobs (retries and jobs left over from a previous run)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processAllLanes(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.processAllLanes();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Stop claiming jobs (for shutdown) and resolve once the jobs in progress finish
+   * New events are still persisted by enqueue() and wait for the next worker
+   */
+  drain() {
+    this.stop();
+    this.draining = true;
+    return Promise.all(this.processing.values());
+  }
+
+  /**
+   * Hand jobs still in progress back as pending, without using up an attempt,
+   * so another instance picks them up now rather than after LOCK_TIMEOUT_MS
+   */
+  async releaseActiveJobs() {
+    const jobs = [...this.activeJobs.values()];
+
+    await Promise.all(jobs.map(job => EventJob.updateOne(
+      { _id: job._id, status: 'processing', lockedAt: job.lockedAt },
+      {
+        $set: { status: 'pending', nextAttemptAt: new Date() },
+        $unset: { lockedAt: '' },
+        $inc: { attempts: -1 },
+      }
+    )));
+
+    return jobs.length;
+  }
+
+  processAllLanes() {
+    QUEUE_LANES.forEach(lane => this.processQueue(lane));
+  }
+
+  /**
+   * Work a lane until it has no due jobs; a lane already being worked is left alone
+   */
+  processQueue(lane = 'default') {
+    if (this.draining) {
+      return Promise.resolve();
+    }
+
+    if (!this.processing.has(lane)) {
+      const worker = this.workLane(lane).finally(() => this.processing.delete(lane));
+      this.processing.set(lane, worker);
+    }
+    return this.processing.get(lane);
+  }
+
+  async workLane(lane) {
+    try {
+      let job;
+      while (!this.draining && (job = await this.claimNextJob(lane))) {
+        this.activeJobs.set(lane, job);
+        await this.runJob(job);
+        this.activeJobs.delete(lane);
+      }
+    } catch (error) {
+      logger.error('Error processing event queue', { lane, error });
+    }
+  }
+
+  /**
+   * Atomically claim the oldest due job in a lane, including jobs whose worker died mid-attempt
+   */
+  claimNextJob(lane = 'default') {
+    const now = new Date();
+
+    return EventJob.findOneAndUpdate(
+      {
+        // Jobs queued before lanes existed have no lane and belong to the default one
+        lane: lane === 'default' ? { $ne: 'fanout' } : lane,
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) } },
+        ],
+      },
+      {
+        $set: { status: 'processing', lockedAt: now },
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Refresh a job's lock so a long-running attempt isn't reclaimed as stale
+   */
+  touch(job) {
+    return EventJob.updateOne({ _id: job._id, status: 'processing' }, { lockedAt: new Date() });
+  }
+
+  /**
+   * Everything logged while processing carries the event's id and the id of the
+   * request that created it, so one grep for the requestId follows it end to end
+   */
+  async runJob(job) {
+    let event = null;
+    try {
+      event = await Event.findOne({ eventId: job.eventId });
+
+      if (!event) {
+        logger.warn('Event no longer exists, dropping job', { eventId: job.eventId });
+      } else {
+        await runWithLogContext(
+          { requestId: event.correlationId, eventId: event.eventId },
+          () => observeDuration(
+            eventProcessingDuration,
+            error => ({ type: event.type, outcome: error ? 'failure' : 'success' }),
+            () => this.processEvent(event, { onProgress: () => this.touch(job) })
+          )
+        );
       }
+
+      job.status = 'completed';
+      job.completedAt = new Date();
+      job.lockedAt = undefined;
+      job.expiresAt = new Date(Date.now() + COMPLETED_JOB_TTL_MS);
+      await job.save();
+    } catch (error) {
+      await this.handleFailure(job, error, event);
     }
+  }
 
-    this.processing = false;
+  async handleFailure(job, error, event) {
+    const logFields = {
+      requestId: event ? event.correlationId : undefined,
+      eventId: job.eventId,
+      attempts: job.attempts,
+      error,
+    };
+    const deadLettered = job.attempts >= job.maxAttempts;
+    eventProcessingFailures.inc({ type: event ? event.type : 'unknown', dead_lettered: String(deadLettered) });
+
+    job.lastError = {
+      message: error.message,
+      stack: error.stack,
+      at: new Date(),
+    };
+    job.lockedAt = undefined;
+
+    if (deadLettered) {
+      job.status = 'dead';
+      await job.save();
+      await this.deadLetter(job);
+      logger.error(`💀 Event dead-lettered after ${job.attempts} attempts`, logFields);
+      return;
+    }
+
+    const delay = Math.min(BASE_DELAY_MS * 2 ** (job.attempts - 1), MAX_DELAY_MS);
+    job.status = 'pending';
+    job.nextAttemptAt = new Date(Date.now() + delay);
+    await job.save();
+    logger.warn(`🔁 Event failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay}ms`, logFields);
   }
 
-  async processEvent(event) {
-    await processEvent(event);
+  async deadLetter(job) {
+    const event = await Event.findOne({ eventId: job.eventId }).lean();
+
+    await DeadLetter.findOneAndUpdate(
+      { eventId: job.eventId },
+      {
+        $set: {
+          type: event && event.type,
+          sourceUserId: event && event.sourceUserId,
+          status: 'dead',
+          attempts: job.attempts,
+          lastError: job.lastError,
+          failedAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Send a dead-lettered event back through the queue with a fresh attempt budget
+   */
+  async replay(eventId) {
+    const deadLetter = await DeadLetter.findOne({ eventId });
+    if (!deadLetter) {
+      return null;
+    }
+
+    await EventJob.findOneAndUpdate(
+      { eventId },
+      {
+        $set: {
+          status: 'pending',
+          attempts: 0,
+          maxAttempts: MAX_ATTEMPTS,
+          nextAttemptAt: new Date(),
+        },
+        $unset: { lockedAt: '', completedAt: '', expiresAt: '' },
+      },
+      { upsert: true }
+    );
+
+    deadLetter.status = 'replayed';
+    deadLetter.replayedAt = new Date();
+    deadLetter.replayCount += 1;
+    await deadLetter.save();
+
+    this.processAllLanes();
+    return deadLetter;
+  }
+
+  async processEvent(event, options) {
+    await processEvent(event, options);
   }
 }
 
@@ -47,23 +340,32 @@ const eventQueue = new EventQueue();
 
 /**
  * Main function to process an event and generate notifications
+ * `options.onProgress` is called periodically during long post fan-outs
  */
-async function processEvent(event) {
+async function processEvent(event, options = {}) {
   try {
-    console.log(`🔄 Processing event: ${event.type} from ${event.sourceUserId}`);
+    logger.info('🔄 Processing event', { type: event.type, sourceUserId: event.sourceUserId });
 
     // Get the source user
     const sourceUser = await User.findByUserId(event.sourceUserId);
     if (!sourceUser) {
-      console.error(`Source user not found: ${event.sourceUserId}`);
+      logger.error('Source user not found', { sourceUserId: event.sourceUserId });
       return;
     }
 
+    // Posts go to every follower, in chunks (see services/fanoutService.js)
+    if (event.type === 'POST_CREATE') {
+      await fanOutPost(event, sourceUser, options);
+      await Event.findOneAndUpdate({ eventId: event.eventId }, { processed: true });
+      return [];
+    }
+
     // Determine notification recipients based on event type
     const recipients = await getNotificationRecipients(event, sourceUser);
 
     // Generate notifications for each recipient
     const notifications = [];
+    let failedCount = 0;
     for (const recipient of recipients) {
       try {
         const notification = await createNotification(event, sourceUser, recipient);
@@ -71,10 +373,17 @@ async function processEvent(event) {
           notifications.push(notification);
         }
       } catch (error) {
-        console.error(`Error creating notification for user ${recipient.userId}:`, error);
+        failedCount++;
+        logger.error('Error creating notification', { userId: recipient.userId, error });
       }
     }
 
+    // Leave the event unprocessed so the queue retries it; recipients that were
+    // already notified are skipped on the next attempt by the duplicate check
+    if (failedCount > 0) {
+      throw new Error(`Failed to notify ${failedCount} of ${recipients.length} recipients`);
+    }
+
     // Mark event as processed
     await Event.findOneAndUpdate(
       { eventId: event.eventId },
@@ -87,11 +396,13 @@ async function processEvent(event) {
       }
     );
 
-    console.log(`✅ Generated ${notifications.length} notifications for event ${event.eventId}`);
+    logger.info(`✅ Generated ${notifications.length} notifications`, {
+      notificationIds: notifications.map(notification => notification.notificationId),
+    });
     return notifications;
 
   } catch (error) {
-    console.error('Error in processEvent:', error);
+    logger.error('Error in processEvent', { error });
     throw error;
   }
 }
@@ -108,7 +419,7 @@ async function getNotificationRecipients(event, sourceUser) {
       // Notify the post owner (if different from source user)
       if (event.targetUserId && event.targetUserId !== event.sourceUserId) {
         const targetUser = await User.findByUserId(event.targetUserId);
-        if (targetUser && shouldReceiveNotification(targetUser, event.type)) {
+        if (targetUser && acceptsNotification(targetUser, event, sourceUser)) {
           recipients.push(targetUser);
         }
       }
@@ -118,32 +429,19 @@ async function getNotificationRecipients(event, sourceUser) {
       // Notify the user being followed
       if (event.targetUserId && event.targetUserId !== event.sourceUserId) {
         const targetUser = await User.findByUserId(event.targetUserId);
-        if (targetUser && shouldReceiveNotification(targetUser, event.type)) {
+        if (targetUser && acceptsNotification(targetUser, event, sourceUser)) {
           recipients.push(targetUser);
         }
       }
       break;
 
-    case 'POST_CREATE':
-      // Notify all followers
-      const followers = await User.find({
-        following: event.sourceUserId
-      });
-      
-      for (const follower of followers) {
-        if (shouldReceiveNotification(follower, event.type)) {
-          recipients.push(follower);
-        }
-      }
-      break;
-
     case 'MENTION':
-      // Notify mentioned users (extracted from event data)
+      // Notify mentioned users (resolved from the content when the event was created)
       if (event.data.mentionedUsers) {
-        for (const mentionedUserId of event.data.mentionedUsers) {
+        for (const mentionedUserId of new Set(event.data.mentionedUsers)) {
           if (mentionedUserId !== event.sourceUserId) {
             const mentionedUser = await User.findByUserId(mentionedUserId);
-            if (mentionedUser && shouldReceiveNotification(mentionedUser, event.type)) {
+            if (mentionedUser && acceptsNotification(mentionedUser, event, sourceUser)) {
               recipients.push(mentionedUser);
             }
           }
@@ -155,180 +453,264 @@ async function getNotificationRecipients(event, sourceUser) {
       // Notify the original post owner
       if (event.targetUserId && event.targetUserId !== event.sourceUserId) {
         const targetUser = await User.findByUserId(event.targetUserId);
-        if (targetUser && shouldReceiveNotification(targetUser, event.type)) {
+        if (targetUser && acceptsNotification(targetUser, event, sourceUser)) {
           recipients.push(targetUser);
         }
       }
       break;
 
     default:
-      console.warn(`Unknown event type: ${event.type}`);
+      logger.warn('Unknown event type', { type: event.type });
   }
 
   return recipients;
 }
 
 /**
- * Check if a user should receive a notification of this type
+ * Whether a recipient wants this event, logging why not so a missing notification can be traced
  */
-function shouldReceiveNotification(user, eventType) {
-  return user.preferences.notificationTypes.includes(eventType);
+function acceptsNotification(recipient, event, sourceUser) {
+  if (!shouldReceiveNotification(recipient, event.type)) {
+    logger.info('Recipient skipped', { userId: recipient.userId, reason: 'in-app delivery turned off for this type' });
+    return false;
+  }
+  if (isSilenced(recipient, event, sourceUser)) {
+    logger.info('Recipient skipped', { userId: recipient.userId, reason: 'muted or blocked' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * When the event's notifications happened: now, or when a backfilled action took place
+ */
+function getNotificationTime(event) {
+  return event.backfill ? new Date(event.timestamp) : new Date();
 }
 
 /**
  * Create a notification for a specific user
+ * Activity on a post is rolled up into one notification per recipient, type and post
  */
 async function createNotification(event, sourceUser, targetUser) {
   try {
-    // Check for duplicate notifications (debouncing)
+    if (ROLLUP_TYPES.includes(event.type) && event.data.postId) {
+      return await rollupNotification(event, sourceUser, targetUser);
+    }
+
+    // Check for duplicate notifications (debouncing) around the time of the action
+    const at = getNotificationTime(event).getTime();
     const recentDuplicate = await Notification.findOne({
       userId: targetUser.userId,
       sourceUserId: sourceUser.userId,
       type: event.type,
       'data.postId': event.data.postId,
-      timestamp: { $gte: new Date(Date.now() - 5 * 60 * 1000) } // 5 minutes
+      timestamp: { $gte: new Date(at - DUPLICATE_WINDOW_MS), $lte: new Date(at + DUPLICATE_WINDOW_MS) },
     });
 
     if (recentDuplicate) {
-      console.log(`Skipping duplicate notification for ${targetUser.userId}`);
+      logger.info('Recipient skipped', { userId: targetUser.userId, reason: 'duplicate' });
       return null;
     }
 
-    // Generate notification content
-    const content = generateNotificationContent(event, sourceUser);
-    
-    const notification = new Notification({
-      notificationId: uuidv4(),
-      userId: targetUser.userId,
-      type: event.type,
-      content,
-      sourceUserId: sourceUser.userId,
-      relatedEventId: event.eventId,
-      data: {
-        postId: event.data.postId,
-        commentId: event.data.commentId,
-        url: generateNotificationUrl(event),
-        metadata: event.data.metadata || {},
-      },
-      status: 'unread',
-      timestamp: new Date(),
-    });
-
-    await notification.save();
-    console.log(`📧 Created notification for ${targetUser.userId}: ${content}`);
-    
-    return notification;
+    return await saveNewNotification(event, sourceUser, targetUser);
 
   } catch (error) {
-    console.error('Error creating notification:', error);
+    logger.error('Error creating notification', { error });
     throw error;
   }
 }
 
 /**
- * Generate human-readable notification content
+ * Add the source user to the recipient's rollup for this post, or start a new one
+ * Updates are published in-app every time, but only re-sent on email and push
+ * once ROLLUP_REDELIVERY_INTERVAL_MS has passed since the last delivery.
+ * A backfilled actor joins as the oldest one, without resurfacing the rollup
  */
-function generateNotificationContent(event, sourceUser) {
-  const username = sourceUser.username;
-  
-  switch (event.type) {
-    case 'LIKE':
-      return `${username} liked your post`;
-    
-    case 'COMMENT':
-      return event.data.content 
-        ? `${username} commented: "${event.data.content.substring(0, 50)}${event.data.content.length > 50 ? '...' : ''}"`
-        : `${username} commented on your post`;
-    
-    case 'FOLLOW':
-      return `${username} started following you`;
-    
-    case 'POST_CREATE':
-      return `${username} shared a new post`;
-    
-    case 'MENTION':
-      return `${username} mentioned you in a post`;
-    
-    case 'SHARE':
-      return `${username} shared your post`;
-    
-    default:
-      return `${username} performed an action`;
+async function rollupNotification(event, sourceUser, targetUser, { retried = false } = {}) {
+  const aggregationKey = `${targetUser.userId}:${event.type}:${event.data.postId}`;
+  const now = new Date();
+  const actor = { userId: sourceUser.userId, username: sourceUser.username };
+
+  const update = event.backfill
+    ? {
+      $push: { actors: { $each: [actor], $slice: ROLLUP_MAX_ACTORS } },
+      $inc: { actorCount: 1 },
+      $max: { timestamp: getNotificationTime(event) },
+    }
+    : {
+      $push: { actors: { $each: [actor], $position: 0, $slice: ROLLUP_MAX_ACTORS } },
+      $inc: { actorCount: 1 },
+      $set: {
+        status: 'unread',
+        sourceUserId: sourceUser.userId,
+        relatedEventId: event.eventId,
+        'data.commentId': event.data.commentId,
+        'data.excerpt': buildNotificationData(event).excerpt,
+        timestamp: now,
+        expiresAt: new Date(now.getTime() + NOTIFICATION_TTL_MS),
+      },
+      $unset: { readAt: '' },
+    };
+
+  // Only matches rollups this actor isn't part of yet, so repeats are no-ops
+  const notification = await Notification.findOneAndUpdate(
+    {
+      aggregationKey,
+      status: { $ne: 'dismissed' },
+      'actors.userId': { $ne: sourceUser.userId },
+    },
+    update,
+    { new: true }
+  );
+
+  if (!notification) {
+    const existing = await Notification.exists({ aggregationKey, status: { $ne: 'dismissed' } });
+    if (existing) {
+      logger.info('Recipient skipped', { userId: targetUser.userId, reason: 'duplicate' });
+      return null;
+    }
+
+    try {
+      return await saveNewNotification(event, sourceUser, targetUser, aggregationKey);
+    } catch (error) {
+      // Another actor started this rollup since we looked; join it instead
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.aggregationKey && !retried) {
+        return rollupNotification(event, sourceUser, targetUser, { retried: true });
+      }
+      throw error;
+    }
   }
+
+  notification.content = renderNotification(notification, { locale: targetUser.locale });
+  await notification.save();
+  logger.info('📧 Updated notification', {
+    notificationId: notification.notificationId,
+    userId: targetUser.userId,
+    actorCount: notification.actorCount,
+  });
+
+  if (event.backfill) {
+    return notification;
+  }
+
+  await publishNotification(notification);
+
+  // Claimed atomically, so concurrent updates re-send it at most once
+  const redeliver = await Notification.updateOne(
+    {
+      _id: notification._id,
+      $or: [
+        { deliveredAt: { $exists: false } },
+        { deliveredAt: { $lte: new Date(now.getTime() - ROLLUP_REDELIVERY_INTERVAL_MS) } },
+      ],
+    },
+    { $set: { deliveredAt: now } }
+  );
+  if (redeliver.modifiedCount > 0) {
+    await deliverNotification(notification, targetUser);
+  } else {
+    logger.info('Rollup update not re-sent on email/push', { notificationId: notification.notificationId, reason: 'recently delivered' });
+  }
+
+  await dispatchWebhooks('notification.updated', [notification]);
+
+  return notification;
 }
 
-/**
- * Generate URL for notification (for deep linking)
- */
-function generateNotificationUrl(event) {
-  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-  
-  switch (event.type) {
-    case 'LIKE':
-    case 'COMMENT':
-    case 'SHARE':
-      return event.data.postId ? `${baseUrl}/posts/${event.data.postId}` : baseUrl;
-    
-    case 'FOLLOW':
-      return `${baseUrl}/profile/${event.sourceUserId}`;
-    
-    case 'POST_CREATE':
-      return event.data.postId ? `${baseUrl}/posts/${event.data.postId}` : baseUrl;
-    
-    case 'MENTION':
-      return event.data.postId ? `${baseUrl}/posts/${event.data.postId}` : baseUrl;
-    
-    default:
-      return baseUrl;
+async function saveNewNotification(event, sourceUser, targetUser, aggregationKey) {
+  const notification = new Notification({
+    notificationId: uuidv4(),
+    userId: targetUser.userId,
+    type: event.type,
+    sourceUserId: sourceUser.userId,
+    relatedEventId: event.eventId,
+    aggregationKey,
+    actors: [{ userId: sourceUser.userId, username: sourceUser.username }],
+    actorCount: 1,
+    ...(aggregationKey && !event.backfill && { deliveredAt: new Date() }),
+    ...(event.backfill && { backfill: true }),
+    data: buildNotificationData(event),
+    status: 'unread',
+    timestamp: getNotificationTime(event),
+  });
+
+  // Written in the recipient's language
+  notification.content = renderNotification(notification, { locale: targetUser.locale });
+
+  await notification.save();
+  notificationsCreated.inc({ type: notification.type, channel: 'inApp' });
+  logger.info('📧 Created notification', { notificationId: notification.notificationId, userId: targetUser.userId });
+
+  // Backfilled history goes in the feed only
+  if (event.backfill) {
+    return notification;
   }
+
+  await publishNotification(notification);
+  await deliverNotification(notification, targetUser);
+  await dispatchWebhooks('notification.created', [notification]);
+  
+  return notification;
 }
 
 /**
  * Add event to processing queue
  */
 function queueEvent(event) {
-  eventQueue.enqueue(event);
+  return eventQueue.enqueue(event);
+}
+
+/**
+ * Add many events to the processing queue at once
+ */
+function queueEvents(events) {
+  return eventQueue.enqueueMany(events);
 }
 
 /**
- * Process unprocessed events (for cleanup/recovery)
+ * Re-queue unprocessed events that never got a queue job (for cleanup/recovery),
+ * e.g. because the process died between saving the event and enqueueing it.
+ * Events that already have a job are left to the queue's own retry policy
  */
 async function processUnprocessedEvents() {
-  try {
-    const unprocessedEvents = await Event.getUnprocessedEvents();
-    console.log(`📊 Found ${unprocessedEvents.length} unprocessed events`);
-    
-    for (const event of unprocessedEvents) {
-      await processEvent(event);
-    }
-    
-    console.log('✅ All unprocessed events have been processed');
-  } catch (error) {
-    console.error('Error processing unprocessed events:', error);
+  const unprocessedEvents = await Event.getUnprocessedEvents({
+    createdBefore: new Date(Date.now() - RECOVERY_GRACE_MS),
+    limit: RECOVERY_BATCH_SIZE,
+  });
+
+  const queued = new Set(await EventJob.distinct('eventId', {
+    eventId: { $in: unprocessedEvents.map(event => event.eventId) },
+  }));
+  const stuckEvents = unprocessedEvents.filter(event => !queued.has(event.eventId));
+
+  await queueEvents(stuckEvents);
+
+  if (stuckEvents.length > 0) {
+    logger.info(`🩹 Re-queued ${stuckEvents.length} stuck events`, {
+      eventIds: stuckEvents.map(event => event.eventId),
+    });
   }
+  return { unprocessed: unprocessedEvents.length, requeued: stuckEvents.length };
 }
 
 /**
  * Cleanup old notifications (maintenance task)
  */
 async function cleanupOldNotifications() {
-  try {
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    
-    const result = await Notification.deleteMany({
-      timestamp: { $lt: thirtyDaysAgo },
-      status: { $in: ['read', 'dismissed'] }
-    });
-    
-    console.log(`🧹 Cleaned up ${result.deletedCount} old notifications`);
-  } catch (error) {
-    console.error('Error cleaning up notifications:', error);
-  }
+  const result = await Notification.deleteMany({
+    timestamp: { $lt: new Date(Date.now() - CLEANUP_AGE_MS) },
+    status: { $in: ['read', 'dismissed'] }
+  });
+
+  logger.info(`🧹 Cleaned up ${result.deletedCount} old notifications`);
+  return { deleted: result.deletedCount };
 }
 
 module.exports = {
   processEvent,
   queueEvent,
+  queueEvents,
   processUnprocessedEvents,
   cleanupOldNotifications,
   eventQueue,
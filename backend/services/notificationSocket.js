@@ -0,0 +1,100 @@
+const { WebSocketServer } = require('ws');
+const { notificationStream } = require('./notificationStream');
+const { getUnreadCount } = require('./notificationFeed');
+const { verifyToken, getRequestToken, isAdmin } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const SOCKET_PATH = /^\/api\/notifications\/([^/]+)\/ws$/;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Attach the WebSocket variant of the notification stream to an HTTP server
+ * Clients connect to ws://host/api/notifications/:userId/ws?access_token=...[&lastEventId=...]
+ * and receive the same { id, event, data } messages as the SSE endpoint
+ */
+function attachNotificationSocket(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(SOCKET_PATH);
+
+    if (!match) {
+      socket.destroy();
+      return;
+    }
+
+    const userId = decodeURIComponent(match[1]);
+    let user;
+    try {
+      user = verifyToken(getRequestToken(req, { allowQuery: true }));
+    } catch (error) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    if (user.userId !== userId && !isAdmin(user)) {
+      rejectUpgrade(socket, 403, 'Forbidden');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      handleConnection(ws, userId, url.searchParams.get('lastEventId'));
+    });
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (ws.isAlive === false) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+async function handleConnection(ws, userId, lastEventId) {
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  const send = (message) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  // Subscribe before replaying so nothing published in between is missed
+  const unsubscribe = notificationStream.subscribe(userId, send);
+  ws.on('close', unsubscribe);
+
+  const { messages, complete } = notificationStream.replay(userId, lastEventId);
+  if (!complete) {
+    send({ event: 'resync', data: { reason: 'Missed events are no longer available' } });
+  }
+  messages.forEach(send);
+
+  try {
+    const unreadCount = await getUnreadCount(userId);
+    send({ event: 'unread_count', data: { unreadCount } });
+  } catch (error) {
+    logger.error(`Error sending initial unread count to ${userId}`, { error });
+  }
+}
+
+module.exports = {
+  attachNotificationSocket,
+};
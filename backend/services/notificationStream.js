@@ -0,0 +1,185 @@
+const { EventEmitter } = require('events');
+const { getUnreadCount } = require('./notificationFeed');
+const { logger } = require('../utils/logger');
+
+const BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE) || 100;
+// How long a user's messages stay replayable after their last stream disconnects
+const REPLAY_WINDOW_MS = parseInt(process.env.STREAM_REPLAY_WINDOW_MS) || 2 * 60 * 1000;
+
+/**
+ * In-memory pub/sub hub for real-time notification delivery
+ * Keeps a short per-user replay buffer so clients can resume after reconnecting.
+ * Messages are only buffered while the user has a stream open, or for the
+ * replay window after the last one closes; idle buffers are then swept.
+ * In production (multiple instances), this would be backed by Redis Pub/Sub or similar
+ */
+class NotificationStream {
+  constructor(bufferSize = BUFFER_SIZE, replayWindowMs = REPLAY_WINDOW_MS) {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.bufferSize = bufferSize;
+    this.replayWindowMs = replayWindowMs;
+    this.buffers = new Map();
+    this.sweepTimer = null;
+    // Ids are global and start from the boot time, so ids issued by a
+    // previous process are always older than anything we can replay
+    this.sequence = Date.now();
+  }
+
+  /**
+   * Publish a message to every subscriber of a user and record it for replay
+   */
+  publish(userId, event, data) {
+    const message = {
+      id: String(++this.sequence),
+      event,
+      data,
+    };
+
+    const buffer = this.buffers.get(userId);
+    if (buffer && this.isBuffering(userId, buffer)) {
+      buffer.messages.push(message);
+      buffer.lastPublishedAt = Date.now();
+      if (buffer.messages.length > this.bufferSize) {
+        const evicted = buffer.messages.shift();
+        buffer.evictedUpTo = Number(evicted.id);
+      }
+    } else if (buffer) {
+      // Past the replay window: a client resuming from before this has to resync
+      buffer.evictedUpTo = Number(message.id);
+    }
+
+    this.emitter.emit(userId, message);
+    return message;
+  }
+
+  /**
+   * Subscribe to a user's messages; returns an unsubscribe function
+   */
+  subscribe(userId, listener) {
+    const buffer = this.getBuffer(userId);
+    buffer.idleSince = null;
+    this.emitter.on(userId, listener);
+
+    return () => {
+      this.emitter.off(userId, listener);
+      if (!this.hasSubscribers(userId)) {
+        buffer.idleSince = Date.now();
+        this.startSweeping();
+      }
+    };
+  }
+
+  hasSubscribers(userId) {
+    return this.emitter.listenerCount(userId) > 0;
+  }
+
+  /**
+   * Get messages published after lastEventId.
+   * `complete` is false when some of them are no longer buffered and the
+   * client has to refetch its notification list instead.
+   */
+  replay(userId, lastEventId) {
+    const lastId = Number(lastEventId);
+    if (!lastEventId || Number.isNaN(lastId)) {
+      return { messages: [], complete: true };
+    }
+
+    const buffer = this.getBuffer(userId);
+    const messages = buffer.messages.filter(message => Number(message.id) > lastId);
+    const complete = lastId >= buffer.evictedUpTo;
+
+    return { messages, complete };
+  }
+
+  getBuffer(userId) {
+    if (!this.buffers.has(userId)) {
+      // Nothing before now was buffered for this user
+      this.buffers.set(userId, { messages: [], evictedUpTo: this.sequence, idleSince: null, lastPublishedAt: null });
+    }
+    return this.buffers.get(userId);
+  }
+
+  isBuffering(userId, buffer) {
+    return this.hasSubscribers(userId) || Date.now() - buffer.idleSince < this.replayWindowMs;
+  }
+
+  /**
+   * Drop the buffers of users with no open stream whose last disconnect and
+   * newest message are both older than the replay window
+   */
+  sweep() {
+    const cutoff = Date.now() - this.replayWindowMs;
+    let idle = 0;
+
+    for (const [userId, buffer] of this.buffers) {
+      if (this.hasSubscribers(userId)) {
+        continue;
+      }
+      if (buffer.idleSince <= cutoff && (buffer.lastPublishedAt || 0) <= cutoff) {
+        this.buffers.delete(userId);
+      } else {
+        idle++;
+      }
+    }
+
+    if (idle === 0) {
+      this.stopSweeping();
+    }
+  }
+
+  startSweeping() {
+    if (!this.sweepTimer) {
+      this.sweepTimer = setInterval(() => this.sweep(), this.replayWindowMs);
+      this.sweepTimer.unref();
+    }
+  }
+
+  stopSweeping() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+// Global stream instance
+const notificationStream = new NotificationStream();
+
+/**
+ * Publish the user's current unread count (only when someone is listening)
+ */
+async function publishUnreadCount(userId) {
+  if (!notificationStream.hasSubscribers(userId)) {
+    return;
+  }
+
+  try {
+    const unreadCount = await getUnreadCount(userId);
+    notificationStream.publish(userId, 'unread_count', { unreadCount });
+  } catch (error) {
+    logger.error(`Error publishing unread count for ${userId}`, { error });
+  }
+}
+
+/**
+ * Push a newly created notification to the recipient's open streams
+ */
+async function publishNotification(notification) {
+  notificationStream.publish(notification.userId, 'notification', notification.toJSON());
+  await publishUnreadCount(notification.userId);
+}
+
+/**
+ * Push a read/dismiss status change to the recipient's open streams
+ */
+async function publishStatusChange(userId, change) {
+  notificationStream.publish(userId, 'status', change);
+  await publishUnreadCount(userId);
+}
+
+module.exports = {
+  NotificationStream,
+  notificationStream,
+  publishNotification,
+  publishStatusChange,
+  publishUnreadCount,
+};
@@ -0,0 +1,42 @@
+/**
+ * Local push provider that records sends instead of delivering them
+ * Handles every subscription kind; mark a subscription as expired to
+ * exercise pruning
+ */
+function createFakePushProvider() {
+  const expired = new Set();
+
+  const keyOf = subscription => subscription.endpoint || `${subscription.platform}:${subscription.token}`;
+
+  return {
+    name: 'fake',
+    sent: [],
+    supports() {
+      return true;
+    },
+    async send(subscription, payload) {
+      if (expired.has(keyOf(subscription))) {
+        const error = new Error('Subscription expired');
+        error.expired = true;
+        throw error;
+      }
+
+      this.sent.push({
+        subscriptionId: subscription.subscriptionId,
+        userId: subscription.userId,
+        payload,
+      });
+    },
+    expire(subscription) {
+      expired.add(keyOf(subscription));
+    },
+    clear() {
+      this.sent.length = 0;
+      expired.clear();
+    },
+  };
+}
+
+module.exports = {
+  createFakePushProvider,
+};
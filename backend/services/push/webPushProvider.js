@@ -0,0 +1,51 @@
+const webpush = require('web-push');
+
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Web Push provider (browser Push API subscriptions, signed with VAPID keys)
+ * Push providers share one interface:
+ *   supports(subscription) -> boolean
+ *   send(subscription, payload) -> Promise, rejecting with `expired: true`
+ *   when the subscription is gone and should be pruned
+ */
+function createWebPushProvider(options = {}) {
+  const publicKey = options.publicKey || process.env.VAPID_PUBLIC_KEY;
+  const privateKey = options.privateKey || process.env.VAPID_PRIVATE_KEY;
+  const subject = options.subject || process.env.VAPID_SUBJECT || 'mailto:notifications@insyd.local';
+
+  webpush.setVapidDetails(subject, publicKey, privateKey);
+
+  return {
+    name: 'webpush',
+    publicKey,
+    supports(subscription) {
+      return subscription.kind === 'webpush';
+    },
+    async send(subscription, payload) {
+      try {
+        await webpush.sendNotification(
+          {
+            endpoint: subscription.endpoint,
+            keys: {
+              p256dh: subscription.keys.p256dh,
+              auth: subscription.keys.auth,
+            },
+          },
+          JSON.stringify(payload),
+          { TTL: PUSH_TTL_SECONDS }
+        );
+      } catch (error) {
+        // 404/410 mean the browser unsubscribed or the endpoint expired
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          error.expired = true;
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createWebPushProvider,
+};
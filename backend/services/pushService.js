@@ -0,0 +1,136 @@
+const { v4: uuidv4 } = require('uuid');
+const PushSubscription = require('../models/PushSubscription');
+const { createWebPushProvider } = require('./push/webPushProvider');
+const { createFakePushProvider } = require('./push/fakeProvider');
+const { translate, renderNotification } = require('./templates');
+const { logger } = require('../utils/logger');
+const { notificationsCreated } = require('../utils/metrics');
+
+let providers = null;
+
+/**
+ * Providers configured from the environment:
+ * PUSH_PROVIDER=fake records every push locally, otherwise Web Push is
+ * enabled when VAPID keys are set. Mobile providers are added with registerProvider
+ */
+function getProviders() {
+  if (!providers) {
+    providers = [];
+
+    if (process.env.PUSH_PROVIDER === 'fake') {
+      providers.push(createFakePushProvider());
+    } else if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+      providers.push(createWebPushProvider());
+    }
+  }
+  return providers;
+}
+
+function registerProvider(provider) {
+  getProviders().unshift(provider);
+}
+
+/**
+ * Replace all providers (e.g. with a fake provider in tests)
+ */
+function setProviders(newProviders) {
+  providers = newProviders;
+}
+
+function getVapidPublicKey() {
+  const webPush = getProviders().find(provider => provider.name === 'webpush');
+  return webPush ? webPush.publicKey : null;
+}
+
+/**
+ * Payload shown by the service worker / mobile client, in the recipient's locale
+ */
+function buildPushPayload(notification, locale) {
+  return {
+    notificationId: notification.notificationId,
+    type: notification.type,
+    title: translate('push.title', {}, locale),
+    body: renderNotification(notification, { locale, channel: 'push' }),
+    url: notification.data && notification.data.url,
+    timestamp: notification.timestamp,
+  };
+}
+
+/**
+ * Register (or re-assign) a push subscription for a user
+ */
+async function saveSubscription(userId, subscription) {
+  const query = subscription.kind === 'webpush'
+    ? { kind: 'webpush', endpoint: subscription.endpoint }
+    : { kind: 'device', platform: subscription.platform, token: subscription.token };
+
+  return PushSubscription.findOneAndUpdate(
+    query,
+    {
+      $set: { ...subscription, userId, failureCount: 0 },
+      $setOnInsert: { subscriptionId: uuidv4() },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Push a notification to every subscription of the recipient
+ * Subscriptions the provider reports as expired are pruned
+ */
+async function sendPushNotification(notification, user) {
+  if (user.getDeliveryFrequency(notification.type, 'push') === 'off') {
+    return { sent: 0, pruned: 0 };
+  }
+
+  const subscriptions = await PushSubscription.find({ userId: user.userId });
+  const payload = buildPushPayload(notification, user.locale);
+  let sent = 0;
+  let pruned = 0;
+
+  for (const subscription of subscriptions) {
+    if (subscription.isExpired()) {
+      await subscription.deleteOne();
+      pruned++;
+      continue;
+    }
+
+    const provider = getProviders().find(p => p.supports(subscription));
+    if (!provider) {
+      continue;
+    }
+
+    try {
+      await provider.send(subscription, payload);
+      subscription.lastSuccessAt = new Date();
+      subscription.failureCount = 0;
+      await subscription.save();
+      sent++;
+    } catch (error) {
+      if (error.expired) {
+        await subscription.deleteOne();
+        pruned++;
+        logger.info('🗑️  Pruned expired push subscription', { subscriptionId: subscription.subscriptionId, userId: user.userId });
+      } else {
+        subscription.failureCount += 1;
+        await subscription.save();
+        logger.error(`❌ Push via ${provider.name} failed`, { userId: user.userId, notificationId: notification.notificationId, error });
+      }
+    }
+  }
+
+  if (sent > 0) {
+    notificationsCreated.inc({ type: notification.type, channel: 'push' });
+  }
+  return { sent, pruned };
+}
+
+module.exports = {
+  getProviders,
+  registerProvider,
+  setProviders,
+  getVapidPublicKey,
+  buildPushPayload,
+  saveSubscription,
+  sendPushNotification,
+};
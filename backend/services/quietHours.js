@@ -0,0 +1,36 @@
+const { getWindowEnd } = require('../utils/timezone');
+
+/**
+ * When the user's quiet hours or do-not-disturb window ends, or null if
+ * deliveries can go out now. Pass a type to honour the user's urgent types.
+ */
+function getQuietUntil(user, type = null, now = new Date()) {
+  const { quietHours, doNotDisturbUntil, urgentTypes = [], timezone } = user.preferences;
+
+  if (type && urgentTypes.includes(type)) {
+    return null;
+  }
+
+  const windows = [];
+
+  if (doNotDisturbUntil && doNotDisturbUntil > now) {
+    windows.push(doNotDisturbUntil);
+  }
+
+  if (quietHours && quietHours.enabled) {
+    const quietEnd = getWindowEnd(now, timezone, quietHours.start, quietHours.end);
+    if (quietEnd) {
+      windows.push(quietEnd);
+    }
+  }
+
+  if (windows.length === 0) {
+    return null;
+  }
+
+  return new Date(Math.max(...windows));
+}
+
+module.exports = {
+  getQuietUntil,
+};
@@ -0,0 +1,34 @@
+// Muting a user still lets their follows and mentions through (blocking doesn't)
+const MUTE_EXEMPT_TYPES = ['FOLLOW', 'MENTION'];
+
+/**
+ * Check the recipient's mute and block lists
+ * Blocks (in either direction) silence everything; mutes of the source user
+ * silence everything except follows and mentions; muted posts silence all
+ * activity about that post
+ */
+function isSilenced(recipient, event, sourceUser) {
+  if (recipient.hasBlocked(sourceUser.userId) || sourceUser.hasBlocked(recipient.userId)) {
+    return true;
+  }
+
+  if (!MUTE_EXEMPT_TYPES.includes(event.type) && recipient.isMutingUser(sourceUser.userId)) {
+    return true;
+  }
+
+  return recipient.isMutingPost(event.data.postId);
+}
+
+/**
+ * Check if a user should receive a notification of this type at all
+ * (its in-app cell in the preference matrix is on)
+ */
+function shouldReceiveNotification(user, eventType) {
+  return user.getDeliveryFrequency(eventType, 'inApp') !== 'off';
+}
+
+module.exports = {
+  MUTE_EXEMPT_TYPES,
+  isSilenced,
+  shouldReceiveNotification,
+};
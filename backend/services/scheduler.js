@@ -0,0 +1,242 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const cronParser = require('cron-parser');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+const { logger, runWithLogContext } = require('../utils/logger');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 10000;
+const DEFAULT_LEASE_MS = parseInt(process.env.SCHEDULER_LEASE_MS) || 10 * 60 * 1000;
+const TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'UTC';
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * In-process cron scheduler for periodic maintenance jobs
+ * Every instance runs the same schedule; a JobLock per job makes sure only one
+ * of them runs each tick, and every run is recorded as a JobRun.
+ */
+const jobs = new Map();
+// Job name -> { run, finished } for runs started by this instance
+const activeRuns = new Map();
+let schedulerTimer = null;
+
+function getNextRunAt(job, from = new Date()) {
+  return cronParser.parseExpression(job.schedule, { currentDate: from, tz: TIMEZONE }).next().toDate();
+}
+
+/**
+ * Register a job. `schedule` is a cron expression (5 fields, or 6 with seconds)
+ * and can be overridden with JOB_SCHEDULE_<NAME>, e.g. JOB_SCHEDULE_CLEANUP_NOTIFICATIONS.
+ * `run` resolves to a summary stored on the run; `leaseMs` should exceed its longest run
+ */
+function defineJob({ name, description, schedule, run, leaseMs = DEFAULT_LEASE_MS, runOnStart = false }) {
+  const envName = `JOB_SCHEDULE_${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+  const job = {
+    name,
+    description,
+    schedule: process.env[envName] || schedule,
+    run,
+    leaseMs,
+    runOnStart,
+    nextRunAt: null,
+    running: false,
+  };
+
+  // Throws on an invalid expression, so a bad override fails at startup
+  getNextRunAt(job);
+  jobs.set(name, job);
+}
+
+function isJobDefined(name) {
+  return jobs.has(name);
+}
+
+async function execute(job, run) {
+  try {
+    run.result = await job.run();
+    run.status = 'succeeded';
+  } catch (error) {
+    logger.error('❌ Job failed', { error });
+    run.status = 'failed';
+    run.error = { message: error.message, stack: error.stack };
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+
+  try {
+    await run.save();
+  } finally {
+    await JobLock.release(job.name, INSTANCE_ID);
+  }
+  return run;
+}
+
+/**
+ * Take the job's lock and start a run in the background
+ * Resolves to { run, finished } (finished resolves to the completed run), or
+ * null when another instance holds the lock or already ran this tick
+ */
+async function startRun(name, { trigger = 'manual', triggeredBy, scheduledAt } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const lock = await JobLock.acquire(name, { owner: INSTANCE_ID, leaseMs: job.leaseMs, scheduledAt });
+  if (!lock) {
+    return null;
+  }
+
+  let run;
+  try {
+    run = await JobRun.create({
+      runId: uuidv4(),
+      name,
+      trigger,
+      triggeredBy,
+      scheduledAt,
+      instance: INSTANCE_ID,
+      startedAt: new Date(),
+    });
+  } catch (error) {
+    await JobLock.release(name, INSTANCE_ID);
+    throw error;
+  }
+
+  const finished = runWithLogContext({ job: name, runId: run.runId }, () => execute(job, run));
+  activeRuns.set(name, { run, finished });
+  finished.then(
+    () => activeRuns.delete(name),
+    () => activeRuns.delete(name)
+  );
+
+  return { run, finished };
+}
+
+/**
+ * startRun() and wait for the run to finish
+ */
+async function runJob(name, options) {
+  const started = await startRun(name, options);
+  return started ? started.finished : null;
+}
+
+function runInBackground(job, options) {
+  job.running = true;
+  runJob(job.name, options)
+    .catch(error => logger.error('Error running job', { job: job.name, error }))
+    .finally(() => {
+      job.running = false;
+    });
+}
+
+/**
+ * Start every job whose tick has come; ticks missed while a run was still going are skipped
+ */
+function runDueJobs() {
+  const now = new Date();
+
+  for (const job of jobs.values()) {
+    if (job.running || now < job.nextRunAt) {
+      continue;
+    }
+
+    const scheduledAt = job.nextRunAt;
+    job.nextRunAt = getNextRunAt(job, now);
+    runInBackground(job, { trigger: 'schedule', scheduledAt });
+  }
+}
+
+/**
+ * Jobs with their schedule, lock state and most recent run
+ */
+async function listJobs() {
+  const names = [...jobs.keys()];
+  const [locks, latestRuns] = await Promise.all([
+    JobLock.find({ name: { $in: names } }),
+    JobRun.getLatestRuns(names),
+  ]);
+  const locksByName = Object.fromEntries(locks.map(lock => [lock.name, lock]));
+  const now = new Date();
+
+  return names.map(name => {
+    const job = jobs.get(name);
+    const lock = locksByName[name];
+    const running = Boolean(lock && lock.lockedUntil && lock.lockedUntil > now);
+
+    return {
+      name,
+      description: job.description,
+      schedule: job.schedule,
+      timezone: TIMEZONE,
+      nextRunAt: job.nextRunAt || getNextRunAt(job),
+      running,
+      lockedBy: running ? lock.lockedBy : null,
+      lastRun: latestRuns[name] || null,
+    };
+  });
+}
+
+/**
+ * Start scheduling; jobs flagged runOnStart (startup recovery) run right away
+ */
+function startScheduler() {
+  if (schedulerTimer) {
+    return;
+  }
+
+  for (const job of jobs.values()) {
+    job.nextRunAt = getNextRunAt(job);
+    if (job.runOnStart) {
+      runInBackground(job, { trigger: 'startup' });
+    }
+  }
+
+  schedulerTimer = setInterval(runDueJobs, POLL_INTERVAL_MS);
+  schedulerTimer.unref();
+  logger.info(`⏰ Scheduler started with ${jobs.size} jobs`);
+}
+
+/**
+ * Stop starting runs; resolves once the runs in progress on this instance finish
+ */
+function stopScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+  return Promise.allSettled([...activeRuns.values()].map(({ finished }) => finished));
+}
+
+/**
+ * Record runs still in progress as failed and release their locks, so the next
+ * tick on another instance doesn't wait for the lease to expire (for shutdown)
+ */
+async function releaseActiveRuns() {
+  const runs = [...activeRuns.values()].map(({ run }) => run);
+
+  await Promise.all(runs.map(async run => {
+    run.status = 'failed';
+    run.error = { message: 'Interrupted by shutdown' };
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+
+    try {
+      await run.save();
+    } finally {
+      await JobLock.release(run.name, INSTANCE_ID);
+    }
+  }));
+
+  return runs.length;
+}
+
+module.exports = {
+  defineJob,
+  isJobDefined,
+  startRun,
+  runJob,
+  listJobs,
+  startScheduler,
+  stopScheduler,
+  releaseActiveRuns,
+};
@@ -1,7 +1,14 @@
 const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
 const Event = require('../models/Event');
 const Notification = require('../models/Notification');
 const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils/logger');
+
+const SEED_USER_PASSWORD = process.env.SEED_USER_PASSWORD || 'password123';
 
 /**
  * Seed the database with sample data for testing
@@ -11,11 +18,11 @@ async function seedDatabase() {
     // Check if data already exists
     const existingUsers = await User.countDocuments();
     if (existingUsers > 0) {
-      console.log('📊 Database already contains data, skipping seed');
+      logger.info('📊 Database already contains data, skipping seed');
       return;
     }
 
-    console.log('🌱 Seeding database with sample data...');
+    logger.info('🌱 Seeding database with sample data...');
 
     // Create sample users
     const sampleUsers = [
@@ -29,20 +36,17 @@ async function seedDatabase() {
           company: 'DesignCorp',
           website: 'https://alexarchitect.com'
         },
-        followers: ['user2', 'user3'],
-        following: ['user2', 'user4'],
       },
       {
         userId: 'user2',
         username: 'priya_designer',
         email: 'priya@example.com',
+        locale: 'hi',
         profile: {
           bio: 'Interior Designer & Space Planner',
           location: 'Delhi, India',
           company: 'SpaceWorks',
         },
-        followers: ['user1', 'user3', 'user4'],
-        following: ['user1'],
       },
       {
         userId: 'user3',
@@ -53,8 +57,6 @@ async function seedDatabase() {
           location: 'Bangalore, India',
           company: 'UrbanTech Solutions',
         },
-        followers: ['user4'],
-        following: ['user1', 'user2'],
       },
       {
         userId: 'user4',
@@ -65,26 +67,88 @@ async function seedDatabase() {
           location: 'Pune, India',
           company: 'GreenBuild Studio',
         },
-        followers: ['user1'],
-        following: ['user2', 'user3'],
+      },
+      {
+        userId: 'admin',
+        username: 'insyd_admin',
+        email: 'admin@example.com',
+        role: 'admin',
+        profile: {
+          bio: 'Platform administrator',
+        },
       },
       {
         userId: 'user5',
         username: 'demo_user',
         email: 'demo@example.com',
+        locale: 'ta',
         profile: {
           bio: 'Demo user for testing notifications',
           location: 'Chennai, India',
           company: 'Test Company',
         },
-        followers: [],
-        following: ['user1', 'user2'],
       }
     ];
 
+    // Every sample user shares the same development password
+    const passwordHash = await User.hashPassword(SEED_USER_PASSWORD);
+    sampleUsers.forEach(user => {
+      user.passwordHash = passwordHash;
+    });
+
     // Insert users
     const createdUsers = await User.insertMany(sampleUsers);
-    console.log(`👥 Created ${createdUsers.length} sample users`);
+    logger.info(`👥 Created ${createdUsers.length} sample users`);
+
+    // Create the follow graph (follower -> followees)
+    const sampleFollows = {
+      user1: ['user2', 'user4'],
+      user2: ['user1'],
+      user3: ['user1', 'user2'],
+      user4: ['user2', 'user3'],
+      user5: ['user1', 'user2'],
+    };
+
+    for (const [followerId, followeeIds] of Object.entries(sampleFollows)) {
+      for (const followeeId of followeeIds) {
+        await Follow.follow(followerId, followeeId);
+      }
+    }
+    logger.info('🤝 Created sample follows');
+
+    // Create the posts the sample events refer to
+    const createdPosts = await Post.insertMany([
+      {
+        postId: 'post123',
+        authorId: 'user1',
+        content: 'Great sustainable design project!',
+        likeCount: 1,
+      },
+      {
+        postId: 'post456',
+        authorId: 'user2',
+        content: 'Daylight study for the SpaceWorks studio renovation',
+        commentCount: 1,
+      },
+      {
+        postId: 'post789',
+        authorId: 'user1',
+        content: 'Just completed a sustainable office complex in Mumbai',
+      },
+      {
+        postId: 'post999',
+        authorId: 'user2',
+        content: 'Thanks to @alex_architect for the inspiration!',
+      },
+    ]);
+    await Like.create({ postId: 'post123', userId: 'user3' });
+    await Comment.create({
+      commentId: 'comment789',
+      postId: 'post456',
+      authorId: 'user4',
+      content: 'Love the use of natural lighting in this design!',
+    });
+    logger.info(`📝 Created ${createdPosts.length} sample posts`);
 
     // Create sample events
     const sampleEvents = [
@@ -151,7 +215,7 @@ async function seedDatabase() {
 
     // Insert events
     const createdEvents = await Event.insertMany(sampleEvents);
-    console.log(`📅 Created ${createdEvents.length} sample events`);
+    logger.info(`📅 Created ${createdEvents.length} sample events`);
 
     // Create sample notifications
     const sampleNotifications = [
@@ -164,7 +228,7 @@ async function seedDatabase() {
         sourceUserId: 'user2',
         relatedEventId: sampleEvents[0].eventId,
         data: {
-          url: 'http://localhost:3000/profile/user2'
+          url: 'http://localhost:8080/profile/user2'
         },
         timestamp: new Date(Date.now() - 60 * 60 * 1000),
       },
@@ -175,10 +239,12 @@ async function seedDatabase() {
         content: 'rohit_urban liked your post',
         status: 'unread',
         sourceUserId: 'user3',
+        aggregationKey: 'user1:LIKE:post123',
+        actors: [{ userId: 'user3', username: 'rohit_urban' }],
         relatedEventId: sampleEvents[1].eventId,
         data: {
           postId: 'post123',
-          url: 'http://localhost:3000/posts/post123'
+          url: 'http://localhost:8080/posts/post123'
         },
         timestamp: new Date(Date.now() - 30 * 60 * 1000),
       },
@@ -190,11 +256,13 @@ async function seedDatabase() {
         status: 'read',
         readAt: new Date(Date.now() - 20 * 60 * 1000),
         sourceUserId: 'user4',
+        aggregationKey: 'user2:COMMENT:post456',
+        actors: [{ userId: 'user4', username: 'maya_sustainable' }],
         relatedEventId: sampleEvents[2].eventId,
         data: {
           postId: 'post456',
           commentId: 'comment789',
-          url: 'http://localhost:3000/posts/post456'
+          url: 'http://localhost:8080/posts/post456'
         },
         timestamp: new Date(Date.now() - 15 * 60 * 1000),
       },
@@ -208,7 +276,7 @@ async function seedDatabase() {
         relatedEventId: sampleEvents[3].eventId,
         data: {
           postId: 'post789',
-          url: 'http://localhost:3000/posts/post789'
+          url: 'http://localhost:8080/posts/post789'
         },
         timestamp: new Date(Date.now() - 10 * 60 * 1000),
       },
@@ -222,7 +290,7 @@ async function seedDatabase() {
         relatedEventId: sampleEvents[4].eventId,
         data: {
           postId: 'post999',
-          url: 'http://localhost:3000/posts/post999'
+          url: 'http://localhost:8080/posts/post999'
         },
         timestamp: new Date(Date.now() - 5 * 60 * 1000),
       }
@@ -230,24 +298,27 @@ async function seedDatabase() {
 
     // Insert notifications
     const createdNotifications = await Notification.insertMany(sampleNotifications);
-    console.log(`🔔 Created ${createdNotifications.length} sample notifications`);
+    logger.info(`🔔 Created ${createdNotifications.length} sample notifications`);
 
-    console.log('✅ Database seeding completed successfully!');
+    logger.info('✅ Database seeding completed successfully!');
     
     // Log summary
-    console.log('\n📊 Sample Data Summary:');
-    console.log(`- Users: ${createdUsers.length}`);
-    console.log(`- Events: ${createdEvents.length}`);
-    console.log(`- Notifications: ${createdNotifications.length}`);
-    console.log('\n🧪 Test with these users:');
-    console.log('- user1 (alex_architect) - has 3 unread notifications');
-    console.log('- user2 (priya_designer) - has 1 unread, 1 read notification');
-    console.log('- user3 (rohit_urban) - no notifications');
-    console.log('- user4 (maya_sustainable) - no notifications');
-    console.log('- user5 (demo_user) - no notifications\n');
+    logger.info('\n📊 Sample Data Summary:');
+    logger.info(`- Users: ${createdUsers.length}`);
+    logger.info(`- Posts: ${createdPosts.length}`);
+    logger.info(`- Events: ${createdEvents.length}`);
+    logger.info(`- Notifications: ${createdNotifications.length}`);
+    logger.info('\n🧪 Test with these users:');
+    logger.info('- user1 (alex_architect) - has 3 unread notifications');
+    logger.info('- user2 (priya_designer) - has 1 unread, 1 read notification');
+    logger.info('- user3 (rohit_urban) - no notifications');
+    logger.info('- user4 (maya_sustainable) - no notifications');
+    logger.info('- user5 (demo_user) - no notifications');
+    logger.info('- admin (insyd_admin) - admin role');
+    logger.info(`🔑 Log in with any of these userIds and password "${SEED_USER_PASSWORD}"\n`);
 
   } catch (error) {
-    console.error('❌ Error seeding database:', error);
+    logger.error('❌ Error seeding database', { error });
     throw error;
   }
 }
@@ -258,11 +329,15 @@ async function seedDatabase() {
 async function clearDatabase() {
   try {
     await User.deleteMany({});
+    await Follow.deleteMany({});
+    await Post.deleteMany({});
+    await Comment.deleteMany({});
+    await Like.deleteMany({});
     await Event.deleteMany({});
     await Notification.deleteMany({});
-    console.log('🧹 Database cleared successfully');
+    logger.info('🧹 Database cleared successfully');
   } catch (error) {
-    console.error('❌ Error clearing database:', error);
+    logger.error('❌ Error clearing database', { error });
     throw error;
   }
 }
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { eventQueue } = require('./notificationProcessor');
+const { stopWebhookDispatcher } = require('./webhookService');
+const { stopScheduler, releaseActiveRuns } = require('./scheduler');
+const { logger } = require('../utils/logger');
+
+// Total time allowed for draining; keep it under the orchestrator's kill grace period
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 25 * 1000;
+
+let shuttingDown = false;
+const shutdownHooks = new Set();
+
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+/**
+ * Run `fn` when shutdown starts, e.g. to end a long-lived response that would
+ * otherwise hold the server open. Returns a function that unregisters it
+ */
+function onShutdown(fn) {
+  shutdownHooks.add(fn);
+  return () => shutdownHooks.delete(fn);
+}
+
+/**
+ * Resolve to true if `promise` settles within `ms`, false otherwise
+ */
+function settlesWithin(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), Math.max(ms, 0));
+  });
+
+  return Promise.race([promise.then(() => true, () => true), timeout])
+    .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Coordinated shutdown on SIGTERM/SIGINT:
+ * 1. stop accepting connections and report not ready
+ * 2. let in-flight event jobs, webhook attempts and job runs finish; whatever is
+ *    still running at SHUTDOWN_TIMEOUT_MS is handed back for another instance
+ * 3. wait for in-flight requests, then close the MongoDB connection and exit
+ * A second signal exits immediately.
+ */
+function registerShutdown({ server, wss }) {
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      logger.warn(`🛑 ${signal} received again, exiting immediately`);
+      process.exit(1);
+    }
+
+    shuttingDown = true;
+    const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+    logger.info(`🛑 ${signal} received, shutting down gracefully`, { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+    // Backstop in case closing a connection hangs
+    setTimeout(() => {
+      logger.error('❌ Shutdown timed out, exiting');
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS + 5000).unref();
+
+    const serverClosed = new Promise(resolve => server.close(resolve));
+    server.closeIdleConnections();
+    // Live clients reconnect, and resume, on another instance
+    wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+    wss.close();
+    shutdownHooks.forEach(fn => fn());
+
+    try {
+      const drained = await settlesWithin(Promise.all([
+        eventQueue.drain(),
+        stopWebhookDispatcher(),
+        stopScheduler(),
+      ]), deadline - Date.now());
+
+      if (drained) {
+        logger.info('✅ Background work drained');
+      } else {
+        const [jobs, runs] = await Promise.all([
+          eventQueue.releaseActiveJobs(),
+          releaseActiveRuns(),
+        ]);
+        logger.warn('Background work still running at the shutdown timeout, released it', { jobs, runs });
+      }
+
+      if (!await settlesWithin(serverClosed, deadline - Date.now())) {
+        logger.warn('Requests still in flight at the shutdown timeout, closing their connections');
+        server.closeAllConnections();
+      }
+
+      await mongoose.connection.close();
+      logger.info('🛑 MongoDB connection closed through app termination');
+      process.exit(0);
+    } catch (error) {
+      logger.error('❌ Error during shutdown', { error });
+      process.exit(1);
+    }
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = {
+  registerShutdown,
+  isShuttingDown,
+  onShutdown,
+};
@@ -0,0 +1,60 @@
+/**
+ * English templates; also the last fallback for every other locale
+ * {placeholders} are filled in by services/templates. A message given as
+ * { one, other, ... } is picked with Intl.PluralRules for {count}
+ */
+module.exports = {
+  actors: {
+    two: '{first} and {second}',
+    others: {
+      one: '{names} and {count} other',
+      other: '{names} and {count} others',
+    },
+  },
+
+  // Notification text in the app; the email and push variants below fall back to these
+  inApp: {
+    LIKE: '{actors} liked your post',
+    COMMENT: '{actors} commented on your post',
+    COMMENT_QUOTED: '{actor} commented: "{excerpt}"',
+    FOLLOW: '{actor} started following you',
+    POST_CREATE: '{actor} shared a new post',
+    MENTION_POST: '{actor} mentioned you in a post',
+    MENTION_COMMENT: '{actor} mentioned you in a comment',
+    SHARE: '{actors} shared your post',
+    DEFAULT: '{actor} performed an action',
+  },
+
+  emailSubject: {
+    // The comment itself is quoted in the email body
+    COMMENT_QUOTED: '{actor} commented on your post',
+  },
+
+  push: {
+    title: 'Insyd',
+    COMMENT_QUOTED: '{actor}: "{excerpt}"',
+  },
+
+  email: {
+    greeting: 'Hi {username},',
+    footer: 'You are receiving this email because email notifications are enabled for your Insyd account.',
+    unsubscribe: 'Unsubscribe',
+    digestSubject: {
+      one: 'You have {count} unread notification on Insyd {period}',
+      other: 'You have {count} unread notifications on Insyd {period}',
+    },
+    digestHeading: 'Hi {username}, here is what you missed {period}',
+    periods: {
+      daily: 'today',
+      weekly: 'this week',
+    },
+    typeLabels: {
+      LIKE: 'Likes',
+      COMMENT: 'Comments',
+      FOLLOW: 'New followers',
+      POST_CREATE: 'New posts',
+      MENTION: 'Mentions',
+      SHARE: 'Shares',
+    },
+  },
+};
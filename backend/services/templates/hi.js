@@ -0,0 +1,51 @@
+/**
+ * Hindi templates
+ */
+module.exports = {
+  actors: {
+    two: '{first} और {second}',
+    others: {
+      one: '{names} और {count} अन्य',
+      other: '{names} और {count} अन्य',
+    },
+  },
+
+  inApp: {
+    LIKE: '{actors} ने आपकी पोस्ट पसंद की',
+    COMMENT: '{actors} ने आपकी पोस्ट पर टिप्पणी की',
+    COMMENT_QUOTED: '{actor} ने टिप्पणी की: "{excerpt}"',
+    FOLLOW: '{actor} ने आपको फ़ॉलो करना शुरू किया',
+    POST_CREATE: '{actor} ने एक नई पोस्ट साझा की',
+    MENTION_POST: '{actor} ने एक पोस्ट में आपका उल्लेख किया',
+    MENTION_COMMENT: '{actor} ने एक टिप्पणी में आपका उल्लेख किया',
+    SHARE: '{actors} ने आपकी पोस्ट साझा की',
+    DEFAULT: '{actor} ने एक गतिविधि की',
+  },
+
+  emailSubject: {
+    COMMENT_QUOTED: '{actor} ने आपकी पोस्ट पर टिप्पणी की',
+  },
+
+  email: {
+    greeting: 'नमस्ते {username},',
+    footer: 'आपको यह ईमेल इसलिए मिल रहा है क्योंकि आपके Insyd खाते के लिए ईमेल सूचनाएँ चालू हैं।',
+    unsubscribe: 'सदस्यता छोड़ें',
+    digestSubject: {
+      one: '{period} Insyd पर आपकी {count} अपठित सूचना है',
+      other: '{period} Insyd पर आपकी {count} अपठित सूचनाएँ हैं',
+    },
+    digestHeading: 'नमस्ते {username}, {period} की आपकी छूटी हुई सूचनाएँ',
+    periods: {
+      daily: 'आज',
+      weekly: 'इस सप्ताह',
+    },
+    typeLabels: {
+      LIKE: 'पसंद',
+      COMMENT: 'टिप्पणियाँ',
+      FOLLOW: 'नए फ़ॉलोअर',
+      POST_CREATE: 'नई पोस्ट',
+      MENTION: 'उल्लेख',
+      SHARE: 'शेयर',
+    },
+  },
+};
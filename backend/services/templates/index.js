@@ -0,0 +1,216 @@
+/**
+ * Localized notification text
+ *
+ * Messages are looked up by key (e.g. 'inApp.LIKE') in the recipient's locale,
+ * falling back along the chain region -> language -> DEFAULT_LOCALE -> en, so
+ * 'ta-IN' uses Tamil and any message Tamil lacks comes from English. Channel
+ * variants ('emailSubject.X', 'push.X') fall back to the in-app message of the
+ * same locale before the next locale is tried.
+ */
+const LOCALES = {
+  en: require('./en'),
+  hi: require('./hi'),
+  ta: require('./ta'),
+};
+
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+const DEFAULT_LOCALE = LOCALES[process.env.DEFAULT_LOCALE] ? process.env.DEFAULT_LOCALE : 'en';
+
+// Longest quoted excerpt per channel, in characters as the reader sees them
+const EXCERPT_LENGTHS = {
+  inApp: 100,
+  emailSubject: 60,
+  push: 80,
+};
+// Stored on the notification so every channel can quote it later
+const STORED_EXCERPT_LENGTH = 280;
+
+const pluralRules = new Map();
+const segmenter = typeof Intl.Segmenter === 'function' ? new Intl.Segmenter() : null;
+
+function canonicalizeLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale)[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Canonical form of a BCP 47 tag ('ta-in' -> 'ta-IN'); invalid tags are returned as given
+ */
+function normalizeLocale(locale) {
+  return canonicalizeLocale(locale) || locale;
+}
+
+/**
+ * Whether a BCP 47 tag (e.g. 'hi' or 'ta-IN') has templates in its language
+ */
+function isSupportedLocale(locale) {
+  const canonical = canonicalizeLocale(locale);
+  return Boolean(canonical) && Boolean(LOCALES[canonical.split('-')[0]]);
+}
+
+/**
+ * Locales to try for a tag, most specific first, e.g. 'ta-IN' -> ['ta', 'en']
+ */
+function getLocaleChain(locale) {
+  const tags = [];
+  const canonical = locale && canonicalizeLocale(locale);
+
+  if (canonical) {
+    const subtags = canonical.split('-');
+    for (let length = subtags.length; length > 0; length--) {
+      tags.push(subtags.slice(0, length).join('-'));
+    }
+  }
+  tags.push(DEFAULT_LOCALE, 'en');
+
+  return [...new Set(tags)].filter(tag => LOCALES[tag]);
+}
+
+function getPluralRules(locale) {
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  }
+  return pluralRules.get(locale);
+}
+
+function lookup(locale, key) {
+  return key.split('.').reduce((node, part) => (node ? node[part] : undefined), LOCALES[locale]);
+}
+
+/**
+ * Find the first of `keys` along the locale chain: every key in a locale before the next locale
+ */
+function findMessage(keys, locale) {
+  for (const candidate of getLocaleChain(locale)) {
+    for (const key of keys) {
+      const message = lookup(candidate, key);
+      if (message !== undefined) {
+        return { message, locale: candidate };
+      }
+    }
+  }
+  return null;
+}
+
+function format({ message, locale }, vars) {
+  let text = message;
+  if (typeof message === 'object') {
+    text = message[getPluralRules(locale).select(vars.count)] || message.other;
+  }
+
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = vars[name];
+    if (value === undefined) {
+      return placeholder;
+    }
+    return typeof value === 'number' ? value.toLocaleString(locale) : String(value);
+  });
+}
+
+/**
+ * Render a message, e.g. translate('email.greeting', { username }, 'hi')
+ * `key` may be a list of alternatives (see findMessage). Missing messages render as the key
+ */
+function translate(key, vars = {}, locale = DEFAULT_LOCALE) {
+  const keys = Array.isArray(key) ? key : [key];
+  const found = findMessage(keys, locale);
+  return found ? format(found, vars) : keys[0];
+}
+
+/**
+ * Shorten text to `maxLength` characters, preferring a word boundary
+ * Counts grapheme clusters so Indic vowel signs are never split from their letter
+ */
+function excerpt(text, maxLength = STORED_EXCERPT_LENGTH) {
+  const characters = segmenter
+    ? Array.from(segmenter.segment(text), ({ segment }) => segment)
+    : Array.from(text);
+
+  if (characters.length <= maxLength) {
+    return text;
+  }
+
+  const cut = characters.slice(0, maxLength).join('');
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > cut.length / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+/**
+ * "priya", "priya and rohit" or "priya, rohit and 12 others"; actors are most recent first
+ */
+function formatActors(actors, actorCount, locale) {
+  const names = actors.slice(0, 2).map(actor => actor.username);
+  const others = actorCount - names.length;
+
+  if (others > 0) {
+    return translate('actors.others', { names: names.join(', '), count: others }, locale);
+  }
+  if (names.length === 2) {
+    return translate('actors.two', { first: names[0], second: names[1] }, locale);
+  }
+  return names[0] || '';
+}
+
+function getMessageKey({ type, actorCount = 1, data = {} }) {
+  if (type === 'COMMENT' && actorCount === 1 && data.excerpt) {
+    return 'COMMENT_QUOTED';
+  }
+  if (type === 'MENTION') {
+    return data.commentId ? 'MENTION_COMMENT' : 'MENTION_POST';
+  }
+  return type;
+}
+
+/**
+ * Text for a notification ({ type, actors, actorCount, data }) on a channel:
+ * 'inApp' (the stored content), 'emailSubject' or 'push'
+ */
+function renderNotification(notification, { locale = DEFAULT_LOCALE, channel = 'inApp' } = {}) {
+  const actors = notification.actors || [];
+  const actorCount = notification.actorCount || actors.length || 1;
+  const data = notification.data || {};
+  const key = getMessageKey({ type: notification.type, actorCount, data });
+
+  const vars = {
+    actor: actors.length > 0 ? actors[0].username : '',
+    actors: formatActors(actors, actorCount, locale),
+    count: actorCount,
+    excerpt: data.excerpt ? excerpt(data.excerpt, EXCERPT_LENGTHS[channel]) : '',
+  };
+
+  const found = findMessage([`${channel}.${key}`, `inApp.${key}`], locale)
+    || findMessage([`${channel}.DEFAULT`, 'inApp.DEFAULT'], locale);
+  return format(found, vars);
+}
+
+/**
+ * Text for a raw event, attributed to its sourceUserId
+ */
+function describeEvent(event, locale = DEFAULT_LOCALE) {
+  const data = event.data || {};
+
+  return renderNotification({
+    type: event.type,
+    actors: [{ username: event.sourceUserId }],
+    actorCount: 1,
+    data: {
+      commentId: data.commentId,
+      excerpt: event.type === 'COMMENT' && data.content ? excerpt(data.content) : undefined,
+    },
+  }, { locale });
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  isSupportedLocale,
+  getLocaleChain,
+  translate,
+  excerpt,
+  renderNotification,
+  describeEvent,
+};
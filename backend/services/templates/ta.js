@@ -0,0 +1,61 @@
+/**
+ * Tamil templates
+ * Verbs agree with the number of people, so rollups are pluralized on {count}
+ */
+module.exports = {
+  actors: {
+    two: '{first} மற்றும் {second}',
+    others: {
+      one: '{names} மற்றும் {count} நபர்',
+      other: '{names} மற்றும் {count} நபர்கள்',
+    },
+  },
+
+  inApp: {
+    LIKE: {
+      one: '{actors} உங்கள் பதிவை விரும்பினார்',
+      other: '{actors} உங்கள் பதிவை விரும்பினர்',
+    },
+    COMMENT: {
+      one: '{actors} உங்கள் பதிவில் கருத்து தெரிவித்தார்',
+      other: '{actors} உங்கள் பதிவில் கருத்து தெரிவித்தனர்',
+    },
+    COMMENT_QUOTED: '{actor} கருத்து தெரிவித்தார்: "{excerpt}"',
+    FOLLOW: '{actor} உங்களைப் பின்தொடரத் தொடங்கினார்',
+    POST_CREATE: '{actor} புதிய பதிவைப் பகிர்ந்தார்',
+    MENTION_POST: '{actor} ஒரு பதிவில் உங்களைக் குறிப்பிட்டார்',
+    MENTION_COMMENT: '{actor} ஒரு கருத்தில் உங்களைக் குறிப்பிட்டார்',
+    SHARE: {
+      one: '{actors} உங்கள் பதிவைப் பகிர்ந்தார்',
+      other: '{actors} உங்கள் பதிவைப் பகிர்ந்தனர்',
+    },
+    DEFAULT: '{actor} ஒரு செயலைச் செய்தார்',
+  },
+
+  emailSubject: {
+    COMMENT_QUOTED: '{actor} உங்கள் பதிவில் கருத்து தெரிவித்தார்',
+  },
+
+  email: {
+    greeting: 'வணக்கம் {username},',
+    footer: 'உங்கள் Insyd கணக்கில் மின்னஞ்சல் அறிவிப்புகள் இயக்கப்பட்டுள்ளதால் இந்த மின்னஞ்சலைப் பெறுகிறீர்கள்.',
+    unsubscribe: 'குழுவிலகு',
+    digestSubject: {
+      one: '{period} Insyd-இல் உங்களுக்கு {count} படிக்காத அறிவிப்பு உள்ளது',
+      other: '{period} Insyd-இல் உங்களுக்கு {count} படிக்காத அறிவிப்புகள் உள்ளன',
+    },
+    digestHeading: 'வணக்கம் {username}, {period} நீங்கள் தவறவிட்டவை',
+    periods: {
+      daily: 'இன்று',
+      weekly: 'இந்த வாரம்',
+    },
+    typeLabels: {
+      LIKE: 'விருப்பங்கள்',
+      COMMENT: 'கருத்துகள்',
+      FOLLOW: 'புதிய பின்தொடர்பவர்கள்',
+      POST_CREATE: 'புதிய பதிவுகள்',
+      MENTION: 'குறிப்பிடல்கள்',
+      SHARE: 'பகிர்வுகள்',
+    },
+  },
+};
@@ -0,0 +1,372 @@
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signPayload } = require('../utils/webhookSignature');
+const { logger } = require('../utils/logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BASE_DELAY_MS = parseInt(process.env.WEBHOOK_BASE_DELAY_MS) || 10 * 1000;
+const MAX_DELAY_MS = parseInt(process.env.WEBHOOK_MAX_DELAY_MS) || 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 20;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+const SUBSCRIPTION_CACHE_MS = parseInt(process.env.WEBHOOK_SUBSCRIPTION_CACHE_MS) || 30 * 1000;
+// An attempt locked for longer than this belongs to a dispatcher that died mid-request
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+const USER_AGENT = 'Insyd-Webhooks/1.0';
+
+let dispatchTimer = null;
+// The dispatch loop in progress, if any
+let currentDispatch = null;
+let draining = false;
+let subscriptionCache = { subscriptions: null, loadedAt: 0 };
+
+/**
+ * Active subscriptions, cached briefly since every new event and notification checks them
+ */
+async function getActiveSubscriptions() {
+  if (!subscriptionCache.subscriptions || Date.now() - subscriptionCache.loadedAt > SUBSCRIPTION_CACHE_MS) {
+    subscriptionCache = {
+      subscriptions: await WebhookSubscription.find({ active: true }),
+      loadedAt: Date.now(),
+    };
+  }
+  return subscriptionCache.subscriptions;
+}
+
+/**
+ * Drop cached subscriptions after they are created, changed or disabled
+ */
+function invalidateSubscriptionCache() {
+  subscriptionCache = { subscriptions: null, loadedAt: 0 };
+}
+
+function buildPayload(topic, data) {
+  return {
+    id: uuidv4(),
+    topic,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+}
+
+function newDelivery(subscription, topic, type, payload, overrides = {}) {
+  return {
+    deliveryId: uuidv4(),
+    subscriptionId: subscription.subscriptionId,
+    topic,
+    type,
+    payload,
+    maxAttempts: MAX_ATTEMPTS,
+    ...overrides,
+  };
+}
+
+/**
+ * Queue a webhook delivery of each record (an Event or Notification) to every
+ * active subscription for the topic and the record's type
+ * Never throws: webhooks must not fail the work that triggered them
+ */
+async function dispatchWebhooks(topic, records) {
+  try {
+    const subscriptions = await getActiveSubscriptions();
+    const deliveries = [];
+
+    records.forEach(record => {
+      const matching = subscriptions.filter(subscription => subscription.matches(topic, record.type));
+      if (matching.length === 0) {
+        return;
+      }
+
+      const payload = buildPayload(topic, record.toJSON ? record.toJSON() : record);
+      matching.forEach(subscription => deliveries.push(newDelivery(subscription, topic, record.type, payload)));
+    });
+
+    if (deliveries.length === 0) {
+      return 0;
+    }
+
+    await WebhookDelivery.insertMany(deliveries);
+
+    // Send right away rather than on the next poll
+    if (dispatchTimer) {
+      setImmediate(processDueDeliveries);
+    }
+
+    return deliveries.length;
+  } catch (error) {
+    logger.error(`Error queueing ${topic} webhooks`, { error });
+    return 0;
+  }
+}
+
+/**
+ * POST a JSON body, resolving with the response status and (truncated) body
+ * Rejects on network errors and timeouts. Redirects are not followed
+ */
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    const request = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': USER_AGENT,
+        ...headers,
+      },
+      timeout: TIMEOUT_MS,
+    }, response => {
+      let responseBody = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        if (responseBody.length < MAX_RESPONSE_BODY_LENGTH) {
+          responseBody += chunk;
+        }
+      });
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        body: responseBody.slice(0, MAX_RESPONSE_BODY_LENGTH),
+      }));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Timed out after ${TIMEOUT_MS}ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Send a delivery once. Each attempt is signed with its own timestamp
+ */
+async function sendDelivery(delivery, subscription) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    const response = await postJson(subscription.url, body, {
+      'X-Insyd-Webhook-Id': delivery.payload.id,
+      'X-Insyd-Webhook-Topic': delivery.topic,
+      'X-Insyd-Webhook-Timestamp': String(timestamp),
+      'X-Insyd-Webhook-Signature': signPayload(subscription.secret, timestamp, body),
+    });
+
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      responseStatus: response.status,
+      responseBody: response.body,
+      error: response.status >= 200 && response.status < 300 ? undefined : `Receiver responded with ${response.status}`,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      error: error.message,
+      durationMs: Date.now() - startedAt,
+    };
+  }
+}
+
+/**
+ * Count a failed attempt against the subscription and disable it after too many in a row
+ */
+async function recordSubscriptionFailure(subscription) {
+  const now = new Date();
+  const updated = await WebhookSubscription.findOneAndUpdate(
+    { subscriptionId: subscription.subscriptionId },
+    { $inc: { consecutiveFailures: 1 }, $set: { lastDeliveryAt: now, lastFailureAt: now } },
+    { new: true }
+  );
+
+  if (updated && updated.active && updated.consecutiveFailures >= DISABLE_AFTER_FAILURES) {
+    updated.disable(`Disabled after ${updated.consecutiveFailures} consecutive failed deliveries`);
+    await updated.save();
+    invalidateSubscriptionCache();
+
+    // Nothing more will be sent to it until it is re-enabled
+    await WebhookDelivery.updateMany(
+      { subscriptionId: subscription.subscriptionId, status: 'pending' },
+      { $set: { status: 'failed', error: 'Subscription disabled' } }
+    );
+    logger.warn(`🚫 Webhook subscription ${subscription.subscriptionId} disabled after ${updated.consecutiveFailures} consecutive failures`);
+  }
+}
+
+/**
+ * Make one attempt at a claimed delivery and record the outcome: succeeded, failed
+ * for good, or pending again with exponential backoff
+ */
+async function attemptDelivery(delivery) {
+  const subscription = await WebhookSubscription.findOne({ subscriptionId: delivery.subscriptionId }).select('+secret');
+
+  if (!subscription || !subscription.active) {
+    delivery.status = 'failed';
+    delivery.error = subscription ? 'Subscription disabled' : 'Subscription deleted';
+    delivery.lockedAt = undefined;
+    return delivery.save();
+  }
+
+  const result = await sendDelivery(delivery, subscription);
+
+  delivery.attemptLog.push({
+    at: new Date(),
+    responseStatus: result.responseStatus,
+    error: result.error,
+    durationMs: result.durationMs,
+  });
+  delivery.responseStatus = result.responseStatus;
+  delivery.responseBody = result.responseBody;
+  delivery.error = result.error;
+  delivery.lockedAt = undefined;
+
+  if (result.ok) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    await delivery.save();
+    await WebhookSubscription.updateOne(
+      { subscriptionId: subscription.subscriptionId },
+      { $set: { consecutiveFailures: 0, lastDeliveryAt: new Date(), lastSuccessAt: new Date() } }
+    );
+    return delivery;
+  }
+
+  if (delivery.attempts >= delivery.maxAttempts) {
+    delivery.status = 'failed';
+    logger.warn(`💀 Webhook delivery ${delivery.deliveryId} failed after ${delivery.attempts} attempts: ${result.error}`);
+  } else {
+    const delay = Math.min(BASE_DELAY_MS * 2 ** (delivery.attempts - 1), MAX_DELAY_MS);
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + delay);
+    logger.warn(`🔁 Webhook delivery ${delivery.deliveryId} failed (attempt ${delivery.attempts}/${delivery.maxAttempts}), retrying in ${delay}ms: ${result.error}`);
+  }
+
+  await delivery.save();
+  await recordSubscriptionFailure(subscription);
+  return delivery;
+}
+
+/**
+ * Atomically claim the oldest due delivery, including ones whose dispatcher died mid-attempt
+ */
+function claimNextDelivery() {
+  const now = new Date();
+
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    {
+      $set: { status: 'delivering', lockedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function dispatchDueDeliveries() {
+  try {
+    let delivery;
+    while (!draining && (delivery = await claimNextDelivery())) {
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    logger.error('Error dispatching webhooks', { error });
+  }
+}
+
+/**
+ * Attempt due deliveries until none are left; joins the loop already running, if any
+ */
+function processDueDeliveries() {
+  if (!currentDispatch) {
+    currentDispatch = dispatchDueDeliveries().finally(() => {
+      currentDispatch = null;
+    });
+  }
+  return currentDispatch;
+}
+
+/**
+ * Create a delivery and make its first attempt now, so the caller gets the
+ * receiver's response. Failed attempts are retried by the dispatcher while
+ * the delivery has attempts left
+ */
+async function deliverNow(subscription, topic, type, payload, overrides = {}) {
+  const delivery = await WebhookDelivery.create(newDelivery(subscription, topic, type, payload, {
+    status: 'delivering',
+    attempts: 1,
+    lockedAt: new Date(),
+    ...overrides,
+  }));
+
+  return attemptDelivery(delivery);
+}
+
+/**
+ * Send a one-off webhook.ping to check a receiver (not retried)
+ */
+function pingSubscription(subscription) {
+  const payload = buildPayload('webhook.ping', {
+    subscriptionId: subscription.subscriptionId,
+    message: 'Webhook test from Insyd',
+  });
+
+  return deliverNow(subscription, 'webhook.ping', undefined, payload, { maxAttempts: 1 });
+}
+
+/**
+ * Send an earlier delivery's payload again as a new delivery with a fresh attempt budget
+ */
+function redeliver(subscription, delivery) {
+  return deliverNow(subscription, delivery.topic, delivery.type, delivery.payload, {
+    redeliveryOf: delivery.deliveryId,
+  });
+}
+
+/**
+ * Poll for due deliveries and retries, starting with any left over from a previous run
+ */
+function startWebhookDispatcher() {
+  if (dispatchTimer) {
+    return;
+  }
+
+  dispatchTimer = setInterval(processDueDeliveries, POLL_INTERVAL_MS);
+  dispatchTimer.unref();
+  processDueDeliveries();
+}
+
+/**
+ * Stop polling; resolves once the attempt in progress (at most TIMEOUT_MS) finishes
+ */
+async function stopWebhookDispatcher() {
+  clearInterval(dispatchTimer);
+  dispatchTimer = null;
+
+  draining = true;
+  try {
+    await currentDispatch;
+  } finally {
+    draining = false;
+  }
+}
+
+module.exports = {
+  dispatchWebhooks,
+  invalidateSubscriptionCache,
+  processDueDeliveries,
+  pingSubscription,
+  redeliver,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+};
@@ -0,0 +1,92 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured logger: one JSON object per line, with the fields of the current
+ * log context (requestId, eventId, ...) merged into every entry
+ *
+ * The context follows async calls, so everything logged while handling a
+ * request or processing an event carries the same ids. LOG_FORMAT=pretty
+ * prints readable lines instead, for local development.
+ */
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+// LOG_LEVEL=silent turns logging off (the default under jest)
+const SILENT = process.env.LOG_LEVEL === 'silent';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+
+const logContext = new AsyncLocalStorage();
+
+function getLogContext() {
+  return logContext.getStore() || {};
+}
+
+/**
+ * Run `fn` with `fields` added to the log context of everything it logs
+ */
+function runWithLogContext(fields, fn) {
+  return logContext.run({ ...getLogContext(), ...fields }, fn);
+}
+
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack,
+  };
+}
+
+function formatPretty({ time, level, msg, error, ...fields }) {
+  const details = Object.entries(fields).map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+  const line = `${time} ${level.toUpperCase()} ${msg}${details.length > 0 ? ` ${details.join(' ')}` : ''}`;
+
+  if (!error) {
+    return line;
+  }
+  return `${line}\n${error.stack || JSON.stringify(error)}`;
+}
+
+function write(level, msg, fields = {}) {
+  if (SILENT || LEVELS[level] < LEVELS[LOG_LEVEL]) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...getLogContext(),
+    ...fields,
+  };
+  if (entry.error) {
+    entry.error = serializeError(entry.error);
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)}\n`);
+}
+
+/**
+ * logger.info('Event created', { eventId }); errors go in `error`:
+ * logger.error('Failed to create event', { error })
+ */
+const logger = Object.fromEntries(Object.keys(LEVELS).map(level => [
+  level,
+  (msg, fields) => write(level, msg, fields),
+]));
+
+module.exports = {
+  logger,
+  getLogContext,
+  runWithLogContext,
+};
@@ -0,0 +1,101 @@
+const client = require('prom-client');
+const EventJob = require('../models/EventJob');
+const { logger } = require('./logger');
+
+/**
+ * Prometheus metrics, served at GET /metrics
+ * Process metrics (CPU, memory, event loop lag, GC) come from prom-client's defaults
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// Completed jobs are left out: their count only grows with throughput, and counting them is not free
+const QUEUE_STATUSES = ['pending', 'processing', 'dead'];
+
+const httpRequestDuration = new client.Histogram({
+  name: 'insyd_http_request_duration_seconds',
+  help: 'HTTP request duration by route',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+const eventProcessingDuration = new client.Histogram({
+  name: 'insyd_event_processing_duration_seconds',
+  help: 'Time to process one event into notifications, per attempt',
+  labelNames: ['type', 'outcome'],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register],
+});
+
+const eventProcessingFailures = new client.Counter({
+  name: 'insyd_event_processing_failures_total',
+  help: 'Failed event processing attempts; dead_lettered is true for the final one',
+  labelNames: ['type', 'dead_lettered'],
+  registers: [register],
+});
+
+const eventsSuppressed = new client.Counter({
+  name: 'insyd_events_suppressed_total',
+  help: 'Events recorded without notifying anyone because they went over a throttling budget',
+  labelNames: ['type', 'reason'],
+  registers: [register],
+});
+
+const notificationsCreated = new client.Counter({
+  name: 'insyd_notifications_created_total',
+  help: 'Notifications created in-app and delivered by email and push',
+  labelNames: ['type', 'channel'],
+  registers: [register],
+});
+
+const unreadCountDuration = new client.Histogram({
+  name: 'insyd_unread_count_query_duration_seconds',
+  help: 'Time to compute a user\'s unread notification count',
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+  registers: [register],
+});
+
+// Read from the database at scrape time, so every instance reports the shared queue
+new client.Gauge({
+  name: 'insyd_event_queue_jobs',
+  help: 'Pending, processing and dead event queue jobs by lane',
+  labelNames: ['lane', 'status'],
+  registers: [register],
+  async collect() {
+    try {
+      const counts = await EventJob.countByLane(QUEUE_STATUSES);
+
+      this.reset();
+      counts.forEach(({ lane, status, count }) => this.set({ lane, status }, count));
+    } catch (error) {
+      logger.warn('Could not read event queue depth for metrics', { error });
+    }
+  },
+});
+
+/**
+ * Time an async function into a histogram; `getLabels(error)` picks the labels once it settles
+ */
+async function observeDuration(histogram, getLabels, fn) {
+  const end = histogram.startTimer();
+  try {
+    const result = await fn();
+    end(getLabels(null));
+    return result;
+  } catch (error) {
+    end(getLabels(error));
+    throw error;
+  }
+}
+
+module.exports = {
+  register,
+  httpRequestDuration,
+  eventProcessingDuration,
+  eventProcessingFailures,
+  eventsSuppressed,
+  notificationsCreated,
+  unreadCountDuration,
+  observeDuration,
+};
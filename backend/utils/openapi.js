@@ -0,0 +1,166 @@
+const { version } = require('../package.json');
+const { components } = require('../schemas/components');
+const { authenticate, authenticateStream, requireAdmin } = require('../middleware/auth');
+
+const JSON_TYPE = 'application/json';
+
+// Express :param segments become OpenAPI {param} templates
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function errorResponse(description, schemaName = 'Error') {
+  return {
+    description,
+    content: { [JSON_TYPE]: { schema: { $ref: `#/components/schemas/${schemaName}` } } },
+  };
+}
+
+function buildParameters(location, schema) {
+  if (!schema) {
+    return [];
+  }
+
+  const required = schema.required || [];
+  return Object.entries(schema.properties || {}).map(([name, { description, ...property }]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    ...(description && { description }),
+    schema: property,
+    ...(property.type === 'array' && { style: 'form', explode: false }),
+  }));
+}
+
+function buildResponses(schema, { authenticated, admin }) {
+  const responses = {};
+
+  Object.entries(schema.responses || {}).forEach(([status, response]) => {
+    if (typeof response === 'string') {
+      responses[status] = errorResponse(response);
+      return;
+    }
+
+    responses[status] = {
+      description: response.description,
+      content: { [response.contentType || JSON_TYPE]: { schema: response.schema } },
+    };
+  });
+
+  if (schema.params || schema.headers || schema.query || schema.body) {
+    responses[400] = responses[400] || errorResponse('Validation failed', 'ValidationError');
+  }
+  if (authenticated) {
+    responses[401] = errorResponse('Missing, invalid or expired token');
+  }
+  if (admin) {
+    responses[403] = errorResponse('Admin access required');
+  }
+  responses[500] = errorResponse('Server error');
+
+  return responses;
+}
+
+function buildOperation(schema, { tag, authenticated, queryToken, admin }) {
+  const operation = {
+    tags: [tag],
+    operationId: schema.operationId,
+    summary: schema.summary,
+    ...(schema.description && { description: schema.description }),
+    parameters: [
+      ...buildParameters('path', schema.params),
+      ...buildParameters('header', schema.headers),
+      ...buildParameters('query', schema.query),
+    ],
+  };
+
+  if (schema.requestBody) {
+    operation.requestBody = schema.requestBody;
+  } else if (schema.body) {
+    operation.requestBody = {
+      required: (schema.body.required || []).length > 0,
+      content: { [JSON_TYPE]: { schema: schema.body } },
+    };
+  }
+
+  operation.responses = buildResponses(schema, { authenticated, admin });
+
+  if (authenticated) {
+    operation.security = queryToken ? [{ bearerAuth: [] }, { accessToken: [] }] : [{ bearerAuth: [] }];
+  }
+
+  return operation;
+}
+
+/**
+ * Generate an OpenAPI 3.1 document from mounted routers, e.g. { '/api/users': userRoutes }
+ * Each route is described by the schema on its validate() middleware; access is
+ * read from the authenticate and requireAdmin middleware in front of it
+ */
+function buildOpenApiSpec(mounts) {
+  const paths = {};
+  const tags = [];
+
+  Object.entries(mounts).forEach(([mountPath, router]) => {
+    const tag = mountPath.split('/').pop();
+    tags.push({ name: tag });
+
+    // Middleware added with router.use() applies to every route after it
+    const routerHandles = [];
+
+    router.stack.forEach(layer => {
+      if (!layer.route) {
+        routerHandles.push(layer.handle);
+        return;
+      }
+
+      const handles = [...routerHandles, ...layer.route.stack.map(routeLayer => routeLayer.handle)];
+      const validator = handles.find(handle => handle.schema);
+      const access = {
+        tag,
+        authenticated: handles.includes(authenticate) || handles.includes(authenticateStream),
+        queryToken: handles.includes(authenticateStream),
+        admin: handles.includes(requireAdmin),
+      };
+
+      const path = toOpenApiPath(layer.route.path === '/' ? mountPath : mountPath + layer.route.path);
+      paths[path] = paths[path] || {};
+
+      Object.keys(layer.route.methods).forEach(method => {
+        paths[path][method] = buildOperation(validator ? validator.schema : {}, access);
+      });
+    });
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Insyd Notification API',
+      version,
+      description: 'Notifications, posts, follows and delivery preferences for Insyd. '
+        + 'Invalid input is rejected with 400 { error: "Validation failed", details: [{ field, message }] }.',
+    },
+    tags,
+    paths,
+    components: {
+      schemas: components,
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+        accessToken: {
+          type: 'apiKey',
+          in: 'query',
+          name: 'access_token',
+          description: 'Only on the notification stream, for clients that cannot set headers (EventSource)',
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  buildOpenApiSpec,
+};
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Keyset (cursor) pagination over a date (or numeric) field with _id as the tie-breaker
+ * Cursors are opaque to clients: base64url JSON of the boundary item's sort key
+ */
+
+class InvalidCursorError extends Error {
+  constructor(message = 'Invalid cursor') {
+    super(message);
+    this.name = 'InvalidCursorError';
+    this.status = 400;
+  }
+}
+
+// Cursors over a numeric field (a search score) name it, so they can't be used with a date sort
+function encodeCursor(doc, field = 'timestamp') {
+  const value = doc[field];
+  const numeric = typeof value === 'number';
+  const payload = {
+    t: numeric ? value : new Date(value).getTime(),
+    id: String(doc._id),
+    ...(numeric && { f: field }),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// `value` is the raw sort key, for numeric fields such as a text search score
+function decodeCursor(cursor) {
+  try {
+    const { t, id, f } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new InvalidCursorError();
+    }
+    return { date: new Date(t), value: t, id: new mongoose.Types.ObjectId(id), field: f || null };
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+}
+
+/**
+ * Decode a cursor for a page sorted by `field`; date cursors carry no field name
+ */
+function decodeCursorFor(cursor, field, numeric = false) {
+  const decoded = decodeCursor(cursor);
+  if (decoded.field !== (numeric ? field : null)) {
+    throw new InvalidCursorError('Cursor is from another sort');
+  }
+  return decoded;
+}
+
+function clampLimit(limit, defaultLimit = 50) {
+  const parsed = parseInt(limit);
+  if (Number.isNaN(parsed) || parsed < 1) {
+    return defaultLimit;
+  }
+  return Math.min(parsed, MAX_PAGE_SIZE);
+}
+
+/**
+ * Query condition for items strictly older (before) or newer (after) than a cursor
+ */
+function cursorCondition(cursor, field, direction) {
+  const op = direction === 'after' ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: cursor.date } },
+      { [field]: cursor.date, _id: { [op]: cursor.id } },
+    ],
+  };
+}
+
+/**
+ * Fetch one page of `model` matching `filter`, newest first (or oldest first with order: 1)
+ *
+ * Pass `before` (a nextCursor) to page towards older items, or `after`
+ * (a prevCursor) to fetch items newer than the top of the list; with
+ * order: 1 the directions swap.
+ * Returns { items, nextCursor, prevCursor, hasMore } where hasMore refers to
+ * the direction that was paged in.
+ */
+async function findPage(model, filter = {}, options = {}) {
+  const {
+    before = null,
+    after = null,
+    limit = 50,
+    field = 'timestamp',
+    order = -1,
+    populate = null,
+    lean = false,
+  } = options;
+
+  const newer = Boolean(after);
+  const boundary = after || before;
+  const cursor = boundary ? decodeCursorFor(boundary, field) : null;
+  // Pages towards the top of the list are fetched in reverse
+  const fetchOrder = newer ? -order : order;
+  const query = cursor
+    ? { $and: [filter, cursorCondition(cursor, field, fetchOrder === 1 ? 'after' : 'before')] }
+    : filter;
+
+  let request = model.find(query)
+    .sort({ [field]: fetchOrder, _id: fetchOrder })
+    .limit(limit + 1);
+
+  if (populate) {
+    request = request.populate(...populate);
+  }
+  if (lean) {
+    request = request.lean();
+  }
+
+  const results = await request;
+  const hasMore = results.length > limit;
+  const items = results.slice(0, limit);
+
+  // Newer-than pages are fetched in reverse; always return items in list order
+  if (newer) {
+    items.reverse();
+  }
+
+  return {
+    items,
+    nextCursor: items.length > 0 && (newer || hasMore) ? encodeCursor(items[items.length - 1], field) : null,
+    prevCursor: items.length > 0 ? encodeCursor(items[0], field) : after,
+    hasMore,
+  };
+}
+
+/**
+ * Fetch one page of the $text search in `filter`, best match first (ties newest first)
+ * Same options and result as findPage; cursors hold the match score, so they
+ * only continue the same search
+ */
+async function findTextPage(model, filter, options = {}) {
+  const {
+    before = null,
+    after = null,
+    limit = 50,
+    populate = null,
+  } = options;
+
+  const newer = Boolean(after);
+  const boundary = after || before;
+  const cursor = boundary ? decodeCursorFor(boundary, 'score', true) : null;
+  const fetchOrder = newer ? 1 : -1;
+
+  // $text has to be in the first stage
+  const pipeline = [
+    { $match: filter },
+    { $addFields: { score: { $meta: 'textScore' } } },
+  ];
+  if (cursor) {
+    pipeline.push({
+      $match: cursorCondition({ date: cursor.value, id: cursor.id }, 'score', newer ? 'after' : 'before'),
+    });
+  }
+  pipeline.push({ $sort: { score: fetchOrder, _id: fetchOrder } }, { $limit: limit + 1 });
+
+  const results = await model.aggregate(pipeline);
+  const hasMore = results.length > limit;
+  const docs = results.slice(0, limit);
+
+  if (newer) {
+    docs.reverse();
+  }
+
+  const nextCursor = docs.length > 0 && (newer || hasMore) ? encodeCursor(docs[docs.length - 1], 'score') : null;
+  const prevCursor = docs.length > 0 ? encodeCursor(docs[0], 'score') : after;
+
+  const items = docs.map(({ score, ...doc }) => model.hydrate(doc));
+  if (populate) {
+    const [path, select] = populate;
+    await model.populate(items, { path, select });
+  }
+
+  return {
+    items,
+    nextCursor,
+    prevCursor,
+    hasMore,
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor,
+  clampLimit,
+  cursorCondition,
+  findPage,
+  findTextPage,
+};
@@ -0,0 +1,79 @@
+/**
+ * Time zone helpers built on Intl (IANA zone names such as 'Asia/Kolkata')
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse 'HH:MM' into minutes after midnight
+ */
+function parseTimeOfDay(value) {
+  const match = TIME_PATTERN.exec(value);
+  if (!match) {
+    return null;
+  }
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Minutes after local midnight for `date` in `timezone` (UTC if the zone is unknown)
+ */
+function getLocalMinutes(date, timezone) {
+  const zone = isValidTimezone(timezone) ? timezone : 'UTC';
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const hour = parseInt(parts.find(part => part.type === 'hour').value);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value);
+  return hour * 60 + minute;
+}
+
+/**
+ * If `date` falls inside the daily local window [start, end), return the
+ * instant the window ends; otherwise null. Windows may wrap past midnight
+ * (e.g. 22:00-07:00).
+ */
+function getWindowEnd(date, timezone, start, end) {
+  const startMinutes = parseTimeOfDay(start);
+  const endMinutes = parseTimeOfDay(end);
+  if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) {
+    return null;
+  }
+
+  const local = getLocalMinutes(date, timezone);
+  const inWindow = startMinutes < endMinutes
+    ? local >= startMinutes && local < endMinutes
+    : local >= startMinutes || local < endMinutes;
+
+  if (!inWindow) {
+    return null;
+  }
+
+  // Offsets are assumed constant across the window (DST shifts it by up to an hour)
+  const minutesLeft = (endMinutes - local + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const startOfMinute = new Date(date);
+  startOfMinute.setUTCSeconds(0, 0);
+  return new Date(startOfMinute.getTime() + minutesLeft * 60 * 1000);
+}
+
+module.exports = {
+  TIME_PATTERN,
+  isValidTimezone,
+  parseTimeOfDay,
+  getLocalMinutes,
+  getWindowEnd,
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret, as sent in
+ * X-Insyd-Webhook-Signature ("v1=<hex>"). The timestamp is unix seconds, from
+ * X-Insyd-Webhook-Timestamp
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `${SIGNATURE_VERSION}=${digest}`;
+}
+
+/**
+ * Check a delivery as a receiver would: the signature must match the raw body and
+ * the timestamp must be recent, so a captured request can't be replayed later
+ */
+function verifySignature({ secret, timestamp, signature, body, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS }) {
+  const sentAt = parseInt(timestamp);
+  if (!signature || !Number.isFinite(sentAt)) {
+    return false;
+  }
+
+  if (Math.abs(Date.now() / 1000 - sentAt) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, sentAt, body));
+  const received = Buffer.from(signature);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+};
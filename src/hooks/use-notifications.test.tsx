@@ -0,0 +1,183 @@
+import type { ReactNode } from "react";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getNotifications, markAsRead, type Notification, type NotificationsResponse } from "@/lib/api";
+import { toast } from "@/hooks/use-toast";
+import { useDismissNotification, useMarkAsRead, useNotifications } from "./use-notifications";
+
+vi.mock("@/lib/api", () => ({
+  getNotifications: vi.fn(),
+  getNotificationStreamUrl: (userId: string, token: string) => `/stream/${userId}?access_token=${token}`,
+  markAsRead: vi.fn(),
+  dismissNotification: vi.fn(),
+}));
+
+vi.mock("@/hooks/use-toast", () => ({ toast: vi.fn() }));
+
+// Records listeners so tests can push server events
+class FakeEventSource {
+  static instances: FakeEventSource[] = [];
+  listeners: Record<string, Array<() => void>> = {};
+  closed = false;
+
+  constructor(public url: string) {
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type: string, listener: () => void) {
+    (this.listeners[type] ??= []).push(listener);
+  }
+
+  emit(type: string) {
+    (this.listeners[type] ?? []).forEach(listener => listener());
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+const notification = (notificationId: string, status: Notification["status"] = "unread"): Notification => ({
+  notificationId,
+  userId: "priya",
+  type: "LIKE",
+  content: "rohit_urban liked your post",
+  status,
+  timestamp: "2026-01-01T00:00:00.000Z",
+  timeAgo: "1h ago",
+});
+
+const response = (notifications: Notification[]): NotificationsResponse => ({
+  notifications,
+  unreadCount: notifications.filter(n => n.status === "unread").length,
+  count: notifications.length,
+  userId: "priya",
+  nextCursor: null,
+  prevCursor: null,
+  hasMore: false,
+});
+
+function setup() {
+  const queryClient = new QueryClient({
+    defaultOptions: { queries: { retry: false }, mutations: { retry: false } },
+  });
+  const wrapper = ({ children }: { children: ReactNode }) => (
+    <QueryClientProvider client={queryClient}>{children}</QueryClientProvider>
+  );
+  return { queryClient, wrapper };
+}
+
+// A promise the test settles by hand, to inspect the cache mid-request
+function deferred<T>() {
+  let resolve!: (value: T) => void;
+  let reject!: (error: Error) => void;
+  const promise = new Promise<T>((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+beforeEach(() => {
+  FakeEventSource.instances = [];
+  vi.stubGlobal("EventSource", FakeEventSource);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.clearAllMocks();
+});
+
+describe("useNotifications", () => {
+  it("waits for a token before fetching or streaming", () => {
+    const { wrapper } = setup();
+
+    renderHook(() => useNotifications("priya", undefined), { wrapper });
+
+    expect(getNotifications).not.toHaveBeenCalled();
+    expect(FakeEventSource.instances).toHaveLength(0);
+  });
+
+  it("refetches when the stream reports a change and closes the stream on unmount", async () => {
+    vi.mocked(getNotifications).mockResolvedValue(response([notification("n1")]));
+    const { wrapper } = setup();
+
+    const { result, unmount } = renderHook(() => useNotifications("priya", "token"), { wrapper });
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+
+    const [source] = FakeEventSource.instances;
+    expect(source.url).toBe("/stream/priya?access_token=token");
+
+    vi.mocked(getNotifications).mockResolvedValue(response([notification("n2"), notification("n1")]));
+    act(() => source.emit("notification"));
+    await waitFor(() => expect(result.current.data?.count).toBe(2));
+
+    act(() => source.emit("status"));
+    act(() => source.emit("resync"));
+    await waitFor(() => expect(getNotifications).toHaveBeenCalledTimes(4));
+
+    unmount();
+    expect(source.closed).toBe(true);
+  });
+});
+
+describe("optimistic updates", () => {
+  it("marks a notification read before the request finishes", async () => {
+    const { queryClient, wrapper } = setup();
+    queryClient.setQueryData(["notifications", "priya"], response([notification("n1"), notification("n2")]));
+    const request = deferred<unknown>();
+    vi.mocked(markAsRead).mockReturnValue(request.promise);
+    vi.mocked(getNotifications).mockResolvedValue(response([notification("n1", "read"), notification("n2")]));
+
+    const { result } = renderHook(() => useMarkAsRead("priya", "token"), { wrapper });
+    act(() => result.current.mutate("n1"));
+
+    await waitFor(() => {
+      const data = queryClient.getQueryData<NotificationsResponse>(["notifications", "priya"]);
+      expect(data?.notifications[0].status).toBe("read");
+      expect(data?.unreadCount).toBe(1);
+    });
+
+    await act(async () => request.resolve({}));
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+  });
+
+  it("rolls the cache back and reports the error when the request fails", async () => {
+    const { queryClient, wrapper } = setup();
+    const before = response([notification("n1"), notification("n2")]);
+    queryClient.setQueryData(["notifications", "priya"], before);
+    const request = deferred<unknown>();
+    vi.mocked(markAsRead).mockReturnValue(request.promise);
+    // Keep the post-mutation refetch from replacing the rolled-back cache
+    vi.mocked(getNotifications).mockReturnValue(new Promise(() => {}));
+
+    const { result } = renderHook(() => useMarkAsRead("priya", "token"), { wrapper });
+    act(() => result.current.mutate("n1"));
+    await waitFor(() =>
+      expect(queryClient.getQueryData<NotificationsResponse>(["notifications", "priya"])?.unreadCount).toBe(1),
+    );
+
+    await act(async () => request.reject(new Error("Network down")));
+    await waitFor(() => expect(result.current.isError).toBe(true));
+
+    expect(queryClient.getQueryData(["notifications", "priya"])).toEqual(before);
+    expect(toast).toHaveBeenCalledWith(
+      expect.objectContaining({ variant: "destructive", description: "Network down" }),
+    );
+  });
+
+  it("does not count a dismissed read notification against the unread count", async () => {
+    const { queryClient, wrapper } = setup();
+    queryClient.setQueryData(["notifications", "priya"], response([notification("n1", "read"), notification("n2")]));
+
+    const { result } = renderHook(() => useDismissNotification("priya", "token"), { wrapper });
+    act(() => result.current.mutate("n1"));
+
+    await waitFor(() => {
+      const data = queryClient.getQueryData<NotificationsResponse>(["notifications", "priya"]);
+      expect(data?.notifications.map(n => n.notificationId)).toEqual(["n2"]);
+      expect(data?.unreadCount).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { useEffect } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "@/hooks/use-toast";
+import {
+  commentOnPost,
+  createPost,
+  dismissNotification,
+  followUser,
+  getLatestPost,
+  getNotifications,
+  getNotificationStreamUrl,
+  likePost,
+  login,
+  markAllAsRead,
+  markAsRead,
+  sharePost,
+  type NotificationsResponse,
+} from "@/lib/api";
+
+const notificationsKey = (userId: string) => ["notifications", userId];
+
+const showError = (title: string) => (error: Error) => {
+  toast({ variant: "destructive", title, description: error.message });
+};
+
+// Demo sign-in: log in as a seeded user with the shared demo password
+export function useDemoToken(userId: string) {
+  return useQuery({
+    queryKey: ["token", userId],
+    queryFn: () => login(userId),
+    staleTime: 60 * 60 * 1000,
+    retry: false,
+  });
+}
+
+export function useNotifications(userId: string, token?: string) {
+  const queryClient = useQueryClient();
+
+  const query = useQuery({
+    queryKey: notificationsKey(userId),
+    queryFn: () => getNotifications(userId, token as string),
+    enabled: Boolean(token),
+  });
+
+  // Refetch whenever the real-time stream reports a change
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    const source = new EventSource(getNotificationStreamUrl(userId, token));
+    const refresh = () => queryClient.invalidateQueries({ queryKey: notificationsKey(userId) });
+
+    source.addEventListener("notification", refresh);
+    source.addEventListener("status", refresh);
+    source.addEventListener("resync", refresh);
+
+    return () => source.close();
+  }, [userId, token, queryClient]);
+
+  return query;
+}
+
+// Optimistically apply `update` to the cached list, rolling back if the request fails
+function useOptimisticNotificationMutation<TVariables>(
+  userId: string,
+  mutationFn: (variables: TVariables) => Promise<unknown>,
+  update: (data: NotificationsResponse, variables: TVariables) => NotificationsResponse,
+  errorTitle: string,
+) {
+  const queryClient = useQueryClient();
+  const queryKey = notificationsKey(userId);
+
+  return useMutation({
+    mutationFn,
+    onMutate: async (variables: TVariables) => {
+      await queryClient.cancelQueries({ queryKey });
+      const previous = queryClient.getQueryData<NotificationsResponse>(queryKey);
+      if (previous) {
+        queryClient.setQueryData(queryKey, update(previous, variables));
+      }
+      return { previous };
+    },
+    onError: (error: Error, _variables, context) => {
+      if (context?.previous) {
+        queryClient.setQueryData(queryKey, context.previous);
+      }
+      showError(errorTitle)(error);
+    },
+    onSettled: () => queryClient.invalidateQueries({ queryKey }),
+  });
+}
+
+export function useMarkAsRead(userId: string, token?: string) {
+  return useOptimisticNotificationMutation(
+    userId,
+    (notificationId: string) => markAsRead(notificationId, token as string),
+    (data, notificationId) => ({
+      ...data,
+      unreadCount: Math.max(
+        0,
+        data.unreadCount - (data.notifications.some(n => n.notificationId === notificationId && n.status === "unread") ? 1 : 0),
+      ),
+      notifications: data.notifications.map(n =>
+        n.notificationId === notificationId && n.status === "unread" ? { ...n, status: "read" } : n,
+      ),
+    }),
+    "Could not mark notification as read",
+  );
+}
+
+export function useMarkAllAsRead(userId: string, token?: string) {
+  return useOptimisticNotificationMutation(
+    userId,
+    () => markAllAsRead(userId, token as string),
+    data => ({
+      ...data,
+      unreadCount: 0,
+      notifications: data.notifications.map(n => (n.status === "unread" ? { ...n, status: "read" } : n)),
+    }),
+    "Could not mark all notifications as read",
+  );
+}
+
+export function useDismissNotification(userId: string, token?: string) {
+  return useOptimisticNotificationMutation(
+    userId,
+    (notificationId: string) => dismissNotification(notificationId, token as string),
+    (data, notificationId) => ({
+      ...data,
+      unreadCount: Math.max(
+        0,
+        data.unreadCount - (data.notifications.some(n => n.notificationId === notificationId && n.status === "unread") ? 1 : 0),
+      ),
+      notifications: data.notifications.filter(n => n.notificationId !== notificationId),
+    }),
+    "Could not dismiss notification",
+  );
+}
+
+// The viewer's latest post (created on first use) for the actor to like, comment on and share
+export function useDemoPost(userId: string, token?: string) {
+  return useQuery({
+    queryKey: ["demo-post", userId],
+    queryFn: async () =>
+      (await getLatestPost(userId, token as string)) ??
+      createPost("Sketches from this week's site visit", token as string),
+    enabled: Boolean(token),
+    staleTime: Infinity,
+  });
+}
+
+export type DemoAction = "LIKE" | "FOLLOW" | "COMMENT" | "SHARE";
+
+// Perform a real action as the actor; the backend emits the notification event
+export function useDemoAction(actorId: string, token?: string) {
+  return useMutation({
+    mutationFn: ({ type, postId, targetUserId }: { type: DemoAction; postId: string; targetUserId: string }) => {
+      switch (type) {
+        case "LIKE":
+          return likePost(postId, token as string);
+        case "COMMENT":
+          return commentOnPost(postId, "Love the natural lighting in this design!", token as string);
+        case "SHARE":
+          return sharePost(postId, token as string);
+        case "FOLLOW":
+          return followUser(actorId, targetUserId, token as string);
+      }
+    },
+    onError: showError("Could not perform action"),
+  });
+}
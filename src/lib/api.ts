@@ -0,0 +1,148 @@
+// Thin client for the Insyd notification backend (see backend/README.md)
+
+export const API_URL = import.meta.env.VITE_API_URL ?? "http://localhost:5000/api";
+
+// Every seeded demo user shares this password (SEED_USER_PASSWORD on the backend)
+export const DEMO_PASSWORD = import.meta.env.VITE_DEMO_PASSWORD ?? "password123";
+
+export type NotificationType = "LIKE" | "FOLLOW" | "COMMENT" | "POST_CREATE" | "MENTION" | "SHARE";
+export type NotificationStatus = "unread" | "read" | "dismissed";
+
+export interface Notification {
+  notificationId: string;
+  userId: string;
+  type: NotificationType;
+  content: string;
+  status: NotificationStatus;
+  timestamp: string;
+  timeAgo: string;
+  readAt?: string;
+  actorCount?: number;
+  data?: {
+    postId?: string;
+    commentId?: string;
+    url?: string;
+  };
+}
+
+export interface NotificationsResponse {
+  notifications: Notification[];
+  unreadCount: number;
+  count: number;
+  userId: string;
+  nextCursor: string | null;
+  prevCursor: string | null;
+  hasMore: boolean;
+}
+
+export interface Post {
+  postId: string;
+  authorId: string;
+  content?: string;
+  imageUrl?: string;
+  sharedPostId?: string;
+  likeCount: number;
+  commentCount: number;
+  shareCount: number;
+  createdAt: string;
+}
+
+export class ApiError extends Error {
+  status: number;
+
+  constructor(status: number, message: string) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+async function request<T>(path: string, options: RequestInit & { token?: string } = {}): Promise<T> {
+  const { token, headers, ...init } = options;
+
+  const response = await fetch(`${API_URL}${path}`, {
+    ...init,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers,
+    },
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new ApiError(response.status, body.message || body.error || `Request failed (${response.status})`);
+  }
+
+  return body as T;
+}
+
+export async function login(userId: string, password = DEMO_PASSWORD): Promise<string> {
+  const { token } = await request<{ token: string }>("/auth/login", {
+    method: "POST",
+    body: JSON.stringify({ userId, password }),
+  });
+  return token;
+}
+
+export function getNotifications(userId: string, token: string) {
+  return request<NotificationsResponse>(`/notifications/${encodeURIComponent(userId)}`, { token });
+}
+
+// Likes, comments, shares, posts and follows emit their notification events server-side
+
+export async function getLatestPost(authorId: string, token: string) {
+  const { posts } = await request<{ posts: Post[] }>(`/posts?authorId=${encodeURIComponent(authorId)}&limit=1`, { token });
+  return posts[0] ?? null;
+}
+
+export async function createPost(content: string, token: string) {
+  const { post } = await request<{ post: Post }>("/posts", {
+    method: "POST",
+    body: JSON.stringify({ content }),
+    token,
+  });
+  return post;
+}
+
+export function likePost(postId: string, token: string) {
+  return request(`/posts/${encodeURIComponent(postId)}/likes`, { method: "POST", token });
+}
+
+export function commentOnPost(postId: string, content: string, token: string) {
+  return request(`/posts/${encodeURIComponent(postId)}/comments`, {
+    method: "POST",
+    body: JSON.stringify({ content }),
+    token,
+  });
+}
+
+export function sharePost(postId: string, token: string) {
+  return request(`/posts/${encodeURIComponent(postId)}/shares`, { method: "POST", body: JSON.stringify({}), token });
+}
+
+export function followUser(userId: string, targetUserId: string, token: string) {
+  return request(`/users/${encodeURIComponent(userId)}/follow`, {
+    method: "POST",
+    body: JSON.stringify({ targetUserId }),
+    token,
+  });
+}
+
+export function markAsRead(notificationId: string, token: string) {
+  return request(`/notifications/${encodeURIComponent(notificationId)}/read`, { method: "PUT", token });
+}
+
+export function markAllAsRead(userId: string, token: string) {
+  return request(`/notifications/${encodeURIComponent(userId)}/read-all`, { method: "PUT", token });
+}
+
+export function dismissNotification(notificationId: string, token: string) {
+  return request(`/notifications/${encodeURIComponent(notificationId)}`, { method: "DELETE", token });
+}
+
+// EventSource cannot send headers, so the token goes in the query string
+export function getNotificationStreamUrl(userId: string, token: string) {
+  return `${API_URL}/notifications/${encodeURIComponent(userId)}/stream?access_token=${encodeURIComponent(token)}`;
+}
@@ -1,45 +1,61 @@
-// React imports for state management and lifecycle
-import { useState, useEffect } from 'react';
+// React imports for state management
+import { useState } from 'react';
 // UI component imports from our design system
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 // Lucide React icons for consistent iconography
-import { Bell, Users, MessageSquare, Heart, UserPlus, Share2, Sparkles } from 'lucide-react';
+import { Bell, Users, MessageSquare, Heart, UserPlus, Share2, Sparkles, CheckCheck, X, AtSign, FileText } from 'lucide-react';
+// Backend API hooks (React Query + real-time stream)
+import {
+  useDemoAction,
+  useDemoPost,
+  useDemoToken,
+  useDismissNotification,
+  useMarkAllAsRead,
+  useMarkAsRead,
+  useNotifications,
+  type DemoAction,
+} from '@/hooks/use-notifications';
 
-// Mock notification data - simulates backend API response
-// In production, this would come from your backend notification service
-const mockNotifications = [
-  {
-    notificationId: '1', // Unique identifier for each notification
-    type: 'FOLLOW', // Type of action that triggered the notification
-    content: 'priya_designer started following you', // Human-readable notification message
-    status: 'unread', // Read/unread status for UI highlighting
-    timeAgo: '1h ago', // Time display for user context
-    sourceUserId: 'user2' // User who performed the action
-  },
-  {
-    notificationId: '2', 
-    type: 'LIKE',
-    content: 'rohit_urban liked your post',
-    status: 'unread',
-    timeAgo: '30m ago',
-    sourceUserId: 'user3'
-  },
-  {
-    notificationId: '3',
-    type: 'COMMENT',
-    content: 'maya_sustainable commented: "Love the sustainable approach!"',
-    status: 'read', // This notification has been read
-    timeAgo: '15m ago',
-    sourceUserId: 'user4'
-  }
+// Users created by the backend seed (backend/services/seedService.js)
+const demoUsers = [
+  { userId: 'user1', username: 'alex_architect' },
+  { userId: 'user2', username: 'priya_designer' },
+  { userId: 'user3', username: 'rohit_urban' },
+  { userId: 'user4', username: 'maya_sustainable' },
+  { userId: 'user5', username: 'demo_user' },
 ];
 
 const Index = () => {
-  // State management for notifications and unread count
-  const [notifications, setNotifications] = useState(mockNotifications);
-  const [unreadCount, setUnreadCount] = useState(2);
+  // Whose notifications we are viewing, and who performs the simulated actions
+  const [viewerId, setViewerId] = useState('user1');
+  const [actorId, setActorId] = useState('user2');
+
+  // Sign in as both demo users (actions must come from the actor's own account)
+  const viewerToken = useDemoToken(viewerId);
+  const actorToken = useDemoToken(actorId);
+
+  // Notifications and unread count from GET /api/notifications/:userId, kept live by the stream
+  const notificationsQuery = useNotifications(viewerId, viewerToken.data);
+  const notifications = (notificationsQuery.data?.notifications ?? []).filter(n => n.status !== 'dismissed');
+  const unreadCount = notificationsQuery.data?.unreadCount ?? 0;
+
+  // Mutations with optimistic updates and error toasts
+  const demoPost = useDemoPost(viewerId, viewerToken.data);
+  const demoAction = useDemoAction(actorId, actorToken.data);
+  const markAsRead = useMarkAsRead(viewerId, viewerToken.data);
+  const markAllAsRead = useMarkAllAsRead(viewerId, viewerToken.data);
+  const dismiss = useDismissNotification(viewerId, viewerToken.data);
+
+  // Switching the viewer must never leave the actor pointing at the same user
+  const selectViewer = (userId: string) => {
+    setViewerId(userId);
+    if (userId === actorId) {
+      setActorId(demoUsers.find(user => user.userId !== userId)!.userId);
+    }
+  };
 
   // Audio feedback system for interactive actions
   // Creates different sound frequencies for each action type
@@ -84,33 +100,34 @@ const Index = () => {
       case 'LIKE': return <Heart className="w-4 h-4" />;
       case 'COMMENT': return <MessageSquare className="w-4 h-4" />;
       case 'SHARE': return <Share2 className="w-4 h-4" />;
+      case 'MENTION': return <AtSign className="w-4 h-4" />;
+      case 'POST_CREATE': return <FileText className="w-4 h-4" />;
       default: return <Bell className="w-4 h-4" />; // Fallback icon
     }
   };
 
-  // Event trigger function - simulates user actions that create notifications
-  // In production, this would send API calls to your backend
-  const triggerEvent = (type: string) => {
+  // Action trigger function - the actor really likes/comments on/shares the viewer's post
+  // (or follows the viewer); the backend emits the event and the notification arrives over the stream
+  const triggerEvent = (type: DemoAction) => {
+    if (!demoPost.data) {
+      return;
+    }
+
     // Play audio feedback first for immediate user response
     playSound(type);
-    
-    // Create a new notification object
-    // In production, this notification would be generated by your backend
-    const newNotification = {
-      notificationId: Date.now().toString(), // Simple ID generation for demo
-      type,
-      content: `New ${type.toLowerCase()} event triggered!`,
-      status: 'unread' as const, // TypeScript const assertion
-      timeAgo: 'just now',
-      sourceUserId: 'demo_user'
-    };
-    
-    // Update the notifications state by adding new notification to the beginning
-    setNotifications(prev => [newNotification, ...prev]);
-    // Increment unread count for badge display
-    setUnreadCount(prev => prev + 1);
+
+    demoAction.mutate({ type, postId: demoPost.data.postId, targetUserId: viewerId });
   };
 
+  // Status message for the notification list while signing in or loading
+  const listStatus = viewerToken.isError
+    ? `Could not sign in as ${viewerId}. Is the backend running and seeded?`
+    : notificationsQuery.isError
+      ? 'Could not load notifications.'
+      : notificationsQuery.isLoading || viewerToken.isLoading
+        ? 'Loading notifications...'
+        : null;
+
   return (
     <div className="min-h-screen bg-background relative overflow-hidden">
       {/* Animated background with gradients and floating elements */}
@@ -164,6 +181,35 @@ const Index = () => {
                 </CardTitle>
               </CardHeader>
               <CardContent className="space-y-4">
+                {/* Viewer and actor pickers */}
+                <div className="grid grid-cols-2 gap-3">
+                  <div className="space-y-1">
+                    <p className="text-xs text-muted-foreground">Viewing notifications of</p>
+                    <Select value={viewerId} onValueChange={selectViewer}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {demoUsers.map(user => (
+                          <SelectItem key={user.userId} value={user.userId}>{user.username}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-1">
+                    <p className="text-xs text-muted-foreground">Acting as</p>
+                    <Select value={actorId} onValueChange={setActorId}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {demoUsers.filter(user => user.userId !== viewerId).map(user => (
+                          <SelectItem key={user.userId} value={user.userId}>{user.username}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
                 {/* Action buttons with individual styling and hover effects */}
                 {[
                   { type: 'LIKE', color: 'text-red-500', bg: 'hover:bg-red-500/10', border: 'hover:border-red-500/30' },
@@ -173,7 +219,8 @@ const Index = () => {
                 ].map(({ type, color, bg, border }) => (
                   <Button
                     key={type}
-                    onClick={() => triggerEvent(type)}
+                    onClick={() => triggerEvent(type as DemoAction)}
+                    disabled={!actorToken.data || !demoPost.data}
                     variant="outline"
                     className={`w-full justify-start gap-3 h-14 border-2 border-border/50 ${bg} ${border} transition-all duration-200 hover:scale-[1.02] active:scale-[0.98]`}
                   >
@@ -184,7 +231,7 @@ const Index = () => {
                     {/* Button text with description */}
                     <div className="text-left">
                       <div className="font-semibold">Simulate {type}</div>
-                      <div className="text-xs text-muted-foreground">Click to trigger with sound</div>
+                      <div className="text-xs text-muted-foreground">Performs a real action with sound</div>
                     </div>
                   </Button>
                 ))}
@@ -202,20 +249,38 @@ const Index = () => {
                     </div>
                     Live Notifications
                   </div>
-                  {/* Unread notification badge with bounce animation */}
-                  {unreadCount > 0 && (
-                    <Badge variant="secondary" className="bg-primary text-primary-foreground px-3 py-1 animate-bounce">
-                      {unreadCount} new
-                    </Badge>
-                  )}
+                  <div className="flex items-center gap-2">
+                    {/* Unread notification badge with bounce animation */}
+                    {unreadCount > 0 && (
+                      <Badge variant="secondary" className="bg-primary text-primary-foreground px-3 py-1 animate-bounce">
+                        {unreadCount} new
+                      </Badge>
+                    )}
+                    {/* Mark everything as read */}
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      title="Mark all as read"
+                      disabled={unreadCount === 0}
+                      onClick={() => markAllAsRead.mutate(undefined)}
+                    >
+                      <CheckCheck className="w-5 h-5" />
+                    </Button>
+                  </div>
                 </CardTitle>
               </CardHeader>
               <CardContent className="space-y-4 max-h-96 overflow-y-auto">
+                {/* Sign-in / loading / error state */}
+                {listStatus && (
+                  <p className="text-center py-4 text-muted-foreground">{listStatus}</p>
+                )}
                 {/* Notification list with conditional styling based on read status */}
+                {/* Clicking an unread notification marks it as read */}
                 {notifications.map(notification => (
                   <div
                     key={notification.notificationId}
-                    className={`p-4 rounded-xl border-2 transition-all duration-300 hover:scale-[1.02] ${
+                    onClick={() => notification.status === 'unread' && markAsRead.mutate(notification.notificationId)}
+                    className={`p-4 rounded-xl border-2 transition-all duration-300 hover:scale-[1.02] cursor-pointer ${
                       notification.status === 'unread' 
                         ? 'bg-primary/5 border-primary/30 shadow-lg' // Unread notifications are highlighted
                         : 'bg-muted/30 border-border/30' // Read notifications are muted
@@ -241,11 +306,23 @@ const Index = () => {
                           )}
                         </div>
                       </div>
+                      {/* Dismiss button (does not mark as read first) */}
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        title="Dismiss"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          dismiss.mutate(notification.notificationId);
+                        }}
+                      >
+                        <X className="w-4 h-4" />
+                      </Button>
                     </div>
                   </div>
                 ))}
                 {/* Empty state when no notifications exist */}
-                {notifications.length === 0 && (
+                {!listStatus && notifications.length === 0 && (
                   <div className="text-center py-8 text-muted-foreground">
                     <Bell className="w-12 h-12 mx-auto mb-3 opacity-50" />
                     <p>No notifications yet. Try triggering some actions!</p>